@@ -13,14 +13,20 @@ BASENAME="$(basename "$FILE_PATH")"
 
 # Check if the file matches known test file patterns
 case "$BASENAME" in
-  *.spec.js|*.test.js|*.spec.ts|*.test.ts)
+  *.spec.js|*.test.js|*.spec.ts|*.test.ts|*.cy.js|*.cy.ts)
     ;; # JS/TS test file -- proceed
   *Tests.cs)
     ;; # C# test file -- proceed
+  *Test.java|*IT.java|*Test.kt)
+    ;; # Java / Kotlin test file -- proceed
   test_*.py|*_test.py)
     ;; # Python test file -- proceed
   *_test.go)
     ;; # Go test file -- proceed
+  *.yaml|*.yml)
+    # Maestro flow -- proceed only for YAML files with a top-level appId
+    grep -q '^appId[[:space:]]*:' "$FILE_PATH" 2>/dev/null || exit 0
+    ;;
   *)
     # Not a test file, exit silently
     exit 0
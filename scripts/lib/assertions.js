@@ -0,0 +1,441 @@
+/**
+ * Per-test assertion analysis (garbage-test category 3)
+ *
+ * Looks inside every test block (lib/test-blocks.js) and reports:
+ *
+ *   NO_ASSERTIONS        the test asserts nothing at all
+ *   SCREENSHOT_ONLY      the test's only "evidence" is a screenshot call
+ *   TRIVIAL_ASSERTION    the assertion compares constants or an expression
+ *                        with itself: expect(true).toBe(true), Assert.IsTrue(true),
+ *                        assert x == x
+ *   LOCATOR_TRUTHINESS   a locator object is checked for truthiness; locators
+ *                        always exist, so this never fails; assert on its state
+ *   SCREENSHOT_UNVERIFIED
+ *                        a screenshot with no assertion or visual comparison
+ *                        after it, up to the next screenshot or the end of the
+ *                        test (garbage-test category 6); tests
+ *                        that assert nothing at all are SCREENSHOT_ONLY instead
+ *
+ * C# and Python ids carry the CS_ / PY_ prefix like the other rule packs.
+ * Maestro flows only get MAESTRO_SCREENSHOT_UNVERIFIED: a takeScreenshot step
+ * needs an assert* step (assertVisible, ...) after it, before the next
+ * takeScreenshot or the end of the flow.
+ * Calls to helpers named assert*, expect*, verify*, check*, validate*,
+ * ensure* or should* count as assertions (checkTotal, check_total,
+ * VerifyCart; not checkout() or the check() / CheckAsync() checkbox actions),
+ * as do local JS functions that assert. Every finding names its test block
+ * in `test`.
+ *
+ * Tests that do not run are not checked: skipped, fixme and todo tests and
+ * tests inside a skipped describe/class/module, as lib/disabled-tests.js
+ * detects them (with or without a reason).
+ */
+
+const { parse, walk } = require('./js-parser');
+const { extractTestBlocks, maskSource, matchBracket } = require('./test-blocks');
+const { disabledTestSpans } = require('./disabled-tests');
+
+const BASE_RULES = {
+  NO_ASSERTIONS: {
+    description: 'Test contains no assertions',
+    rule: 'Garbage test category 3: a test without assertions cannot fail and proves nothing',
+  },
+  SCREENSHOT_ONLY: {
+    description: 'Test only takes a screenshot; it asserts nothing about what is shown',
+    rule: 'Garbage test category 3/6: a screenshot is not an assertion; assert on the visible state',
+  },
+  TRIVIAL_ASSERTION: {
+    description: 'Assertion compares constants or an expression with itself',
+    rule: 'Garbage test category 3: asserts something trivially true; it can never fail',
+  },
+  LOCATOR_TRUTHINESS: {
+    description: 'Assertion checks that a locator object exists instead of checking its state',
+    rule: 'Garbage test category 3: locator objects are always truthy; assert visibility, text or count instead',
+  },
+  SCREENSHOT_UNVERIFIED: {
+    description: 'Screenshot is not paired with an assertion on the captured state or a visual comparison',
+    rule: 'Garbage test category 6: a screenshot nobody analyses is not evidence; assert what it shows or compare it',
+  },
+};
+
+const LANG_PREFIX = { js: '', cs: 'CS_', py: 'PY_' };
+
+const ASSERTION_RULES = {};
+for (const [lang, prefix] of Object.entries(LANG_PREFIX)) {
+  for (const [base, meta] of Object.entries(BASE_RULES)) {
+    const id = prefix + base;
+    ASSERTION_RULES[id] = Object.assign({ id, severity: 'warning', lang }, meta);
+  }
+}
+ASSERTION_RULES.MAESTRO_SCREENSHOT_UNVERIFIED = Object.assign(
+  { id: 'MAESTRO_SCREENSHOT_UNVERIFIED', severity: 'warning', lang: 'yaml' },
+  BASE_RULES.SCREENSHOT_UNVERIFIED,
+);
+
+// The verb alone or followed by a word boundary: checkTotal, but not checkoutCart
+const HELPER_NAME = /^(?:[aA]ssert|[eE]xpect|[vV]erify|[cC]heck|[vV]alidate|[eE]nsure|[sS]hould)(?=$|[A-Z0-9_])/;
+// locator.check() / page.check(selector) tick a checkbox
+const ACTION_METHODS = new Set(['check']);
+
+// page.screenshot(), cy.screenshot(), browser.takeScreenshot(), device.takeScreenshot()
+const JS_SCREENSHOT_METHODS = new Set(['screenshot', 'takeScreenshot', 'saveScreenshot']);
+// Visual comparisons outside expect(): cypress-image-snapshot, cypress-visual-regression, Percy
+const JS_VISUAL_COMPARISONS = new Set(['matchImageSnapshot', 'compareSnapshot', 'percySnapshot']);
+
+// Methods that return a (lazy, always truthy) locator rather than an element
+const JS_LOCATOR_METHODS = new Set([
+  'locator', 'getByRole', 'getByText', 'getByLabel', 'getByPlaceholder', 'getByTestId',
+  'getByAltText', 'getByTitle', 'frameLocator', 'first', 'last', 'nth', 'filter', 'and', 'or',
+]);
+const JS_TRUTHY_MATCHERS = new Set(['toBeTruthy', 'toBeDefined']);
+const JS_FALSY_MATCHERS = new Set(['toBeFalsy', 'toBeNull', 'toBeUndefined']);
+
+// Test blocks that run: not inside a disabled test or suite
+function activeBlocks(content, lang, program) {
+  const disabled = disabledTestSpans(content, lang, program);
+  return extractTestBlocks(content, lang, program)
+    .filter(block => !disabled.some(span => span.start <= block.start && block.start < span.end));
+}
+
+/**
+ * Screenshots (offset spans) of one test with no assertion after them - from
+ * the screenshot to the next one, or to the end of the test. An assertion
+ * that wraps the screenshot (expect(await page.screenshot()).toMatchSnapshot())
+ * verifies it too; one that ends before it does not.
+ */
+function unverifiedScreenshots(screenshots, assertions) {
+  const sorted = [...screenshots].sort((a, b) => a.start - b.start);
+  return sorted.filter((shot, i) => {
+    const to = i < sorted.length - 1 ? sorted[i + 1].start : Infinity;
+    return !assertions.some(a => a.end > shot.start && a.start < to);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// JavaScript / TypeScript
+// ---------------------------------------------------------------------------
+
+function unwrap(node) {
+  while (node && (node.type === 'TSAsExpression' || node.type === 'ParenthesizedExpression')) node = node.expression;
+  return node;
+}
+
+function isConstant(node) {
+  node = unwrap(node);
+  if (!node) return false;
+  switch (node.type) {
+    case 'Literal': return !node.regex;
+    case 'TemplateLiteral': return node.expressions.length === 0;
+    case 'Identifier': return node.name === 'undefined' || node.name === 'NaN' || node.name === 'Infinity';
+    case 'UnaryExpression': return isConstant(node.argument);
+    case 'ArrayExpression': return node.elements.every(el => el && isConstant(el));
+    case 'ObjectExpression': return node.properties.every(p => p.type === 'Property' && !p.computed && isConstant(p.value));
+    default: return false;
+  }
+}
+
+function calleeName(callee) {
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier') return callee.property.name;
+  return null;
+}
+
+function isAssertCall(call) {
+  const callee = call.callee;
+  if (callee.type === 'Identifier') return callee.name === 'assert';
+  return callee.type === 'MemberExpression' && callee.object.type === 'Identifier' && callee.object.name === 'assert';
+}
+
+// chai: value.should.equal(x), value.should.be.visible()
+function isShouldCall(call) {
+  for (let cur = call.callee; cur && cur.type === 'MemberExpression'; cur = cur.object) {
+    if (!cur.computed && cur.property.name === 'should') return true;
+  }
+  return false;
+}
+
+function isExpectCall(call) {
+  const callee = call.callee;
+  if (callee.type === 'Identifier') return callee.name === 'expect';
+  // expect.soft(x) / expect.poll(fn)
+  return callee.type === 'MemberExpression' && callee.object.type === 'Identifier' && callee.object.name === 'expect';
+}
+
+function isLocatorExpression(node, locals) {
+  node = unwrap(node);
+  if (!node) return false;
+  if (node.type === 'Identifier') return locals.has(node.name);
+  return node.type === 'CallExpression' && JS_LOCATOR_METHODS.has(calleeName(node.callee))
+    && node.callee.type === 'MemberExpression';
+}
+
+function analyzeJs(content, program) {
+  const ast = program || parse(content);
+  const src = (node) => content.slice(node.start, node.end).replace(/\s+/g, '');
+
+  // Top-level functions, so a test that delegates to a local helper which
+  // asserts is not reported as assertion-free
+  const functions = new Map();
+  for (const stmt of ast.body) {
+    const decl = stmt.type === 'ExportNamedDeclaration' && stmt.declaration ? stmt.declaration : stmt;
+    if (decl.type === 'FunctionDeclaration' && decl.id) functions.set(decl.id.name, decl);
+    if (decl.type === 'VariableDeclaration') {
+      for (const d of decl.declarations) {
+        if (d.id.type === 'Identifier' && d.init && /Function/.test(d.init.type)) functions.set(d.id.name, d.init);
+      }
+    }
+  }
+  const assertsCache = new Map();
+  const helperAsserts = (name) => {
+    if (assertsCache.has(name)) return assertsCache.get(name);
+    assertsCache.set(name, false);
+    const found = scan(functions.get(name).body).assertions.length > 0;
+    assertsCache.set(name, found);
+    return found;
+  };
+
+  // Collects the assertions and screenshots in a function body and the
+  // trivial / locator-truthiness findings
+  function scan(body) {
+    const result = { assertions: [], screenshots: [], findings: [] };
+    const locals = new Set();
+
+    walk(body, (node) => {
+      if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && isLocatorExpression(node.init, locals)) {
+        locals.add(node.id.name);
+      }
+      if (node.type !== 'CallExpression') return;
+      const name = calleeName(node.callee);
+
+      if (JS_SCREENSHOT_METHODS.has(name) && node.callee.type === 'MemberExpression') result.screenshots.push(node);
+
+      // expect(actual)...matcher(expected)
+      if (isExpectCall(node)) {
+        result.assertions.push(node);
+        let cur = node;
+        let negated = false;
+        while (cur.parent && cur.parent.type === 'MemberExpression' && cur.parent.object === cur) {
+          const prop = cur.parent.property.name;
+          if (prop === 'not') negated = !negated;
+          cur = cur.parent;
+          if (cur.parent && cur.parent.type === 'CallExpression' && cur.parent.callee === cur) {
+            const matcher = cur.parent;
+            const actual = node.arguments[0];
+            const expected = matcher.arguments[0];
+            if (actual && isConstant(actual) && matcher.arguments.every(isConstant)) {
+              result.findings.push(['TRIVIAL_ASSERTION', node]);
+            } else if (actual && expected && src(actual) === src(expected)) {
+              result.findings.push(['TRIVIAL_ASSERTION', node]);
+            } else if (actual && isLocatorExpression(actual, locals)
+              && (negated ? JS_FALSY_MATCHERS : JS_TRUTHY_MATCHERS).has(prop)) {
+              result.findings.push(['LOCATOR_TRUTHINESS', node]);
+            }
+            break;
+          }
+        }
+        return;
+      }
+
+      // assert(x), assert.equal(a, b), assert.ok(x)
+      if (isAssertCall(node)) {
+        result.assertions.push(node);
+        const [a, b] = node.arguments;
+        const comparing = b && !/^(?:assert|ok|isOk|isTrue|isFalse|isNotNull|exists)$/.test(name);
+        if (a && isConstant(a) && (!comparing || isConstant(b))) result.findings.push(['TRIVIAL_ASSERTION', node]);
+        else if (comparing && src(a) === src(b)) result.findings.push(['TRIVIAL_ASSERTION', node]);
+        else if (a && !comparing && isLocatorExpression(a, locals)) result.findings.push(['LOCATOR_TRUTHINESS', node]);
+      } else if (isShouldCall(node) || (name && (JS_VISUAL_COMPARISONS.has(name)
+        || (HELPER_NAME.test(name) && !(node.callee.type === 'MemberExpression' && ACTION_METHODS.has(name)))))) {
+        result.assertions.push(node);
+      } else if (node.callee.type === 'Identifier' && functions.has(name) && helperAsserts(name)) {
+        result.assertions.push(node);
+      }
+    });
+    return result;
+  }
+
+  const findings = [];
+  for (const block of activeBlocks(content, 'js', ast)) {
+    if (!block.fn || block.modifier === 'todo') continue;
+    const result = scan(block.fn.body);
+    for (const [id, node] of result.findings) {
+      findings.push({ id, line: node.loc.start.line, column: node.loc.start.column + 1, test: block.name });
+    }
+    if (result.assertions.length === 0) {
+      const id = result.screenshots.length > 0 ? 'SCREENSHOT_ONLY' : 'NO_ASSERTIONS';
+      findings.push({ id, line: block.line, column: block.column, test: block.name });
+      continue;
+    }
+    for (const node of unverifiedScreenshots(result.screenshots, result.assertions)) {
+      findings.push({ id: 'SCREENSHOT_UNVERIFIED', line: node.loc.start.line, column: node.loc.start.column + 1, test: block.name });
+    }
+  }
+  return findings;
+}
+
+// ---------------------------------------------------------------------------
+// C# and Python (masked source text)
+// ---------------------------------------------------------------------------
+
+// Splits a masked argument list on top-level commas
+function splitArgs(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if ('([{'.includes(ch)) depth++;
+    if (')]}'.includes(ch)) depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+const TEXT_LANGS = {
+  cs: {
+    assertion: /\b(?:Assert|ClassicAssert|StringAssert|CollectionAssert|FileAssert)\s*\.\s*\w+\s*\(|\.\s*Should\s*\(|\bExpect\s*\(|\b(?!Check(?:Async)?\s*\()(?:Assert|Verify|Check|Validate|Ensure)(?:[A-Z_]\w*)?\s*\(/,
+    screenshot: /\.\s*(?:GetScreenshot|ScreenshotAsync|SaveAsFile|SaveScreenshot)\s*\(/,
+    constant: /^(?:true|false|null|-?\d[\d.]*[fFdDmMlLuU]?|"\s*"|'.')$/,
+    // Assert.X(args) call sites to inspect
+    call: /\b(?:Assert|ClassicAssert)\s*\.\s*(\w+)\s*\(/g,
+    comparing: /^(?:AreEqual|AreNotEqual|Equal|NotEqual|AreSame|Same|That)$/,
+    truthy: /^(?:IsTrue|True|IsFalse|False|IsNotNull|NotNull)$/,
+    locator: /\.\s*(?:Locator|GetBy\w+|FrameLocator)\s*\(/,
+    locatorAssign: /\bvar\s+(\w+)\s*=\s*[\w.]+\.\s*(?:Locator|GetBy\w+|FrameLocator)\s*\(/g,
+  },
+  py: {
+    assertion: /^\s*assert\b|\bself\s*\.\s*(?:assert\w*|fail)\s*\(|\bexpect\s*\(|\bpytest\s*\.\s*(?:raises|warns|fail)\b|(?<![\w.])(?:assert|verify|check|validate|ensure)_\w*\s*\(/m,
+    screenshot: /\.\s*(?:screenshot|save_screenshot|get_screenshot_as_file|get_screenshot_as_png)\s*\(/,
+    constant: /^(?:True|False|None|-?\d[\d.]*|"\s*"|'\s*'|\(\s*\)|\[\s*\]|\{\s*\})$/,
+    call: /\bself\s*\.\s*(assert\w*)\s*\(/g,
+    comparing: /^(?:assertEqual|assertNotEqual|assertIs|assertIsNot|assertEquals|assertIn|assertGreaterEqual|assertLessEqual)$/,
+    truthy: /^(?:assertTrue|assertFalse|assertIsNotNone|assertIsNone)$/,
+    locator: /\.\s*(?:locator|get_by_\w+|frame_locator)\s*\(/,
+    locatorAssign: /^\s*(\w+)\s*=\s*[\w.]+\.\s*(?:locator|get_by_\w+|frame_locator)\s*\(/gm,
+  },
+};
+
+function analyzeText(content, lang) {
+  const cfg = TEXT_LANGS[lang];
+  const prefix = LANG_PREFIX[lang];
+  const masked = maskSource(content, lang);
+  const lineOf = (offset) => content.slice(0, offset).split('\n').length;
+  const columnOf = (offset) => offset - content.lastIndexOf('\n', offset - 1);
+  const findings = [];
+
+  for (const block of activeBlocks(content, lang)) {
+    const body = masked.slice(block.bodyStart, block.bodyEnd);
+    const push = (id, at) => findings.push({ id: prefix + id, line: lineOf(at), column: columnOf(at), test: block.name });
+
+    const locals = new Set();
+    for (const m of body.matchAll(cfg.locatorAssign)) locals.add(m[1]);
+    const isLocator = (expr) => cfg.locator.test(expr) || locals.has(expr);
+    const isConstant = (expr) => cfg.constant.test(expr.trim());
+    const same = (a, b) => a.replace(/\s+/g, '') === b.replace(/\s+/g, '');
+    // A constant, or a comparison of two constants / of an expression with itself
+    const isTrivial = (expr) => {
+      const cmp = /^(.+?)\s*(==|!=|\bis\b|>=|<=)\s*(.+)$/.exec(expr);
+      return isConstant(expr) || Boolean(cmp && ((isConstant(cmp[1]) && isConstant(cmp[3])) || same(cmp[1], cmp[3])));
+    };
+
+    // Assertion calls with their argument lists
+    for (const m of body.matchAll(cfg.call)) {
+      const open = m.index + m[0].length - 1;
+      const args = splitArgs(body.slice(open + 1, matchBracket(body, open) - 1));
+      const at = block.bodyStart + m.index;
+      const method = m[1];
+      if (args.length === 0) continue;
+      if (cfg.comparing.test(method) && args.length >= 2) {
+        // Assert.That(true, Is.True) checks a constant against a constraint
+        const constraintOnly = lang === 'cs' && method === 'That';
+        if ((constraintOnly ? isConstant(args[0]) : isConstant(args[0]) && isConstant(args[1])) || same(args[0], args[1])) {
+          push('TRIVIAL_ASSERTION', at);
+        } else if (constraintOnly && isLocator(args[0]) && /Not\s*\.\s*Null/.test(args[1])) {
+          push('LOCATOR_TRUTHINESS', at);
+        }
+      } else if (cfg.truthy.test(method)) {
+        if (isTrivial(args[0])) push('TRIVIAL_ASSERTION', at);
+        else if (isLocator(args[0])) push('LOCATOR_TRUTHINESS', at);
+      }
+    }
+
+    // Python `assert <expr>[, message]` statements
+    if (lang === 'py') {
+      for (const m of body.matchAll(/^([ \t]*)assert\b(.*)$/gm)) {
+        const expr = splitArgs(m[2])[0] || '';
+        const at = block.bodyStart + m.index + m[1].length;
+        if (isTrivial(expr)) push('TRIVIAL_ASSERTION', at);
+        else if (isLocator(expr.replace(/\s+is\s+not\s+None$/, ''))) push('LOCATOR_TRUTHINESS', at);
+      }
+    }
+
+    if (!cfg.assertion.test(body)) {
+      const id = prefix + (cfg.screenshot.test(body) ? 'SCREENSHOT_ONLY' : 'NO_ASSERTIONS');
+      findings.push({ id, line: block.line, column: block.column, test: block.name });
+      continue;
+    }
+    // driver.GetScreenshot().SaveAsFile(...) is one screenshot
+    const screenshots = spansOf(body, cfg.screenshot)
+      .filter((shot, i, all) => i === 0 || body.lastIndexOf('\n', shot.start) >= all[i - 1].start);
+    // An assertion covers the rest of its line: Verify(driver.GetScreenshot())
+    const assertions = spansOf(body, cfg.assertion)
+      .map(a => ({ start: a.start, end: (body.indexOf('\n', a.end) + 1 || body.length + 1) - 1 }));
+    for (const shot of unverifiedScreenshots(screenshots, assertions)) {
+      push('SCREENSHOT_UNVERIFIED', block.bodyStart + shot.start);
+    }
+  }
+  return findings;
+}
+
+// Every match of `re` in `text` as { start, end }
+function spansOf(text, re) {
+  const global = new RegExp(re.source, re.flags.includes('g') ? re.flags : `${re.flags}g`);
+  return [...text.matchAll(global)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+}
+
+// ---------------------------------------------------------------------------
+// Maestro flows
+// ---------------------------------------------------------------------------
+
+const MAESTRO_STEP = /^[ \t]*-[ \t]*(takeScreenshot|assert\w*)\b/gm;
+
+function analyzeMaestro(content) {
+  const masked = maskSource(content, 'yaml');
+  const lineOf = (offset) => content.slice(0, offset).split('\n').length;
+  const findings = [];
+  for (const block of extractTestBlocks(content, 'yaml')) {
+    const screenshots = [];
+    const assertions = [];
+    for (const m of masked.slice(block.bodyStart, block.bodyEnd).matchAll(MAESTRO_STEP)) {
+      const start = block.bodyStart + m.index + m[0].indexOf(m[1]);
+      (m[1] === 'takeScreenshot' ? screenshots : assertions).push({ start, end: start + m[1].length });
+    }
+    for (const shot of unverifiedScreenshots(screenshots, assertions)) {
+      findings.push({
+        id: 'MAESTRO_SCREENSHOT_UNVERIFIED',
+        line: lineOf(shot.start),
+        column: shot.start - content.lastIndexOf('\n', shot.start - 1),
+        test: block.name,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Returns [{ id, line, column, test }] for one file. JS/TS content that
+ * cannot be parsed throws JsParseError.
+ */
+function analyzeAssertions(content, lang, program) {
+  if (lang === 'js') return analyzeJs(content, program);
+  if (TEXT_LANGS[lang]) return analyzeText(content, lang);
+  if (lang === 'yaml') return analyzeMaestro(content);
+  return [];
+}
+
+module.exports = { analyzeAssertions, ASSERTION_RULES };
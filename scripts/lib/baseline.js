@@ -0,0 +1,131 @@
+/**
+ * Violation baseline for adopting the linter on legacy suites
+ *
+ * `--update-baseline` records the current violations in
+ * .teamwerk/lint-baseline.json. Later runs only report violations that are not
+ * in the baseline, and list baseline entries that no longer occur so the file
+ * can shrink as legacy tests are fixed.
+ *
+ * An entry is fingerprinted by rule id, file and the flagged source line(s)
+ * with whitespace normalized, so it survives code moving up or down the file.
+ * Identical violations (same rule and code in the same file) are counted: a
+ * baseline holding two of them lets two through and reports a third.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const BASELINE_FILE = '.teamwerk/lint-baseline.json';
+const BASELINE_VERSION = 1;
+
+class BaselineError extends Error {
+  constructor(message) {
+    super(`${BASELINE_FILE}: ${message}`);
+    this.name = 'BaselineError';
+  }
+}
+
+const toPosix = (file) => file.split(path.sep).join('/');
+
+// The flagged lines, trimmed and with runs of whitespace collapsed
+function normalizedCode(lines, v) {
+  return lines.slice(v.line - 1, v.endLine || v.line)
+    .map(line => line.trim().replace(/\s+/g, ' '))
+    .join('\n');
+}
+
+/**
+ * Sets `fingerprint` on each violation. File paths are relative to `root`.
+ */
+function fingerprintViolations(violations, root) {
+  const linesByFile = new Map();
+  for (const v of violations) {
+    if (!linesByFile.has(v.file)) {
+      const filePath = path.resolve(root, v.file);
+      linesByFile.set(v.file, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8').split('\n') : []);
+    }
+    const code = normalizedCode(linesByFile.get(v.file), v);
+    v.fingerprint = crypto.createHash('sha256').update(`${v.id}\0${toPosix(v.file)}\0${code}`).digest('hex').slice(0, 16);
+  }
+  return violations;
+}
+
+// Returns the baseline entries, or null when the project has no baseline
+function loadBaseline(root) {
+  const file = path.join(root, BASELINE_FILE);
+  if (!fs.existsSync(file)) return null;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new BaselineError(`not valid JSON (${err.message})`);
+  }
+  if (!data || data.version !== BASELINE_VERSION || !Array.isArray(data.violations)) {
+    throw new BaselineError(`expected { "version": ${BASELINE_VERSION}, "violations": [...] }; re-create it with --update-baseline`);
+  }
+  return data.violations;
+}
+
+/**
+ * Splits fingerprinted violations into `fresh` (not in the baseline) and
+ * `baselined`. `fixed` are the entries for files covered by this run
+ * (`isCovered(file)`) that no longer match a violation.
+ */
+function compareWithBaseline(violations, entries, isCovered) {
+  const pending = new Map();
+  for (const entry of entries) {
+    if (!pending.has(entry.fingerprint)) pending.set(entry.fingerprint, []);
+    pending.get(entry.fingerprint).push(entry);
+  }
+
+  const fresh = [];
+  const baselined = [];
+  for (const v of violations) {
+    const matches = pending.get(v.fingerprint);
+    if (matches && matches.length) {
+      matches.shift();
+      baselined.push(v);
+    } else {
+      fresh.push(v);
+    }
+  }
+  const fixed = [...pending.values()].flat().filter(entry => isCovered(entry.file));
+  return { fresh, baselined, fixed };
+}
+
+/**
+ * Writes the baseline for the current violations. Entries of files this run
+ * did not cover are carried over, so a partial run cannot drop them.
+ * Returns the number of entries written.
+ */
+function writeBaseline(root, violations, previous, isCovered) {
+  const lines = new Map();
+  const readLines = (file) => {
+    if (!lines.has(file)) lines.set(file, fs.readFileSync(path.resolve(root, file), 'utf8').split('\n'));
+    return lines.get(file);
+  };
+  const entries = (previous || []).filter(entry => !isCovered(entry.file)).concat(violations.map(v => ({
+    fingerprint: v.fingerprint,
+    id: v.id,
+    file: toPosix(v.file),
+    line: v.line,
+    severity: v.severity,
+    code: normalizedCode(readLines(v.file), v),
+  })));
+  entries.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.id.localeCompare(b.id));
+
+  const file = path.join(root, BASELINE_FILE);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({ version: BASELINE_VERSION, violations: entries }, null, 2)}\n`);
+  return entries.length;
+}
+
+module.exports = {
+  fingerprintViolations,
+  loadBaseline,
+  compareWithBaseline,
+  writeBaseline,
+  BaselineError,
+  BASELINE_FILE,
+};
@@ -0,0 +1,108 @@
+/**
+ * Diff-aware linting (--changed, --since <ref>, --changed-lines)
+ *
+ * Changes are read from the local git repository:
+ *
+ *   --changed        working tree (staged and unstaged) against HEAD
+ *   --since <ref>    working tree against the merge base of <ref> and HEAD,
+ *                    i.e. everything the current branch touched since <ref>
+ *
+ * Untracked files count as changed in full. Deleted files are ignored.
+ * Line ranges for --changed-lines come from the hunk headers of a
+ * zero-context diff (`git diff -U0`); lines that were only removed leave
+ * nothing to lint and produce no range.
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+class GitChangesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GitChangesError';
+  }
+}
+
+const HUNK = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/;
+
+function git(root, args) {
+  try {
+    return execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+      cwd: root,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024,
+    });
+  } catch (err) {
+    const detail = err.stderr ? String(err.stderr).trim().split('\n')[0] : err.message;
+    throw new GitChangesError(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+// The commit the working tree is compared against
+function resolveBase(root, since) {
+  if (!since) return 'HEAD';
+  try {
+    git(root, ['rev-parse', '--verify', '--quiet', `${since}^{commit}`]);
+  } catch (err) {
+    throw new GitChangesError(`Unknown git ref: ${since}`);
+  }
+  return git(root, ['merge-base', since, 'HEAD']).trim();
+}
+
+/**
+ * Returns the changes of the working tree as
+ * Map(absolute path -> [[startLine, endLine], ...] | null), where null means
+ * the whole file is new. Throws GitChangesError outside a git repository or
+ * for an unknown ref.
+ */
+function collectChanges(root, since) {
+  const top = git(root, ['rev-parse', '--show-toplevel']).trim();
+  const base = resolveBase(root, since);
+  const changes = new Map();
+
+  let current = null;
+  let inHeader = false;
+  // Explicit prefixes: diff.noprefix or diff.mnemonicPrefix in the user's git
+  // config would otherwise change the "+++ b/" headers parsed below
+  const diff = git(root, [
+    'diff', '--no-color', '--no-ext-diff', '--src-prefix=a/', '--dst-prefix=b/',
+    '--diff-filter=d', '-U0', base, '--',
+  ]);
+  for (const line of diff.split('\n')) {
+    // File headers sit between "diff --git" and the first hunk; inside hunks
+    // an added line may itself start with "++ "
+    if (line.startsWith('diff --git ')) {
+      inHeader = true;
+      current = null;
+      continue;
+    }
+    if (inHeader && line.startsWith('+++ ')) {
+      // git ends the header with a tab when the path contains a space
+      const target = line.slice(4).replace(/\t$/, '');
+      current = target === '/dev/null' ? null : path.join(top, target.slice('b/'.length));
+      if (current && !changes.has(current)) changes.set(current, []);
+      continue;
+    }
+    const hunk = HUNK.exec(line);
+    if (!hunk) continue;
+    inHeader = false;
+    if (!current) continue;
+    const start = Number(hunk[1]);
+    const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+    if (count > 0) changes.get(current).push([start, start + count - 1]);
+  }
+
+  const untracked = git(root, ['ls-files', '--others', '--exclude-standard', '--full-name', '-z']);
+  for (const file of untracked.split('\0').filter(Boolean)) changes.set(path.join(top, file), null);
+  return changes;
+}
+
+// True when lines line..endLine of `file` overlap a changed range
+function touchesChange(changes, file, line, endLine = line) {
+  if (!changes.has(file)) return false;
+  const ranges = changes.get(file);
+  return ranges === null || ranges.some(([start, end]) => line <= end && endLine >= start);
+}
+
+module.exports = { collectChanges, touchesChange, GitChangesError };
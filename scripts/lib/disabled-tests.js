@@ -0,0 +1,412 @@
+/**
+ * Focused and disabled tests (garbage-test category 7)
+ *
+ * Runners report a skipped test as skipped, not failed, so a suite with
+ * disabled tests still produces a green evidence report. Reports:
+ *
+ *   FOCUSED_TEST   test.only / describe.only / fit / fdescribe: every other test
+ *                  in the run is silently dropped
+ *   SKIPPED_TEST   a test or suite disabled without a reason string
+ *                    JS/TS   test.skip / describe.skip / xit / xdescribe, and
+ *                            test.skip() / test.skip(condition) inside a test
+ *                    C#      [Ignore], [Fact(Skip = "")], Assert.Ignore()
+ *                    Python  @pytest.mark.skip / skipif without reason=,
+ *                            @unittest.skip(""), pytest.skip(), self.skipTest()
+ *                    Go      t.Skip(), t.SkipNow()
+ *   FIXME_TEST     test.fixme / test.describe.fixme (Playwright)
+ *
+ * A reason is a non-empty string argument (for a JS declaration such as
+ * test.skip('title', fn), a Playwright `annotation`), or a named constant.
+ * C#, Python and Go ids carry the CS_ / PY_ / GO_ prefix. Every finding names
+ * the disabled test or suite in `test` (null for a whole file) and lists the
+ * AC ids its tests cite in `acs`, so the gap in the evidence can be traced.
+ * JS/TS files that do not parse are searched as text for the same calls.
+ *
+ * disabledTestSpans() returns the source ranges of every test and suite that
+ * does not run, with or without a reason: declarations (test.skip, xdescribe,
+ * test.fixme, [Ignore], [Fact(Skip = "...")], @pytest.mark.skip,
+ * @unittest.skip), the runtime skips reported above (test.skip() inside a
+ * test, Assert.Ignore(), pytest.skip(), t.Skip()), and for skipif / skipIf /
+ * skipUnless markers only those reported without a reason. Other per-test
+ * rules (lib/assertions.js) ignore tests inside these ranges, so a test is
+ * never reported as both skipped and missing assertions.
+ */
+
+const { walk, positionAt, buildLineIndex } = require('./js-parser');
+const { maskSource, matchBracket, argumentSpans } = require('./test-blocks');
+const { testAcReferences, AC_ID } = require('./traceability');
+
+const DISABLED_RULE = 'Garbage test category 7: a disabled test verifies nothing, so the ACs it covers have no evidence';
+
+const BASE_RULES = {
+  FOCUSED_TEST: {
+    description: 'Focused test (.only) drops every other test from the run',
+    severity: 'critical',
+    rule: 'Garbage test category 7: a focused test must never be committed; the rest of the suite silently stops running',
+    langs: ['js'],
+  },
+  SKIPPED_TEST: {
+    description: 'Test is skipped without a reason',
+    severity: 'warning',
+    rule: DISABLED_RULE,
+    langs: ['js', 'cs', 'py', 'go'],
+  },
+  FIXME_TEST: {
+    description: 'Test is marked fixme and does not run',
+    severity: 'warning',
+    rule: DISABLED_RULE,
+    langs: ['js'],
+  },
+};
+
+const LANG_PREFIX = { js: '', cs: 'CS_', py: 'PY_', go: 'GO_' };
+
+const DISABLED_TEST_RULES = {};
+for (const [base, { langs, ...meta }] of Object.entries(BASE_RULES)) {
+  for (const lang of langs) {
+    const id = LANG_PREFIX[lang] + base;
+    DISABLED_TEST_RULES[id] = Object.assign({ id, lang }, meta);
+  }
+}
+
+const JS_MODIFIER_IDS = { only: 'FOCUSED_TEST', skip: 'SKIPPED_TEST', fixme: 'FIXME_TEST' };
+const JS_TESTS = new Set(['test', 'it', 'specify']);
+const JS_SUITES = new Set(['describe', 'context', 'suite']);
+const JS_SUITE_MODES = new Set(['parallel', 'serial']);
+const JS_SHORTHANDS = {
+  fit: 'only', fdescribe: 'only', fcontext: 'only',
+  xit: 'skip', xtest: 'skip', xspecify: 'skip', xdescribe: 'skip', xcontext: 'skip',
+};
+
+// ---------------------------------------------------------------------------
+// Shared
+// ---------------------------------------------------------------------------
+
+// Innermost test whose source range contains `offset`
+function enclosingTest(tests, offset) {
+  return tests
+    .filter(t => t.start <= offset && offset < t.end)
+    .sort((a, b) => (a.end - a.start) - (b.end - b.start))[0] || null;
+}
+
+// AC ids cited by the tests that start inside [from, to)
+function acsWithin(tests, from, to) {
+  const acs = new Set();
+  for (const test of tests) {
+    if (test.start >= from && test.start < to) test.refs.forEach(ref => acs.add(ref.id));
+  }
+  return [...acs];
+}
+
+// ---------------------------------------------------------------------------
+// JavaScript / TypeScript
+// ---------------------------------------------------------------------------
+
+function memberPath(node) {
+  const parts = [];
+  while (node.type === 'MemberExpression' && !node.computed) {
+    parts.unshift(node.property.name);
+    node = node.object;
+  }
+  if (node.type !== 'Identifier') return null;
+  parts.unshift(node.name);
+  return parts;
+}
+
+// 'only' | 'skip' | 'fixme' for test.skip, describe.only, test.describe.serial.fixme,
+// xit, fdescribe, test.skip.each(table) ...; null for any other callee
+function jsModifier(callee) {
+  if (callee.type === 'CallExpression' && callee.callee.type === 'MemberExpression'
+    && !callee.callee.computed && callee.callee.property.name === 'each') {
+    callee = callee.callee.object;
+  }
+  if (callee.type === 'Identifier') {
+    return JS_SHORTHANDS[callee.name] || null;
+  }
+  const parts = memberPath(callee);
+  if (!parts || !JS_MODIFIER_IDS[parts[parts.length - 1]]) return null;
+  const modifier = parts.pop();
+  const [root, ...rest] = parts;
+  if (rest.length === 0 && (JS_TESTS.has(root) || JS_SUITES.has(root))) return modifier;
+  // test.describe.skip / test.describe.serial.only
+  const suite = root === 'test' && rest[0] === 'describe' && rest.length <= 2 && rest.slice(1).every(p => JS_SUITE_MODES.has(p));
+  return suite ? modifier : null;
+}
+
+function isTitle(node) {
+  return Boolean(node) && ((node.type === 'Literal' && typeof node.value === 'string') || node.type === 'TemplateLiteral');
+}
+
+// test.skip('title', { annotation: { type: 'issue', description: '...' } }, fn)
+// or test.skip(condition, 'reason') inside a test
+function jsReason(node, declaration) {
+  if (!node) return false;
+  if (node.type === 'Literal') return typeof node.value === 'string' && node.value.trim() !== '';
+  if (node.type === 'TemplateLiteral') return node.expressions.length > 0 || node.quasis[0].value.cooked.trim() !== '';
+  if (declaration) {
+    return node.type === 'ObjectExpression'
+      && node.properties.some(p => p.type === 'Property' && !p.computed && (p.key.name || p.key.value) === 'annotation');
+  }
+  return node.type === 'Identifier' || node.type === 'MemberExpression';
+}
+
+function jsSuiteCall(node) {
+  for (let cur = node.parent; cur; cur = cur.parent) {
+    if (cur.type !== 'CallExpression' || !isTitle(cur.arguments[0])) continue;
+    const parts = cur.callee.type === 'Identifier' || cur.callee.type === 'MemberExpression' ? memberPath(cur.callee) : null;
+    if (parts && (parts.includes('describe') || JS_SUITES.has(parts[0]))) return cur;
+  }
+  return null;
+}
+
+function analyzeJs(content, program) {
+  if (!program) return analyzeJsText(content);
+  const tests = testAcReferences(content, 'js', program);
+  const title = (node) => (node.type === 'Literal' ? node.value : content.slice(node.start + 1, node.end - 1));
+  const findings = [];
+  const spans = [];
+
+  walk(program, (node) => {
+    if (node.type !== 'CallExpression') return;
+    const modifier = jsModifier(node.callee);
+    if (!modifier) return;
+    const id = JS_MODIFIER_IDS[modifier];
+    const declaration = isTitle(node.arguments[0]);
+    const reason = declaration ? node.arguments.slice(1).some(arg => jsReason(arg, true)) : jsReason(node.arguments[1], false);
+    // A skipped or fixme declaration covers the tests nested in it
+    if (declaration && modifier !== 'only') spans.push({ start: node.start, end: node.end });
+    if (id === 'SKIPPED_TEST' && reason) return;
+
+    let test = null;
+    let acs;
+    if (declaration) {
+      test = title(node.arguments[0]);
+      acs = acsWithin(tests, node.start, node.end);
+    } else {
+      // test.skip() inside a test disables that test; inside describe(), the suite
+      const owner = enclosingTest(tests, node.start);
+      const suite = owner ? null : jsSuiteCall(node);
+      test = owner ? owner.name : suite && title(suite.arguments[0]);
+      acs = owner ? owner.refs.map(ref => ref.id) : acsWithin(tests, suite ? suite.start : 0, suite ? suite.end : content.length);
+      if (modifier !== 'only') {
+        const scope = owner || suite;
+        spans.push(scope ? { start: scope.start, end: scope.end } : { start: 0, end: content.length });
+      }
+    }
+    findings.push({ id, line: node.loc.start.line, column: node.loc.start.column + 1, test, acs });
+  });
+  return { findings, spans };
+}
+
+// ---------------------------------------------------------------------------
+// C#, Python and Go (masked source text)
+// ---------------------------------------------------------------------------
+
+// True for a non-empty string literal or a non-literal expression
+function textReason(text, lang) {
+  const value = text.trim();
+  if (!value) return false;
+  let literal;
+  if (lang === 'py') literal = /^[rRuUfF]{0,2}("""|'''|"|')([\s\S]*)\1$/.exec(value);
+  else if (lang === 'js') literal = /^(["'`])([\s\S]*)\1$/.exec(value);
+  else literal = /^[@$]{0,2}(["`])([\s\S]*)\1$/.exec(value);
+  return literal ? literal[2].trim() !== '' : true;
+}
+
+// Call arguments as [{ keyword, text }] for the "(" at `open`
+function callArgs(content, masked, open) {
+  return argumentSpans(masked, open).map(([start, end]) => {
+    const keyword = /^\s*(\w+)\s*=(?!=)/.exec(masked.slice(start, end));
+    return { keyword: keyword ? keyword[1] : null, text: content.slice(keyword ? start + keyword[0].length : start, end) };
+  });
+}
+
+function textFinder(content, lang) {
+  const masked = maskSource(content, lang);
+  const lineStarts = buildLineIndex(content);
+  // Unparsable JS has no test blocks
+  const tests = lang === 'js' ? [] : testAcReferences(content, lang);
+  const findings = [];
+  const spans = [];
+
+  // `scope` is a test, { name, start, end } for a class, or null for the file
+  const disable = (scope) => spans.push(scope ? { start: scope.start, end: scope.end } : { start: 0, end: content.length });
+  const push = (base, at, scope) => {
+    const pos = positionAt(lineStarts, at);
+    const test = scope ? scope.name : null;
+    const acs = scope && scope.refs ? scope.refs.map(ref => ref.id) : acsWithin(tests, scope ? scope.start : 0, scope ? scope.end : content.length);
+    findings.push({ id: LANG_PREFIX[lang] + base, line: pos.line, column: pos.column + 1, test, acs });
+  };
+  // A skip call at `at` disables the test around it
+  const skippedAtRuntime = (at) => {
+    const scope = enclosingTest(tests, at);
+    push('SKIPPED_TEST', at, scope);
+    disable(scope);
+  };
+  return { masked, tests, findings, spans, push, disable, skippedAtRuntime };
+}
+
+function analyzeCs(content) {
+  const { masked, tests, findings, spans, push, disable, skippedAtRuntime } = textFinder(content, 'cs');
+
+  // The method or class an attribute at `at` applies to
+  const target = (at) => {
+    let i = masked.indexOf(']', at) + 1;
+    while (i < masked.length) {
+      if (masked[i] === '[') i = matchBracket(masked, i);
+      else if (/\s/.test(masked[i])) i++;
+      else break;
+    }
+    const cls = /^(?:(?:public|internal|private|protected|sealed|abstract|static|partial)\s+)*class\s+(\w+)/.exec(masked.slice(i));
+    if (cls) {
+      const open = masked.indexOf('{', i);
+      return { name: cls[1], start: at, end: open === -1 ? masked.length : matchBracket(masked, open) };
+    }
+    return tests.filter(t => t.end > at).sort((a, b) => a.end - b.end)[0] || null;
+  };
+
+  // [Ignore], [Ignore("reason")], [Test, Ignore]
+  for (const m of masked.matchAll(/[[,]\s*(?:[\w.]+\.)?Ignore(?:Attribute)?\b\s*(\()?/g)) {
+    const at = m.index + 1 + /^\s*/.exec(m[0].slice(1))[0].length;
+    const args = m[1] ? callArgs(content, masked, m.index + m[0].length - 1) : [];
+    const scope = target(at);
+    if (!scope) continue;
+    disable(scope);
+    if (!args.some(arg => !arg.keyword && textReason(arg.text, 'cs'))) push('SKIPPED_TEST', at, scope);
+  }
+
+  // xUnit [Fact(Skip = "...")] / [Theory(Skip = "...")]
+  for (const m of masked.matchAll(/\[\s*(?:[\w.]+\.)?\w*(?:Fact|Theory)\w*\s*\(/g)) {
+    const skip = callArgs(content, masked, m.index + m[0].length - 1).find(arg => arg.keyword === 'Skip');
+    const scope = skip && target(m.index);
+    if (!scope) continue;
+    disable(scope);
+    if (!textReason(skip.text, 'cs')) push('SKIPPED_TEST', m.index, scope);
+  }
+
+  // NUnit Assert.Ignore(), xUnit v3 Assert.Skip()
+  for (const m of masked.matchAll(/\bAssert\s*\.\s*(?:Ignore|Skip)\s*\(/g)) {
+    const args = callArgs(content, masked, m.index + m[0].length - 1);
+    if (!args.some(arg => textReason(arg.text, 'cs'))) skippedAtRuntime(m.index);
+  }
+  return { findings, spans };
+}
+
+function analyzePy(content) {
+  const { masked, tests, findings, spans, push, disable, skippedAtRuntime } = textFinder(content, 'py');
+  const lineAt = (offset) => masked.slice(masked.lastIndexOf('\n', offset - 1) + 1, (masked.indexOf('\n', offset) + 1 || masked.length + 1) - 1);
+  const indentOf = (line) => /^[ \t]*/.exec(line)[0].replace(/\t/g, '        ').length;
+
+  // The test or class a decorator at `at` applies to; null for other functions
+  const target = (at) => {
+    const next = masked.indexOf('\n', at) + 1;
+    const def = /^(?:[ \t]*@.*\n|[ \t]*\n)*[ \t]*((?:async[ \t]+)?(def|class)[ \t]+(\w+))/.exec(masked.slice(next));
+    if (!next || !def) return null;
+    const start = next + def.index + def[0].length - def[1].length;
+    if (def[2] === 'def') return tests.find(t => t.start === start) || null;
+    // A class body runs until the next code line indented at or left of it
+    const indent = indentOf(lineAt(start));
+    const lineEnd = masked.indexOf('\n', start);
+    let end = masked.length;
+    for (const line of (lineEnd === -1 ? '' : masked.slice(lineEnd)).matchAll(/\n([^\n]*)/g)) {
+      if (line[1].trim() !== '' && indentOf(line[1]) <= indent) {
+        end = lineEnd + line.index;
+        break;
+      }
+    }
+    return { name: def[3], start, end };
+  };
+
+  // Reason argument of each marker: reason= or the positional index
+  // (conditional markers may let the test run, so only those are not `always`)
+  const markers = [
+    { re: /(?:\bpytest\s*\.\s*)?\bmark\s*\.\s*skip\b\s*(\()?/g, positional: 0, always: true },
+    { re: /(?:\bpytest\s*\.\s*)?\bmark\s*\.\s*skipif\b\s*(\()?/g, positional: -1, always: false },
+    { re: /\bunittest\s*\.\s*skip\b\s*(\()?/g, positional: 0, always: true },
+    { re: /\bunittest\s*\.\s*skip(?:If|Unless)\b\s*(\()?/g, positional: 1, always: false },
+  ];
+  for (const { re, positional, always } of markers) {
+    for (const m of masked.matchAll(re)) {
+      const args = m[1] ? callArgs(content, masked, m.index + m[0].length - 1) : [];
+      const reason = args.find(arg => arg.keyword === 'reason') || args.filter(arg => !arg.keyword)[positional];
+      const explained = Boolean(reason && textReason(reason.text, 'py'));
+      if (explained && !always) continue;
+      const line = lineAt(m.index);
+      // @decorator, or pytestmark = ... for the whole module
+      let scope;
+      if (/^\s*@/.test(line)) {
+        scope = target(m.index);
+        if (!scope) continue;
+      } else if (/^pytestmark\s*=/.test(line)) {
+        scope = null;
+      } else {
+        continue;
+      }
+      disable(scope);
+      if (!explained) push('SKIPPED_TEST', m.index, scope);
+    }
+  }
+
+  // pytest.skip() and self.skipTest() at runtime
+  for (const m of masked.matchAll(/\b(?:pytest\s*\.\s*skip|self\s*\.\s*skipTest)\s*\(/g)) {
+    const args = callArgs(content, masked, m.index + m[0].length - 1);
+    if (!args.some(arg => (!arg.keyword || arg.keyword === 'reason' || arg.keyword === 'msg') && textReason(arg.text, 'py'))) {
+      skippedAtRuntime(m.index);
+    }
+  }
+  return { findings, spans };
+}
+
+function analyzeGo(content) {
+  const { masked, findings, spans, skippedAtRuntime } = textFinder(content, 'go');
+  for (const m of masked.matchAll(/\b\w+\s*\.\s*(Skip|Skipf|SkipNow)\s*\(/g)) {
+    const args = m[1] === 'SkipNow' ? [] : callArgs(content, masked, m.index + m[0].length - 1);
+    if (!args.some(arg => textReason(arg.text, 'go'))) skippedAtRuntime(m.index);
+  }
+  return { findings, spans };
+}
+
+// test.only / describe.skip / test.describe.serial.fixme / xit / fdescribe ...
+const JS_MODIFIER_CALL = /(?<![\w$.])(?:(?:test\s*\.\s*describe(?:\s*\.\s*(?:serial|parallel))?|test|it|specify|describe|context|suite)\s*\.\s*(only|skip|fixme)|(fit|fdescribe|fcontext|xit|xtest|xspecify|xdescribe|xcontext))\s*(?:\.\s*each\s*\([^()]*\)\s*)?\(/g;
+
+// JS/TS that does not parse: the modifier calls in the masked source. Without
+// test blocks the tests around an in-body test.skip() are not known.
+function analyzeJsText(content) {
+  const { masked, findings, push } = textFinder(content, 'js');
+  for (const m of masked.matchAll(JS_MODIFIER_CALL)) {
+    const modifier = m[1] || JS_SHORTHANDS[m[2]];
+    const args = callArgs(content, masked, m.index + m[0].length - 1);
+    const title = args.length > 0 && /^\s*(["'`])([\s\S]*)\1\s*$/.exec(args[0].text);
+    const reason = title
+      ? args.slice(1).some(arg => /^\s*["'`]/.test(arg.text) ? textReason(arg.text, 'js') : /\bannotation\s*:/.test(arg.text))
+      : args.length > 1 && textReason(args[1].text, 'js');
+    if (modifier === 'skip' && reason) continue;
+    const scope = title ? { name: title[2], refs: (title[2].match(AC_ID) || []).map(id => ({ id })) } : null;
+    push(JS_MODIFIER_IDS[modifier], m.index, scope);
+  }
+  return { findings, spans: [] };
+}
+
+const ANALYZERS = { js: analyzeJs, cs: analyzeCs, py: analyzePy, go: analyzeGo };
+
+function analyze(content, lang, program) {
+  return ANALYZERS[lang] ? ANALYZERS[lang](content, program) : { findings: [], spans: [] };
+}
+
+/**
+ * Returns [{ id, line, column, test, acs }] for one file. JS/TS needs the
+ * parsed `program`.
+ */
+function analyzeDisabledTests(content, lang, program) {
+  return analyze(content, lang, program).findings;
+}
+
+/**
+ * Returns [{ start, end }] source ranges of the tests and suites that do not
+ * run. JS/TS needs the parsed `program`.
+ */
+function disabledTestSpans(content, lang, program) {
+  return analyze(content, lang, program).spans;
+}
+
+module.exports = { analyzeDisabledTests, disabledTestSpans, DISABLED_TEST_RULES };
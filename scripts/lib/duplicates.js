@@ -0,0 +1,119 @@
+/**
+ * Near-duplicate test detection (garbage-test category 1)
+ *
+ * Each test block is reduced to the sequence of actions and assertions it
+ * performs: the names of the functions and methods it calls, in source
+ * order (plus `assert` statements in Python and step commands in Maestro
+ * flows). Variable names, argument values, literals and whitespace are
+ * dropped, so two tests that send different values of the same kind through
+ * the same steps produce the same sequence.
+ *
+ * Sequences are compared pairwise with a longest-common-subsequence ratio
+ * (2 * LCS / (|a| + |b|)); pairs at or above the threshold are reported.
+ */
+
+const { walk } = require('./js-parser');
+const { extractTestBlocks, maskSource } = require('./test-blocks');
+
+const DEFAULT_THRESHOLD = 0.9;
+
+// Tests with fewer steps than this are too small to call duplicates
+const MIN_ACTIONS = 3;
+
+// Long tests are compared on their first steps to bound the pairwise cost
+const MAX_ACTIONS = 400;
+
+const TEXT_CALL = /\b(assert)\b(?!\s*\()|\b(\w+)\s*(?:<[^<>()]*>)?\s*\(/g;
+const NOT_ACTIONS = new Set([
+  'if', 'for', 'foreach', 'while', 'switch', 'catch', 'using', 'lock', 'return', 'await',
+  'nameof', 'typeof', 'sizeof', 'default', 'func', 'print', 'len', 'str', 'int', 'range',
+]);
+
+function jsActions(block) {
+  if (!block.fn) return [];
+  const calls = [];
+  walk(block.fn.body, (node) => {
+    if (node.type !== 'CallExpression') return;
+    const callee = node.callee;
+    if (callee.type === 'Identifier') calls.push([callee.start, callee.name]);
+    else if (callee.type === 'MemberExpression' && !callee.computed) calls.push([callee.property.start, callee.property.name]);
+  });
+  // Pre-order visits expect(x).toBe(y) outside-in; source order reads inside-out
+  return calls.sort((a, b) => a[0] - b[0]).map(([, name]) => name);
+}
+
+function textActions(masked, block, lang) {
+  const body = masked.slice(block.bodyStart, block.bodyEnd);
+  if (lang === 'yaml') return [...body.matchAll(/^\s*-\s*(\w+)/gm)].map(m => m[1]);
+  const actions = [];
+  for (const m of body.matchAll(TEXT_CALL)) {
+    const name = m[1] || m[2];
+    if (!NOT_ACTIONS.has(name)) actions.push(name);
+  }
+  return actions;
+}
+
+/**
+ * Returns [{ name, line, column, actions }] for the tests in a file.
+ * JS/TS needs the parsed `program`.
+ */
+function testFingerprints(content, lang, program) {
+  const masked = lang === 'js' ? null : maskSource(content, lang);
+  return extractTestBlocks(content, lang, program).map(block => ({
+    name: block.name,
+    line: block.line,
+    column: block.column,
+    actions: (lang === 'js' ? jsActions(block) : textActions(masked, block, lang)).slice(0, MAX_ACTIONS),
+  }));
+}
+
+function lcsLength(a, b) {
+  let prev = new Array(b.length + 1).fill(0);
+  let cur = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = a[i - 1] === b[j - 1] ? prev[j - 1] + 1 : Math.max(prev[j], cur[j - 1]);
+    }
+    [prev, cur] = [cur, prev];
+  }
+  return prev[b.length];
+}
+
+function counts(actions) {
+  const map = new Map();
+  for (const name of actions) map.set(name, (map.get(name) || 0) + 1);
+  return map;
+}
+
+/**
+ * Compares every pair of tests. `tests` are fingerprints with any extra
+ * fields (file, acs, ...). Returns [{ similarity, a, b }] best first.
+ */
+function findDuplicates(tests, threshold = DEFAULT_THRESHOLD) {
+  const candidates = tests
+    .filter(t => t.actions.length >= MIN_ACTIONS)
+    .map(t => Object.assign({}, t, { counts: counts(t.actions) }));
+  const pairs = [];
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const a = candidates[i];
+      const b = candidates[j];
+      const total = a.actions.length + b.actions.length;
+      // Cheap upper bounds first: length ratio, then shared action counts
+      if (2 * Math.min(a.actions.length, b.actions.length) / total < threshold) continue;
+      let shared = 0;
+      for (const [name, n] of a.counts) shared += Math.min(n, b.counts.get(name) || 0);
+      if (2 * shared / total < threshold) continue;
+
+      const similarity = 2 * lcsLength(a.actions, b.actions) / total;
+      if (similarity >= threshold) {
+        const strip = ({ counts: _counts, ...rest }) => rest;
+        pairs.push({ similarity: Math.round(similarity * 1000) / 1000, a: strip(a), b: strip(b) });
+      }
+    }
+  }
+  return pairs.sort((x, y) => y.similarity - x.similarity);
+}
+
+module.exports = { testFingerprints, findDuplicates, DEFAULT_THRESHOLD };
@@ -0,0 +1,143 @@
+/**
+ * Happy-path bias per acceptance criterion (garbage-test category 2)
+ *
+ * Classifies every test as positive or negative/edge and groups the tests by
+ * the ACs they cite (lib/traceability.js). A test is negative/edge when any
+ * of these signals is found:
+ *
+ *   name     its title or function name says so: rejects, invalid, missing,
+ *            unauthorized, boundary, too long, ... Words that just as often
+ *            name a positive test (empty, max, without, ...) do not count
+ *   status   it expects a 4xx status: expect(res.status()).toBe(400),
+ *            assert r.status_code == 404, HttpStatusCode.BadRequest
+ *   error    it asserts an error: toThrow / pytest.raises / Assert.Throws, or
+ *            an assertion about error text ("is required", "invalid", alert),
+ *            unless the assertion is negated or expects a count of zero
+ *   input    it sends invalid input: empty strings typed or posted,
+ *            'a'.repeat(256) / "a" * 1000, injection payloads
+ *
+ * An AC whose tests are all positive has no negative or boundary test.
+ */
+
+const { extractTestBlocks } = require('./test-blocks');
+const { testAcReferences } = require('./traceability');
+
+const NEGATIVE_NAME = /\b(?:invalid|rejects?|rejected|rejecting|errors?|fails?|failure|failed|missing|blank|negative|boundary|limits?|exceeds?|exceeding|overflow|too (?:long|short|many|large|small)|unauthori[sz]ed|unauthenticated|forbidden|denied|not found|wrong|incorrect|malformed|bad|illegal|disallow(?:s|ed)?|xss|injection|duplicate|expired|cannot|can ?not|should not|must not|non ?existent|unknown|special characters?|4\d\d)\b/i;
+
+const STATUS_WORD = /\bstatus(?:_?code|Code)?\b|\bStatusCode\b/i;
+const CLIENT_ERROR = /\b4\d\d\b/;
+const STATUS_NAME = /\b(?:HttpStatusCode|HttpStatus|HTTPStatus)\s*\.\s*(?:BadRequest|Unauthorized|Forbidden|NotFound|Conflict|UnprocessableEntity|TooManyRequests|BAD_REQUEST|UNAUTHORIZED|FORBIDDEN|NOT_FOUND|CONFLICT|UNPROCESSABLE_ENTITY|TOO_MANY_REQUESTS)\b|\bstatus\.HTTP_4\d\d|\.not\s*\.\s*toBeOK\s*\(/;
+
+const THROWS = /\.toThrow\w*\s*\(|\.rejects\s*\.|\bpytest\s*\.\s*raises\s*\(|\bassertRaises\w*\s*\(|\bAssert\s*\.\s*Throws\w*|\bassertThrows\s*\(|\.Should\s*\(\s*\)\s*\.\s*Throw\w*|\.should\s*\.\s*throw\b/;
+const ASSERTION_LINE = /\b(?:expect|Expect|assert\w*|Assert|should|Should|assertThat|assertVisible|assertTrue)\b/;
+// not.toContainText('error'), not_to_be_visible(), assertNotIn, toHaveCount(0), ...
+const NEGATED_ASSERTION = /\.\s*not\s*\.|\bnot_to_|\bto_not_|\bassert(?:Not\w*|False)\s*\(|\bassert\s+not\b|\bnot\s+in\b|\bAssert\s*\.\s*(?:False|IsFalse|DoesNot\w*)\b|\.\s*Should\s*\(\s*\)\s*\.\s*Not\w*|\b(?:toHaveCount|to_have_count|ToHaveCountAsync|HaveCount|toHaveLength|hasSize)\s*\(\s*0\s*\)/i;
+const ERROR_TEXT = /\berror|\binvalid|\brequired\b|not allowed|\bfailed\b|must (?:be|contain|have|not)|\bcannot\b|can't|too (?:long|short|many)|\balert\b|\bforbidden\b|unauthori[sz]ed|not found|\bdenied\b|\bincorrect\b/i;
+
+const INVALID_INPUT = [
+  // Empty values typed into fields or sent in request bodies; an empty
+  // property only counts on a line that sends a request or sets its body
+  /\b(?:fill|type|send_keys|sendKeys|SendKeys|setValue|inputText)\w*\s*\([^()\n]*?(?:''|""|``)\s*[,)]/,
+  /\binputText:\s*(?:''|"")/,
+  /(?:\b(?:post|put|patch|fetch|request|send)\w*\s*\(|\b(?:data|json|body|form|payload)\s*[:=]).*?["']?\w+["']?\s*:\s*(?:''|"")\s*[,}]/i,
+  // Oversized values
+  /\.repeat\s*\(\s*\d{3,}\s*\)|(["'])[^"'\n]\1\s*\*\s*\d{3,}|\bnew\s+string\s*\(\s*'.'\s*,\s*\d{3,}|\bStringUtils\s*\.\s*repeat\s*\(|"[^"\n]{256,}"|'[^'\n]{256,}'/,
+  // Injection and traversal payloads
+  /<script|javascript:|onerror\s*=|'\s*OR\s*'?1'?\s*=\s*'?1|\bOR\s+1\s*=\s*1\b|;\s*DROP\s+TABLE|\.\.\/\.\.\/|%00|\$\{jndi:/i,
+  // Negative numbers typed into fields
+  /\b(?:fill|type|send_keys|sendKeys|SendKeys|inputText)\w*\s*\([^()\n]*["']-\d/,
+];
+
+// "rejectsEmptyTitle" / "test_rejects_empty_title" -> "rejects Empty Title"
+function nameWords(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ');
+}
+
+/**
+ * Negative/edge signals of one test: [{ type, line, text }]. `body` is the
+ * test body and `bodyLine` the line it starts on.
+ */
+function testSignals(block, body, bodyLine) {
+  const signals = [];
+  const word = block.name && NEGATIVE_NAME.exec(nameWords(block.name));
+  if (word) signals.push({ type: 'name', line: block.line, text: word[0] });
+
+  const seen = new Set();
+  const add = (type, index, text) => {
+    if (seen.has(type)) return;
+    seen.add(type);
+    signals.push({ type, line: bodyLine + index, text: text.trim().slice(0, 120) });
+  };
+  body.split('\n').forEach((line, index) => {
+    if ((STATUS_WORD.test(line) && CLIENT_ERROR.test(line)) || STATUS_NAME.test(line)) add('status', index, line);
+    if (!NEGATED_ASSERTION.test(line) && (THROWS.test(line) || (ASSERTION_LINE.test(line) && ERROR_TEXT.test(line)))) {
+      add('error', index, line);
+    }
+    if (INVALID_INPUT.some(re => re.test(line))) add('input', index, line);
+  });
+  return signals;
+}
+
+/**
+ * Returns the tests of a file classified as 'positive' or 'negative':
+ * [{ name, line, column, acs, kind, signals }]. JS/TS needs the parsed `program`.
+ */
+function classifyTests(content, lang, program) {
+  const acsByStart = new Map(testAcReferences(content, lang, program).map(t => [t.start, t.refs.map(ref => ref.id)]));
+  return extractTestBlocks(content, lang, program).map((block) => {
+    const body = content.slice(block.bodyStart, block.bodyEnd);
+    const bodyLine = content.slice(0, block.bodyStart).split('\n').length;
+    const signals = testSignals(block, body, bodyLine);
+    return {
+      name: block.name,
+      line: block.line,
+      column: block.column,
+      acs: acsByStart.get(block.start) || [],
+      kind: signals.length ? 'negative' : 'positive',
+      signals,
+    };
+  });
+}
+
+/**
+ * Groups classified tests (with a `file` each) by AC. `catalog` (may be null)
+ * adds the titles and the active ACs no test cites. Returns
+ * { acs: [{ ac, title, status, positive, negative, tests }], happyPathOnly,
+ *   untested, unmapped }, where status is 'covered', 'happy-path-only' or
+ * 'untested'.
+ */
+function happyPathReport(tests, catalog) {
+  const byAc = new Map();
+  const entry = (id) => {
+    if (!byAc.has(id)) {
+      const known = catalog && (catalog.active.get(id) || catalog.archived.get(id));
+      byAc.set(id, { ac: id, title: known ? known.title : null, status: 'untested', positive: 0, negative: 0, tests: [] });
+    }
+    return byAc.get(id);
+  };
+  if (catalog) [...catalog.active.keys()].forEach(entry);
+
+  const unmapped = [];
+  for (const test of tests) {
+    const summary = { file: test.file, line: test.line, test: test.name, kind: test.kind, signals: test.signals };
+    if (test.acs.length === 0) unmapped.push(summary);
+    for (const id of test.acs) {
+      const ac = entry(id);
+      ac[test.kind]++;
+      ac.tests.push(summary);
+    }
+  }
+
+  const acs = [...byAc.values()];
+  for (const ac of acs) {
+    if (ac.tests.length) ac.status = ac.negative ? 'covered' : 'happy-path-only';
+  }
+  return {
+    acs,
+    happyPathOnly: acs.filter(ac => ac.status === 'happy-path-only').map(ac => ac.ac),
+    untested: acs.filter(ac => ac.status === 'untested').map(ac => ac.ac),
+    unmapped,
+  };
+}
+
+module.exports = { classifyTests, happyPathReport };
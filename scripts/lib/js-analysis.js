@@ -0,0 +1,1155 @@
+/**
+ * AST-based Rule Zero analysis for JavaScript/TypeScript test files
+ *
+ * Finds browser-context callbacks (page/frame/locator `evaluate`,
+ * `evaluateHandle`, `evaluateAll`, `$eval`, `$$eval`) and inspects what the
+ * callback does to the DOM. Callbacks are followed when passed inline, by
+ * name (local function or const), through imported helper modules, or as a
+ * script string. Relative modules the spec imports are analysed too, so a
+ * mutation hidden in `helpers/dom.ts` is reported against the helper with
+ * the importing spec recorded in `importedBy`.
+ *
+ * The framework of each module is detected from its imports (and Cypress
+ * spec naming). Besides Playwright and Puppeteer, whose browser-context APIs
+ * share the rule ids above:
+ *
+ *   Cypress      cy.window().then(win => ...), cy.document().then(doc => ...),
+ *                cy.get(...).invoke('css' | 'attr' | 'remove' | ...), and
+ *                jQuery setters on the $el yielded to .then/.each/.should
+ *   WebdriverIO  browser.execute / executeAsync callbacks and scripts
+ *
+ * DOM findings in Cypress and WebdriverIO code are reported with the CY_ and
+ * WDIO_ rule ids. Modules that import none of the known runners are checked
+ * against all of them.
+ *
+ * Tests that fake the application instead of driving it are reported too:
+ *
+ *   APP_ROUTE_STUB        page.route() handlers that route.fulfill(), routeFromHAR()
+ *                         and cy.intercept() static responses / req.reply(), unless
+ *                         the URL is on a third-party host from the allowlist
+ *   APP_GLOBAL_OVERRIDE   browser code assigning window globals (window.fetch = ...),
+ *                         Object.defineProperty(window, ...), cy.stub(win, ...)
+ *   APP_EXPOSED_FUNCTION  page.exposeFunction() / exposeBinding()
+ *   APP_MODULE_STUB       jest/vi/sinon mocks of application modules in E2E specs
+ *
+ * and so are changes to application state outside the browser, each with a
+ * `detail` naming what was changed:
+ *
+ *   APP_SOURCE_WRITE      fs writes whose statically resolved target lies in the
+ *                         application directories (options.isAppPath)
+ *   APP_SCHEMA_CHANGE     schema-altering SQL (ALTER TABLE, DROP/CREATE TABLE, ...)
+ *                         in string literals
+ *   APP_ENV_MUTATION      process.env assignments, deletes and Object.assign(), except
+ *                         variables options.isTestEnv allows
+ *
+ * Fixed-delay waits (`waitForTimeout`, `waitFor(ms)`, `cy.wait(ms)`,
+ * `browser.pause(ms)`, setTimeout-promise sleeps, `await setTimeout(ms)` from
+ * timers/promises) are reported too.
+ *
+ * Returns rule ids with exact locations; rule metadata (description,
+ * severity, rule text) lives in the linter's JS rule pack.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse, walk } = require('./js-parser');
+
+// Method name -> index of the browser-side callback argument
+const EVALUATE_METHODS = {
+  evaluate: 0,
+  evaluateHandle: 0,
+  evaluateAll: 0,
+  $eval: 1,
+  $$eval: 1,
+  evaluateOnNewDocument: 0,
+  addInitScript: 0,
+};
+
+// Scripts that run before the application on every navigation
+const INIT_SCRIPT_METHODS = new Set(['evaluateOnNewDocument', 'addInitScript']);
+
+// WebdriverIO: method -> index of the browser-side callback or script
+const WDIO_EXECUTE_METHODS = {
+  execute: 0,
+  executeAsync: 0,
+  executeScript: 0,
+};
+const WDIO_GLOBALS = new Set(['browser', 'driver']);
+
+// Cypress commands whose subject is a jQuery-wrapped element
+const CY_ELEMENT_COMMANDS = new Set([
+  'get', 'find', 'contains', 'first', 'last', 'eq', 'filter', 'not', 'parent', 'parents', 'parentsUntil',
+  'children', 'siblings', 'closest', 'next', 'nextAll', 'prev', 'prevAll', 'focused', 'root', 'wrap',
+]);
+const CY_CALLBACK_METHODS = new Set(['then', 'each', 'should']);
+
+// Application stubbing and runtime patching
+const ROUTE_METHODS = new Set(['route', 'routeFromHAR']);
+const EXPOSE_METHODS = new Set(['exposeFunction', 'exposeBinding']);
+const FULFILL_METHODS = new Set(['fulfill']);
+const REPLY_METHODS = new Set(['reply', 'send']);
+const STUB_LIBRARIES = new Set(['jest', 'vi', 'sinon', 'cy']);
+const MODULE_MOCKS = new Set(['mock', 'doMock', 'unstable_mockModule']);
+const OBJECT_STUBS = new Set(['spyOn', 'stub', 'replace', 'replaceGetter', 'replaceSetter', 'replaceProperty']);
+const WINDOW_NAMES = ['window', 'globalThis', 'self'];
+// Window properties that are not application globals (the DOM rules cover the document)
+const WINDOW_NON_GLOBALS = new Set(['location', 'document', 'localStorage', 'sessionStorage']);
+// Relative imports into these directories are test code, not the application
+const TEST_CODE_DIR = /(?:^|[\\/])(?:tests?|__tests__|specs?|e2e|cypress|playwright|fixtures|support|helpers|mocks|__mocks__|page-?objects)(?:[\\/]|$)/i;
+const APP_ALIAS = /^(?:[@~]\/|src\/)/;
+const E2E_DIR = /(?:^|[\\/])e2e(?:[\\/]|$)/i;
+
+// Node file system writes: method -> index of the path argument written to
+const FS_WRITE_METHODS = {
+  writeFile: 0, writeFileSync: 0, appendFile: 0, appendFileSync: 0, createWriteStream: 0,
+  truncate: 0, truncateSync: 0, rm: 0, rmSync: 0, unlink: 0, unlinkSync: 0, rmdir: 0, rmdirSync: 0,
+  copyFile: 1, copyFileSync: 1, cp: 1, cpSync: 1, rename: 1, renameSync: 1,
+  // fs-extra
+  outputFile: 0, outputFileSync: 0, outputJson: 0, outputJsonSync: 0, writeJson: 0, writeJsonSync: 0,
+  remove: 0, removeSync: 0, emptyDir: 0, emptyDirSync: 0, copy: 1, copySync: 1, move: 1, moveSync: 1,
+};
+const FS_MODULES = /^(?:(?:node:)?fs(?:\/promises)?|fs-extra)$/;
+const PATH_MODULES = /^(?:node:)?path$/;
+const PATH_METHODS = new Set(['join', 'resolve', 'normalize', 'dirname']);
+// DDL keywords in upper case anywhere in a string; any case at the start of one
+const SCHEMA_SQL = /\b(?:ALTER\s+TABLE|RENAME\s+TABLE|DROP\s+(?:TABLE|COLUMN|INDEX|VIEW|SCHEMA|DATABASE|TRIGGER)|CREATE\s+(?:TABLE|(?:UNIQUE\s+)?INDEX|VIEW|SCHEMA|DATABASE|TRIGGER))(?:\s+IF\s+(?:NOT\s+)?EXISTS)?\s+[\w."`[\]]+/;
+const LEADING_SCHEMA_SQL = new RegExp(`^\\s*(?:${SCHEMA_SQL.source})`, 'i');
+
+// Rule id prefixes for DOM findings in framework-specific code
+const FRAMEWORK_PREFIXES = { cypress: 'CY_', webdriverio: 'WDIO_' };
+
+// Import sources that identify a module's test framework, most specific first
+const FRAMEWORK_IMPORTS = [
+  ['cypress', /^cypress(?:\/|$)/],
+  ['webdriverio', /^(?:webdriverio|@wdio\/)/],
+  ['puppeteer', /^(?:puppeteer(?:-core)?|jest-puppeteer)$/],
+  ['playwright', /^(?:@playwright\/test|playwright(?:-core)?)$/],
+];
+const FRAMEWORK_REFERENCE = /^\/\/\/\s*<reference\s+types=["']((?:cypress|@wdio\/|webdriverio)[^"']*)["']/m;
+
+// Methods whose callback always receives the matched element(s) as its first parameter
+const ELEMENT_CALLBACK_METHODS = new Set(['evaluateAll', '$eval', '$$eval']);
+
+const INJECT_METHODS = {
+  addStyleTag: 'INJECTED_STYLE',
+  addScriptTag: 'INJECTED_SCRIPT',
+};
+
+const DISPLAY_VALUES = new Set(['none', 'block', 'flex', 'grid', 'inline', 'inherit']);
+
+const QUERY_METHODS = new Set([
+  'querySelector', 'querySelectorAll', 'getElementsByClassName', 'getElementsByTagName',
+  'getElementsByName', 'closest', 'elementFromPoint',
+]);
+
+const REMOVAL_METHODS = new Set(['removeChild', 'replaceChild', 'replaceWith']);
+
+// jQuery methods that change the element; setters only when given a value
+const JQUERY_MUTATIONS = {
+  addClass: 'DOM_CLASS_MUTATION',
+  removeClass: 'DOM_CLASS_MUTATION',
+  toggleClass: 'DOM_CLASS_MUTATION',
+  show: 'DOM_HIDDEN_MUTATION',
+  hide: 'DOM_HIDDEN_MUTATION',
+  toggle: 'DOM_HIDDEN_MUTATION',
+  remove: 'DOM_ELEMENT_REMOVAL',
+  detach: 'DOM_ELEMENT_REMOVAL',
+  empty: 'DOM_ELEMENT_REMOVAL',
+  replaceWith: 'DOM_ELEMENT_REMOVAL',
+  append: 'DOM_HTML_MUTATION',
+  prepend: 'DOM_HTML_MUTATION',
+  after: 'DOM_HTML_MUTATION',
+  before: 'DOM_HTML_MUTATION',
+};
+const JQUERY_SETTERS = { css: 1, html: 0, text: 0, val: 0, attr: 1, prop: 1, removeAttr: -1, removeProp: -1 };
+
+const ATTRIBUTE_RULES = {
+  style: 'DOM_STYLE_MUTATION',
+  class: 'DOM_CLASS_MUTATION',
+  hidden: 'DOM_HIDDEN_MUTATION',
+};
+
+// Page/frame methods that pause for a fixed time (`waitFor` only with a number)
+const WAIT_METHODS = new Set(['waitForTimeout']);
+
+const MODULE_EXTENSIONS = ['', '.ts', '.tsx', '.mts', '.cts', '.js', '.mjs', '.cjs', '/index.ts', '/index.js'];
+
+// ---------------------------------------------------------------------------
+// Node helpers
+// ---------------------------------------------------------------------------
+
+function unwrap(node) {
+  while (node && (node.type === 'TSAsExpression' || node.type === 'AwaitExpression')) {
+    node = node.expression || node.argument;
+  }
+  return node;
+}
+
+function propertyName(member) {
+  if (!member || member.type !== 'MemberExpression') return null;
+  if (!member.computed && member.property.type === 'Identifier') return member.property.name;
+  if (member.computed && member.property.type === 'Literal' && typeof member.property.value === 'string') {
+    return member.property.value;
+  }
+  return null;
+}
+
+function isFunctionNode(node) {
+  return node && (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression' || node.type === 'FunctionDeclaration');
+}
+
+function stringValue(node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+// `document`, a parameter bound to the document, or `<window>.document`
+function isDocument(node, documents) {
+  node = unwrap(node);
+  if (!node) return false;
+  if (node.type === 'Identifier') return documents.has(node.name);
+  return node.type === 'MemberExpression' && propertyName(node) === 'document';
+}
+
+function isDocumentCall(node, methodNames, documents) {
+  node = unwrap(node);
+  if (!node || node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return false;
+  return isDocument(node.callee.object, documents) && methodNames.has(propertyName(node.callee));
+}
+
+// Innermost object of a member/call chain: cy.get('x').invoke(...) -> cy
+function chainRoot(node) {
+  node = unwrap(node);
+  while (node) {
+    if (node.type === 'MemberExpression') node = unwrap(node.object);
+    else if (node.type === 'CallExpression') node = unwrap(node.callee);
+    else break;
+  }
+  return node && node.type === 'Identifier' ? node.name : null;
+}
+
+function isRequireCall(node) {
+  node = unwrap(node);
+  return node && node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require'
+    && node.arguments.length > 0 && stringValue(node.arguments[0]) !== null;
+}
+
+function isNumber(node) {
+  node = unwrap(node);
+  return Boolean(node) && node.type === 'Literal' && typeof node.value === 'number';
+}
+
+function isSetTimeoutCall(node) {
+  node = unwrap(node);
+  return Boolean(node) && node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'setTimeout';
+}
+
+// new Promise(resolve => setTimeout(resolve, ms)) and friends
+function isSleepPromise(node) {
+  if (node.type !== 'NewExpression' || node.callee.type !== 'Identifier' || node.callee.name !== 'Promise') return false;
+  const executor = node.arguments[0];
+  if (!isFunctionNode(executor)) return false;
+  let found = false;
+  walk(executor.body, (inner) => {
+    if (found) return false;
+    if (isSetTimeoutCall(inner)) found = true;
+    return !isFunctionNode(inner) || inner === executor.body;
+  });
+  return found;
+}
+
+// ---------------------------------------------------------------------------
+// Module context: functions, imports and exports of one file
+// ---------------------------------------------------------------------------
+
+function buildModule(filePath, source) {
+  const ast = parse(source);
+  const ctx = { file: filePath, source, ast, functions: new Map(), imports: new Map(), exports: new Map(), topLevel: [] };
+
+  walk(ast, (node) => {
+    if (node.type === 'FunctionDeclaration' && node.id && !ctx.functions.has(node.id.name)) {
+      ctx.functions.set(node.id.name, node);
+    } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && isFunctionNode(unwrap(node.init))
+      && !ctx.functions.has(node.id.name)) {
+      ctx.functions.set(node.id.name, unwrap(node.init));
+    }
+  });
+
+  for (const stmt of ast.body) {
+    collectTopLevel(ctx, stmt.type === 'ExportNamedDeclaration' && stmt.declaration ? stmt.declaration : stmt);
+    collectImports(ctx, stmt);
+    collectExports(ctx, stmt);
+  }
+  ctx.framework = detectFramework(ctx);
+  return ctx;
+}
+
+// Test runner of a module from its imports; Cypress specs often import
+// nothing, so their naming and location count too. Null when unknown.
+function detectFramework(ctx) {
+  const sources = [...ctx.imports.values()].map(imp => imp.source);
+  const reference = FRAMEWORK_REFERENCE.exec(ctx.source);
+  if (reference) sources.push(reference[1]);
+  const found = FRAMEWORK_IMPORTS.find(([, re]) => sources.some(source => re.test(source)));
+  if (found) return found[0];
+  if (/\.cy\.[cm]?[jt]sx?$/.test(ctx.file) || /(?:^|[\\/])cypress[\\/]/.test(ctx.file)) return 'cypress';
+  return null;
+}
+
+// Loads a helper module; unreadable or unparsable helpers are skipped
+function loadModule(filePath, cache) {
+  if (cache.has(filePath)) return cache.get(filePath);
+  cache.set(filePath, null); // guards import cycles while loading
+  let ctx = null;
+  try {
+    ctx = buildModule(filePath, fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+  cache.set(filePath, ctx);
+  return ctx;
+}
+
+// Records top-level bindings so a violation can be attributed to the export that contains it
+function collectTopLevel(ctx, stmt) {
+  if (!stmt) return;
+  if ((stmt.type === 'FunctionDeclaration' || stmt.type === 'ClassDeclaration') && stmt.id) {
+    ctx.topLevel.push({ name: stmt.id.name, start: stmt.start, end: stmt.end });
+  } else if (stmt.type === 'VariableDeclaration') {
+    for (const d of stmt.declarations) {
+      if (d.id.type === 'Identifier') ctx.topLevel.push({ name: d.id.name, start: d.start, end: d.end });
+    }
+  } else if (stmt.type === 'ExportDefaultDeclaration') {
+    ctx.topLevel.push({ name: 'default', start: stmt.start, end: stmt.end });
+  }
+}
+
+function collectImports(ctx, stmt) {
+  if (stmt.type === 'ImportDeclaration') {
+    if (stmt.importKind === 'type') return;
+    const source = stmt.source.value;
+    if (stmt.specifiers.length === 0) {
+      ctx.imports.set(`<side-effect:${source}>`, { source, imported: '*' });
+    }
+    for (const spec of stmt.specifiers) {
+      let imported = '*';
+      if (spec.type === 'ImportDefaultSpecifier') imported = 'default';
+      else if (spec.type === 'ImportSpecifier') imported = spec.imported.name || spec.imported.value;
+      ctx.imports.set(spec.local.name, { source, imported });
+    }
+    return;
+  }
+  if (stmt.type !== 'VariableDeclaration') return;
+  for (const d of stmt.declarations) {
+    if (!isRequireCall(d.init)) continue;
+    const source = stringValue(unwrap(d.init).arguments[0]);
+    if (d.id.type === 'Identifier') {
+      ctx.imports.set(d.id.name, { source, imported: '*' });
+    } else if (d.id.type === 'ObjectExpression') {
+      for (const prop of d.id.properties) {
+        if (prop.type !== 'Property') continue;
+        const imported = prop.key.name || prop.key.value;
+        const local = prop.value.type === 'AssignmentPattern' ? prop.value.left : prop.value;
+        if (local.type === 'Identifier') ctx.imports.set(local.name, { source, imported });
+      }
+    }
+  }
+}
+
+function collectExports(ctx, stmt) {
+  if (stmt.type === 'ExportNamedDeclaration') {
+    const decl = stmt.declaration;
+    if (decl && (decl.type === 'FunctionDeclaration' || decl.type === 'ClassDeclaration') && decl.id) {
+      ctx.exports.set(decl.id.name, decl.id.name);
+    } else if (decl && decl.type === 'VariableDeclaration') {
+      for (const d of decl.declarations) if (d.id.type === 'Identifier') ctx.exports.set(d.id.name, d.id.name);
+    }
+    for (const spec of stmt.specifiers || []) {
+      const exported = spec.exported.name || spec.exported.value;
+      ctx.exports.set(exported, spec.local.name || spec.local.value);
+    }
+  } else if (stmt.type === 'ExportDefaultDeclaration') {
+    const decl = stmt.declaration;
+    if (decl.type === 'Identifier') ctx.exports.set('default', decl.name);
+    else if (isFunctionNode(decl)) ctx.exports.set('default', decl);
+    else if (decl.id) ctx.exports.set('default', decl.id.name);
+  } else if (stmt.type === 'ExpressionStatement' && stmt.expression.type === 'AssignmentExpression') {
+    // CommonJS: module.exports = ..., module.exports.x = ..., exports.x = ...
+    const { left, right } = stmt.expression;
+    const target = left.type === 'MemberExpression' ? sourceOfMember(left) : '';
+    if (target === 'module.exports') {
+      const value = unwrap(right);
+      if (value.type === 'ObjectExpression') {
+        for (const prop of value.properties) {
+          if (prop.type !== 'Property') continue;
+          const name = prop.key.name || prop.key.value;
+          const val = unwrap(prop.value);
+          ctx.exports.set(name, val.type === 'Identifier' ? val.name : val);
+        }
+      } else {
+        ctx.exports.set('default', value.type === 'Identifier' ? value.name : value);
+      }
+    } else if (/^(?:module\.)?exports\.\w+$/.test(target)) {
+      const value = unwrap(right);
+      ctx.exports.set(propertyName(left), value.type === 'Identifier' ? value.name : value);
+    }
+  }
+}
+
+function sourceOfMember(node) {
+  node = unwrap(node);
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression') {
+    const obj = sourceOfMember(node.object);
+    const prop = propertyName(node);
+    return obj && prop ? `${obj}.${prop}` : '';
+  }
+  return '';
+}
+
+function resolveModulePath(fromFile, source) {
+  if (!source || !/^\.\.?(?:\/|$)/.test(source)) return null;
+  const base = path.resolve(path.dirname(fromFile), source);
+  const candidates = MODULE_EXTENSIONS.map(ext => base + ext);
+  // TypeScript ESM projects import './helpers.js' for helpers.ts
+  if (/\.[mc]?js$/.test(base)) candidates.push(base.replace(/\.([mc]?)js$/, '.$1ts'));
+  for (const candidate of candidates) {
+    try {
+      if (fs.statSync(candidate).isFile()) return candidate;
+    } catch { /* try next */ }
+  }
+  return null;
+}
+
+function resolveExport(ctx, name, cache, depth) {
+  if (!ctx || depth > 5) return null;
+  const target = ctx.exports.get(name);
+  if (!target) return null;
+  if (typeof target !== 'string') return isFunctionNode(target) ? { fn: target, ctx } : null;
+  return resolveBinding(ctx, target, cache, depth + 1);
+}
+
+// Resolves an identifier to a function node, following imports across modules
+function resolveBinding(ctx, name, cache, depth = 0) {
+  if (ctx.functions.has(name)) return { fn: ctx.functions.get(name), ctx };
+  const imp = ctx.imports.get(name);
+  if (!imp || imp.imported === '*') return null;
+  const file = resolveModulePath(ctx.file, imp.source);
+  if (!file) return null;
+  return resolveExport(loadModule(file, cache), imp.imported, cache, depth);
+}
+
+// ---------------------------------------------------------------------------
+// Browser-context callback inspection
+// ---------------------------------------------------------------------------
+
+const BY_ID = new Set(['getElementById']);
+
+function rootObject(node, documents) {
+  node = unwrap(node);
+  while (node) {
+    if (node.type === 'MemberExpression') node = unwrap(node.object);
+    else if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+      if (isDocumentCall(node, BY_ID, documents)) return { kind: 'byId' };
+      if (isDocumentCall(node, QUERY_METHODS, documents)) return { kind: 'query' };
+      node = unwrap(node.callee.object);
+    } else break;
+  }
+  if (node && node.type === 'Identifier') return { kind: 'identifier', name: node.name };
+  return { kind: 'other' };
+}
+
+function domProvenance(init, documents) {
+  init = unwrap(init);
+  if (!init) return null;
+  if (isDocumentCall(init, BY_ID, documents)) return 'byId';
+  if (init.type === 'CallExpression' && init.callee.type === 'MemberExpression' && QUERY_METHODS.has(propertyName(init.callee))) {
+    return 'query';
+  }
+  if (init.type === 'MemberExpression' && ['body', 'documentElement', 'activeElement'].includes(propertyName(init))) return 'query';
+  return null;
+}
+
+function bindingNames(pattern, names = []) {
+  if (!pattern) return names;
+  if (pattern.type === 'Identifier') names.push(pattern.name);
+  else if (pattern.type === 'AssignmentPattern') bindingNames(pattern.left, names);
+  else if (pattern.type === 'RestElement') bindingNames(pattern.argument, names);
+  else if (pattern.type === 'ArrayExpression') pattern.elements.forEach(e => bindingNames(e, names));
+  else if (pattern.type === 'ObjectExpression') pattern.properties.forEach(p => bindingNames(p.value || p.argument, names));
+  return names;
+}
+
+/**
+ * Inspects a browser-side function (or parsed script program) and calls
+ * report(ruleId, node) for every mutation of application state. `params`
+ * hold application elements; `scope.documentParams` and `scope.windowParams`
+ * hold the document and window (Cypress's cy.document() / cy.window() subjects).
+ */
+function inspectBrowserCode(body, params, report, { documentParams = [], windowParams = [] } = {}) {
+  const documents = new Set(['document', ...documentParams.flatMap(p => bindingNames(p))]);
+  const windows = new Set([...WINDOW_NAMES, ...windowParams.flatMap(p => bindingNames(p))]);
+  // Variables known to hold application elements
+  const elements = new Map();
+  for (const name of params.flatMap(p => bindingNames(p))) elements.set(name, 'query');
+
+  walk(body, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+      const kind = domProvenance(node.init, documents);
+      if (kind) elements.set(node.id.name, kind);
+    } else if (node.type === 'ForOfStatement' && node.left.type === 'VariableDeclaration') {
+      const root = rootObject(node.right, documents);
+      const kind = domProvenance(node.right, documents) || (root.kind === 'identifier' && elements.get(root.name));
+      if (kind) bindingNames(node.left.declarations[0].id).forEach(n => elements.set(n, 'query'));
+    } else if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression'
+      && ['forEach', 'map', 'filter'].includes(propertyName(node.callee)) && isFunctionNode(node.arguments[0])) {
+      const root = rootObject(node.callee.object, documents);
+      const kind = root.kind === 'byId' || root.kind === 'query' ? 'query'
+        : root.kind === 'identifier' ? elements.get(root.name) : null;
+      if (kind || domProvenance(node.callee.object, documents)) {
+        bindingNames(node.arguments[0].params[0]).forEach(n => elements.set(n, 'query'));
+      }
+    }
+  });
+
+  walk(body, (node) => {
+    if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression') {
+      inspectAssignment(node, { elements, documents, windows }, report);
+    } else if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+      inspectCall(node, windows, report);
+    } else if (node.type === 'NewExpression' && node.callee.type === 'Identifier' && node.callee.name === 'MutationObserver') {
+      report('MUTATION_OBSERVER', node);
+    }
+  });
+}
+
+function inspectAssignment(node, { elements, documents, windows }, report) {
+  const left = node.left;
+  const prop = propertyName(left);
+  const object = unwrap(left.object);
+
+  if (propertyName(object) === 'style' || prop === 'style') {
+    report('DOM_STYLE_MUTATION', node);
+    return;
+  }
+  if (prop === 'hidden') { report('DOM_HIDDEN_MUTATION', node); return; }
+  if (prop === 'innerHTML' || prop === 'outerHTML') { report('DOM_HTML_MUTATION', node); return; }
+  if (prop === 'className') { report('DOM_CLASS_MUTATION', node); return; }
+
+  const root = rootObject(object, documents);
+  if (root.kind === 'byId') report('DOM_PROPERTY_SET', node);
+  else if (root.kind === 'query') report('DOM_QUERY_SET', node);
+  else if (root.kind === 'identifier' && elements.has(root.name)) {
+    report(elements.get(root.name) === 'byId' ? 'DOM_PROPERTY_SET' : 'DOM_QUERY_SET', node);
+  } else if (isWindowTarget(left, windows)) {
+    report('APP_GLOBAL_OVERRIDE', node);
+  }
+}
+
+function inspectCall(node, windows, report) {
+  const method = propertyName(node.callee);
+  const object = unwrap(node.callee.object);
+  const objectProp = propertyName(object);
+
+  if (objectProp === 'classList' && ['add', 'remove', 'toggle', 'replace'].includes(method)) {
+    report('DOM_CLASS_MUTATION', node);
+  } else if (objectProp === 'style' && ['setProperty', 'removeProperty'].includes(method)) {
+    report('DOM_STYLE_MUTATION', node);
+  } else if (method === 'remove' && node.arguments.length === 0) {
+    report('DOM_ELEMENT_REMOVAL', node);
+  } else if (REMOVAL_METHODS.has(method)) {
+    report('DOM_ELEMENT_REMOVAL', node);
+  } else if (method === 'insertAdjacentHTML') {
+    report('DOM_HTML_MUTATION', node);
+  } else if (['setAttribute', 'removeAttribute', 'toggleAttribute'].includes(method)) {
+    const attr = (stringValue(node.arguments[0]) || '').toLowerCase();
+    if (ATTRIBUTE_RULES[attr]) report(ATTRIBUTE_RULES[attr], node);
+  } else if (object.type === 'Identifier' && object.name === 'Object'
+    && ['defineProperty', 'defineProperties', 'assign'].includes(method) && isWindowTarget(node.arguments[0], windows)) {
+    report('APP_GLOBAL_OVERRIDE', node);
+  } else if (method === 'stub' && ['cy', 'sinon'].includes(chainRoot(object)) && isWindowTarget(node.arguments[0], windows)) {
+    report('APP_GLOBAL_OVERRIDE', node);
+  }
+}
+
+// The window property a member chain hangs off: window.fetch.x -> 'fetch'
+function windowProperty(node, windows) {
+  node = unwrap(node);
+  while (node && node.type === 'MemberExpression') {
+    const object = unwrap(node.object);
+    if (object.type === 'Identifier' && windows.has(object.name)) return propertyName(node) || '[]';
+    node = object;
+  }
+  return null;
+}
+
+// The window itself, or one of its globals other than location, document and storage
+function isWindowTarget(node, windows) {
+  node = unwrap(node);
+  if (node && node.type === 'Identifier') return windows.has(node.name);
+  const global = windowProperty(node, windows);
+  return global !== null && !WINDOW_NON_GLOBALS.has(global);
+}
+
+/**
+ * Analyses a browser-side script passed as a string: script arguments in JS,
+ * and page.evaluate("...") / EvaluateAsync("...") in the Python and .NET
+ * bindings. A script that is a single function expression is inspected like a
+ * callback, its parameters holding elements when `elementParams` is set.
+ * Returns [{ id, start, end }] with offsets into the script, or null when the
+ * script does not parse.
+ */
+function analyzeScript(script, { elementParams = false } = {}) {
+  let program;
+  try {
+    program = parse(script);
+  } catch {
+    return null;
+  }
+  const found = [];
+  const report = (id, node) => found.push({ id, start: node.start, end: node.end });
+  const statement = program.body.length === 1 && program.body[0].type === 'ExpressionStatement' ? program.body[0] : null;
+  const fn = statement && unwrap(statement.expression);
+  if (isFunctionNode(fn)) inspectBrowserCode(fn.body, elementParams ? fn.params : [], report);
+  else inspectBrowserCode(program, [], report);
+  walk(program, (node) => {
+    if (node.type !== 'AssignmentExpression' || propertyName(node.left) !== 'display') return;
+    const value = stringValue(node.right);
+    if (value !== null && DISPLAY_VALUES.has(value.trim())) report('CSS_DISPLAY_OVERRIDE', node);
+  });
+  return found;
+}
+
+// DOM findings in Cypress / WebdriverIO code use that pack's rule ids
+function prefixedId(id, prefix) {
+  return prefix && id.startsWith('DOM_') ? prefix + id : id;
+}
+
+// Rule id for a jQuery call that changes the element, else null
+function jqueryMutation(method, args) {
+  if (Object.prototype.hasOwnProperty.call(JQUERY_MUTATIONS, method)) return JQUERY_MUTATIONS[method];
+  if (!Object.prototype.hasOwnProperty.call(JQUERY_SETTERS, method)) return null;
+  const first = unwrap(args[0]);
+  const setter = args.length > JQUERY_SETTERS[method] || (first && first.type === 'ObjectExpression');
+  if (!setter) return null;
+  if (method === 'css') return 'DOM_STYLE_MUTATION';
+  if (method === 'html') return 'DOM_HTML_MUTATION';
+  if (method === 'text' || method === 'val') return 'DOM_QUERY_SET';
+  return ATTRIBUTE_RULES[(stringValue(first) || '').toLowerCase()] || 'DOM_QUERY_SET';
+}
+
+// What a Cypress .then()/.each()/.should() callback receives from the command before it
+function cypressSubject(chain) {
+  chain = unwrap(chain);
+  while (chain && chain.type === 'CallExpression' && chain.callee.type === 'MemberExpression'
+    && ['should', 'and', 'as'].includes(propertyName(chain.callee))) {
+    chain = unwrap(chain.callee.object);
+  }
+  if (!chain || chain.type !== 'CallExpression' || chain.callee.type !== 'MemberExpression') return null;
+  const command = propertyName(chain.callee);
+  if (command === 'window') return 'window';
+  if (command === 'document' || (command === 'its' && stringValue(chain.arguments[0]) === 'document')) return 'document';
+  return CY_ELEMENT_COMMANDS.has(command) ? 'element' : null;
+}
+
+// browser.execute(...), driver.execute(...) and element.execute(...) on $() / $$()
+function isWdioTarget(node) {
+  const root = chainRoot(node);
+  return WDIO_GLOBALS.has(root) || root === '$' || root === '$$';
+}
+
+// locator.evaluate(el => ...) receives the element; page.evaluate(arg => ...) receives
+// whatever the test passed, which is only treated as an element for the
+// element-scoped methods above.
+function receivesElements(callee, method) {
+  if (ELEMENT_CALLBACK_METHODS.has(method)) return true;
+  if (INIT_SCRIPT_METHODS.has(method)) return false;
+  const owner = propertyName(unwrap(callee.object)) || (unwrap(callee.object).type === 'Identifier' ? unwrap(callee.object).name : '');
+  return !/(?:page|frame)$/i.test(owner || '');
+}
+
+// Resolves the callback argument of an evaluate-style call to something inspectable
+function resolveCallback(arg, ctx, cache) {
+  arg = unwrap(arg);
+  if (!arg) return null;
+  if (isFunctionNode(arg)) return { fn: arg, ctx };
+  if (arg.type === 'Identifier') return resolveBinding(ctx, arg.name, cache);
+  if (arg.type === 'MemberExpression' && unwrap(arg.object).type === 'Identifier') {
+    // helpers.hideBanner where helpers is a namespace import or require()
+    const imp = ctx.imports.get(unwrap(arg.object).name);
+    if (!imp) return null;
+    const file = resolveModulePath(ctx.file, imp.source);
+    if (!file) return null;
+    const target = loadModule(file, cache);
+    if (imp.imported === '*') return resolveExport(target, propertyName(arg), cache, 0);
+    return null;
+  }
+  const script = stringValue(arg);
+  if (script !== null) return { script, node: arg, ctx };
+  return null;
+}
+
+// Maps an offset inside a string literal back to a file position when the
+// literal has no escape sequences; otherwise falls back to the literal start.
+function scriptLocation(literal, offset, ctx) {
+  const raw = literal.raw !== undefined ? literal.raw : null;
+  const cooked = stringValue(literal);
+  if (raw !== null && raw.length === cooked.length + 2) {
+    return locate(ctx, literal.start + 1 + offset);
+  }
+  if (literal.type === 'TemplateLiteral') {
+    const quasi = literal.quasis[0];
+    const rawText = ctx.source.slice(quasi.start + 1, literal.end - 1);
+    if (rawText === cooked) return locate(ctx, literal.start + 1 + offset);
+  }
+  return literal.loc.start;
+}
+
+function locate(ctx, offset) {
+  if (!ctx.lineStarts) {
+    ctx.lineStarts = [0];
+    for (let i = 0; i < ctx.source.length; i++) if (ctx.source[i] === '\n') ctx.lineStarts.push(i + 1);
+  }
+  let lo = 0;
+  let hi = ctx.lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (ctx.lineStarts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return { line: lo + 1, column: offset - ctx.lineStarts[lo] };
+}
+
+// ---------------------------------------------------------------------------
+// Application stubbing
+// ---------------------------------------------------------------------------
+
+// Host named by a URL pattern: 'https://api.stripe.com/v1/**' and
+// '**/api.stripe.com/**' -> 'api.stripe.com'; '/api/users' and '**/api/**' -> null
+function urlHost(url) {
+  const withScheme = /^[a-z*][a-z0-9+.*-]*:\/\/(?:[^/@]*@)?([^/?#:]+)/i.exec(url);
+  if (withScheme) return withScheme[1].toLowerCase();
+  const first = url.replace(/^(?:\*\*?\/)+/, '').split(/[/?#:]/)[0];
+  return /^[a-z0-9*-]+(?:\.[a-z0-9*-]+)+$/i.test(first) ? first.toLowerCase() : null;
+}
+
+// Allowlist entries are host globs; `*.example.com` also matches example.com
+function hostAllowed(host, allowlist) {
+  return allowlist.some((entry) => {
+    if (entry.startsWith('*.')) {
+      const domain = entry.slice(2);
+      return host === domain || host.endsWith(`.${domain}`);
+    }
+    const pattern = entry.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^.]*');
+    return new RegExp(`^${pattern}$`).test(host);
+  });
+}
+
+// True when a route URL (string, glob or regex literal) targets an allowlisted
+// host. URLs without a host are the application's own.
+function isThirdPartyUrl(node, allowlist) {
+  node = unwrap(node);
+  if (!node || allowlist.length === 0) return false;
+  if (node.type === 'Literal' && node.regex) {
+    const source = node.regex.slice(1, node.regex.lastIndexOf('/')).replace(/\\(.)/g, '$1').toLowerCase();
+    return allowlist.some(entry => source.includes(entry.replace(/^\*\./, '')));
+  }
+  const url = stringValue(node);
+  const host = url === null ? null : urlHost(url);
+  return host !== null && hostAllowed(host, allowlist);
+}
+
+function propertyValue(object, key) {
+  object = unwrap(object);
+  if (!object || object.type !== 'ObjectExpression') return null;
+  const prop = object.properties.find(p => p.type === 'Property' && !p.computed && (p.key.name || p.key.value) === key);
+  return prop ? prop.value : null;
+}
+
+// True when a function body calls one of `methods`: route.fulfill(), req.reply()
+function callsMethod(body, methods) {
+  let found = false;
+  walk(body, (node) => {
+    if (found) return false;
+    if (node.type === 'CallExpression' && methods.has(propertyName(node.callee))) found = true;
+    return true;
+  });
+  return found;
+}
+
+// Application code: '@/api', 'src/store', or a relative import outside the test directories
+function isAppModule(ctx, source) {
+  if (!source) return false;
+  if (APP_ALIAS.test(source)) return true;
+  if (!source.startsWith('.')) return false;
+  const target = path.relative(process.cwd(), path.resolve(path.dirname(ctx.file), source));
+  return !target.startsWith('..') && !path.isAbsolute(target) && !TEST_CODE_DIR.test(target);
+}
+
+// Import source of the object a stub targets: api in jest.spyOn(api.client, 'get'), or require('...')
+function stubbedSource(ctx, target) {
+  target = unwrap(target);
+  while (target && target.type === 'MemberExpression') target = unwrap(target.object);
+  if (isRequireCall(target)) return stringValue(target.arguments[0]);
+  const imp = target && target.type === 'Identifier' ? ctx.imports.get(target.name) : null;
+  return imp ? imp.source : null;
+}
+
+// ---------------------------------------------------------------------------
+// Application state outside the browser
+// ---------------------------------------------------------------------------
+
+function isImportedFrom(ctx, name, modules) {
+  const imp = ctx.imports.get(name);
+  return Boolean(imp) && modules.test(imp.source);
+}
+
+// The fs method a call invokes (fs.writeFileSync, fs.promises.writeFile,
+// require('fs').rmSync, an imported writeFileSync), or null
+function fsMethod(ctx, callee) {
+  callee = unwrap(callee);
+  if (callee.type === 'Identifier') {
+    return isImportedFrom(ctx, callee.name, FS_MODULES) ? ctx.imports.get(callee.name).imported : null;
+  }
+  if (callee.type !== 'MemberExpression') return null;
+  let object = unwrap(callee.object);
+  if (propertyName(object) === 'promises') object = unwrap(object.object);
+  if (isRequireCall(object)) return FS_MODULES.test(stringValue(object.arguments[0])) ? propertyName(callee) : null;
+  if (object.type !== 'Identifier') return null;
+  const fromFs = ctx.imports.has(object.name) ? isImportedFrom(ctx, object.name, FS_MODULES) : object.name === 'fs';
+  return fromFs ? propertyName(callee) : null;
+}
+
+// const bindings anywhere in the module; names declared twice are ambiguous
+function constInit(ctx, name) {
+  if (!ctx.constInits) {
+    ctx.constInits = new Map();
+    walk(ctx.ast, (node, parent) => {
+      if (node.type !== 'VariableDeclarator' || node.id.type !== 'Identifier' || !parent || parent.kind !== 'const') return;
+      ctx.constInits.set(node.id.name, ctx.constInits.has(node.id.name) ? null : node.init);
+    });
+  }
+  return ctx.constInits.get(name) || null;
+}
+
+// Static string value of an expression built from literals, __dirname,
+// process.cwd(), path.join/resolve and const bindings; null when unknown
+function staticString(node, ctx, depth = 0) {
+  node = unwrap(node);
+  if (!node || depth > 8) return null;
+  const literal = stringValue(node);
+  if (literal !== null) return literal;
+  switch (node.type) {
+    case 'Identifier': {
+      if (node.name === '__dirname') return path.dirname(ctx.file);
+      if (node.name === '__filename') return ctx.file;
+      const init = constInit(ctx, node.name);
+      return init ? staticString(init, ctx, depth + 1) : null;
+    }
+    case 'TemplateLiteral': {
+      let out = node.quasis[0].value.cooked;
+      for (let i = 0; i < node.expressions.length; i++) {
+        const part = staticString(node.expressions[i], ctx, depth + 1);
+        if (part === null) return null;
+        out += part + node.quasis[i + 1].value.cooked;
+      }
+      return out;
+    }
+    case 'BinaryExpression': {
+      if (node.operator !== '+') return null;
+      const left = staticString(node.left, ctx, depth + 1);
+      const right = left === null ? null : staticString(node.right, ctx, depth + 1);
+      return right === null ? null : left + right;
+    }
+    case 'MemberExpression':
+      // import.meta.dirname / import.meta.filename
+      if (unwrap(node.object).type !== 'MetaProperty') return null;
+      if (propertyName(node) === 'dirname') return path.dirname(ctx.file);
+      return propertyName(node) === 'filename' ? ctx.file : null;
+    case 'CallExpression': {
+      const callee = unwrap(node.callee);
+      if (callee.type !== 'MemberExpression') return null;
+      const object = unwrap(callee.object);
+      const method = propertyName(callee);
+      if (object.type !== 'Identifier') return null;
+      if (object.name === 'process' && method === 'cwd') return process.cwd();
+      const isPath = ctx.imports.has(object.name) ? isImportedFrom(ctx, object.name, PATH_MODULES) : object.name === 'path';
+      if (!isPath || !PATH_METHODS.has(method)) return null;
+      const parts = node.arguments.map(arg => staticString(arg, ctx, depth + 1));
+      return parts.includes(null) ? null : path[method](...parts);
+    }
+    default:
+      return null;
+  }
+}
+
+// The DDL statement in a string, e.g. "ALTER TABLE users", or null
+function schemaStatement(text) {
+  const match = SCHEMA_SQL.exec(text) || LEADING_SCHEMA_SQL.exec(text);
+  return match ? match[0].trim().replace(/\s+/g, ' ') : null;
+}
+
+function isProcessEnv(node) {
+  node = unwrap(node);
+  if (!node || node.type !== 'MemberExpression' || propertyName(node) !== 'env') return false;
+  const object = unwrap(node.object);
+  return object.type === 'Identifier' && object.name === 'process';
+}
+
+// Variables an env mutation changes: ['FEATURE_X'], [null] when computed, [] when none
+function envTargets(node) {
+  if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression') {
+    if (isProcessEnv(node.left)) return [null];
+    if (isProcessEnv(node.left.object)) return [propertyName(node.left)];
+  } else if (node.type === 'UnaryExpression' && node.operator === 'delete' && unwrap(node.argument).type === 'MemberExpression') {
+    if (isProcessEnv(unwrap(node.argument).object)) return [propertyName(unwrap(node.argument))];
+  } else if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression'
+    && propertyName(node.callee) === 'assign' && unwrap(node.callee.object).type === 'Identifier'
+    && unwrap(node.callee.object).name === 'Object' && isProcessEnv(node.arguments[0])) {
+    return node.arguments.slice(1).flatMap((arg) => {
+      arg = unwrap(arg);
+      if (!arg || arg.type !== 'ObjectExpression') return [null];
+      return arg.properties.map(p => (p.type === 'Property' && !p.computed ? p.key.name || String(p.key.value) : null));
+    });
+  }
+  return [];
+}
+
+// ---------------------------------------------------------------------------
+// Module analysis
+// ---------------------------------------------------------------------------
+
+function analyzeModule(ctx, cache, results, options) {
+  const seen = new Set();
+  const out = [];
+
+  const push = (id, file, start, end, owner, detail) => {
+    const key = `${file}:${start.line}:${start.column}:${id}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const found = { id, file, line: start.line, column: start.column + 1, endLine: end.line, endColumn: end.column + 1, owner };
+    if (detail) found.detail = detail;
+    out.push(found);
+  };
+
+  const ownerOf = (offset) => {
+    const binding = ctx.topLevel.find(b => offset >= b.start && offset < b.end);
+    return binding ? binding.name : null;
+  };
+
+  const allows = (framework) => !ctx.framework || ctx.framework === framework;
+  const allowlist = options.thirdPartyHosts || [];
+  const isE2e = Boolean(ctx.framework) || E2E_DIR.test(path.relative(process.cwd(), ctx.file));
+
+  // Callbacks written in this module are reported where the mutation is;
+  // imported functions only become browser code at this call site
+  const reporter = (callback, callNode, prefix) => (id, node) => {
+    const ruleId = prefixedId(id, prefix);
+    if (callback.ctx === ctx) push(ruleId, ctx.file, node.loc.start, node.loc.end, ownerOf(node.start));
+    else push(ruleId, ctx.file, callNode.loc.start, callNode.loc.end, ownerOf(callNode.start));
+  };
+
+  const inspectCallback = (callback, callNode, elementParams, prefix = '', scope = {}) => {
+    if (callback.script !== undefined) {
+      for (const found of analyzeScript(callback.script, { elementParams }) || []) {
+        const start = scriptLocation(callback.node, found.start, ctx);
+        const end = scriptLocation(callback.node, found.end, ctx);
+        push(prefixedId(found.id, prefix), ctx.file, start, end, ownerOf(callNode.start));
+      }
+      return;
+    }
+    const params = elementParams ? callback.fn.params : [];
+    inspectBrowserCode(callback.fn.body, params, reporter(callback, callNode, prefix), scope);
+  };
+
+  // Cypress callbacks run in the application's window: cy.window() yields the
+  // window, cy.document() the document, DOM commands a jQuery-wrapped element
+  const inspectCypressCallback = (callback, callNode, subject) => {
+    const { fn } = callback;
+    if (subject !== 'element') {
+      const scope = subject === 'document' ? { documentParams: fn.params } : { windowParams: fn.params };
+      inspectCallback(callback, callNode, false, FRAMEWORK_PREFIXES.cypress, scope);
+      return;
+    }
+    inspectCallback(callback, callNode, true, FRAMEWORK_PREFIXES.cypress);
+    const report = reporter(callback, callNode, FRAMEWORK_PREFIXES.cypress);
+    const names = new Set(fn.params.flatMap(p => bindingNames(p)));
+    walk(fn.body, (inner) => {
+      if (inner.type !== 'CallExpression' || inner.callee.type !== 'MemberExpression') return;
+      // $el[0].classList... is native DOM, handled above
+      if (unwrap(inner.callee.object).type === 'MemberExpression') return;
+      if (!names.has(chainRoot(inner.callee.object))) return;
+      const id = jqueryMutation(propertyName(inner.callee), inner.arguments);
+      if (id) report(id, inner);
+    });
+  };
+
+  // Playwright page.route(url, route => route.fulfill(...)) and routeFromHAR();
+  // Cypress cy.intercept([method,] url, staticResponse | req => req.reply(...))
+  const stubsRoute = (node, method) => {
+    const args = node.arguments;
+    if (chainRoot(node.callee.object) === 'cy') {
+      const withMethod = args.length > 1 && /^[A-Z]+$/.test(stringValue(args[0]) || '');
+      const matcher = unwrap(args[withMethod ? 1 : 0]);
+      const response = unwrap(args[withMethod ? 2 : 1]);
+      const url = matcher && matcher.type === 'ObjectExpression'
+        ? propertyValue(matcher, 'url') || propertyValue(matcher, 'hostname') : matcher;
+      if (!response || isThirdPartyUrl(url, allowlist)) return false;
+      const handler = resolveCallback(response, ctx, cache);
+      return handler && handler.fn ? callsMethod(handler.fn.body, REPLY_METHODS) : true;
+    }
+    if (method === 'routeFromHAR') {
+      const update = unwrap(propertyValue(args[1], 'update'));
+      if (update && update.type === 'Literal' && update.value === true) return false;
+      return !isThirdPartyUrl(propertyValue(args[1], 'url'), allowlist);
+    }
+    if (isThirdPartyUrl(args[0], allowlist)) return false;
+    const handler = resolveCallback(args[1], ctx, cache);
+    return Boolean(handler && handler.fn) && callsMethod(handler.fn.body, FULFILL_METHODS);
+  };
+
+  // fs write into the application directories: the project-relative target, or null
+  const appFileWrite = (node) => {
+    const method = options.isAppPath ? fsMethod(ctx, node.callee) : null;
+    if (!method || !Object.prototype.hasOwnProperty.call(FS_WRITE_METHODS, method)) return null;
+    const target = staticString(node.arguments[FS_WRITE_METHODS[method]], ctx);
+    if (target === null) return null;
+    const relative = path.relative(process.cwd(), path.resolve(target));
+    return options.isAppPath(relative) ? relative : null;
+  };
+
+  const reportNode = (id, node, detail) => push(id, ctx.file, node.loc.start, node.loc.end, ownerOf(node.start), detail);
+
+  const checkAppState = (node) => {
+    if (node.type === 'CallExpression') {
+      const target = appFileWrite(node);
+      if (target) reportNode('APP_SOURCE_WRITE', node, target);
+    }
+    if (node.type === 'Literal' || node.type === 'TemplateLiteral') {
+      const text = node.type === 'Literal' ? stringValue(node) : node.quasis.map(q => q.value.cooked).join('?');
+      const statement = text && schemaStatement(text);
+      if (statement) reportNode('APP_SCHEMA_CHANGE', node, statement);
+    }
+    const names = envTargets(node).filter(name => !(name && options.isTestEnv && options.isTestEnv(name)));
+    if (names.length) reportNode('APP_ENV_MUTATION', node, names.map(name => (name ? `process.env.${name}` : 'process.env')).join(', '));
+  };
+
+  // jest.mock('../src/api'), jest.spyOn(api, 'get'), sinon.stub(store, 'dispatch')
+  const stubsAppModule = (node, method) => {
+    if (!isE2e) return false;
+    if (MODULE_MOCKS.has(method)) return isAppModule(ctx, stringValue(node.arguments[0]));
+    return OBJECT_STUBS.has(method) && isAppModule(ctx, stubbedSource(ctx, node.arguments[0]));
+  };
+
+  walk(ctx.ast, (node) => {
+    checkAppState(node);
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+      const method = propertyName(node.callee);
+      if (Object.prototype.hasOwnProperty.call(EVALUATE_METHODS, method)) {
+        const callback = resolveCallback(node.arguments[EVALUATE_METHODS[method]], ctx, cache);
+        if (callback) inspectCallback(callback, node, receivesElements(node.callee, method));
+      } else if (Object.prototype.hasOwnProperty.call(INJECT_METHODS, method)) {
+        push(INJECT_METHODS[method], ctx.file, node.loc.start, node.loc.end, ownerOf(node.start));
+      } else if (ROUTE_METHODS.has(method) || (method === 'intercept' && chainRoot(node.callee.object) === 'cy')) {
+        if (stubsRoute(node, method)) push('APP_ROUTE_STUB', ctx.file, node.loc.start, node.loc.end, ownerOf(node.start));
+      } else if (EXPOSE_METHODS.has(method) && node.arguments.length > 1) {
+        push('APP_EXPOSED_FUNCTION', ctx.file, node.loc.start, node.loc.end, ownerOf(node.start));
+      } else if (STUB_LIBRARIES.has(chainRoot(node.callee.object)) && stubsAppModule(node, method)) {
+        push('APP_MODULE_STUB', ctx.file, node.loc.start, node.loc.end, ownerOf(node.start));
+      } else if (Object.prototype.hasOwnProperty.call(WDIO_EXECUTE_METHODS, method)
+        && isWdioTarget(node.callee.object) && allows('webdriverio')) {
+        const callback = resolveCallback(node.arguments[WDIO_EXECUTE_METHODS[method]], ctx, cache);
+        // Arguments after the callback are passed in, usually elements
+        if (callback) inspectCallback(callback, node, node.arguments.length > 1, FRAMEWORK_PREFIXES.webdriverio);
+      } else if (method === 'pause' && WDIO_GLOBALS.has(chainRoot(node.callee.object)) && allows('webdriverio')) {
+        push('HARDCODED_WAIT', ctx.file, node.loc.start, node.loc.end, ownerOf(node.start));
+      } else if (chainRoot(node.callee.object) === 'cy' && allows('cypress')) {
+        if (method === 'invoke') {
+          const id = jqueryMutation(stringValue(node.arguments[0]), node.arguments.slice(1));
+          if (id) push(prefixedId(id, FRAMEWORK_PREFIXES.cypress), ctx.file, node.loc.start, node.loc.end, ownerOf(node.start));
+        } else if (CY_CALLBACK_METHODS.has(method)) {
+          const subject = cypressSubject(node.callee.object);
+          const callback = subject && resolveCallback(node.arguments[0], ctx, cache);
+          if (callback && callback.fn) inspectCypressCallback(callback, node, subject);
+        } else if (method === 'wait' && isNumber(node.arguments[0])) {
+          push('HARDCODED_WAIT', ctx.file, node.loc.start, node.loc.end, ownerOf(node.start));
+        }
+      } else if (WAIT_METHODS.has(method) || (method === 'waitFor' && isNumber(node.arguments[0]))) {
+        push('HARDCODED_WAIT', ctx.file, node.loc.start, node.loc.end, ownerOf(node.start));
+      }
+    } else if (isSleepPromise(node)
+      || (node.type === 'AwaitExpression' && isSetTimeoutCall(node.argument))) {
+      push('SLEEP_PROMISE', ctx.file, node.loc.start, node.loc.end, ownerOf(node.start));
+    } else if (node.type === 'NewExpression' && node.callee.type === 'Identifier' && node.callee.name === 'MutationObserver') {
+      push('MUTATION_OBSERVER', ctx.file, node.loc.start, node.loc.end, ownerOf(node.start));
+    } else if (node.type === 'AssignmentExpression' && propertyName(node.left) === 'display') {
+      const value = stringValue(node.right);
+      if (value !== null && DISPLAY_VALUES.has(value.trim())) {
+        push('CSS_DISPLAY_OVERRIDE', ctx.file, node.loc.start, node.loc.end, ownerOf(node.start));
+      }
+    }
+  });
+
+  results.set(ctx.file, out);
+  return out;
+}
+
+/**
+ * Analyses a JS/TS test file and the relative modules it imports.
+ * `options.thirdPartyHosts` lists the host globs tests may stub;
+ * `options.isAppPath(relPath)` and `options.isTestEnv(name)` decide which
+ * file writes and environment variables belong to the application.
+ * Returns { violations } or throws JsParseError when the spec itself cannot
+ * be parsed (callers fall back to pattern matching).
+ */
+function analyzeJsFile(filePath, options = {}) {
+  const cache = new Map();
+  const absolute = path.resolve(filePath);
+  const loaded = buildModule(absolute, fs.readFileSync(absolute, 'utf8'));
+  cache.set(absolute, loaded);
+
+  const results = new Map();
+  const violations = analyzeModule(loaded, cache, results, options).map(v => Object.assign(v, { importedBy: null }));
+
+  // Follow relative imports and keep violations inside the bindings the importer uses
+  const visited = new Set([absolute]);
+  const queue = [loaded];
+  while (queue.length) {
+    const importer = queue.shift();
+    const bySource = new Map();
+    for (const imp of importer.imports.values()) {
+      const file = resolveModulePath(importer.file, imp.source);
+      if (!file) continue;
+      if (!bySource.has(file)) bySource.set(file, new Set());
+      bySource.get(file).add(imp.imported);
+    }
+    for (const [file, names] of bySource) {
+      if (visited.has(file)) continue;
+      visited.add(file);
+      const helper = loadModule(file, cache);
+      if (!helper) continue;
+      // Helpers without runner imports (e.g. Cypress support files) take the importer's
+      if (!helper.framework) helper.framework = importer.framework;
+      const found = results.get(file) || analyzeModule(helper, cache, results, options);
+      const usesAll = names.has('*') || names.has('default');
+      const used = new Set();
+      for (const name of names) {
+        const target = helper.exports.get(name);
+        used.add(typeof target === 'string' ? target : name);
+      }
+      for (const v of found) {
+        if (usesAll || (v.owner && used.has(v.owner))) {
+          violations.push(Object.assign({}, v, { importedBy: importer.file }));
+        }
+      }
+      queue.push(helper);
+    }
+  }
+
+  return { violations };
+}
+
+module.exports = { analyzeJsFile, analyzeScript, SCHEMA_SQL };
@@ -0,0 +1,1663 @@
+/**
+ * Minimal JavaScript/TypeScript parser (no dependencies)
+ *
+ * Produces an ESTree-shaped syntax tree that is good enough for static test
+ * analysis: every node carries `start`/`end` offsets and a `loc` with 1-based
+ * lines and 0-based columns. TypeScript syntax (annotations, generics, `as`,
+ * interfaces, enums, declare blocks) is recognised and skipped — types never
+ * appear in the tree. JSX is not supported; callers should treat a thrown
+ * `JsParseError` as "could not analyse this file".
+ *
+ * Exports:
+ *   parse(source)          -> Program node (with `comments`)
+ *   walk(node, visit)      -> depth-first traversal, visit(node, parent)
+ *   JsParseError
+ */
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+class JsParseError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (${line}:${column + 1})`);
+    this.name = 'JsParseError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+  '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%',
+  '&', '|', '^', '!', '~', '?', ':', '=', '.', '@',
+];
+
+// Keywords after which a `/` starts a regular expression rather than a division
+const REGEX_PRECEDING_WORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'case', 'do', 'else', 'yield', 'await',
+]);
+
+// Statements whose parenthesised head is followed by a statement, so a `/`
+// after the closing `)` starts a regular expression: `if (x) /re/.test(y)`
+const PARENTHESISED_HEADS = new Set(['if', 'while', 'for', 'with']);
+
+function isIdentStart(ch) {
+  return /[A-Za-z_$\u00a0-\uffff]/.test(ch);
+}
+
+function isIdentPart(ch) {
+  return /[A-Za-z0-9_$\u00a0-\uffff]/.test(ch);
+}
+
+function buildLineIndex(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+function positionAt(lineStarts, offset) {
+  let lo = 0;
+  let hi = lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineStarts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return { line: lo + 1, column: offset - lineStarts[lo] };
+}
+
+function tokenize(source, lineStarts) {
+  const tokens = [];
+  const comments = [];
+  let pos = 0;
+  let newlineBefore = false;
+  // Brace stack lets `}` resume a template literal after `${ ... }` and
+  // records whether each `{` opened a block or an object literal
+  const braceStack = [];
+  // Paren stack records which `(` opened an if/while/for/with head
+  const parenStack = [];
+
+  const loc = (offset) => positionAt(lineStarts, offset);
+  const fail = (msg, at) => {
+    const p = loc(at);
+    throw new JsParseError(msg, p.line, p.column);
+  };
+
+  function lastSignificant() {
+    return tokens.length ? tokens[tokens.length - 1] : null;
+  }
+
+  function regexAllowed() {
+    const prev = lastSignificant();
+    if (!prev) return true;
+    if (prev.type === 'template' || prev.type === 'templateContinue') return !prev.tail;
+    if (prev.type === 'num' || prev.type === 'string' || prev.type === 'regex') return false;
+    if (prev.type === 'name') return REGEX_PRECEDING_WORDS.has(prev.value);
+    if (prev.value === ')') return Boolean(prev.closesHead);
+    if (prev.value === '}') return Boolean(prev.closesBlock);
+    if (prev.value === '++' || prev.value === '--') return !prev.postfix;
+    return prev.value !== ']';
+  }
+
+  // Whether a `{` opens a block (statement, function or class body) rather
+  // than an object literal; a `/` after the block's `}` starts a regex
+  function braceIsBlock() {
+    const prev = lastSignificant();
+    if (!prev) return true;
+    if (prev.type === 'name') {
+      if (prev.value === 'return') return newlineBefore;
+      return prev.value === 'else' || prev.value === 'do' || !REGEX_PRECEDING_WORDS.has(prev.value);
+    }
+    return prev.type === 'punct' && [')', ']', '{', '}', ';', '=>', '>'].includes(prev.value);
+  }
+
+  function push(type, value, start, extra) {
+    const token = { type, value, start, end: pos, loc: loc(start), newlineBefore };
+    if (extra) Object.assign(token, extra);
+    tokens.push(token);
+    newlineBefore = false;
+    return token;
+  }
+
+  function readString(quote) {
+    const start = pos;
+    pos++;
+    let value = '';
+    while (pos < source.length) {
+      const ch = source[pos];
+      if (ch === quote) { pos++; return push('string', value, start); }
+      if (ch === '\\') {
+        value += readEscape();
+        continue;
+      }
+      if (ch === '\n') break;
+      value += ch;
+      pos++;
+    }
+    return fail('Unterminated string literal', start);
+  }
+
+  function readEscape() {
+    pos++; // backslash
+    const ch = source[pos++];
+    switch (ch) {
+      case 'n': return '\n';
+      case 't': return '\t';
+      case 'r': return '\r';
+      case 'b': return '\b';
+      case 'f': return '\f';
+      case 'v': return '\v';
+      case '0': return '\0';
+      case '\r': if (source[pos] === '\n') pos++; return '';
+      case '\n': return '';
+      case 'x': {
+        const hex = source.substr(pos, 2);
+        pos += 2;
+        return String.fromCharCode(parseInt(hex, 16) || 0);
+      }
+      case 'u': {
+        if (source[pos] === '{') {
+          const close = source.indexOf('}', pos);
+          const cp = parseInt(source.slice(pos + 1, close), 16) || 0;
+          pos = close + 1;
+          return String.fromCodePoint(cp);
+        }
+        const hex = source.substr(pos, 4);
+        pos += 4;
+        return String.fromCharCode(parseInt(hex, 16) || 0);
+      }
+      default: return ch === undefined ? '' : ch;
+    }
+  }
+
+  // Reads a template chunk starting just after "`" or "}" and stops at "`" or "${"
+  function readTemplateChunk(start) {
+    let cooked = '';
+    while (pos < source.length) {
+      const ch = source[pos];
+      if (ch === '`') {
+        pos++;
+        return { cooked, tail: true };
+      }
+      if (ch === '$' && source[pos + 1] === '{') {
+        pos += 2;
+        return { cooked, tail: false };
+      }
+      if (ch === '\\') {
+        cooked += readEscape();
+        continue;
+      }
+      cooked += ch;
+      pos++;
+    }
+    return fail('Unterminated template literal', start);
+  }
+
+  function readRegex() {
+    const start = pos;
+    pos++;
+    let inClass = false;
+    while (pos < source.length) {
+      const ch = source[pos];
+      if (ch === '\n') break;
+      if (ch === '\\') { pos += 2; continue; }
+      if (ch === '[') inClass = true;
+      else if (ch === ']') inClass = false;
+      else if (ch === '/' && !inClass) {
+        pos++;
+        while (pos < source.length && isIdentPart(source[pos])) pos++;
+        return push('regex', source.slice(start, pos), start);
+      }
+      pos++;
+    }
+    return fail('Unterminated regular expression', start);
+  }
+
+  function readNumber() {
+    const start = pos;
+    const rest = source.slice(pos);
+    const m = rest.match(/^(?:0[xX][0-9a-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?)n?/);
+    pos += m[0].length;
+    return push('num', m[0], start);
+  }
+
+  if (source.startsWith('#!')) {
+    while (pos < source.length && source[pos] !== '\n') pos++;
+  }
+
+  while (pos < source.length) {
+    const ch = source[pos];
+
+    if (ch === '\n') { newlineBefore = true; pos++; continue; }
+    if (/[ \t\r\f\v\ufeff\u00a0\u2028\u2029]/.test(ch)) {
+      pos++;
+      continue;
+    }
+
+    if (ch === '/' && source[pos + 1] === '/') {
+      const start = pos;
+      while (pos < source.length && source[pos] !== '\n') pos++;
+      comments.push({ type: 'Line', value: source.slice(start + 2, pos), start, end: pos, loc: loc(start) });
+      continue;
+    }
+    if (ch === '/' && source[pos + 1] === '*') {
+      const start = pos;
+      const close = source.indexOf('*/', pos + 2);
+      if (close === -1) fail('Unterminated comment', start);
+      const text = source.slice(start + 2, close);
+      if (text.includes('\n')) newlineBefore = true;
+      pos = close + 2;
+      comments.push({ type: 'Block', value: text, start, end: pos, loc: loc(start) });
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") { readString(ch); continue; }
+
+    if (ch === '`') {
+      const start = pos;
+      pos++;
+      const chunk = readTemplateChunk(start);
+      const token = push('template', '', start, { quasis: [chunk.cooked], tail: chunk.tail, head: true });
+      if (!chunk.tail) braceStack.push({ template: token });
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[pos + 1] || ''))) { readNumber(); continue; }
+
+    if (isIdentStart(ch) || ch === '\\' || (ch === '#' && isIdentStart(source[pos + 1] || ''))) {
+      const start = pos;
+      pos++;
+      while (pos < source.length && isIdentPart(source[pos])) pos++;
+      push('name', source.slice(start, pos), start);
+      continue;
+    }
+
+    if (ch === '/' && regexAllowed()) { readRegex(); continue; }
+
+    let closesBlock = false;
+    if (ch === '{') {
+      braceStack.push({ block: braceIsBlock() });
+    } else if (ch === '}') {
+      const entry = braceStack.pop();
+      closesBlock = Boolean(entry && entry.block);
+      if (entry && entry.template) {
+        // Continue the enclosing template literal
+        const start = pos;
+        pos++;
+        const chunk = readTemplateChunk(start);
+        push('templateContinue', '', start, { cooked: chunk.cooked, tail: chunk.tail });
+        if (!chunk.tail) braceStack.push(entry);
+        continue;
+      }
+    }
+
+    let matched = null;
+    for (const p of PUNCTUATORS) {
+      if (source.startsWith(p, pos)) { matched = p; break; }
+    }
+    if (!matched) fail(`Unexpected character '${ch}'`, pos);
+    // `?.5` is a conditional followed by a number, not optional chaining
+    if (matched === '?.' && /[0-9]/.test(source[pos + 2] || '')) matched = '?';
+    const start = pos;
+    pos += matched.length;
+    if (matched === '(') {
+      const prev = lastSignificant();
+      const beforePrev = tokens[tokens.length - 2];
+      parenStack.push(Boolean(prev && prev.type === 'name' && PARENTHESISED_HEADS.has(prev.value)
+        && !(beforePrev && beforePrev.value === '.')));
+    }
+    let extra = null;
+    if (matched === ')' && parenStack.pop()) extra = { closesHead: true };
+    else if (matched === '}' && closesBlock) extra = { closesBlock: true };
+    // `i++ / 2`: a postfix update follows an operand on the same line
+    else if ((matched === '++' || matched === '--') && !newlineBefore && tokens.length && !regexAllowed()) extra = { postfix: true };
+    push('punct', matched, start, extra);
+  }
+
+  tokens.push({ type: 'eof', value: '', start: source.length, end: source.length, loc: loc(source.length), newlineBefore: true });
+  return { tokens, comments };
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+const ASSIGN_OPS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??=']);
+
+const BINARY_PRECEDENCE = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '|': 4,
+  '^': 5,
+  '&': 6,
+  '==': 7, '!=': 7, '===': 7, '!==': 7,
+  '<': 8, '>': 8, '<=': 8, '>=': 8, 'instanceof': 8, 'in': 8, 'as': 8, 'satisfies': 8,
+  '<<': 9, '>>': 9, '>>>': 9,
+  '+': 10, '-': 10,
+  '*': 11, '/': 11, '%': 11,
+  '**': 12,
+};
+
+const UNARY_WORDS = new Set(['typeof', 'void', 'delete', 'await']);
+
+const CLASS_MODIFIERS = new Set(['public', 'private', 'protected', 'readonly', 'static', 'abstract', 'override', 'declare', 'accessor']);
+
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.lineStarts = buildLineIndex(source);
+    const { tokens, comments } = tokenize(source, this.lineStarts);
+    this.tokens = tokens;
+    this.comments = comments;
+    this.i = 0;
+    this.noIn = false;
+  }
+
+  // --- token helpers -------------------------------------------------------
+
+  get tok() { return this.tokens[this.i]; }
+  peek(n = 1) { return this.tokens[Math.min(this.i + n, this.tokens.length - 1)]; }
+
+  is(value) {
+    const t = this.tok;
+    return (t.type === 'punct' || t.type === 'name') && t.value === value;
+  }
+
+  isName(value) {
+    return this.tok.type === 'name' && (value === undefined || this.tok.value === value);
+  }
+
+  eat(value) {
+    if (this.is(value)) { this.i++; return true; }
+    return false;
+  }
+
+  expect(value) {
+    if (!this.eat(value)) this.unexpected(`Expected '${value}'`);
+  }
+
+  next() { return this.tokens[this.i++]; }
+
+  unexpected(msg) {
+    const t = this.tok;
+    throw new JsParseError(`${msg || 'Unexpected token'} near '${t.value || t.type}'`, t.loc.line, t.loc.column);
+  }
+
+  node(type, startToken, props) {
+    const prev = this.tokens[this.i - 1] || startToken;
+    const node = { type, start: startToken.start, end: prev.end };
+    Object.assign(node, props);
+    node.loc = {
+      start: positionAt(this.lineStarts, node.start),
+      end: positionAt(this.lineStarts, node.end),
+    };
+    return node;
+  }
+
+  semicolon() {
+    if (this.eat(';')) return;
+    if (this.is('}') || this.tok.type === 'eof' || this.tok.newlineBefore) return;
+    this.unexpected('Expected ;');
+  }
+
+  // Skip a balanced bracket group starting at the current token
+  skipBalanced() {
+    const open = this.tok.value;
+    const close = { '(': ')', '[': ']', '{': '}' }[open];
+    let depth = 0;
+    while (this.tok.type !== 'eof') {
+      const t = this.next();
+      if (t.type === 'punct' && t.value === open) depth++;
+      else if (t.type === 'punct' && t.value === close) {
+        depth--;
+        if (depth === 0) return;
+      } else if (t.type === 'template' && !t.tail) {
+        this.skipTemplateRest();
+      }
+    }
+  }
+
+  skipTemplateRest() {
+    let depth = 1;
+    while (this.tok.type !== 'eof' && depth > 0) {
+      const t = this.next();
+      if (t.type === 'template' && !t.tail) depth++;
+      else if (t.type === 'templateContinue' && t.tail) depth--;
+    }
+  }
+
+  // Skip `<...>` generic arguments/parameters; returns false when unbalanced
+  skipAngles() {
+    let depth = 0;
+    while (this.tok.type !== 'eof') {
+      const t = this.tok;
+      if (t.type === 'punct') {
+        if (t.value === '<') depth++;
+        else if (t.value === '>') depth--;
+        else if (t.value === '>>') depth -= 2;
+        else if (t.value === '>>>') depth -= 3;
+        else if (t.value === '>=' || t.value === '>>=') return false;
+        else if (t.value === '(' || t.value === '[' || t.value === '{') { this.skipBalanced(); continue; }
+        else if (t.value === ';' || t.value === ')' || t.value === ']' || t.value === '}') return false;
+      }
+      this.i++;
+      if (depth <= 0) return depth === 0;
+    }
+    return false;
+  }
+
+  // Skip a TypeScript type expression. In an arrow's return-type position a
+  // parenthesised type must not swallow the arrow's own `=>`.
+  skipType(arrowReturn) {
+    let expectOperand = true;
+    let first = true;
+    let pendingConditional = 0;
+    while (this.tok.type !== 'eof') {
+      const t = this.tok;
+      if (t.type !== 'punct' || t.value !== '(') first = false;
+      if (expectOperand) {
+        if (t.type === 'name' && ['keyof', 'typeof', 'readonly', 'unique', 'infer', 'new', 'asserts', 'abstract'].includes(t.value)
+          && !this.isTypeTerminator(this.peek())) {
+          this.i++;
+          continue;
+        }
+        if (this.is('|') || this.is('&')) { this.i++; continue; }
+        if (this.is('<')) { if (!this.skipAngles()) return; continue; }
+        if (this.is('(')) {
+          const leading = first;
+          first = false;
+          this.skipBalanced();
+          if (!(arrowReturn && leading) && this.eat('=>')) continue;
+          expectOperand = false;
+          continue;
+        }
+        if (this.is('{') || this.is('[')) { this.skipBalanced(); expectOperand = false; continue; }
+        if (this.is('-') && this.peek().type === 'num') { this.i += 2; expectOperand = false; continue; }
+        if (t.type === 'name' || t.type === 'string' || t.type === 'num') {
+          this.i++;
+          while (this.is('.') && this.peek().type === 'name') this.i += 2;
+          if (this.is('<') && !this.tok.newlineBefore) this.skipAngles();
+          if (this.isName('is') && !this.tok.newlineBefore) { this.i++; continue; }
+          expectOperand = false;
+          continue;
+        }
+        if (t.type === 'template') {
+          this.i++;
+          if (!t.tail) this.skipTemplateRest();
+          expectOperand = false;
+          continue;
+        }
+        return;
+      }
+      if (this.is('[') && !t.newlineBefore) { this.skipBalanced(); continue; }
+      if (this.is('|') || this.is('&')) { this.i++; expectOperand = true; continue; }
+      if (this.isName('extends') && !t.newlineBefore) { this.i++; pendingConditional++; expectOperand = true; continue; }
+      if (pendingConditional > 0 && this.is('?')) { this.i++; expectOperand = true; continue; }
+      if (pendingConditional > 0 && this.is(':')) { this.i++; pendingConditional--; expectOperand = true; continue; }
+      return;
+    }
+  }
+
+  isTypeTerminator(t) {
+    return t.type === 'eof' || (t.type === 'punct' && [',', ')', ']', '}', '=', ';', '>', '|', '&'].includes(t.value));
+  }
+
+  skipTypeAnnotation() {
+    if (this.eat(':')) this.skipType();
+  }
+
+  // --- program & statements ------------------------------------------------
+
+  parseProgram() {
+    const start = this.tok;
+    const body = [];
+    while (this.tok.type !== 'eof') {
+      const stmt = this.parseStatement();
+      if (stmt) body.push(stmt);
+    }
+    const program = this.node('Program', start, { body });
+    program.start = 0;
+    program.end = this.source.length;
+    program.comments = this.comments.map(c => Object.assign({}, c, {
+      loc: { start: c.loc, end: positionAt(this.lineStarts, c.end) },
+    }));
+    return program;
+  }
+
+  parseStatement() {
+    const t = this.tok;
+
+    if (t.type === 'punct') {
+      if (t.value === '{') return this.parseBlock();
+      if (t.value === ';') { this.i++; return this.node('EmptyStatement', t, {}); }
+      if (t.value === '@') { this.parseDecorators(); return this.parseStatement(); }
+    }
+
+    if (t.type === 'name') {
+      const next = this.peek();
+      switch (t.value) {
+        case 'var':
+        case 'const':
+          if (t.value === 'const' && next.type === 'name' && next.value === 'enum') { this.i++; return this.skipTsDeclaration(); }
+          return this.parseVarStatement();
+        case 'let':
+          if (next.type === 'name' || (next.type === 'punct' && (next.value === '{' || next.value === '['))) return this.parseVarStatement();
+          break;
+        case 'using':
+          if (next.type === 'name' && !next.newlineBefore) return this.parseVarStatement();
+          break;
+        case 'await':
+          if (next.type === 'name' && next.value === 'using' && this.peek(2).type === 'name' && !this.peek(2).newlineBefore) {
+            this.i++;
+            return this.parseVarStatement();
+          }
+          break;
+        case 'function':
+          return this.parseFunction(true, false);
+        case 'async':
+          if (next.type === 'name' && next.value === 'function' && !next.newlineBefore) {
+            this.i++;
+            return this.parseFunction(true, true);
+          }
+          break;
+        case 'class':
+          return this.parseClass(true);
+        case 'if': return this.parseIf();
+        case 'for': return this.parseFor();
+        case 'while': return this.parseWhile();
+        case 'do': return this.parseDoWhile();
+        case 'return': return this.parseReturn();
+        case 'throw': return this.parseThrow();
+        case 'try': return this.parseTry();
+        case 'switch': return this.parseSwitch();
+        case 'break':
+        case 'continue': {
+          this.i++;
+          let label = null;
+          if (this.tok.type === 'name' && !this.tok.newlineBefore) label = this.parseIdentifier();
+          this.semicolon();
+          return this.node(t.value === 'break' ? 'BreakStatement' : 'ContinueStatement', t, { label });
+        }
+        case 'import':
+          if (!(next.type === 'punct' && (next.value === '(' || next.value === '.'))) return this.parseImport();
+          break;
+        case 'export':
+          return this.parseExport();
+        case 'interface':
+        case 'enum':
+          if (next.type === 'name' && !next.newlineBefore) return this.skipTsDeclaration();
+          break;
+        case 'type':
+          if (next.type === 'name' && !next.newlineBefore) return this.skipTsDeclaration();
+          break;
+        case 'declare':
+          if (next.type === 'name' && !next.newlineBefore) return this.skipTsDeclaration();
+          break;
+        case 'namespace':
+        case 'module':
+          if ((next.type === 'name' || next.type === 'string') && !next.newlineBefore) {
+            this.i += 2;
+            while (this.eat('.')) this.i++;
+            const body = this.parseBlock();
+            return body;
+          }
+          break;
+        case 'abstract':
+          if (next.type === 'name' && next.value === 'class') { this.i++; return this.parseClass(true); }
+          break;
+        default:
+          break;
+      }
+      if (next.type === 'punct' && next.value === ':' && !['true', 'false', 'null', 'this'].includes(t.value)) {
+        const label = this.parseIdentifier();
+        this.expect(':');
+        const body = this.parseStatement();
+        return this.node('LabeledStatement', t, { label, body });
+      }
+    }
+
+    const expression = this.parseExpression();
+    this.semicolon();
+    return this.node('ExpressionStatement', t, { expression });
+  }
+
+  // interface/type/enum/declare — consumed without producing a node
+  skipTsDeclaration() {
+    const start = this.tok;
+    const keyword = this.next().value;
+    if (keyword === 'declare') {
+      // declare const x: T; declare module 'x' { ... }; declare global { ... }
+      while (this.tok.type !== 'eof' && !this.is(';') && !this.is('{') && !this.tok.newlineBefore) {
+        if (this.is('(') || this.is('[')) this.skipBalanced();
+        else if (this.is(':')) { this.i++; this.skipType(); } else this.i++;
+      }
+      if (this.is('{')) this.skipBalanced();
+      this.eat(';');
+      return this.node('EmptyStatement', start, {});
+    }
+    if (keyword === 'type') {
+      this.i++; // name
+      if (this.is('<')) this.skipAngles();
+      this.expect('=');
+      this.skipType();
+      this.semicolon();
+      return this.node('EmptyStatement', start, {});
+    }
+    // interface / enum
+    while (this.tok.type !== 'eof' && !this.is('{')) {
+      if (this.is('<')) this.skipAngles();
+      else this.i++;
+    }
+    this.skipBalanced();
+    return this.node('EmptyStatement', start, {});
+  }
+
+  parseDecorators() {
+    while (this.eat('@')) {
+      this.parseLeftHandSide();
+    }
+  }
+
+  parseBlock() {
+    const start = this.tok;
+    this.expect('{');
+    const body = [];
+    while (!this.is('}')) {
+      if (this.tok.type === 'eof') this.unexpected('Unterminated block');
+      const stmt = this.parseStatement();
+      if (stmt) body.push(stmt);
+    }
+    this.expect('}');
+    return this.node('BlockStatement', start, { body });
+  }
+
+  parseVarStatement() {
+    const decl = this.parseVarDeclaration();
+    this.semicolon();
+    decl.end = this.tokens[this.i - 1].end;
+    return decl;
+  }
+
+  parseVarDeclaration() {
+    const start = this.tok;
+    const kind = this.next().value;
+    const declarations = [];
+    do {
+      const dStart = this.tok;
+      const id = this.parseBindingTarget();
+      if (this.is('!')) this.i++;
+      this.skipTypeAnnotation();
+      let init = null;
+      if (this.eat('=')) init = this.parseAssignment();
+      declarations.push(this.node('VariableDeclarator', dStart, { id, init }));
+    } while (this.eat(','));
+    return this.node('VariableDeclaration', start, { kind, declarations });
+  }
+
+  parseBindingTarget() {
+    const t = this.tok;
+    if (this.is('{') || this.is('[')) {
+      const pattern = this.parsePrimary();
+      return pattern;
+    }
+    if (t.type !== 'name') this.unexpected('Expected binding name');
+    return this.parseIdentifier();
+  }
+
+  parseIdentifier() {
+    const t = this.tok;
+    if (t.type !== 'name') this.unexpected('Expected identifier');
+    this.i++;
+    return this.node('Identifier', t, { name: t.value });
+  }
+
+  parseFunction(isStatement, isAsync, startToken) {
+    const start = startToken || (isAsync ? this.tokens[this.i - 1] : this.tok);
+    this.expect('function');
+    const generator = this.eat('*');
+    let id = null;
+    if (this.tok.type === 'name') id = this.parseIdentifier();
+    else if (isStatement && !this.is('(') && !this.is('<')) this.unexpected('Expected function name');
+    if (this.is('<')) this.skipAngles();
+    const params = this.parseParams();
+    this.skipTypeAnnotation();
+    if (!this.is('{')) {
+      // Overload signature: `function f(a: string): void;`
+      this.semicolon();
+      return this.node('EmptyStatement', start, {});
+    }
+    const body = this.parseFunctionBody(isAsync, generator);
+    return this.node(isStatement ? 'FunctionDeclaration' : 'FunctionExpression', start, {
+      id, params, body, async: isAsync, generator,
+    });
+  }
+
+  parseFunctionBody() {
+    const savedNoIn = this.noIn;
+    this.noIn = false;
+    const body = this.parseBlock();
+    this.noIn = savedNoIn;
+    return body;
+  }
+
+  parseParams() {
+    this.expect('(');
+    const params = [];
+    while (!this.is(')')) {
+      params.push(this.parseParam());
+      if (!this.is(')')) this.expect(',');
+    }
+    this.expect(')');
+    return params;
+  }
+
+  parseParam() {
+    const start = this.tok;
+    if (this.is('@')) this.parseDecorators();
+    while (this.tok.type === 'name' && CLASS_MODIFIERS.has(this.tok.value)
+      && (this.peek().type === 'name' || this.peek().value === '{' || this.peek().value === '[')) {
+      this.i++;
+    }
+    if (this.eat('...')) {
+      const argument = this.parseBindingTarget();
+      this.skipTypeAnnotation();
+      return this.node('RestElement', start, { argument });
+    }
+    const target = this.parseBindingTarget();
+    this.eat('?');
+    this.skipTypeAnnotation();
+    if (this.eat('=')) {
+      const right = this.parseAssignment();
+      return this.node('AssignmentPattern', start, { left: target, right });
+    }
+    return target;
+  }
+
+  parseClass(isStatement) {
+    const start = this.tok;
+    this.expect('class');
+    let id = null;
+    if (this.tok.type === 'name' && !this.isName('extends') && !this.isName('implements')) id = this.parseIdentifier();
+    if (this.is('<')) this.skipAngles();
+    let superClass = null;
+    if (this.eat('extends')) {
+      superClass = this.parseLeftHandSide();
+      if (this.is('<')) this.skipAngles();
+    }
+    if (this.eat('implements')) {
+      do { this.skipType(); } while (this.eat(','));
+    }
+    const bodyStart = this.tok;
+    this.expect('{');
+    const members = [];
+    while (!this.eat('}')) {
+      if (this.tok.type === 'eof') this.unexpected('Unterminated class body');
+      const member = this.parseClassMember();
+      if (member) members.push(member);
+    }
+    const body = this.node('ClassBody', bodyStart, { body: members });
+    return this.node(isStatement ? 'ClassDeclaration' : 'ClassExpression', start, { id, superClass, body });
+  }
+
+  parseClassMember() {
+    const start = this.tok;
+    if (this.eat(';')) return null;
+    if (this.is('@')) this.parseDecorators();
+    let isStatic = false;
+    while (this.tok.type === 'name' && CLASS_MODIFIERS.has(this.tok.value)) {
+      const next = this.peek();
+      // A modifier word followed by `(`, `=`, `;`, `:` or `?` is the member name itself
+      if (next.type === 'punct' && ['(', '=', ';', ':', '?', '!', '<'].includes(next.value)) break;
+      if (next.newlineBefore && next.type !== 'name') break;
+      if (this.tok.value === 'static') isStatic = true;
+      this.i++;
+      if (isStatic && this.is('{')) {
+        const body = this.parseBlock();
+        return this.node('StaticBlock', start, { body: body.body });
+      }
+    }
+    // Index signature: [key: string]: T;
+    if (this.is('[') && this.peek().type === 'name' && this.peek(2).value === ':') {
+      this.skipBalanced();
+      this.skipTypeAnnotation();
+      this.semicolon();
+      return null;
+    }
+    let kind = 'method';
+    let isAsync = false;
+    let generator = false;
+    if (this.isName('async') && !this.peek().newlineBefore && !['(', '=', ';', ':', '?', '<'].includes(this.peek().value)) {
+      this.i++;
+      isAsync = true;
+    }
+    if (this.eat('*')) generator = true;
+    if ((this.isName('get') || this.isName('set')) && !['(', '=', ';', ':', '?', '<'].includes(this.peek().value)) {
+      kind = this.next().value;
+    }
+    const { key, computed } = this.parsePropertyKey();
+    this.eat('?');
+    this.eat('!');
+    if (this.is('(') || this.is('<')) {
+      const fnStart = this.tok;
+      if (this.is('<')) this.skipAngles();
+      const params = this.parseParams();
+      this.skipTypeAnnotation();
+      if (!this.is('{')) {
+        this.semicolon();
+        return null;
+      }
+      const body = this.parseFunctionBody();
+      const value = this.node('FunctionExpression', fnStart, { id: null, params, body, async: isAsync, generator });
+      if (key.type === 'Identifier' && key.name === 'constructor') kind = 'constructor';
+      return this.node('MethodDefinition', start, { key, computed, value, kind, static: isStatic });
+    }
+    this.skipTypeAnnotation();
+    let value = null;
+    if (this.eat('=')) value = this.parseAssignment();
+    this.semicolon();
+    return this.node('PropertyDefinition', start, { key, computed, value, static: isStatic });
+  }
+
+  parsePropertyKey() {
+    const t = this.tok;
+    if (this.eat('[')) {
+      const key = this.parseAssignment();
+      this.expect(']');
+      return { key, computed: true };
+    }
+    if (t.type === 'string' || t.type === 'num') {
+      this.i++;
+      return { key: this.node('Literal', t, { value: t.type === 'num' ? Number(t.value.replace(/_/g, '')) : t.value, raw: t.value }), computed: false };
+    }
+    if (t.type === 'name') {
+      this.i++;
+      return { key: this.node('Identifier', t, { name: t.value }), computed: false };
+    }
+    return this.unexpected('Expected property name');
+  }
+
+  parseIf() {
+    const start = this.next();
+    this.expect('(');
+    const test = this.parseExpression();
+    this.expect(')');
+    const consequent = this.parseStatement();
+    const alternate = this.eat('else') ? this.parseStatement() : null;
+    return this.node('IfStatement', start, { test, consequent, alternate });
+  }
+
+  parseFor() {
+    const start = this.next();
+    const isAwait = this.eat('await');
+    this.expect('(');
+    let init = null;
+    this.noIn = true;
+    if (this.is(';')) {
+      init = null;
+    } else if (this.isName('var') || this.isName('const') || (this.isName('let') && (this.peek().type === 'name' || this.peek().value === '[' || this.peek().value === '{'))
+      || (this.isName('using') && this.peek().type === 'name' && this.peek().value !== 'of')) {
+      init = this.parseVarDeclaration();
+    } else {
+      init = this.parseExpression();
+    }
+    this.noIn = false;
+    if (this.isName('of') || this.isName('in')) {
+      const isOf = this.next().value === 'of';
+      const right = isOf ? this.parseAssignment() : this.parseExpression();
+      this.expect(')');
+      const body = this.parseStatement();
+      return this.node(isOf ? 'ForOfStatement' : 'ForInStatement', start, { left: init, right, body, await: isAwait });
+    }
+    this.expect(';');
+    const test = this.is(';') ? null : this.parseExpression();
+    this.expect(';');
+    const update = this.is(')') ? null : this.parseExpression();
+    this.expect(')');
+    const body = this.parseStatement();
+    return this.node('ForStatement', start, { init, test, update, body });
+  }
+
+  parseWhile() {
+    const start = this.next();
+    this.expect('(');
+    const test = this.parseExpression();
+    this.expect(')');
+    const body = this.parseStatement();
+    return this.node('WhileStatement', start, { test, body });
+  }
+
+  parseDoWhile() {
+    const start = this.next();
+    const body = this.parseStatement();
+    this.expect('while');
+    this.expect('(');
+    const test = this.parseExpression();
+    this.expect(')');
+    this.eat(';');
+    return this.node('DoWhileStatement', start, { body, test });
+  }
+
+  parseReturn() {
+    const start = this.next();
+    let argument = null;
+    if (!this.is(';') && !this.is('}') && this.tok.type !== 'eof' && !this.tok.newlineBefore) {
+      argument = this.parseExpression();
+    }
+    this.semicolon();
+    return this.node('ReturnStatement', start, { argument });
+  }
+
+  parseThrow() {
+    const start = this.next();
+    const argument = this.parseExpression();
+    this.semicolon();
+    return this.node('ThrowStatement', start, { argument });
+  }
+
+  parseTry() {
+    const start = this.next();
+    const block = this.parseBlock();
+    let handler = null;
+    let finalizer = null;
+    if (this.is('catch')) {
+      const cStart = this.next();
+      let param = null;
+      if (this.eat('(')) {
+        param = this.parseBindingTarget();
+        this.skipTypeAnnotation();
+        this.expect(')');
+      }
+      const body = this.parseBlock();
+      handler = this.node('CatchClause', cStart, { param, body });
+    }
+    if (this.eat('finally')) finalizer = this.parseBlock();
+    return this.node('TryStatement', start, { block, handler, finalizer });
+  }
+
+  parseSwitch() {
+    const start = this.next();
+    this.expect('(');
+    const discriminant = this.parseExpression();
+    this.expect(')');
+    this.expect('{');
+    const cases = [];
+    while (!this.eat('}')) {
+      const cStart = this.tok;
+      let test = null;
+      if (this.eat('case')) test = this.parseExpression();
+      else this.expect('default');
+      this.expect(':');
+      const consequent = [];
+      while (!this.is('case') && !this.is('default') && !this.is('}')) {
+        if (this.tok.type === 'eof') this.unexpected('Unterminated switch');
+        consequent.push(this.parseStatement());
+      }
+      cases.push(this.node('SwitchCase', cStart, { test, consequent }));
+    }
+    return this.node('SwitchStatement', start, { discriminant, cases });
+  }
+
+  parseImport() {
+    const start = this.next();
+    const specifiers = [];
+    let importKind = 'value';
+    if (this.isName('type') && (this.peek().type === 'name' || this.peek().value === '{' || this.peek().value === '*') && !(this.peek().type === 'name' && this.peek().value === 'from')) {
+      this.i++;
+      importKind = 'type';
+    }
+    if (this.tok.type === 'string') {
+      const source = this.parseLiteral();
+      this.skipImportAttributes();
+      this.semicolon();
+      return this.node('ImportDeclaration', start, { specifiers, source, importKind });
+    }
+    if (this.tok.type === 'name' && !this.isName('from')) {
+      const local = this.parseIdentifier();
+      // import x = require('y')  (TypeScript)
+      if (this.eat('=')) {
+        const init = this.parseAssignment();
+        this.semicolon();
+        const declarator = this.node('VariableDeclarator', local, { id: local, init });
+        return this.node('VariableDeclaration', start, { kind: 'const', declarations: [declarator] });
+      }
+      specifiers.push(this.node('ImportDefaultSpecifier', local, { local }));
+      this.eat(',');
+    }
+    if (this.is('*')) {
+      const sStart = this.next();
+      this.expect('as');
+      const local = this.parseIdentifier();
+      specifiers.push(this.node('ImportNamespaceSpecifier', sStart, { local }));
+    } else if (this.eat('{')) {
+      while (!this.eat('}')) {
+        const sStart = this.tok;
+        if (this.isName('type') && this.peek().type === 'name' && this.peek().value !== 'as') this.i++;
+        const imported = this.tok.type === 'string' ? this.parseLiteral() : this.parseIdentifier();
+        const local = this.eat('as') ? this.parseIdentifier() : imported;
+        specifiers.push(this.node('ImportSpecifier', sStart, { imported, local }));
+        if (!this.is('}')) this.expect(',');
+      }
+    }
+    this.expect('from');
+    const source = this.parseLiteral();
+    this.skipImportAttributes();
+    this.semicolon();
+    return this.node('ImportDeclaration', start, { specifiers, source, importKind });
+  }
+
+  skipImportAttributes() {
+    if ((this.isName('with') || this.isName('assert')) && !this.tok.newlineBefore && this.peek().value === '{') {
+      this.i++;
+      this.skipBalanced();
+    }
+  }
+
+  parseExport() {
+    const start = this.next();
+    if (this.eat('=')) {
+      const expression = this.parseAssignment();
+      this.semicolon();
+      return this.node('ExportDefaultDeclaration', start, { declaration: expression });
+    }
+    if (this.eat('default')) {
+      let declaration;
+      if (this.isName('function')) declaration = this.parseFunction(true, false);
+      else if (this.isName('async') && this.peek().value === 'function') { this.i++; declaration = this.parseFunction(true, true); }
+      else if (this.isName('class')) declaration = this.parseClass(true);
+      else {
+        declaration = this.parseAssignment();
+        this.semicolon();
+      }
+      return this.node('ExportDefaultDeclaration', start, { declaration });
+    }
+    if (this.isName('type') && (this.peek().value === '{' || this.peek().value === '*')) this.i++;
+    if (this.is('*')) {
+      this.i++;
+      let exported = null;
+      if (this.eat('as')) exported = this.parseIdentifier();
+      this.expect('from');
+      const source = this.parseLiteral();
+      this.skipImportAttributes();
+      this.semicolon();
+      return this.node('ExportAllDeclaration', start, { exported, source });
+    }
+    if (this.eat('{')) {
+      const specifiers = [];
+      while (!this.eat('}')) {
+        const sStart = this.tok;
+        if (this.isName('type') && this.peek().type === 'name' && this.peek().value !== 'as') this.i++;
+        const local = this.tok.type === 'string' ? this.parseLiteral() : this.parseIdentifier();
+        const exported = this.eat('as') ? (this.tok.type === 'string' ? this.parseLiteral() : this.parseIdentifier()) : local;
+        specifiers.push(this.node('ExportSpecifier', sStart, { local, exported }));
+        if (!this.is('}')) this.expect(',');
+      }
+      let source = null;
+      if (this.eat('from')) {
+        source = this.parseLiteral();
+        this.skipImportAttributes();
+      }
+      this.semicolon();
+      return this.node('ExportNamedDeclaration', start, { declaration: null, specifiers, source });
+    }
+    if (this.isName('import')) {
+      // export import A = B.C;
+      const declaration = this.parseImport();
+      return this.node('ExportNamedDeclaration', start, { declaration, specifiers: [], source: null });
+    }
+    const declaration = this.parseStatement();
+    return this.node('ExportNamedDeclaration', start, { declaration, specifiers: [], source: null });
+  }
+
+  // --- expressions ---------------------------------------------------------
+
+  parseExpression() {
+    const start = this.tok;
+    const first = this.parseAssignment();
+    if (!this.is(',')) return first;
+    const expressions = [first];
+    while (this.eat(',')) expressions.push(this.parseAssignment());
+    return this.node('SequenceExpression', start, { expressions });
+  }
+
+  parseAssignment() {
+    const start = this.tok;
+
+    const arrow = this.tryParseArrow();
+    if (arrow) return arrow;
+
+    if (this.isName('yield') && !(this.peek().type === 'punct' && [')', ']', '}', ',', ';', ':', '=', '.', '?.', '=>'].includes(this.peek().value))) {
+      this.i++;
+      const delegate = this.eat('*');
+      const hasArgument = !this.tok.newlineBefore && !(this.tok.type === 'punct' && [')', ']', '}', ',', ';', ':'].includes(this.tok.value));
+      const argument = hasArgument ? this.parseAssignment() : null;
+      return this.node('YieldExpression', start, { argument, delegate });
+    }
+
+    const left = this.parseConditional();
+    if (this.tok.type === 'punct' && ASSIGN_OPS.has(this.tok.value)) {
+      const operator = this.next().value;
+      const right = this.parseAssignment();
+      return this.node('AssignmentExpression', start, { operator, left, right });
+    }
+    return left;
+  }
+
+  // Attempts to parse an arrow function at the current position; restores on failure
+  tryParseArrow() {
+    const start = this.tok;
+    const saved = this.i;
+    let isAsync = false;
+
+    if (this.isName('async') && !this.peek().newlineBefore) {
+      const next = this.peek();
+      if (next.type === 'name' && this.peek(2).value === '=>') {
+        this.i++;
+        isAsync = true;
+      } else if (next.value === '(' || next.value === '<') {
+        this.i++;
+        isAsync = true;
+      }
+    }
+
+    // Single identifier parameter: x => ...
+    if (this.tok.type === 'name' && this.peek().value === '=>' && !this.peek().newlineBefore) {
+      const param = this.parseIdentifier();
+      this.expect('=>');
+      return this.finishArrow(start, [param], isAsync);
+    }
+
+    if (!this.is('(') && !this.is('<')) {
+      this.i = saved;
+      return null;
+    }
+
+    // Fast rejection: the matching `)` must be followed by `=>` or `:`
+    if (this.is('(')) {
+      const probe = this.i;
+      this.skipBalanced();
+      const after = this.tok;
+      this.i = probe;
+      if (!(after.value === '=>' && !after.newlineBefore) && after.value !== ':') {
+        this.i = saved;
+        return null;
+      }
+    }
+
+    // Only the head is speculative; once `=>` is consumed the body must parse
+    let params;
+    try {
+      if (this.is('<')) {
+        if (!this.skipAngles()) throw new JsParseError('not an arrow', 0, 0);
+      }
+      params = this.parseParams();
+      if (this.is(':')) {
+        this.i++;
+        this.skipType(true);
+      }
+      if (!this.is('=>') || this.tok.newlineBefore) throw new JsParseError('not an arrow', 0, 0);
+      this.i++;
+    } catch (err) {
+      if (!(err instanceof JsParseError)) throw err;
+      this.i = saved;
+      return null;
+    }
+    return this.finishArrow(start, params, isAsync);
+  }
+
+  finishArrow(start, params, isAsync) {
+    const savedNoIn = this.noIn;
+    let body;
+    let expression = false;
+    if (this.is('{')) {
+      body = this.parseFunctionBody();
+    } else {
+      expression = true;
+      body = this.parseAssignment();
+    }
+    this.noIn = savedNoIn;
+    return this.node('ArrowFunctionExpression', start, { id: null, params, body, async: isAsync, expression });
+  }
+
+  parseConditional() {
+    const start = this.tok;
+    const test = this.parseBinary(0);
+    if (!this.eat('?')) return test;
+    const savedNoIn = this.noIn;
+    this.noIn = false;
+    const consequent = this.parseAssignment();
+    this.noIn = savedNoIn;
+    this.expect(':');
+    const alternate = this.parseAssignment();
+    return this.node('ConditionalExpression', start, { test, consequent, alternate });
+  }
+
+  binaryOperator() {
+    const t = this.tok;
+    if (t.type === 'punct' && BINARY_PRECEDENCE[t.value] && t.value !== 'as') return t.value;
+    if (t.type === 'name') {
+      if (t.value === 'instanceof') return t.value;
+      if (t.value === 'in' && !this.noIn) return t.value;
+      if ((t.value === 'as' || t.value === 'satisfies') && !t.newlineBefore) return t.value;
+    }
+    return null;
+  }
+
+  parseBinary(minPrec) {
+    const start = this.tok;
+    let left = this.parseUnary();
+    for (;;) {
+      const op = this.binaryOperator();
+      if (!op) break;
+      const prec = BINARY_PRECEDENCE[op];
+      if (prec <= minPrec) break;
+      this.i++;
+      if (op === 'as' || op === 'satisfies') {
+        this.skipType();
+        left = this.node('TSAsExpression', start, { expression: left });
+        continue;
+      }
+      const right = this.parseBinary(op === '**' ? prec - 1 : prec);
+      const type = op === '&&' || op === '||' || op === '??' ? 'LogicalExpression' : 'BinaryExpression';
+      left = this.node(type, start, { operator: op, left, right });
+    }
+    return left;
+  }
+
+  parseUnary() {
+    const t = this.tok;
+    if (t.type === 'punct' && ['!', '~', '+', '-'].includes(t.value)) {
+      this.i++;
+      const argument = this.parseUnary();
+      return this.node('UnaryExpression', t, { operator: t.value, prefix: true, argument });
+    }
+    if (t.type === 'punct' && (t.value === '++' || t.value === '--')) {
+      this.i++;
+      const argument = this.parseUnary();
+      return this.node('UpdateExpression', t, { operator: t.value, prefix: true, argument });
+    }
+    if (t.type === 'name' && UNARY_WORDS.has(t.value)) {
+      const next = this.peek();
+      const standalone = next.type === 'eof' || (next.type === 'punct' && [')', ']', '}', ',', ';', ':', '=', '=>', '.', '?.'].includes(next.value));
+      if (!standalone) {
+        this.i++;
+        const argument = this.parseUnary();
+        if (t.value === 'await') return this.node('AwaitExpression', t, { argument });
+        return this.node('UnaryExpression', t, { operator: t.value, prefix: true, argument });
+      }
+    }
+    // <T>expr type assertion (only when clearly a type followed by an expression)
+    if (t.type === 'punct' && t.value === '<' && this.peek().type === 'name') {
+      const saved = this.i;
+      if (this.skipAngles() && !this.is('(')) {
+        return this.parseUnary();
+      }
+      this.i = saved;
+    }
+    const expr = this.parsePostfix();
+    return expr;
+  }
+
+  parsePostfix() {
+    const start = this.tok;
+    const expr = this.parseLeftHandSide();
+    if (this.tok.type === 'punct' && (this.tok.value === '++' || this.tok.value === '--') && !this.tok.newlineBefore) {
+      const operator = this.next().value;
+      return this.node('UpdateExpression', start, { operator, prefix: false, argument: expr });
+    }
+    return expr;
+  }
+
+  parseLeftHandSide() {
+    const start = this.tok;
+    let expr;
+    if (this.isName('new')) {
+      expr = this.parseNew();
+    } else {
+      expr = this.parsePrimary();
+    }
+    return this.parseCallTail(start, expr);
+  }
+
+  parseNew() {
+    const start = this.next();
+    if (this.eat('.')) {
+      const property = this.parseIdentifier(); // new.target
+      return this.node('MetaProperty', start, { meta: { type: 'Identifier', name: 'new' }, property });
+    }
+    let callee = this.isName('new') ? this.parseNew() : this.parsePrimary();
+    // Member accesses bind tighter than `new`, calls do not
+    for (;;) {
+      if (this.eat('.')) {
+        const property = this.parseIdentifier();
+        callee = this.node('MemberExpression', start, { object: callee, property, computed: false, optional: false });
+      } else if (this.is('[')) {
+        this.i++;
+        const property = this.parseExpression();
+        this.expect(']');
+        callee = this.node('MemberExpression', start, { object: callee, property, computed: true, optional: false });
+      } else {
+        break;
+      }
+    }
+    if (this.is('<')) {
+      const saved = this.i;
+      if (!this.skipAngles() || !this.is('(')) this.i = saved;
+    }
+    let args = [];
+    if (this.is('(')) args = this.parseArguments();
+    return this.node('NewExpression', start, { callee, arguments: args });
+  }
+
+  parseCallTail(start, expr) {
+    for (;;) {
+      const t = this.tok;
+      if (t.type === 'punct' && t.value === '.') {
+        this.i++;
+        const property = this.parseIdentifier();
+        expr = this.node('MemberExpression', start, { object: expr, property, computed: false, optional: false });
+      } else if (t.type === 'punct' && t.value === '?.') {
+        this.i++;
+        if (this.is('(')) {
+          const args = this.parseArguments();
+          expr = this.node('CallExpression', start, { callee: expr, arguments: args, optional: true });
+        } else if (this.eat('[')) {
+          const property = this.parseExpression();
+          this.expect(']');
+          expr = this.node('MemberExpression', start, { object: expr, property, computed: true, optional: true });
+        } else {
+          const property = this.parseIdentifier();
+          expr = this.node('MemberExpression', start, { object: expr, property, computed: false, optional: true });
+        }
+      } else if (t.type === 'punct' && t.value === '[') {
+        this.i++;
+        const savedNoIn = this.noIn;
+        this.noIn = false;
+        const property = this.parseExpression();
+        this.noIn = savedNoIn;
+        this.expect(']');
+        expr = this.node('MemberExpression', start, { object: expr, property, computed: true, optional: false });
+      } else if (t.type === 'punct' && t.value === '(') {
+        const args = this.parseArguments();
+        expr = this.node('CallExpression', start, { callee: expr, arguments: args, optional: false });
+      } else if (t.type === 'template') {
+        const quasi = this.parseTemplate();
+        expr = this.node('TaggedTemplateExpression', start, { tag: expr, quasi });
+      } else if (t.type === 'punct' && t.value === '!' && !t.newlineBefore) {
+        // TypeScript non-null assertion
+        this.i++;
+      } else if (t.type === 'punct' && t.value === '<' && !t.newlineBefore) {
+        // Possible generic call: fn<T>(...)
+        const saved = this.i;
+        if (this.skipAngles() && (this.is('(') || this.tok.type === 'template')) continue;
+        this.i = saved;
+        break;
+      } else {
+        break;
+      }
+    }
+    return expr;
+  }
+
+  parseArguments() {
+    this.expect('(');
+    const savedNoIn = this.noIn;
+    this.noIn = false;
+    const args = [];
+    while (!this.is(')')) {
+      const aStart = this.tok;
+      if (this.eat('...')) {
+        const argument = this.parseAssignment();
+        args.push(this.node('SpreadElement', aStart, { argument }));
+      } else {
+        args.push(this.parseAssignment());
+      }
+      if (!this.is(')')) this.expect(',');
+    }
+    this.expect(')');
+    this.noIn = savedNoIn;
+    return args;
+  }
+
+  parseLiteral() {
+    const t = this.next();
+    if (t.type === 'string') return this.node('Literal', t, { value: t.value, raw: this.source.slice(t.start, t.end) });
+    if (t.type === 'num') {
+      const clean = t.value.replace(/_/g, '').replace(/n$/, '');
+      return this.node('Literal', t, { value: Number(clean), raw: t.value });
+    }
+    this.i--;
+    return this.unexpected('Expected literal');
+  }
+
+  parseTemplate() {
+    const start = this.next();
+    const quasis = [this.node('TemplateElement', start, { value: { cooked: start.quasis[0] }, tail: start.tail })];
+    const expressions = [];
+    let tail = start.tail;
+    while (!tail) {
+      const savedNoIn = this.noIn;
+      this.noIn = false;
+      expressions.push(this.parseExpression());
+      this.noIn = savedNoIn;
+      const cont = this.tok;
+      if (cont.type !== 'templateContinue') this.unexpected('Unterminated template expression');
+      this.i++;
+      quasis.push(this.node('TemplateElement', cont, { value: { cooked: cont.cooked }, tail: cont.tail }));
+      tail = cont.tail;
+    }
+    return this.node('TemplateLiteral', start, { quasis, expressions });
+  }
+
+  parsePrimary() {
+    const t = this.tok;
+    switch (t.type) {
+      case 'num':
+      case 'string':
+        return this.parseLiteral();
+      case 'template':
+        return this.parseTemplate();
+      case 'regex':
+        this.i++;
+        return this.node('Literal', t, { value: null, regex: t.value, raw: t.value });
+      case 'name':
+        return this.parseNamePrimary();
+      case 'punct':
+        break;
+      default:
+        return this.unexpected();
+    }
+
+    if (t.value === '(') {
+      this.i++;
+      const savedNoIn = this.noIn;
+      this.noIn = false;
+      const expression = this.parseExpression();
+      this.noIn = savedNoIn;
+      this.expect(')');
+      return expression;
+    }
+    if (t.value === '[') return this.parseArray();
+    if (t.value === '{') return this.parseObject();
+    if (t.value === '@') {
+      this.parseDecorators();
+      return this.parsePrimary();
+    }
+    return this.unexpected();
+  }
+
+  parseNamePrimary() {
+    const t = this.tok;
+    switch (t.value) {
+      case 'true':
+      case 'false':
+        this.i++;
+        return this.node('Literal', t, { value: t.value === 'true', raw: t.value });
+      case 'null':
+        this.i++;
+        return this.node('Literal', t, { value: null, raw: 'null' });
+      case 'this':
+        this.i++;
+        return this.node('ThisExpression', t, {});
+      case 'super':
+        this.i++;
+        return this.node('Super', t, {});
+      case 'function':
+        return this.parseFunction(false, false);
+      case 'class':
+        return this.parseClass(false);
+      case 'async':
+        if (this.peek().value === 'function' && !this.peek().newlineBefore) {
+          this.i++;
+          return this.parseFunction(false, true, t);
+        }
+        break;
+      case 'import':
+        if (this.peek().value === '.') {
+          this.i += 2;
+          const property = this.parseIdentifier();
+          return this.node('MetaProperty', t, { meta: { type: 'Identifier', name: 'import' }, property });
+        }
+        if (this.peek().value === '(') {
+          this.i++;
+          const args = this.parseArguments();
+          return this.node('ImportExpression', t, { source: args[0] || null });
+        }
+        break;
+      default:
+        break;
+    }
+    return this.parseIdentifier();
+  }
+
+  parseArray() {
+    const start = this.next();
+    const elements = [];
+    while (!this.is(']')) {
+      if (this.is(',')) {
+        this.i++;
+        elements.push(null);
+        continue;
+      }
+      const eStart = this.tok;
+      if (this.eat('...')) {
+        const argument = this.parseAssignment();
+        elements.push(this.node('SpreadElement', eStart, { argument }));
+      } else {
+        elements.push(this.parseAssignment());
+      }
+      if (!this.is(']')) this.expect(',');
+    }
+    this.expect(']');
+    return this.node('ArrayExpression', start, { elements });
+  }
+
+  parseObject() {
+    const start = this.next();
+    const properties = [];
+    const savedNoIn = this.noIn;
+    this.noIn = false;
+    while (!this.is('}')) {
+      properties.push(this.parseObjectMember());
+      if (!this.is('}')) this.expect(',');
+    }
+    this.expect('}');
+    this.noIn = savedNoIn;
+    return this.node('ObjectExpression', start, { properties });
+  }
+
+  parseObjectMember() {
+    const start = this.tok;
+    if (this.eat('...')) {
+      const argument = this.parseAssignment();
+      return this.node('SpreadElement', start, { argument });
+    }
+    let isAsync = false;
+    let generator = false;
+    let kind = 'init';
+    const next = this.peek();
+    const nameLike = next.type === 'name' || next.type === 'string' || next.type === 'num' || next.value === '[' || next.value === '*';
+    if (this.isName('async') && nameLike && !next.newlineBefore) {
+      this.i++;
+      isAsync = true;
+    }
+    if (this.eat('*')) generator = true;
+    if ((this.isName('get') || this.isName('set')) && (this.peek().type === 'name' || this.peek().type === 'string' || this.peek().type === 'num' || this.peek().value === '[')) {
+      kind = this.next().value;
+    }
+    const { key, computed } = this.parsePropertyKey();
+    if (this.is('(') || this.is('<')) {
+      const fnStart = this.tok;
+      if (this.is('<')) this.skipAngles();
+      const params = this.parseParams();
+      this.skipTypeAnnotation();
+      const body = this.parseFunctionBody();
+      const value = this.node('FunctionExpression', fnStart, { id: null, params, body, async: isAsync, generator });
+      return this.node('Property', start, { key, value, computed, kind, method: kind === 'init', shorthand: false });
+    }
+    if (this.eat(':')) {
+      const value = this.parseAssignment();
+      return this.node('Property', start, { key, value, computed, kind: 'init', method: false, shorthand: false });
+    }
+    // Shorthand `{ a }` or `{ a = 1 }` (pattern default)
+    if (key.type !== 'Identifier') this.unexpected('Expected : in object literal');
+    let value = key;
+    if (this.eat('=')) {
+      const right = this.parseAssignment();
+      value = this.node('AssignmentPattern', start, { left: key, right });
+    }
+    return this.node('Property', start, { key, value, computed: false, kind: 'init', method: false, shorthand: true });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Traversal
+// ---------------------------------------------------------------------------
+
+const SKIP_KEYS = new Set(['loc', 'start', 'end', 'comments', 'parent', 'type', 'raw', 'regex', 'value']);
+
+function childNodes(node) {
+  const children = [];
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key) && !(key === 'value' && node.value && typeof node.value === 'object' && node.value.type)) continue;
+    const val = node[key];
+    if (Array.isArray(val)) {
+      for (const item of val) if (item && typeof item.type === 'string') children.push(item);
+    } else if (val && typeof val.type === 'string') {
+      children.push(val);
+    }
+  }
+  return children;
+}
+
+/**
+ * Depth-first traversal. `visit(node, parent)` may return false to skip the
+ * node's children. Parent links are attached as a non-enumerable `parent`.
+ */
+function walk(root, visit) {
+  const stack = [[root, null]];
+  while (stack.length) {
+    const [node, parent] = stack.pop();
+    if (!Object.prototype.hasOwnProperty.call(node, 'parent')) {
+      Object.defineProperty(node, 'parent', { value: parent, enumerable: false, writable: true });
+    }
+    if (visit && visit(node, parent) === false) continue;
+    const children = childNodes(node);
+    for (let i = children.length - 1; i >= 0; i--) stack.push([children[i], node]);
+  }
+}
+
+function parse(source) {
+  const parser = new Parser(source);
+  const program = parser.parseProgram();
+  walk(program, null);
+  return program;
+}
+
+module.exports = { parse, walk, JsParseError, positionAt, buildLineIndex };
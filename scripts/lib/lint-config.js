@@ -0,0 +1,275 @@
+/**
+ * The `lint:` section of teamwerk-config.yml
+ *
+ *   lint:
+ *     exclude: ["tests/fixtures/**"]        # files that are never scanned
+ *     rules:                                # severity per rule: critical | warning | off
+ *       DOM_QUERY_SET: critical
+ *       "AC_*": off                         # `*` matches any part of a rule id
+ *       "*BRITTLE_*": warning               # optional rules are off until given a severity
+ *     third-party-hosts:                    # hosts E2E tests may stub (APP_ROUTE_STUB)
+ *       - "*.stripe.com"                    # `*.` also matches the bare domain
+ *       - "www.google-analytics.com"
+ *     app-directories: ["src/", "config/"]  # application code and config (APP_SOURCE_WRITE)
+ *     test-env: ["PLAYWRIGHT_*", "CI"]      # env vars tests may set (APP_ENV_MUTATION)
+ *     scopes:                               # limit rules to path globs
+ *       - rules: [HARDCODED_WAIT, SLEEP_PROMISE]
+ *         include: ["tests/e2e/**"]
+ *         exclude: ["tests/e2e/legacy/**"]
+ *     custom-rules:
+ *       - id: NO_FORCE_CLICK                # regex rule
+ *         description: "click({ force: true }) skips actionability checks"
+ *         severity: warning
+ *         lang: js                          # js | cs | py | java | go | yaml
+ *         pattern: "\\.click\\(\\s*\\{[^}]*force:\\s*true"
+ *       - id: NO_STORE_DISPATCH             # AST rule (js only)
+ *         description: "Test dispatches actions into the app store"
+ *         severity: critical
+ *         lang: js
+ *         ast:
+ *           call: "^window\\.__store\\.dispatch$"
+ *
+ * Regex rules may set `flags` (e.g. "i"; `g` and `y` are rejected) and add
+ * `call: "<regex>"` to match only inside that call's argument list, like the
+ * built-in Go rules. AST rules match `call`, `new` or `assign` against the
+ * dotted path of the callee, constructor or assignment target, e.g.
+ * `page.locator().click` or `window.localStorage.token`; calls appear as
+ * `()`, computed members as `[]`.
+ *
+ * `app-directories` defaults to src/, app/, lib/, config/ and .env files;
+ * paths with a test directory segment (tests/, __tests__/, fixtures/, ...)
+ * never count as application code. `test-env` adds to the runner variables
+ * (CI, DEBUG, PLAYWRIGHT_*, CYPRESS_*, ...) that are always allowed.
+ *
+ * Globs are relative to the project root. `**` spans directories, `*` and `?`
+ * stay within one path segment, a trailing `/` means everything below, and a
+ * glob without `/` matches the file name in any directory.
+ */
+
+const { walk } = require('./js-parser');
+
+const SEVERITIES = ['critical', 'warning', 'off'];
+const LANGS = ['js', 'cs', 'py', 'java', 'go', 'yaml'];
+const AST_KINDS = ['call', 'new', 'assign'];
+
+const DEFAULT_APP_DIRECTORIES = ['src/', 'app/', 'lib/', 'config/', '.env*'];
+const TEST_PATH_SEGMENT = /(?:^|\/)(?:tests?|__tests__|specs?|e2e|androidTest|fixtures|__fixtures__|__snapshots__|__mocks__|testdata)(?:\/|$)/;
+// Variables read by test runners and browsers, not by the application
+const RUNNER_ENV = ['CI', 'DEBUG', 'HEADLESS', 'PWDEBUG', 'PLAYWRIGHT_*', 'PW_*', 'CYPRESS_*', 'WDIO_*', 'JEST_*', 'VITEST*', 'PYTEST_*', 'SELENIUM_*', 'APPIUM_*'];
+
+class LintConfigError extends Error {
+  constructor(message) {
+    super(`teamwerk-config.yml lint: ${message}`);
+    this.name = 'LintConfigError';
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Globs
+// ---------------------------------------------------------------------------
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // "**/" may match zero directories
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function matchesGlob(relPath, glob) {
+  const file = relPath.split('\\').join('/');
+  let pattern = glob.replace(/^\.\//, '');
+  if (pattern.endsWith('/')) pattern += '**';
+  if (!pattern.includes('/')) return globToRegExp(pattern).test(file.slice(file.lastIndexOf('/') + 1));
+  return globToRegExp(pattern).test(file);
+}
+
+// Rule id patterns: `*` matches any run of characters
+function idMatcher(pattern) {
+  const re = new RegExp(`^${String(pattern).split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return (id) => re.test(id);
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+function listOf(value, where) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new LintConfigError(`${where} must be a list`);
+  return value;
+}
+
+const globsOf = (value, where) => listOf(value, where).map(String);
+
+function compileRegex(source, where, flags = '') {
+  try {
+    return new RegExp(source, flags);
+  } catch (err) {
+    throw new LintConfigError(`${where} is not a valid regular expression (${err.message})`);
+  }
+}
+
+function compileCustomRule(raw, index, knownIds) {
+  const where = `custom-rules[${index}]`;
+  if (!raw || typeof raw !== 'object') throw new LintConfigError(`${where} must be a map`);
+  const { id, description, lang } = raw;
+  const severity = raw.severity || 'warning';
+  if (!id || !/^[A-Z][A-Z0-9_]*$/.test(id)) throw new LintConfigError(`${where}.id must be UPPER_SNAKE_CASE`);
+  if (knownIds.has(id)) throw new LintConfigError(`${where}.id ${id} is already a rule id`);
+  if (!description) throw new LintConfigError(`${where} (${id}) needs a description`);
+  if (!SEVERITIES.slice(0, 2).includes(severity)) throw new LintConfigError(`${where} (${id}) severity must be critical or warning`);
+  if (!LANGS.includes(lang)) throw new LintConfigError(`${where} (${id}) lang must be one of ${LANGS.join(', ')}`);
+
+  const rule = { id, description, severity, lang, rule: raw.rule || `Project rule ${id}`, custom: true };
+  if (raw.ast) {
+    if (lang !== 'js') throw new LintConfigError(`${where} (${id}) ast rules are only supported for lang js`);
+    const kind = AST_KINDS.find(k => raw.ast[k] !== undefined);
+    if (!kind) throw new LintConfigError(`${where} (${id}) ast needs one of ${AST_KINDS.join(', ')}`);
+    rule.ast = { kind, path: compileRegex(String(raw.ast[kind]), `${where}.ast.${kind}`) };
+  } else if (raw.pattern) {
+    const flags = String(raw.flags || '');
+    // The linter scans every match itself; `g` and `y` would leave lastIndex
+    // state on the shared regex and skip matches
+    if (/[gy]/.test(flags)) throw new LintConfigError(`${where} (${id}) flags cannot include g or y`);
+    rule.pattern = compileRegex(String(raw.pattern), `${where}.pattern`, flags);
+    if (raw.call) rule.call = compileRegex(String(raw.call), `${where}.call`);
+  } else {
+    throw new LintConfigError(`${where} (${id}) needs a pattern or an ast matcher`);
+  }
+  knownIds.add(id);
+  return rule;
+}
+
+/**
+ * Normalizes the `lint:` section. `builtinIds` guards custom rule ids against
+ * collisions. Throws LintConfigError on invalid settings.
+ */
+function loadLintConfig(config, builtinIds) {
+  const lint = (config && config.lint) || {};
+  if (typeof lint !== 'object' || Array.isArray(lint)) throw new LintConfigError('must be a map');
+
+  const overrides = Object.entries(lint.rules || {}).map(([pattern, severity]) => {
+    if (!SEVERITIES.includes(severity)) {
+      throw new LintConfigError(`rules.${pattern} must be one of ${SEVERITIES.join(', ')}`);
+    }
+    return { matches: idMatcher(pattern), exact: !pattern.includes('*'), severity };
+  });
+
+  const scopes = listOf(lint.scopes, 'scopes').map((scope, index) => {
+    const rules = globsOf(scope && scope.rules, `scopes[${index}].rules`);
+    if (rules.length === 0) throw new LintConfigError(`scopes[${index}] needs a list of rules`);
+    return {
+      matchers: rules.map(idMatcher),
+      include: globsOf(scope.include, `scopes[${index}].include`),
+      exclude: globsOf(scope.exclude, `scopes[${index}].exclude`),
+    };
+  });
+
+  const knownIds = new Set(builtinIds);
+  const customRules = listOf(lint['custom-rules'], 'custom-rules')
+    .map((raw, index) => compileCustomRule(raw, index, knownIds));
+
+  const thirdPartyHosts = globsOf(lint['third-party-hosts'], 'third-party-hosts').map(host => host.toLowerCase());
+  const appDirectories = (lint['app-directories'] === undefined
+    ? DEFAULT_APP_DIRECTORIES
+    : globsOf(lint['app-directories'], 'app-directories'))
+    // A bare directory name ("server") means everything below it
+    .map(glob => (/[*?/]/.test(glob) || glob.startsWith('.') ? glob : `${glob}/`));
+  const testEnv = [...RUNNER_ENV, ...globsOf(lint['test-env'], 'test-env')].map(idMatcher);
+
+  return {
+    exclude: globsOf(lint.exclude, 'exclude'),
+    customRules,
+    thirdPartyHosts,
+
+    // True for a path (relative to the project root) inside the application
+    // directories and outside any test directory
+    isAppPath(relPath) {
+      const file = relPath.split('\\').join('/');
+      if (file.startsWith('../') || TEST_PATH_SEGMENT.test(file)) return false;
+      return appDirectories.some(glob => matchesGlob(file, glob));
+    },
+
+    // True for environment variables tests may set (runner and `test-env` names)
+    isTestEnv(name) {
+      return testEnv.some(matches => matches(name));
+    },
+
+    // Configured severity for a rule id, or undefined. Exact ids win over patterns.
+    severityFor(id) {
+      const exact = overrides.find(o => o.exact && o.matches(id));
+      const match = exact || overrides.find(o => o.matches(id));
+      return match ? match.severity : undefined;
+    },
+
+    // False when a scope keeps this rule away from the file
+    inScope(id, relPath) {
+      return scopes.every(scope => {
+        if (!scope.matchers.some(m => m(id))) return true;
+        if (scope.include.length && !scope.include.some(g => matchesGlob(relPath, g))) return false;
+        return !scope.exclude.some(g => matchesGlob(relPath, g));
+      });
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Custom AST rules
+// ---------------------------------------------------------------------------
+
+function nodePath(node) {
+  while (node && node.type === 'TSAsExpression') node = node.expression;
+  if (!node) return '?';
+  switch (node.type) {
+    case 'Identifier': return node.name;
+    case 'ThisExpression': return 'this';
+    case 'Super': return 'super';
+    case 'CallExpression': return `${nodePath(node.callee)}()`;
+    case 'NewExpression': return `new ${nodePath(node.callee)}()`;
+    case 'MemberExpression': {
+      const object = nodePath(node.object);
+      if (!node.computed) return `${object}.${node.property.name}`;
+      if (node.property.type === 'Literal' && typeof node.property.value === 'string') return `${object}.${node.property.value}`;
+      return `${object}[]`;
+    }
+    default: return '?';
+  }
+}
+
+// Returns [{ rule, node }] for the AST custom rules matching a program
+function matchAstRules(program, rules) {
+  const found = [];
+  if (rules.length === 0) return found;
+  walk(program, (node) => {
+    let kind = null;
+    let target = null;
+    if (node.type === 'CallExpression') [kind, target] = ['call', node.callee];
+    else if (node.type === 'NewExpression') [kind, target] = ['new', node.callee];
+    else if (node.type === 'AssignmentExpression') [kind, target] = ['assign', node.left];
+    if (!kind) return;
+    const targetPath = nodePath(target);
+    for (const rule of rules) {
+      if (rule.ast.kind === kind && rule.ast.path.test(targetPath)) found.push({ rule, node });
+    }
+  });
+  return found;
+}
+
+module.exports = { loadLintConfig, matchAstRules, matchesGlob, LintConfigError, SEVERITIES };
@@ -0,0 +1,139 @@
+/**
+ * Script arguments of the Playwright Python and .NET bindings
+ *
+ * page.evaluate("el => el.style.display = 'none'") and
+ * Page.EvaluateAsync("...") take their browser-side code as a JavaScript
+ * string. This module finds those calls outside comments and strings and
+ * decodes the literal passed as the script, so the linter can analyse it with
+ * the JS rules (analyzeScript in js-analysis.js). Scripts built at runtime are
+ * not analysed.
+ *
+ *   Python  evaluate, evaluate_handle, evaluate_all, eval_on_selector,
+ *           eval_on_selector_all, add_init_script
+ *   .NET    EvaluateAsync, EvaluateHandleAsync, EvaluateAllAsync,
+ *           EvalOnSelectorAsync, EvalOnSelectorAllAsync, AddInitScriptAsync
+ *
+ * Interpolations in f-strings and $"..." strings are replaced by placeholders
+ * of the same length, so offsets into the script still point at the source.
+ */
+
+const { maskSource, argumentSpans } = require('./test-blocks');
+
+// Method -> index of the script argument, the keyword that can name it, and
+// whether the script's parameters are the matched elements
+const SCRIPT_METHODS = {
+  py: {
+    evaluate: { index: 0, keyword: 'expression' },
+    evaluate_handle: { index: 0, keyword: 'expression' },
+    evaluate_all: { index: 0, keyword: 'expression', elements: true },
+    eval_on_selector: { index: 1, keyword: 'expression', elements: true },
+    eval_on_selector_all: { index: 1, keyword: 'expression', elements: true },
+    add_init_script: { index: 0, keyword: 'script', elements: false },
+  },
+  cs: {
+    EvaluateAsync: { index: 0, keyword: 'expression' },
+    EvaluateHandleAsync: { index: 0, keyword: 'expression' },
+    EvaluateAllAsync: { index: 0, keyword: 'expression', elements: true },
+    EvalOnSelectorAsync: { index: 1, keyword: 'expression', elements: true },
+    EvalOnSelectorAllAsync: { index: 1, keyword: 'expression', elements: true },
+    AddInitScriptAsync: { index: 0, keyword: 'script', elements: false },
+  },
+};
+
+const STRING_START = {
+  py: /^([rRuUfFbB]{0,2})('''|"""|'|")/,
+  cs: /^(\$@|@\$|@|\$)?(")/,
+};
+
+const PY_ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"', '\n': '' };
+const CS_ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"', 0: '\0' };
+
+// Replaces {expr} with a same-length identifier; {{ and }} stay one brace wide
+function blankInterpolations(text) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const pair = text.slice(i, i + 2);
+    if (pair === '{{') { out += ' {'; i++; continue; }
+    if (pair === '}}') { out += '} '; i++; continue; }
+    if (text[i] !== '{') { out += text[i]; continue; }
+    let depth = 0;
+    let j = i;
+    for (; j < text.length; j++) {
+      if (text[j] === '{') depth++;
+      else if (text[j] === '}' && --depth === 0) break;
+    }
+    out += '_'.repeat(j - i + 1);
+    i = j;
+  }
+  return out;
+}
+
+/**
+ * Decodes the string literal spanning content[start, end) (masked alongside).
+ * Returns { script, contentStart, exact } or null when the argument is not a
+ * single literal. `exact` is false when escapes make script offsets differ
+ * from source offsets.
+ */
+function decodeLiteral(content, masked, start, end, lang) {
+  const text = content.slice(start, end);
+  const head = STRING_START[lang].exec(text);
+  if (!head) return null;
+  const prefix = (head[1] || '').toLowerCase();
+  const quote = head[2];
+  if (prefix.includes('b')) return null;
+
+  const contentStart = start + head[0].length;
+  const close = masked.indexOf(quote, contentStart);
+  if (close === -1 || close + quote.length > end || masked.slice(close + quote.length, end).trim()) return null;
+
+  let raw = content.slice(contentStart, close);
+  if (prefix.includes('f') || prefix.includes('$')) raw = blankInterpolations(raw);
+
+  if (lang === 'cs' && prefix.includes('@')) {
+    return { script: raw.replace(/""/g, '"'), contentStart, exact: !raw.includes('""') };
+  }
+  if (prefix.includes('r') || !raw.includes('\\')) return { script: raw, contentStart, exact: true };
+  const escapes = lang === 'py' ? PY_ESCAPES : CS_ESCAPES;
+  const script = raw.replace(/\\([\s\S])/g, (m, ch) => (ch in escapes ? escapes[ch] : m));
+  return { script, contentStart, exact: false };
+}
+
+/**
+ * Returns the literal scripts passed to Playwright evaluate-style calls in a
+ * Python ('py') or C# ('cs') test file:
+ * [{ method, script, start, contentStart, exact, elements }], where `start`
+ * is the offset of the literal and `contentStart` of its first character.
+ */
+function findPlaywrightScripts(content, lang) {
+  const methods = SCRIPT_METHODS[lang];
+  if (!methods) return [];
+  const masked = maskSource(content, lang);
+  const callRe = new RegExp(`\\.(${Object.keys(methods).join('|')})\\s*(?:<[^<>()]*>)?\\s*\\(`, 'g');
+  const keywordRe = lang === 'py' ? /^\s*(\w+)\s*=(?!=)\s*/ : /^\s*(\w+)\s*:\s*/;
+  const found = [];
+  let call;
+
+  while ((call = callRe.exec(masked)) !== null) {
+    const spec = methods[call[1]];
+    const args = argumentSpans(masked, call.index + call[0].length - 1).map(([start, end]) => {
+      const keyword = keywordRe.exec(masked.slice(start, end));
+      return { start: keyword ? start + keyword[0].length : start, end, keyword: keyword ? keyword[1] : null };
+    });
+    const arg = args.find(a => a.keyword === spec.keyword) || args.filter(a => !a.keyword)[spec.index];
+    if (!arg) continue;
+    const leading = /^\s*/.exec(masked.slice(arg.start, arg.end))[0].length;
+    const literal = decodeLiteral(content, masked, arg.start + leading, arg.end, lang);
+    if (!literal) continue;
+
+    // page.evaluate(...) receives what the test passes; locator/handle.evaluate(...) the element
+    let elements = spec.elements;
+    if (elements === undefined) {
+      const owner = /(\w+)\s*\??$/.exec(masked.slice(Math.max(0, call.index - 200), call.index));
+      elements = !/(?:page|frame)$/i.test(owner ? owner[1] : '');
+    }
+    found.push({ method: call[1], start: arg.start + leading, elements, ...literal });
+  }
+  return found;
+}
+
+module.exports = { findPlaywrightScripts };
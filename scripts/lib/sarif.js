@@ -0,0 +1,127 @@
+/**
+ * SARIF 2.1.0 output for the test integrity linter (--format sarif)
+ *
+ * One run per invocation. Every rule the linter knows is listed in the tool
+ * driver with its description and the principle it enforces; results point at
+ * the violation with a 1-based region (end positions are exclusive, as SARIF
+ * expects). Severity maps critical -> error and warning -> warning. Inline
+ * waivers are kept as results with an `inSource` suppression carrying the
+ * reason, so viewers can show them as suppressed instead of dropping them.
+ * When a baseline is in use, results carry a `baselineState`: `new` for
+ * reported violations and `unchanged` for the ones the baseline accepts.
+ *
+ * Paths are relative to the %SRCROOT% base id, which is the directory the
+ * linter ran in.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_NAME = 'teamwerk-test-integrity-linter';
+const TOOL_URI = 'https://github.com/mgerety/teamwerk';
+
+const LEVELS = { critical: 'error', warning: 'warning' };
+
+function artifactUri(relPath) {
+  return relPath.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+function location(file, region) {
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: artifactUri(file), uriBaseId: '%SRCROOT%' },
+      region,
+    },
+  };
+}
+
+function toRegion(v) {
+  const region = { startLine: v.line };
+  if (v.column) region.startColumn = v.column;
+  if (v.endLine) region.endLine = v.endLine;
+  if (v.endColumn) region.endColumn = v.endColumn;
+  return region;
+}
+
+// rules: [{ id, description, rule, severity }]; `severityFor(id)` gives the
+// configured severity ('off' disables the rule), or undefined for the default
+function toDescriptors(rules, severityFor) {
+  const unique = new Map();
+  for (const r of rules) if (!unique.has(r.id)) unique.set(r.id, r);
+  return [...unique.values()].map((r) => {
+    const severity = severityFor(r.id) || r.severity;
+    return {
+      id: r.id,
+      shortDescription: { text: r.description },
+      fullDescription: { text: r.rule || r.description },
+      defaultConfiguration: severity === 'off'
+        ? { enabled: false, level: LEVELS[r.severity] || 'warning' }
+        : { level: LEVELS[severity] || 'warning' },
+      properties: { tags: r.custom ? ['project-rule'] : ['test-integrity'] },
+    };
+  });
+}
+
+function toResult(v, ruleIndex, baselineState) {
+  const result = {
+    ruleId: v.id,
+    level: LEVELS[v.severity] || 'warning',
+    message: { text: v.test ? `${v.description} (test: ${v.test})` : v.description },
+    locations: [location(v.file, toRegion(v))],
+  };
+  if (ruleIndex.has(v.id)) result.ruleIndex = ruleIndex.get(v.id);
+  if (baselineState) result.baselineState = baselineState;
+  if (v.importedBy) {
+    result.relatedLocations = [Object.assign(location(v.importedBy, { startLine: 1 }), {
+      id: 0,
+      message: { text: 'Imported by this test file' },
+    })];
+  }
+  if (v.suppression) {
+    result.suppressions = [{ kind: 'inSource', status: 'accepted', justification: v.suppression.reason }];
+  }
+  const properties = {};
+  if (v.test) properties.test = v.test;
+  if (v.ac) properties.ac = v.ac;
+  if (v.target) properties.target = v.target;
+  if (v.suggestion) properties.suggestion = v.suggestion;
+  if (Object.keys(properties).length) result.properties = properties;
+  return result;
+}
+
+/**
+ * Builds the SARIF log. `error` (a message) marks the invocation as failed
+ * and is reported as a tool execution notification. `baselined` is null
+ * unless the project has a baseline.
+ */
+function toSarif({
+  rules = [], severityFor = () => undefined, violations = [], suppressed = [], baselined = null, root, error,
+}) {
+  const descriptors = toDescriptors(rules, severityFor);
+  const ruleIndex = new Map(descriptors.map((d, i) => [d.id, i]));
+  const byPosition = (a, b) => a.file.localeCompare(b.file) || a.line - b.line || (a.column || 0) - (b.column || 0);
+
+  const invocation = { executionSuccessful: !error };
+  if (error) invocation.toolExecutionNotifications = [{ level: 'error', message: { text: error } }];
+
+  let rootUri = pathToFileURL(root).href;
+  if (!rootUri.endsWith('/')) rootUri += '/';
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: TOOL_NAME, informationUri: TOOL_URI, rules: descriptors } },
+      originalUriBaseIds: { '%SRCROOT%': { uri: rootUri } },
+      invocations: [invocation],
+      results: [
+        ...violations.map(v => [v, baselined && 'new']),
+        ...(baselined || []).map(v => [v, 'unchanged']),
+        ...suppressed.map(v => [v, null]),
+      ].sort(([a], [b]) => byPosition(a, b)).map(([v, state]) => toResult(v, ruleIndex, state)),
+    }],
+  };
+}
+
+module.exports = { toSarif, LEVELS };
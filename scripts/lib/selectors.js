@@ -0,0 +1,298 @@
+/**
+ * Brittle locators in UI tests
+ *
+ * Reads the locator strings passed to Playwright (locator(), page.click(sel),
+ * getByText(), ...), Cypress (cy.get/find/contains) and Selenium / Appium
+ * (By.xpath, By.cssSelector, By.className, By.partialLinkText, in every binding)
+ * and reports:
+ *
+ *   BRITTLE_XPATH            absolute XPath (/html/body/...)
+ *   BRITTLE_NTH_CHILD        position chains: nth-child / nth-of-type / :eq()
+ *                            repeated or under a > chain, XPath [n][m] indices
+ *   BRITTLE_GENERATED_CLASS  build-generated class names (css-1x2y3z, sc-bdVaJa,
+ *                            jsx-123456, Button_primary__3xYz1, makeStyles-root-12)
+ *   BRITTLE_TEXT_MATCH       substring text matching: getByText() without exact,
+ *                            text=Save, :has-text(), cy.contains('Save'),
+ *                            partialLinkText, XPath contains(text(), ...)
+ *   BRITTLE_FIRST_MATCH      .first() / nth=0 on a Playwright locator, which hides
+ *                            a strict-mode error instead of making the locator unique
+ *
+ * JS/TS is read from the syntax tree; C#, Python and Java from masked source.
+ * Only literal locators are checked.
+ */
+
+const { walk, positionAt, buildLineIndex } = require('./js-parser');
+const { maskSource, matchBracket, argumentSpans } = require('./test-blocks');
+
+const GENERATED_CLASS = /(?<![\w-])(?:css-(?=[a-z0-9]*\d)[a-z0-9]{5,}|sc-(?=[a-z]*[A-Z])[a-zA-Z]{5,10}|jsx-\d{4,}|[A-Za-z][A-Za-z0-9]*_[A-Za-z0-9]+__[A-Za-z0-9_-]{5}|(?:makeStyles|jss)\w*-\w+-\d+)(?![\w-])/;
+const CSS_POSITION = /:(?:nth-child|nth-of-type|nth-last-child|nth-last-of-type|eq)\(/g;
+const XPATH_INDEX = /\[\d+\]/g;
+const XPATH_CONTAINS_TEXT = /contains\(\s*(?:text\(\)|\.|normalize-space\(\s*\.?\s*\))\s*,/;
+
+// Playwright methods that take a selector as their first argument
+const JS_LOCATOR_METHODS = new Set([
+  'locator', 'frameLocator', '$', '$$', '$eval', '$$eval', 'waitForSelector', 'querySelector', 'querySelectorAll',
+]);
+// page.click(selector) style shortcuts; on a locator these take no selector
+const JS_PAGE_METHODS = new Set([
+  'click', 'dblclick', 'fill', 'type', 'press', 'check', 'uncheck', 'hover', 'focus', 'tap', 'selectOption',
+  'setInputFiles', 'textContent', 'innerText', 'innerHTML', 'inputValue', 'getAttribute', 'isVisible', 'isHidden',
+  'isEnabled', 'isDisabled', 'isChecked', 'isEditable', 'dispatchEvent', 'dragAndDrop',
+]);
+const JS_CYPRESS_METHODS = new Set(['get', 'find', 'filter', 'children', 'closest']);
+const JS_PLAYWRIGHT_LOCATORS = /^(?:locator|frameLocator|getBy\w+|filter|nth|last|and|or)$/;
+const PAGE_RECEIVER = /(?:page|frame)$/i;
+
+// Selenium By.<method> -> kind, per binding
+const BY_KINDS = {
+  xpath: 'xpath', XPath: 'xpath', XPATH: 'xpath',
+  css: 'css', cssSelector: 'css', CssSelector: 'css', CSS_SELECTOR: 'css',
+  className: 'class', ClassName: 'class', CLASS_NAME: 'class',
+  partialLinkText: 'text', PartialLinkText: 'text', PARTIAL_LINK_TEXT: 'text',
+};
+
+// ---------------------------------------------------------------------------
+// Selector checks
+// ---------------------------------------------------------------------------
+
+/**
+ * Issue ids for one locator string. `kind` is 'auto' (Playwright selector
+ * syntax: css, xpath or text engines, chained with >>), 'css', 'xpath',
+ * 'class' or 'text' (matched as a substring).
+ */
+function selectorIssues(selector, kind) {
+  const issues = new Set();
+  const parts = kind === 'auto' ? selector.split(/\s*>>\s*/) : [selector];
+  for (const raw of parts) {
+    let part = raw.trim();
+    let partKind = kind;
+    if (kind === 'auto') {
+      const engine = /^([\w-]+)\s*=\s*/.exec(part);
+      if (engine) part = part.slice(engine[0].length);
+      const name = engine ? engine[1] : null;
+      if (name === 'xpath' || (!name && /^\(*\.{0,2}\//.test(part))) partKind = 'xpath';
+      else if (name === 'text' || (!name && /^(["']).*\1$/.test(part))) partKind = /^(["']).*\1$/.test(part) ? 'exact' : 'text';
+      else if (name === 'nth') partKind = part === '0' ? 'first' : 'other';
+      else partKind = !name || name === 'css' ? 'css' : 'other';
+    }
+
+    if (partKind === 'xpath') {
+      if (/^\(*\/(?!\/)/.test(part)) issues.add('BRITTLE_XPATH');
+      if ((part.match(XPATH_INDEX) || []).length >= 2) issues.add('BRITTLE_NTH_CHILD');
+      if (XPATH_CONTAINS_TEXT.test(part)) issues.add('BRITTLE_TEXT_MATCH');
+    } else if (partKind === 'css') {
+      const positions = (part.match(CSS_POSITION) || []).length;
+      if (positions >= 2 || (positions === 1 && (part.match(/>/g) || []).length >= 2)) issues.add('BRITTLE_NTH_CHILD');
+      if (/:(?:has-text|text)\(/.test(part)) issues.add('BRITTLE_TEXT_MATCH');
+    } else if (partKind === 'text') {
+      issues.add('BRITTLE_TEXT_MATCH');
+    } else if (partKind === 'first') {
+      issues.add('BRITTLE_FIRST_MATCH');
+    }
+    if (['xpath', 'css', 'class'].includes(partKind) && GENERATED_CLASS.test(part)) issues.add('BRITTLE_GENERATED_CLASS');
+  }
+  return [...issues];
+}
+
+// ---------------------------------------------------------------------------
+// JavaScript / TypeScript
+// ---------------------------------------------------------------------------
+
+function unwrap(node) {
+  while (node && (node.type === 'TSAsExpression' || node.type === 'ParenthesizedExpression' || node.type === 'TSNonNullExpression')) {
+    node = node.expression;
+  }
+  return node;
+}
+
+function stringValue(node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+function methodName(callee) {
+  callee = unwrap(callee);
+  if (callee.type === 'Identifier') return callee.name;
+  return callee.type === 'MemberExpression' && !callee.computed ? callee.property.name : null;
+}
+
+// Base identifier of a call chain: cy in cy.get('a').find('b')
+function chainRoot(node) {
+  node = unwrap(node);
+  while (node && (node.type === 'MemberExpression' || node.type === 'CallExpression')) {
+    node = unwrap(node.type === 'MemberExpression' ? node.object : node.callee);
+  }
+  return node && node.type === 'Identifier' ? node.name : null;
+}
+
+// True when a call chain passes through a Playwright locator method or starts
+// at a variable holding one
+function isLocatorChain(node, locals) {
+  for (node = unwrap(node); node && (node.type === 'MemberExpression' || node.type === 'CallExpression'); ) {
+    if (node.type === 'CallExpression' && JS_PLAYWRIGHT_LOCATORS.test(methodName(node.callee) || '')) return true;
+    node = unwrap(node.type === 'MemberExpression' ? node.object : node.callee);
+  }
+  return Boolean(node) && node.type === 'Identifier' && locals.has(node.name);
+}
+
+function hasExactOption(node) {
+  node = unwrap(node);
+  return Boolean(node) && node.type === 'ObjectExpression' && node.properties.some(p => (
+    p.type === 'Property' && !p.computed && (p.key.name || p.key.value) === 'exact'
+    && unwrap(p.value).type === 'Literal' && unwrap(p.value).value === true
+  ));
+}
+
+function analyzeJs(program) {
+  const findings = [];
+  const locals = new Set();
+  const report = (node, kind) => {
+    const selector = stringValue(node);
+    if (selector === null) return;
+    for (const id of selectorIssues(selector, kind)) {
+      findings.push({ id, line: node.loc.start.line, column: node.loc.start.column + 1, selector });
+    }
+  };
+
+  walk(program, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init && isLocatorChain(node.init, locals)) {
+      locals.add(node.id.name);
+    }
+    if (node.type !== 'CallExpression') return;
+    const callee = unwrap(node.callee);
+    const method = methodName(callee);
+    const receiver = callee.type === 'MemberExpression' ? unwrap(callee.object) : null;
+    const [first, second] = node.arguments;
+    if (!method) return;
+
+    if (receiver && receiver.type === 'Identifier' && receiver.name === 'By') {
+      if (BY_KINDS[method]) report(first, BY_KINDS[method]);
+    } else if (receiver && chainRoot(receiver) === 'cy') {
+      if (JS_CYPRESS_METHODS.has(method)) report(first, 'css');
+      if (method === 'contains') {
+        // cy.contains(text) / cy.contains(selector, text); a regex is left alone
+        if (second && unwrap(second).type !== 'ObjectExpression') {
+          report(first, 'css');
+          report(second, 'text');
+        } else {
+          report(first, 'text');
+        }
+      }
+    } else if (method === 'getByText') {
+      if (!hasExactOption(second)) report(first, 'text');
+    } else if (JS_LOCATOR_METHODS.has(method) || (!receiver && (method === '$' || method === '$$'))) {
+      report(first, 'auto');
+    } else if (JS_PAGE_METHODS.has(method) && receiver && receiver.type === 'Identifier' && PAGE_RECEIVER.test(receiver.name)) {
+      report(first, 'auto');
+    } else if (method === 'first' && node.arguments.length === 0 && receiver && isLocatorChain(receiver, locals)) {
+      findings.push({ id: 'BRITTLE_FIRST_MATCH', line: callee.property.loc.start.line, column: callee.property.loc.start.column + 1 });
+    }
+  });
+  return findings;
+}
+
+// ---------------------------------------------------------------------------
+// C#, Python and Java (masked source text)
+// ---------------------------------------------------------------------------
+
+// Calls whose first argument (or `selector=` in Python) is a locator;
+// `kind` is a fixed kind or, for By.<method>, the captured method name
+const TEXT_CALLS = {
+  py: [
+    { re: /\.(?:locator|frame_locator|query_selector|query_selector_all|wait_for_selector|eval_on_selector|eval_on_selector_all)\s*\(/g, kind: 'auto' },
+    { re: /\b\w*(?:page|frame)\s*\.\s*(?:click|dblclick|fill|type|press|check|uncheck|hover|focus|tap|select_option|set_input_files|text_content|inner_text|inner_html|input_value|get_attribute|is_visible|is_hidden|is_enabled|is_checked)\s*\(/g, kind: 'auto' },
+    { re: /\.get_by_text\s*\(/g, kind: 'text', exact: /\bexact\s*=\s*True\b/ },
+    { re: /\.find_elements?_by_(xpath|css_selector|class_name|partial_link_text)\s*\(/g, kind: 'by' },
+    // find_element(By.XPATH, "...") passes the locator after the By constant
+    { re: /\bBy\s*\.\s*(XPATH|CSS_SELECTOR|CLASS_NAME|PARTIAL_LINK_TEXT)\s*,/g, kind: 'by', inline: true },
+  ],
+  cs: [
+    { re: /\.(?:Locator|FrameLocator|QuerySelectorAsync|QuerySelectorAllAsync|WaitForSelectorAsync|EvalOnSelectorAsync|EvalOnSelectorAllAsync)\s*\(/g, kind: 'auto' },
+    { re: /\b\w*(?:Page|Frame|page|frame)\s*\.\s*(?:ClickAsync|DblClickAsync|FillAsync|TypeAsync|PressAsync|CheckAsync|UncheckAsync|HoverAsync|FocusAsync|TapAsync|SelectOptionAsync|TextContentAsync|InnerTextAsync|InputValueAsync|GetAttributeAsync|IsVisibleAsync|IsHiddenAsync|IsEnabledAsync|IsCheckedAsync)\s*\(/g, kind: 'auto' },
+    { re: /\.GetByText\s*\(/g, kind: 'text', exact: /\bExact\s*=\s*true\b/ },
+    { re: /\bBy\s*\.\s*(XPath|CssSelector|ClassName|PartialLinkText)\s*\(/g, kind: 'by' },
+  ],
+  java: [
+    { re: /\.(?:locator|frameLocator|querySelector|querySelectorAll|waitForSelector|evalOnSelector|evalOnSelectorAll)\s*\(/g, kind: 'auto' },
+    { re: /\b\w*(?:page|frame|Page|Frame)\s*\.\s*(?:click|dblclick|fill|type|press|check|uncheck|hover|focus|tap|selectOption|textContent|innerText|inputValue|getAttribute|isVisible|isHidden|isEnabled|isChecked)\s*\(/g, kind: 'auto' },
+    { re: /\.getByText\s*\(/g, kind: 'text', exact: /\bsetExact\s*\(\s*true\s*\)/ },
+    { re: /\b(?:By|AppiumBy)\s*\.\s*(xpath|cssSelector|className|partialLinkText)\s*\(/g, kind: 'by' },
+  ],
+};
+
+// Python .first (a property), .NET .First (a property), Java .first()
+const TEXT_FIRST = {
+  py: /\.\s*first\b(?!\s*\()/g,
+  cs: /\.\s*First\b(?!\s*\()/g,
+  java: /\.\s*first\s*\(\s*\)/g,
+};
+const TEXT_LOCATOR_CALL = /\.\s*(?:locator|Locator|frame_locator|FrameLocator|frameLocator|get_by_\w+|GetBy\w+|getBy\w+)\s*\(/;
+
+const LEGACY_BY = { xpath: 'xpath', css_selector: 'css', class_name: 'class', partial_link_text: 'text' };
+const STRING_HEAD = /^(?:[rRuUfF]{0,2}|[@$]{0,2})("""|'''|"|')/;
+
+// The string literal starting at `at` (after whitespace): { value, start } or null
+function readLiteral(content, masked, at) {
+  const lead = /^\s*/.exec(masked.slice(at))[0].length;
+  const start = at + lead;
+  const head = STRING_HEAD.exec(content.slice(start, start + 5));
+  if (!head) return null;
+  const contentStart = start + head[0].length;
+  const close = masked.indexOf(head[1], contentStart);
+  if (close === -1) return null;
+  const raw = content.slice(contentStart, close);
+  const value = head[0].includes('@') ? raw.replace(/""/g, '"') : raw.replace(/\\(["'\\])/g, '$1');
+  return { value, start };
+}
+
+function analyzeText(content, lang) {
+  const masked = maskSource(content, lang);
+  const lineStarts = buildLineIndex(content);
+  const findings = [];
+  const push = (id, at, selector) => {
+    const pos = positionAt(lineStarts, at);
+    findings.push(Object.assign({ id, line: pos.line, column: pos.column + 1 }, selector !== undefined && { selector }));
+  };
+
+  for (const call of TEXT_CALLS[lang]) {
+    for (const m of masked.matchAll(call.re)) {
+      const end = m.index + m[0].length;
+      let at = end;
+      if (!call.inline) {
+        const open = end - 1;
+        const spans = argumentSpans(masked, open);
+        const keyword = spans.find(([s, e]) => /^\s*selector\s*=/.test(masked.slice(s, e)));
+        if (keyword) at = keyword[0] + /^\s*selector\s*=/.exec(masked.slice(keyword[0]))[0].length;
+        else if (spans.length) at = spans[0][0];
+        if (call.exact && call.exact.test(masked.slice(open, matchBracket(masked, open)))) continue;
+      }
+      const literal = readLiteral(content, masked, at);
+      if (!literal) continue;
+      const kind = call.kind === 'by' ? BY_KINDS[m[1]] || LEGACY_BY[m[1]] : call.kind;
+      for (const id of selectorIssues(literal.value, kind)) push(id, literal.start, literal.value);
+    }
+  }
+
+  // .first on a locator chain in the same statement
+  for (const m of masked.matchAll(TEXT_FIRST[lang])) {
+    const before = masked.slice(0, m.index);
+    const boundary = Math.max(before.lastIndexOf(';'), before.lastIndexOf('{'), before.lastIndexOf('}'), lang === 'py' ? before.lastIndexOf('\n') : -1);
+    if (TEXT_LOCATOR_CALL.test(before.slice(boundary + 1))) push('BRITTLE_FIRST_MATCH', m.index + m[0].indexOf(lang === 'cs' ? 'First' : 'first'));
+  }
+  return findings;
+}
+
+/**
+ * Returns [{ id, line, column, selector? }] for one file. JS/TS needs the
+ * parsed `program`.
+ */
+function analyzeSelectors(content, lang, program) {
+  if (lang === 'js') return program ? analyzeJs(program) : [];
+  if (TEXT_CALLS[lang]) return analyzeText(content, lang);
+  return [];
+}
+
+module.exports = { analyzeSelectors };
@@ -0,0 +1,110 @@
+/**
+ * Inline suppression directives for the test integrity linter
+ *
+ * A false positive can be waived in the test file itself, in the comment
+ * syntax of the file's language, with a mandatory justification:
+ *
+ *   // teamwerk-lint-disable-next-line DOM_QUERY_SET -- reason: read-only focus check
+ *   await page.evaluate(() => document.querySelector('#q').focus());
+ *
+ *   el.hidden = probe; // teamwerk-lint-disable-line DOM_HIDDEN_MUTATION -- reason: ...
+ *
+ *   # teamwerk-lint-disable-next-line PY_DOM_PROPERTY_SET -- reason: ...
+ *
+ * Several rule ids may be listed, separated by commas or spaces. A directive
+ * without a reason does not suppress anything and is reported as
+ * SUPPRESSION_MISSING_REASON. A directive that matches no violation is
+ * reported as SUPPRESSION_UNUSED so stale waivers get cleaned up. Text that
+ * only looks like a directive inside a string literal is ignored.
+ */
+
+const { maskSource } = require('./test-blocks');
+
+const HASH_COMMENT_LANGS = new Set(['py', 'yaml']);
+
+const DIRECTIVE_RE = /teamwerk-lint-disable-(next-line|line)\b(.*)$/;
+
+const SUPPRESSION_RULES = {
+  SUPPRESSION_MISSING_REASON: {
+    id: 'SUPPRESSION_MISSING_REASON',
+    description: 'Suppression directive has no "-- reason:" justification',
+    severity: 'critical',
+    rule: 'Every waived violation must say why it is safe; unjustified suppressions are ignored',
+  },
+  SUPPRESSION_UNUSED: {
+    id: 'SUPPRESSION_UNUSED',
+    description: 'Suppression directive matches no violation (stale waiver)',
+    severity: 'warning',
+    rule: 'Remove suppressions that no longer apply',
+  },
+};
+
+function commentMarker(lang) {
+  return HASH_COMMENT_LANGS.has(lang) ? '#' : '//';
+}
+
+/**
+ * Parses every suppression directive in a file.
+ * Returns [{ line, targetLine, kind, rules, reason, column }]
+ */
+function parseSuppressions(content, lang) {
+  const marker = commentMarker(lang);
+  const lines = content.split('\n');
+  // String contents are blanked, so `//` or a directive inside a string is not a comment
+  const masked = maskSource(content, lang, true).split('\n');
+  const found = [];
+
+  masked.forEach((text, idx) => {
+    const m = text.match(DIRECTIVE_RE);
+    if (!m) return;
+    // The directive must sit in a comment; anchor on the marker just before it
+    const markerAt = text.lastIndexOf(marker, m.index);
+    if (markerAt === -1 || text.slice(markerAt + marker.length, m.index).trim() !== '') return;
+
+    const sep = m[2].indexOf('--');
+    const rulesPart = sep === -1 ? m[2] : m[2].slice(0, sep);
+    const reason = sep === -1 ? '' : m[2].slice(sep + 2).replace(/^\s*reason\s*:/i, '').trim();
+    const rules = rulesPart.split(/[\s,]+/).filter(Boolean);
+
+    const lineNum = idx + 1;
+    let targetLine = lineNum;
+    if (m[1] === 'next-line') {
+      // The directive covers the next line of code, skipping blank lines
+      targetLine = lineNum + 1;
+      while (targetLine <= lines.length && lines[targetLine - 1].trim() === '') targetLine++;
+    }
+
+    found.push({
+      line: lineNum,
+      column: markerAt + 1,
+      targetLine,
+      kind: m[1],
+      rules,
+      reason,
+      matched: 0,
+    });
+  });
+
+  return found;
+}
+
+/**
+ * Splits violations for one file into active and suppressed lists. Mutates
+ * each suppression's `matched` count.
+ */
+function applySuppressions(violations, suppressions) {
+  const active = [];
+  const suppressed = [];
+  for (const v of violations) {
+    const waiver = suppressions.find(s => s.reason && s.targetLine === v.line && s.rules.includes(v.id));
+    if (waiver) {
+      waiver.matched++;
+      suppressed.push(Object.assign({}, v, { suppression: { line: waiver.line, reason: waiver.reason } }));
+    } else {
+      active.push(v);
+    }
+  }
+  return { active, suppressed };
+}
+
+module.exports = { parseSuppressions, applySuppressions, SUPPRESSION_RULES };
@@ -0,0 +1,133 @@
+/**
+ * teamwerk-config.yml reader (no dependencies)
+ *
+ * Understands the YAML subset the config template uses: nested maps, block
+ * lists of scalars or maps, inline [a, b] lists, quoted and plain scalars,
+ * booleans, numbers and comments. Anchors, multi-line strings and flow maps
+ * with content are not supported.
+ *
+ * Exports:
+ *   loadTeamwerkConfig(projectRoot) -> parsed object, or null when absent
+ *   parseYaml(text)                 -> parsed object
+ *   configValue(config, 'a.b.c')    -> nested value or undefined
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = 'teamwerk-config.yml';
+
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function scalar(text) {
+  const value = text.trim();
+  if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+    return value.slice(1, -1).replace(/\\(["\\])/g, '$1').replace(/\\n/g, '\n');
+  }
+  if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1).trim();
+    return inner ? inner.split(',').map(scalar) : [];
+  }
+  if (value === '{}') return {};
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(?:\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+const isListItem = (text) => text === '-' || text.startsWith('- ');
+const KEY_VALUE = /^("[^"]*"|'[^']*'|[^'"\s][^:]*?)\s*:(?:\s+(.*))?$/;
+
+function parseYaml(text) {
+  const lines = [];
+  for (const raw of text.split('\n')) {
+    const line = stripComment(raw.replace(/\r$/, '')).replace(/\s+$/, '');
+    if (!line.trim() || line.trim() === '---') continue;
+    lines.push({ indent: /^ */.exec(line)[0].length, text: line.trim() });
+  }
+  let i = 0;
+
+  function parseNode() {
+    return isListItem(lines[i].text) ? parseList(lines[i].indent) : parseMap(lines[i].indent);
+  }
+
+  function parseMap(indent) {
+    const map = {};
+    while (i < lines.length && lines[i].indent === indent && !isListItem(lines[i].text)) {
+      const m = KEY_VALUE.exec(lines[i].text);
+      i++;
+      if (!m) continue;
+      const key = scalar(m[1]);
+      if (m[2] !== undefined && m[2] !== '') {
+        map[key] = scalar(m[2]);
+      } else if (i < lines.length && (lines[i].indent > indent || (lines[i].indent === indent && isListItem(lines[i].text)))) {
+        map[key] = parseNode();
+      } else {
+        map[key] = null;
+      }
+    }
+    return map;
+  }
+
+  function parseList(indent) {
+    const list = [];
+    while (i < lines.length && lines[i].indent === indent && isListItem(lines[i].text)) {
+      const rest = lines[i].text.replace(/^-\s*/, '');
+      if (rest === '') {
+        i++;
+        list.push(i < lines.length && lines[i].indent > indent ? parseNode() : null);
+      } else if (KEY_VALUE.test(rest) && !/^["'[{]/.test(rest)) {
+        // "- key: value" opens a map whose other keys align with `key`
+        lines[i] = { indent: indent + lines[i].text.length - rest.length, text: rest };
+        list.push(parseMap(lines[i].indent));
+      } else {
+        list.push(scalar(rest));
+        i++;
+      }
+    }
+    return list;
+  }
+
+  const root = {};
+  while (i < lines.length) {
+    const before = i;
+    Object.assign(root, parseMap(lines[i].indent));
+    if (i === before) i++; // skip a line we cannot place (stray indentation)
+  }
+  return root;
+}
+
+function loadTeamwerkConfig(projectRoot) {
+  const file = path.join(projectRoot, CONFIG_FILE);
+  if (!fs.existsSync(file)) return null;
+  return parseYaml(fs.readFileSync(file, 'utf8'));
+}
+
+function configValue(config, dotted) {
+  let value = config;
+  for (const key of dotted.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+module.exports = { loadTeamwerkConfig, parseYaml, configValue, CONFIG_FILE };
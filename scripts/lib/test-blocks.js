@@ -0,0 +1,365 @@
+/**
+ * Locates the individual test cases in a test file
+ *
+ * Per-test rules (assertions, traceability, ...) need to name the block they
+ * are about, not just a line. Supported shapes:
+ *
+ *   JS/TS   test() / it() / specify(), with modifiers (.only, .skip, .fixme, ...),
+ *           fit() / xit() / xtest() and test.each(...)(), found in the syntax tree
+ *   C#      methods marked [Test], [TestCase], [Fact], [Theory], [TestMethod], ...
+ *   Python  def test_* functions and methods (pytest / unittest)
+ *   Go      func TestXxx(t *testing.T)
+ *   Maestro a .yaml flow is a single test, named by its `# Test:` header
+ *           (null when the header is missing)
+ *
+ * Every block is { name, line, column, start, end, bodyStart, bodyEnd } with
+ * 1-based line/column and offsets into the file content. JS blocks also carry
+ * `node` (the test call), `fn` (the test function, when inline) and `modifier`.
+ *
+ * For C#, Python and Go the source is first masked (maskSource): comments and the
+ * contents of string literals are blanked so text rules only see code, while
+ * offsets and line numbers stay unchanged.
+ */
+
+const { parse, walk, positionAt, buildLineIndex } = require('./js-parser');
+
+const JS_TEST_FUNCTIONS = new Set(['test', 'it', 'specify']);
+const JS_TEST_MODIFIERS = new Set(['only', 'skip', 'fixme', 'fail', 'failing', 'slow', 'concurrent', 'todo']);
+// Jasmine-style shorthands, as modifiers
+const JS_TEST_SHORTHANDS = { fit: 'only', xit: 'skip', xtest: 'skip', xspecify: 'skip' };
+
+const CS_TEST_ATTRIBUTES = /\[\s*(?:[\w.]+\.)?(?:Test|TestCase|TestCaseSource|Fact|Theory|TestMethod|DataTestMethod)\s*(?:\(|,|\])/g;
+
+// ---------------------------------------------------------------------------
+// Source masking (C#, Python, Go, YAML)
+// ---------------------------------------------------------------------------
+
+function blank(text) {
+  return text.replace(/[^\n]/g, ' ');
+}
+
+/**
+ * Returns `content` with comments and string contents replaced by spaces.
+ * Quotes are kept so a blanked string still reads as a literal. With
+ * `keepComments` only the strings are blanked.
+ */
+function maskSource(content, lang, keepComments = false) {
+  let out = '';
+  let i = 0;
+  const hashComments = lang === 'py' || lang === 'yaml';
+
+  while (i < content.length) {
+    const ch = content[i];
+    const next = content[i + 1];
+
+    if (hashComments && ch === '#') {
+      const end = content.indexOf('\n', i);
+      const stop = end === -1 ? content.length : end;
+      out += keepComments ? content.slice(i, stop) : blank(content.slice(i, stop));
+      i = stop;
+    } else if (!hashComments && ch === '/' && next === '/') {
+      const end = content.indexOf('\n', i);
+      const stop = end === -1 ? content.length : end;
+      out += keepComments ? content.slice(i, stop) : blank(content.slice(i, stop));
+      i = stop;
+    } else if (!hashComments && ch === '/' && next === '*') {
+      const end = content.indexOf('*/', i + 2);
+      const stop = end === -1 ? content.length : end + 2;
+      out += keepComments ? content.slice(i, stop) : blank(content.slice(i, stop));
+      i = stop;
+    } else if (lang === 'py' && (content.startsWith('"""', i) || content.startsWith("'''", i))) {
+      const quote = content.slice(i, i + 3);
+      let j = i + 3;
+      while (j < content.length && !content.startsWith(quote, j)) j += content[j] === '\\' ? 2 : 1;
+      const stop = Math.min(content.length, j + 3);
+      out += quote + blank(content.slice(i + 3, j)) + content.slice(j, stop);
+      i = stop;
+    } else if (ch === '"' || ch === "'" || ((lang === 'go' || lang === 'js') && ch === '`')) {
+      // C# verbatim strings (@"..." / $@"...") escape quotes by doubling them
+      const verbatim = lang === 'cs' && ch === '"' && /@\$?$|\$@$/.test(content.slice(Math.max(0, i - 2), i));
+      const raw = ch === '`';
+      const multiline = raw || verbatim;
+      let j = i + 1;
+      while (j < content.length) {
+        const c = content[j];
+        if (c === ch) {
+          if (verbatim && content[j + 1] === ch) { j += 2; continue; }
+          break;
+        }
+        if (c === '\n' && !multiline) break;
+        j += c === '\\' && !multiline ? 2 : 1;
+      }
+      const stop = Math.min(content.length, j + 1);
+      out += ch + blank(content.slice(i + 1, j)) + content.slice(j, stop);
+      i = stop;
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+  return out;
+}
+
+/**
+ * Returns `content` with only its comments replaced by spaces, for text rules
+ * that match inside string literals (SQL statements, file paths).
+ */
+function blankComments(content, lang) {
+  const masked = maskSource(content, lang);
+  const stringsOnly = maskSource(content, lang, true);
+  let out = '';
+  for (let i = 0; i < content.length; i++) out += masked[i] === stringsOnly[i] ? content[i] : ' ';
+  return out;
+}
+
+// Index just past the bracket matching the one at `open` in masked source
+function matchBracket(masked, open) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const opener = masked[open];
+  const closer = pairs[opener];
+  let depth = 0;
+  for (let i = open; i < masked.length; i++) {
+    if (masked[i] === opener) depth++;
+    else if (masked[i] === closer && --depth === 0) return i + 1;
+  }
+  return masked.length;
+}
+
+// Top-level argument spans [start, end) of the call whose "(" is at `open`
+function argumentSpans(masked, open) {
+  const close = matchBracket(masked, open) - 1;
+  const spans = [];
+  let depth = 0;
+  let start = open + 1;
+  for (let i = open + 1; i < close; i++) {
+    const ch = masked[i];
+    if (ch === '(' || ch === '[' || ch === '{') depth++;
+    else if (ch === ')' || ch === ']' || ch === '}') depth--;
+    else if (ch === ',' && depth === 0) {
+      spans.push([start, i]);
+      start = i + 1;
+    }
+  }
+  if (masked.slice(start, close).trim()) spans.push([start, close]);
+  return spans;
+}
+
+// ---------------------------------------------------------------------------
+// JavaScript / TypeScript
+// ---------------------------------------------------------------------------
+
+function literalTitle(node, source) {
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral') {
+    return node.expressions.length === 0 ? node.quasis[0].value.cooked : source.slice(node.start + 1, node.end - 1);
+  }
+  return null;
+}
+
+// Returns the modifier ('' for a plain test) when `callee` names a test, else null
+function testModifier(callee) {
+  if (callee.type === 'Identifier' && JS_TEST_FUNCTIONS.has(callee.name)) return '';
+  if (callee.type === 'Identifier' && Object.prototype.hasOwnProperty.call(JS_TEST_SHORTHANDS, callee.name)) {
+    return JS_TEST_SHORTHANDS[callee.name];
+  }
+  if (callee.type === 'MemberExpression' && !callee.computed && callee.object.type === 'Identifier'
+    && JS_TEST_FUNCTIONS.has(callee.object.name) && JS_TEST_MODIFIERS.has(callee.property.name)) {
+    return callee.property.name;
+  }
+  // test.each(table)('title', fn)
+  if (callee.type === 'CallExpression' && callee.callee.type === 'MemberExpression'
+    && !callee.callee.computed && callee.callee.property.name === 'each') {
+    return testModifier(callee.callee.object) === null ? null : 'each';
+  }
+  return null;
+}
+
+function extractJsBlocks(content, program) {
+  const ast = program || parse(content);
+  const blocks = [];
+  walk(ast, (node) => {
+    if (node.type !== 'CallExpression') return;
+    const modifier = testModifier(node.callee);
+    if (modifier === null) return;
+    const name = literalTitle(node.arguments[0], content);
+    if (name === null) return;
+    const fn = [...node.arguments].reverse()
+      .find(arg => arg.type === 'ArrowFunctionExpression' || arg.type === 'FunctionExpression') || null;
+    blocks.push({
+      name,
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1,
+      start: node.start,
+      end: node.end,
+      bodyStart: fn ? fn.body.start : node.end,
+      bodyEnd: fn ? fn.body.end : node.end,
+      node,
+      fn,
+      modifier,
+    });
+  });
+  return blocks;
+}
+
+// ---------------------------------------------------------------------------
+// C#
+// ---------------------------------------------------------------------------
+
+function extractCsBlocks(content, masked) {
+  const lineStarts = buildLineIndex(content);
+  const blocks = [];
+  const seen = new Set();
+  const attrRe = new RegExp(CS_TEST_ATTRIBUTES.source, 'g');
+  let attr;
+
+  while ((attr = attrRe.exec(masked)) !== null) {
+    // Skip this and any further attribute lists, then find the method's "("
+    let i = attr.index;
+    while (i < masked.length) {
+      if (masked[i] === '[') i = matchBracket(masked, i);
+      else if (/\s/.test(masked[i])) i++;
+      else break;
+    }
+    const paren = masked.indexOf('(', i);
+    if (paren === -1) continue;
+    const head = /(\w+)\s*(?:<[^<>()]*>)?\s*$/.exec(masked.slice(i, paren));
+    if (!head || seen.has(i)) continue;
+    seen.add(i);
+
+    const afterParams = matchBracket(masked, paren);
+    const rest = /^\s*(?:where[^{=]*)?(\{|=>)/.exec(masked.slice(afterParams));
+    if (!rest) continue;
+    const bodyStart = afterParams + rest.index + rest[0].length - rest[1].length;
+    let bodyEnd;
+    if (rest[1] === '{') {
+      bodyEnd = matchBracket(masked, bodyStart);
+    } else {
+      const semi = masked.indexOf(';', bodyStart);
+      bodyEnd = semi === -1 ? masked.length : semi + 1;
+    }
+
+    const nameAt = i + head.index;
+    const pos = positionAt(lineStarts, nameAt);
+    blocks.push({
+      name: head[1],
+      line: pos.line,
+      column: pos.column + 1,
+      start: attr.index,
+      end: bodyEnd,
+      bodyStart,
+      bodyEnd,
+    });
+    attrRe.lastIndex = bodyEnd;
+  }
+  return blocks;
+}
+
+// ---------------------------------------------------------------------------
+// Python
+// ---------------------------------------------------------------------------
+
+function extractPyBlocks(content, masked) {
+  const lineStarts = buildLineIndex(content);
+  const blocks = [];
+  const defRe = /^([ \t]*)(?:async[ \t]+)?def[ \t]+(test\w*)[ \t]*\(/gm;
+  let def;
+
+  while ((def = defRe.exec(masked)) !== null) {
+    const indent = def[1].replace(/\t/g, '        ').length;
+    const afterParams = matchBracket(masked, def.index + def[0].length - 1);
+    const colon = masked.indexOf(':', afterParams);
+    if (colon === -1) continue;
+    const bodyStart = colon + 1;
+
+    // The body runs until the first code line indented at or left of the def
+    let bodyEnd = masked.length;
+    let lineStart = masked.indexOf('\n', bodyStart);
+    while (lineStart !== -1) {
+      const line = masked.slice(lineStart + 1, (masked.indexOf('\n', lineStart + 1) + 1 || masked.length + 1) - 1);
+      if (line.trim() !== '') {
+        const lineIndent = /^[ \t]*/.exec(line)[0].replace(/\t/g, '        ').length;
+        if (lineIndent <= indent) {
+          bodyEnd = lineStart;
+          break;
+        }
+      }
+      lineStart = masked.indexOf('\n', lineStart + 1);
+    }
+
+    const at = def.index + def[1].length;
+    const pos = positionAt(lineStarts, at);
+    blocks.push({
+      name: def[2],
+      line: pos.line,
+      column: pos.column + 1,
+      start: at,
+      end: bodyEnd,
+      bodyStart,
+      bodyEnd,
+    });
+  }
+  return blocks;
+}
+
+// ---------------------------------------------------------------------------
+// Go
+// ---------------------------------------------------------------------------
+
+function extractGoBlocks(content, masked) {
+  const lineStarts = buildLineIndex(content);
+  const blocks = [];
+  const funcRe = /^func[ \t]+(Test\w*)[ \t]*\([ \t]*\w+[ \t]+\*testing\.T[ \t]*\)[ \t]*\{/gm;
+  let fn;
+
+  while ((fn = funcRe.exec(masked)) !== null) {
+    const bodyStart = fn.index + fn[0].length - 1;
+    const bodyEnd = matchBracket(masked, bodyStart);
+    const pos = positionAt(lineStarts, fn.index);
+    blocks.push({
+      name: fn[1],
+      line: pos.line,
+      column: pos.column + 1,
+      start: fn.index,
+      end: bodyEnd,
+      bodyStart,
+      bodyEnd,
+    });
+  }
+  return blocks;
+}
+
+// ---------------------------------------------------------------------------
+// Maestro
+// ---------------------------------------------------------------------------
+
+// The header is everything before the `---` that separates config from steps
+function extractYamlBlocks(content) {
+  const separator = /^---[ \t]*$/m.exec(content);
+  const bodyStart = separator ? separator.index : 0;
+  const title = /^#\s*(?:--?\s*)?Test:\s*(.+?)\s*-*\s*$/m.exec(content.slice(0, bodyStart || content.length));
+  return [{
+    name: title ? title[1] : null,
+    line: 1,
+    column: 1,
+    start: 0,
+    end: content.length,
+    bodyStart,
+    bodyEnd: content.length,
+  }];
+}
+
+/**
+ * Returns the test blocks of a file. For JS/TS a parsed `program` may be
+ * passed in; otherwise the content is parsed (throws JsParseError).
+ */
+function extractTestBlocks(content, lang, program) {
+  if (lang === 'js') return extractJsBlocks(content, program);
+  if (lang === 'cs') return extractCsBlocks(content, maskSource(content, 'cs'));
+  if (lang === 'py') return extractPyBlocks(content, maskSource(content, 'py'));
+  if (lang === 'go') return extractGoBlocks(content, maskSource(content, 'go'));
+  if (lang === 'yaml') return extractYamlBlocks(content);
+  return [];
+}
+
+module.exports = { extractTestBlocks, maskSource, blankComments, matchBracket, argumentSpans };
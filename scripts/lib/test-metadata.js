@@ -0,0 +1,115 @@
+/**
+ * Header metadata of the tests in a spec file, for the evidence report
+ *
+ * The test-engineer skills put these headers above every test:
+ *
+ *   // AC: AC-3.1, AC-3.2
+ *   // Purpose: Verify password reset email is sent within 30 seconds
+ *   // Expected: Success toast shows "Check your email"
+ *   // Preconditions: Logged out, user exists with verified email
+ *   test('AC-3.1: Password reset sends email', async ({ page }) => {
+ *
+ * ACs come from lib/traceability.js, so title prefixes, C# attributes such as
+ * [Trait("AC", "AC-3.1")] and pytest markers such as @pytest.mark.ac("AC-3.1")
+ * count as they do for the linter. The `Key: value` fields are also read from
+ * pytest docstrings; without a Purpose field, a C# [Description("...")] or
+ * the first line of a pytest docstring is the purpose.
+ *
+ * Gherkin .feature files carry the ACs as tags on the feature, rule or
+ * scenario (@AC-2.3) and the fields in comments above the scenario or in its
+ * description.
+ */
+
+const { extractTestBlocks } = require('./test-blocks');
+const { testAcReferences, testHeader, AC_ID } = require('./traceability');
+
+const FIELDS = ['purpose', 'expected', 'preconditions'];
+const FIELD_LINE = /^\s*(?:\/\/+|#|\/?\*+)?\s*(Purpose|Expected|Preconditions)\s*:\s*(.+?)\s*(?:\*\/)?$/gim;
+const CS_DESCRIPTION = /\[\s*Description\s*\(\s*@?"((?:[^"\\]|\\.)*)"/;
+const PY_DOCSTRING = /^\s*(?:[rRuU]?)("""|''')([\s\S]*?)\1/;
+
+const GHERKIN_SCENARIO = /^(?:Scenario(?: Outline| Template)?|Example)\s*:\s*(.*)$/;
+const GHERKIN_SECTION = /^(Feature|Rule|Background|Examples|Scenarios)\s*:/;
+const GHERKIN_STEP = /^(?:Given|When|Then|And|But|\*)\s/;
+const GHERKIN_DOCSTRING = /^(?:"""|```)/;
+
+// The fields of the first `Purpose:` / `Expected:` / `Preconditions:` lines
+function headerFields(meta, header) {
+  for (const field of FIELDS) meta[field] = '';
+  for (const m of header.matchAll(FIELD_LINE)) {
+    const field = m[1].toLowerCase();
+    if (!meta[field]) meta[field] = m[2];
+  }
+  return meta;
+}
+
+// Scenarios of a .feature file; tags and header lines are collected per scenario
+function featureMetadata(content) {
+  const scenarios = [];
+  const inherited = { Feature: [], Rule: [] };
+  let tags = [];
+  let comments = [];
+  let current = null; // scenario whose description is being read
+  let inDocString = false;
+  content.split('\n').forEach((raw, index) => {
+    const line = raw.trim();
+    if (GHERKIN_DOCSTRING.test(line)) inDocString = !inDocString;
+    if (inDocString || GHERKIN_DOCSTRING.test(line)) return;
+
+    const scenario = GHERKIN_SCENARIO.exec(line);
+    const section = GHERKIN_SECTION.exec(line);
+    if (scenario || section || GHERKIN_STEP.test(line)) current = null;
+    if (line.startsWith('#')) {
+      comments.push(line);
+    } else if (line.startsWith('@')) {
+      tags.push(...line.replace(/\s#.*$/, '').split(/\s+/));
+    } else if (section) {
+      if (section[1] === 'Feature') inherited.Rule = [];
+      if (section[1] in inherited) inherited[section[1]] = tags;
+      tags = [];
+      comments = [];
+    } else if (scenario) {
+      current = { name: scenario[1], line: index + 1, header: [...inherited.Feature, ...inherited.Rule, ...tags, ...comments] };
+      scenarios.push(current);
+      tags = [];
+      comments = [];
+    } else if (GHERKIN_STEP.test(line)) {
+      comments = [];
+    } else if (current && line) {
+      current.header.push(line);
+    }
+  });
+
+  return scenarios.map((scenario) => {
+    const header = scenario.header.join('\n');
+    const meta = { name: scenario.name, line: scenario.line, acs: [...new Set(header.match(AC_ID) || [])] };
+    return headerFields(meta, header);
+  });
+}
+
+/**
+ * Returns [{ name, line, acs, purpose, expected, preconditions }] for the tests
+ * of a JS/TS (parsed `program`), C#, Python or Gherkin ('feature') file.
+ */
+function testMetadata(content, lang, program) {
+  if (lang === 'feature') return featureMetadata(content);
+  const acsByStart = new Map(testAcReferences(content, lang, program).map(t => [t.start, t.refs.map(ref => ref.id)]));
+  return extractTestBlocks(content, lang, program).map((block) => {
+    const header = testHeader(content, lang, block);
+    // The test's own header comes first, so it wins over a describe() header
+    const meta = headerFields({ name: block.name, line: block.line, acs: acsByStart.get(block.start) || [] }, header);
+
+    if (!meta.purpose && lang === 'cs') {
+      const description = CS_DESCRIPTION.exec(header);
+      if (description) meta.purpose = description[1].replace(/\\(.)/g, '$1');
+    }
+    if (!meta.purpose && lang === 'py') {
+      const doc = PY_DOCSTRING.exec(content.slice(block.bodyStart));
+      const first = doc && doc[2].split('\n').map(line => line.trim()).find(Boolean);
+      if (first && !/^(?:AC|Purpose|Expected|Preconditions)\s*:/i.test(first)) meta.purpose = first;
+    }
+    return meta;
+  });
+}
+
+module.exports = { testMetadata };
@@ -0,0 +1,246 @@
+/**
+ * Acceptance-criteria traceability (garbage-test category 4)
+ *
+ * Every test must cite the AC it verifies, in its title or in the header
+ * comments directly above it:
+ *
+ *   // AC: AC-3.1, AC-3.2                     (JS/TS, C#, Go)
+ *   # AC: AC-22.9                              (Python, Maestro flows)
+ *   test('AC-3.1: Password reset sends email', ...)
+ *
+ * The AC catalog is read from `work-items.active` in teamwerk-config.yml
+ * (a markdown file or a directory of them, default
+ * docs/acceptance-criteria.md); ACs archived under `work-items.done`
+ * (default docs/done/) are known but no longer citable.
+ *
+ *   AC_MISSING    the test cites no AC
+ *   AC_UNKNOWN    the test cites an AC id that is not in the catalog
+ *   AC_ARCHIVED   the test cites an AC that was archived to the done folder
+ *   AC_UNCOVERED  an active AC that no scanned test cites
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractTestBlocks } = require('./test-blocks');
+const { parse } = require('./js-parser');
+const { configValue } = require('./teamwerk-config');
+
+const TRACE_RULE = 'Garbage test category 4: every test must trace to an active acceptance criterion';
+
+const TRACEABILITY_RULES = {
+  AC_MISSING: {
+    id: 'AC_MISSING',
+    description: 'Test does not reference an acceptance criterion (add an "AC: AC-x.y" header comment or an AC id in the title)',
+    severity: 'warning',
+    rule: TRACE_RULE,
+  },
+  AC_UNKNOWN: {
+    id: 'AC_UNKNOWN',
+    description: 'Test references an AC id that does not exist in the acceptance criteria',
+    severity: 'warning',
+    rule: TRACE_RULE,
+  },
+  AC_ARCHIVED: {
+    id: 'AC_ARCHIVED',
+    description: 'Test references an AC that has been archived to the done folder',
+    severity: 'warning',
+    rule: TRACE_RULE,
+  },
+  AC_UNCOVERED: {
+    id: 'AC_UNCOVERED',
+    description: 'Acceptance criterion is not referenced by any test',
+    severity: 'warning',
+    rule: 'Every acceptance criterion needs at least one test',
+  },
+};
+
+const DEFAULT_ACTIVE = 'docs/acceptance-criteria.md';
+const DEFAULT_DONE = 'docs/done/';
+
+const AC_ID = /\bAC-\d+(?:\.\d+)*\b/g;
+const AC_ENTRY = /^(?:#{1,6}\s*|[-*]\s+)(?:\*\*)?(AC-\d+(?:\.\d+)*)\b(?:\*\*)?[:.]?\s*(.*)$/;
+const STATUS_SUFFIX = /\s*[—–-]{1,2}\s*(DONE|ACTIVE|OPEN)\s*$/i;
+const STATUS_FIELD = /^\*\*Status\*\*\s*:\s*(DONE|ACTIVE|OPEN)\b/i;
+const TRACES_FIELD = /^\*\*Traces to\*\*\s*:\s*(.+)$/i;
+
+// Lines that belong to a test's header: comments, decorators, attributes
+const HEADER_LINE = /^(?:\/\/|\/\*|\*|#|@|\[)/;
+
+// ---------------------------------------------------------------------------
+// AC catalog
+// ---------------------------------------------------------------------------
+
+function markdownFiles(target) {
+  if (!fs.existsSync(target)) return [];
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs.readdirSync(target)
+    .filter(name => name.endsWith('.md'))
+    .sort()
+    .map(name => path.join(target, name));
+}
+
+// Returns Map(id -> { id, title, status, traces, file, line }); `traces` lists
+// the requirement ids of a "**Traces to**: FR-01" line
+function readAcs(files) {
+  const acs = new Map();
+  for (const file of files) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    let current = null;
+    lines.forEach((raw, idx) => {
+      const text = raw.trim();
+      const entry = AC_ENTRY.exec(text);
+      if (entry) {
+        const suffix = STATUS_SUFFIX.exec(entry[2]);
+        current = {
+          id: entry[1],
+          title: entry[2].replace(STATUS_SUFFIX, '').replace(/\*+/g, '').trim(),
+          status: suffix ? suffix[1].toUpperCase() : 'OPEN',
+          traces: [],
+          file,
+          line: idx + 1,
+        };
+        if (!acs.has(current.id)) acs.set(current.id, current);
+        return;
+      }
+      if (/^#{1,6}\s/.test(text)) current = null;
+      const status = current && STATUS_FIELD.exec(text);
+      if (status) current.status = status[1].toUpperCase();
+      const traces = current && TRACES_FIELD.exec(text);
+      if (traces) current.traces = traces[1].match(/\bN?FR-\d+\b/g) || [];
+    });
+  }
+  return acs;
+}
+
+/**
+ * Loads the AC catalog for a project. Returns null when the active work
+ * items cannot be found (traceability against the catalog is then skipped).
+ */
+function loadAcCatalog(projectRoot, config) {
+  const activeSetting = configValue(config, 'work-items.active')
+    || configValue(config, 'acceptance-criteria.path')
+    || DEFAULT_ACTIVE;
+  const doneSetting = configValue(config, 'work-items.done') || DEFAULT_DONE;
+  const resolve = (p) => (path.isAbsolute(p) ? p : path.join(projectRoot, p));
+
+  const activeFiles = markdownFiles(resolve(activeSetting));
+  if (activeFiles.length === 0) return null;
+
+  const active = readAcs(activeFiles);
+  const archived = readAcs(markdownFiles(resolve(doneSetting)));
+  for (const id of active.keys()) archived.delete(id);
+  return { source: activeSetting, active, archived };
+}
+
+// ---------------------------------------------------------------------------
+// References in test files
+// ---------------------------------------------------------------------------
+
+// Offset of the first line of the comment/decorator header directly above `offset`
+function headerStart(content, offset) {
+  let start = content.lastIndexOf('\n', offset - 1) + 1;
+  while (start > 0) {
+    const prevStart = content.lastIndexOf('\n', start - 2) + 1;
+    if (!HEADER_LINE.test(content.slice(prevStart, start - 1).trim())) break;
+    start = prevStart;
+  }
+  return start;
+}
+
+// Source ranges [from, to) whose AC ids apply to a block
+function headerRanges(content, lang, block) {
+  if (lang === 'yaml') return [[0, block.bodyStart || content.length]];
+
+  let end = block.bodyStart;
+  if (lang === 'py') {
+    // A docstring opening the body is part of the header
+    const doc = /^\s*(?:[rRuU]?)("""|''')[\s\S]*?\1/.exec(content.slice(block.bodyStart));
+    if (doc) end = block.bodyStart + doc[0].length;
+  }
+  const ranges = [[headerStart(content, block.start), end]];
+
+  // JS: enclosing describe() titles and headers apply to the tests inside
+  if (lang === 'js' && block.node) {
+    for (let node = block.node.parent; node; node = node.parent) {
+      if (node.type !== 'CallExpression') continue;
+      const callee = node.callee;
+      const name = callee.type === 'Identifier' ? callee.name
+        : callee.type === 'MemberExpression' && !callee.computed ? callee.property.name : null;
+      const target = callee.type === 'MemberExpression' ? callee.object : callee;
+      if (name === 'describe' || (target.type === 'Identifier' && target.name === 'describe')) {
+        const fn = node.arguments.find(arg => arg.type === 'ArrowFunctionExpression' || arg.type === 'FunctionExpression');
+        ranges.push([headerStart(content, node.start), fn ? fn.body.start : node.end]);
+      }
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Header text of a test block: its comments, decorators, attributes and title
+ * (plus a Python docstring), followed by the headers of enclosing describe()s.
+ */
+function testHeader(content, lang, block) {
+  return headerRanges(content, lang, block).map(([from, to]) => content.slice(from, to)).join('\n');
+}
+
+/**
+ * Returns the tests of a file with the AC ids they cite:
+ * [{ name, line, column, start, end, refs: [{ id, line, column }] }]
+ * JS/TS content that cannot be parsed throws JsParseError.
+ */
+function testAcReferences(content, lang, program) {
+  const ast = lang === 'js' ? program || parse(content) : null;
+  const lineOf = (offset) => content.slice(0, offset).split('\n').length;
+
+  return extractTestBlocks(content, lang, ast).map((block) => {
+    const refs = new Map();
+    for (const [from, to] of headerRanges(content, lang, block)) {
+      for (const m of content.slice(from, to).matchAll(AC_ID)) {
+        if (refs.has(m[0])) continue;
+        const at = from + m.index;
+        refs.set(m[0], { id: m[0], line: lineOf(at), column: at - content.lastIndexOf('\n', at - 1) });
+      }
+    }
+    return { name: block.name, line: block.line, column: block.column, start: block.start, end: block.end, refs: [...refs.values()] };
+  });
+}
+
+/**
+ * Checks the tests of one file against the catalog (which may be null).
+ * Adds every cited id to `referenced`. Returns [{ id, line, column, test, ac }].
+ */
+function checkTraceability(tests, catalog, referenced) {
+  const findings = [];
+  for (const test of tests) {
+    if (test.refs.length === 0) {
+      findings.push({ id: 'AC_MISSING', line: test.line, column: test.column, test: test.name });
+      continue;
+    }
+    for (const ref of test.refs) {
+      referenced.add(ref.id);
+      if (!catalog || catalog.active.has(ref.id)) continue;
+      const id = catalog.archived.has(ref.id) ? 'AC_ARCHIVED' : 'AC_UNKNOWN';
+      findings.push({ id, line: ref.line, column: ref.column, test: test.name, ac: ref.id });
+    }
+  }
+  return findings;
+}
+
+// Active ACs no scanned test cites: [{ ac, title, status, file, line }]
+function uncoveredAcs(catalog, referenced) {
+  if (!catalog) return [];
+  return [...catalog.active.values()]
+    .filter(ac => !referenced.has(ac.id))
+    .map(ac => ({ ac: ac.id, title: ac.title, status: ac.status, file: ac.file, line: ac.line }));
+}
+
+module.exports = {
+  loadAcCatalog,
+  testAcReferences,
+  testHeader,
+  checkTraceability,
+  uncoveredAcs,
+  TRACEABILITY_RULES,
+  AC_ID,
+};
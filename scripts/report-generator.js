@@ -4,17 +4,28 @@
  * Teamwerk E2E Evidence Report Generator v3
  *
  * Multi-format test result parser and evidence report generator.
- * Supports: JUnit XML (Maestro, pytest, Java), Playwright JSON, TRX (.NET)
+ * Supports: JUnit XML (Maestro, pytest, Java), Playwright JSON (every project,
+ * retries, flaky status, attachments), TRX (.NET), Cucumber JSON (Gherkin
+ * steps with status, duration and embedded screenshots; @AC-2.3 tags)
  *
  * Produces a single self-contained HTML evidence report from:
- *   1. Test result files (JUnit XML, Playwright JSON, or TRX)
+ *   1. Test result files (JUnit XML, Playwright JSON, TRX, or Cucumber JSON)
  *   2. Screenshot PNG files (evidence images)
  *   3. Maestro commands JSON (step-level execution detail)
  *   4. YAML test files (comment headers: Test, AC, Purpose, Expected, Preconditions)
+ *      and JS/TS, C# and pytest spec files (the same headers, AC title prefixes,
+ *      [Trait]/[Description] attributes, pytest markers and docstrings) and
+ *      Gherkin .feature files (tags, comments and scenario descriptions)
  *   5. Adversarial review findings (optional)
+ *   6. The AC catalog at `work-items.active` in teamwerk-config.yml
+ *   7. Functional requirements (### FR-01: ...) from docs/prd.md
  *
  * Report includes:
- *   - Clickable AC traceability matrix
+ *   - Clickable PRD → FR → AC → test → evidence traceability matrix with
+ *     pass/fail roll-ups per FR; FRs without ACs and ACs without evidence
+ *     are highlighted
+ *   - AC coverage percentage and a "Not Covered" section for catalog ACs
+ *     with no tests or only skipped tests
  *   - Screen-grouped or AC-grouped test sections
  *   - Per-test metadata (purpose, expected, preconditions)
  *   - Execution steps with inline screenshots
@@ -30,11 +41,12 @@
  *     --input <results-dir> \
  *     --output <report.html> \
  *     [--mode ac|regression] \
- *     [--format auto|junit-xml|playwright-json|trx] \
+ *     [--format auto|junit-xml|playwright-json|trx|cucumber-json] \
  *     [--tests <yaml-dir>] \
  *     [--screenshots <screenshots-dir>] \
  *     [--reviewer <adversarial-review.md>] \
  *     [--config <teamwerk-config.yml>] \
+ *     [--prd <prd.md>] \
  *     [--logo <png-path>] \
  *     [--company-name <name>] \
  *     [--title <title>]
@@ -44,12 +56,20 @@
  *   --output       test-reports/e2e-report.html
  *   --mode         ac
  *   --format       auto (detect from file content)
- *   --tests        __tests__/e2e/screens
+ *   --tests        __tests__/e2e/screens (spec files are also read from the
+ *                  config's tests.directories and testing.e2e.test_dir, and
+ *                  from features/)
  *   --screenshots  (auto: input/screenshots, then test-reports/screenshots)
+ *   --config       teamwerk-config.yml in the current directory, if present
+ *   --prd          docs/prd.md next to the config
  */
 
 const fs = require("fs");
 const path = require("path");
+const { parseYaml, configValue } = require("./lib/teamwerk-config");
+const { loadAcCatalog, AC_ID } = require("./lib/traceability");
+const { testMetadata } = require("./lib/test-metadata");
+const { parse, JsParseError } = require("./lib/js-parser");
 
 // ---------------------------------------------------------------------------
 // CLI args
@@ -66,6 +86,7 @@ function parseArgs() {
     format: "auto",
     reviewer: "",
     config: "",
+    prd: "",
     logo: "",
     companyName: "",
     title: "E2E Evidence Report",
@@ -79,11 +100,12 @@ function parseArgs() {
     else if (args[i] === "--screenshots" && args[i + 1]) opts.screenshots = args[++i];
     else if (args[i] === "--reviewer" && args[i + 1]) opts.reviewer = args[++i];
     else if (args[i] === "--config" && args[i + 1]) opts.config = args[++i];
+    else if (args[i] === "--prd" && args[i + 1]) opts.prd = args[++i];
     else if (args[i] === "--logo" && args[i + 1]) opts.logo = args[++i];
     else if (args[i] === "--company-name" && args[i + 1]) opts.companyName = args[++i];
     else if (args[i] === "--title" && args[i + 1]) opts.title = args[++i];
     else if (args[i] === "--help") {
-      console.log("Usage: report-generator.js [--input <dir>] [--output <file>] [--mode ac|regression] [--format auto|junit-xml|playwright-json|trx] [--tests <yaml-dir>] [--screenshots <dir>] [--reviewer <adversarial-review.md>] [--config <teamwerk-config.yml>] [--logo <file>] [--company-name <name>] [--title <title>]");
+      console.log("Usage: report-generator.js [--input <dir>] [--output <file>] [--mode ac|regression] [--format auto|junit-xml|playwright-json|trx|cucumber-json] [--tests <yaml-dir>] [--screenshots <dir>] [--reviewer <adversarial-review.md>] [--config <teamwerk-config.yml>] [--prd <prd.md>] [--logo <file>] [--company-name <name>] [--title <title>]");
       process.exit(0);
     }
   }
@@ -94,29 +116,51 @@ function parseArgs() {
 // Playwright JSON parser — converts Playwright format to JUnit-compatible structure
 // ---------------------------------------------------------------------------
 
+// Test outcome (per project) -> report status; a test that passed on a retry is flaky
+const PW_OUTCOMES = { expected: "passed", unexpected: "failed", flaky: "flaky", skipped: "skipped" };
+
 function parsePlaywrightJSON(jsonContent) {
-  const results = typeof jsonContent === 'string' ? JSON.parse(jsonContent) : jsonContent;
+  const results = typeof jsonContent === "string" ? JSON.parse(jsonContent) : jsonContent;
   const suites = [];
+  const errorsOf = (result) => (result.errors && result.errors.length > 0
+    ? result.errors.map(e => e.message || JSON.stringify(e)).join("\n")
+    : (result.error && result.error.message) || "");
 
   function walkSuites(pwSuites) {
     for (const suite of pwSuites) {
       if (suite.specs) {
         for (const spec of suite.specs) {
-          if (!spec.tests || spec.tests.length === 0) continue;
-          const test = spec.tests[0];
-          if (!test.results || test.results.length === 0) continue;
-          const result = test.results[0];
-          const stdout = (result.stdout || []).map(s => typeof s === 'string' ? s : (s.text || '')).join('');
-          suites.push({
-            name: spec.title,
-            file: suite.file || '',
-            time: (result.duration || 0) / 1000,
-            status: result.status === 'passed' ? 'passed' : 'failed',
-            error: result.errors && result.errors.length > 0
-              ? result.errors.map(e => e.message || JSON.stringify(e)).join('\n')
-              : '',
-            stdout,
-          });
+          // One entry per browser project
+          for (const test of spec.tests || []) {
+            if (!test.results || test.results.length === 0) continue;
+            const attempts = test.results.map((result) => ({
+              retry: result.retry || 0,
+              status: result.status || "failed", // passed | failed | timedOut | interrupted | skipped
+              time: (result.duration || 0) / 1000,
+              error: errorsOf(result),
+            }));
+            const last = attempts[attempts.length - 1];
+            const status = PW_OUTCOMES[test.status] || (last.status === "passed" ? "passed" : "failed");
+            const attachments = [];
+            for (const result of test.results) {
+              for (const a of result.attachments || []) {
+                attachments.push({ name: a.name, contentType: a.contentType || "", path: a.path || "", body: a.body || "", retry: result.retry || 0 });
+              }
+            }
+            const stdout = test.results.flatMap(r => r.stdout || []).map(s => typeof s === "string" ? s : (s.text || "")).join("");
+            suites.push({
+              name: spec.title,
+              project: test.projectName || "",
+              file: spec.file || suite.file || "",
+              time: attempts.reduce((sum, a) => sum + a.time, 0),
+              status,
+              outcome: test.status || "",
+              error: status === "failed" ? (last.error || (last.status === "timedOut" ? "Timed out" : "")) : "",
+              attempts,
+              attachments,
+              stdout,
+            });
+          }
         }
       }
       if (suite.suites) walkSuites(suite.suites);
@@ -126,6 +170,90 @@ function parsePlaywrightJSON(jsonContent) {
   return suites;
 }
 
+// ---------------------------------------------------------------------------
+// Cucumber JSON parser — one entry per scenario with its Gherkin steps
+// ---------------------------------------------------------------------------
+
+// Step result -> steps table status (pending, undefined and skipped steps did not run)
+const CUCUMBER_STEP_STATUS = { passed: "COMPLETED", failed: "FAILED", ambiguous: "FAILED" };
+
+// Embeddings are base64 unless their media says otherwise (encoding "identity")
+function cucumberEmbedding(embedding, name) {
+  const media = embedding.media || {};
+  const contentType = embedding.mime_type || media.type || "";
+  const data = embedding.data || "";
+  const isBase64 = (media.encoding || "base64").toLowerCase() === "base64";
+  return { name, contentType, path: "", body: isBase64 ? data.replace(/\s/g, "") : Buffer.from(data).toString("base64"), retry: 0 };
+}
+
+function parseCucumberJSON(jsonContent) {
+  const features = typeof jsonContent === "string" ? JSON.parse(jsonContent) : jsonContent;
+  const scenarios = [];
+  for (const feature of features || []) {
+    const featureTags = (feature.tags || []).map(t => t.name);
+    let background = [];
+    for (const element of feature.elements || []) {
+      // cucumber-jvm reports the background as its own element before each scenario
+      if (element.type === "background") {
+        background = element.steps || [];
+        continue;
+      }
+      const attachments = [];
+      const steps = [];
+      let error = "";
+      let failed = false;
+      let ran = false;
+      const hooks = (list, keyword) => (list || []).map(hook => Object.assign({ keyword, hidden: true }, hook));
+      const all = [...hooks(element.before, "Before"), ...background, ...(element.steps || []), ...hooks(element.after, "After")];
+      background = [];
+      for (const step of all) {
+        const result = step.result || {};
+        const status = result.status || "skipped";
+        if (status === "failed" || status === "ambiguous") {
+          failed = true;
+          if (!error) error = result.error_message || `Step ${status}`;
+        }
+        if (status === "passed" || status === "failed") ran = true;
+        const keyword = (step.keyword || "").trim();
+        const embeddings = (step.embeddings || []).map((e, i) => cucumberEmbedding(e, step.name ? `${keyword} ${step.name}` : `${keyword} hook ${i + 1}`));
+
+        // Hooks (Before/After) only show up when they fail; their embeddings are attachments
+        if (step.hidden && status !== "failed") {
+          attachments.push(...embeddings);
+          continue;
+        }
+        const images = embeddings.filter(e => /^image\//.test(e.contentType));
+        attachments.push(...embeddings.filter(e => !images.includes(e)));
+        let comment = "";
+        if (step.doc_string) comment = step.doc_string.value || "";
+        else if (step.rows) comment = step.rows.map(row => `| ${row.cells.join(" | ")} |`).join("\n");
+        steps.push({
+          type: keyword,
+          detail: step.name || "",
+          status: CUCUMBER_STEP_STATUS[status] || "UNKNOWN",
+          duration: (result.duration || 0) / 1e6, // nanoseconds
+          comment,
+          images: images.map(attachmentDataURI).filter(Boolean),
+        });
+      }
+      const tags = [...featureTags, ...(element.tags || []).map(t => t.name)];
+      scenarios.push({
+        name: element.name || "",
+        feature: feature.name || "",
+        file: feature.uri || "",
+        line: element.line || 0,
+        acs: [...new Set(tags.join(" ").match(AC_ID) || [])],
+        time: all.reduce((sum, step) => sum + ((step.result && step.result.duration) || 0), 0) / 1e9,
+        status: failed ? "failed" : ran && steps.every(step => step.status === "COMPLETED") ? "passed" : "skipped",
+        error: failed ? error : "",
+        steps,
+        attachments,
+      });
+    }
+  }
+  return scenarios;
+}
+
 // ---------------------------------------------------------------------------
 // TRX (.NET) parser — converts Visual Studio Test Results to flat test list
 // ---------------------------------------------------------------------------
@@ -177,6 +305,7 @@ function detectResultFormat(content, filePath, cliFormat) {
   if (ext === '.trx') return 'trx';
   const trimmed = (content || '').trim();
   if (trimmed.startsWith('{')) return 'playwright-json';
+  if (trimmed.startsWith('[') && /"elements"\s*:/.test(trimmed)) return 'cucumber-json';
   if (trimmed.startsWith('<')) {
     if (trimmed.includes('<TestRun') || trimmed.includes('<testrun')) return 'trx';
     if (trimmed.includes('<testsuites') || trimmed.includes('<testsuite')) return 'junit-xml';
@@ -277,35 +406,76 @@ function generateAdversarialReviewHtml(findings) {
 // Teamwerk config-based AC loading
 // ---------------------------------------------------------------------------
 
+// Returns Map(id -> { id, title, status, file, line }) of the active ACs, read
+// the same way the integrity linter reads them, or null without a catalog
 function loadACsFromTeamwerkConfig(configPath) {
   if (!configPath || !fs.existsSync(configPath)) return null;
   try {
-    const content = fs.readFileSync(configPath, 'utf8');
-    // Simple YAML parser for work-items.active path
-    const activeMatch = content.match(/active:\s*"?([^"\n]+)"?/);
-    if (!activeMatch) return null;
-    const activePath = activeMatch[1].trim();
-    const resolved = path.isAbsolute(activePath) ? activePath : path.join(path.dirname(configPath), activePath);
-    if (!fs.existsSync(resolved)) return null;
-
-    const isDir = fs.statSync(resolved).isDirectory();
-    const files = isDir
-      ? fs.readdirSync(resolved).filter(f => f.endsWith('.md')).map(f => path.join(resolved, f))
-      : [resolved];
-
-    const acs = {};
-    for (const file of files) {
-      const md = fs.readFileSync(file, 'utf8');
-      const acPattern = /(?:^#+\s*|^[-*]\s*|^)(AC-[\d.]+)[:\s]+(.+)/gm;
-      let m;
-      while ((m = acPattern.exec(md)) !== null) {
-        let desc = m[2].trim().replace(/\*+/g, '');
-        desc = desc.replace(/\s*[—–-]{1,2}\s*(DONE|ACTIVE|OPEN)\s*$/i, '').trim();
-        acs[m[1]] = desc;
-      }
+    const config = parseYaml(fs.readFileSync(configPath, "utf-8"));
+    const catalog = loadAcCatalog(path.dirname(path.resolve(configPath)), config);
+    return catalog && catalog.active.size > 0 ? catalog.active : null;
+  } catch (err) {
+    console.warn(`Warning: could not load ACs from ${configPath}: ${err.message}`);
+    return null;
+  }
+}
+
+// Test directories named in the config (tests.directories, testing.e2e.test_dir)
+function configuredTestDirs(configPath) {
+  if (!configPath || !fs.existsSync(configPath)) return [];
+  try {
+    const config = parseYaml(fs.readFileSync(configPath, "utf-8"));
+    const dirs = [].concat(configValue(config, "tests.directories") || [], configValue(config, "testing.e2e.test_dir") || []);
+    return dirs.map((dir) => path.resolve(path.dirname(configPath), String(dir)));
+  } catch {
+    return [];
+  }
+}
+
+// Catalog ACs with at least one test that ran, and those with none
+function acCoverage(scenarios, acCatalog) {
+  const notCovered = [];
+  let covered = 0;
+  for (const ac of acCatalog.values()) {
+    const tests = scenarios.filter((s) => s.acs.includes(ac.id));
+    if (tests.some((s) => s.status !== "skipped")) covered++;
+    else notCovered.push({ id: ac.id, title: ac.title, skipped: tests.map((s) => s.name) });
+  }
+  const total = acCatalog.size;
+  return { total, covered, percent: total ? Math.round((covered / total) * 100) : 0, notCovered };
+}
+
+// ---------------------------------------------------------------------------
+// PRD functional requirements
+// ---------------------------------------------------------------------------
+
+// Returns [{ id, title, description }] for the "### FR-01: Name" headings of a PRD
+function parsePRD(prdPath) {
+  if (!prdPath || !fs.existsSync(prdPath)) return [];
+  const frs = [];
+  let current = null;
+  for (const line of fs.readFileSync(prdPath, "utf-8").split("\n")) {
+    const heading = line.match(/^#{2,6}\s*(FR-\d+)\b[:.]?\s*(.*)$/);
+    if (heading) {
+      current = { id: heading[1], title: heading[2].replace(/\*+/g, "").trim(), description: "" };
+      frs.push(current);
+    } else if (/^#{1,6}\s/.test(line)) {
+      current = null;
+    } else if (current && line.trim() && !current.description) {
+      current.description = line.trim();
     }
-    return Object.keys(acs).length > 0 ? acs : null;
-  } catch { return null; }
+  }
+  return frs;
+}
+
+// The FR an AC belongs to: its "**Traces to**" line, else AC-X.Y -> FR-X
+function frForAc(acId, acCatalog, frs) {
+  const entry = acCatalog && acCatalog.get(acId);
+  const traced = entry && (entry.traces || []).find((id) => frs.some((fr) => fr.id === id));
+  if (traced) return traced;
+  const major = acId.match(/^AC-(\d+)/);
+  const fr = major && frs.find((f) => Number(f.id.slice(3)) === Number(major[1]));
+  return fr ? fr.id : null;
 }
 
 // ---------------------------------------------------------------------------
@@ -556,7 +726,7 @@ function findScreenshots(...dirs) {
   const screenshots = {};
 
   for (const dir of dirs) {
-    if (!dir || !fs.existsSync(dir)) continue;
+    if (!dir || !fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) continue;
 
     const walk = (d) => {
       for (const entry of fs.readdirSync(d, { withFileTypes: true })) {
@@ -586,6 +756,64 @@ function toBase64DataURI(filePath) {
   }
 }
 
+// A bare type/subtype; anything else could break out of a src="data:..." attribute
+const MIME_TYPE = /^[\w.+-]+\/[\w.+-]+$/;
+
+// Playwright attachments carry either a file path or an inline base64 body
+function attachmentDataURI(att) {
+  if (!MIME_TYPE.test(att.contentType || "")) return "";
+  if (att.body) return /^[A-Za-z0-9+/=\s]*$/.test(att.body) ? `data:${att.contentType};base64,${att.body}` : "";
+  try {
+    return `data:${att.contentType};base64,${fs.readFileSync(att.path).toString("base64")}`;
+  } catch {
+    return "";
+  }
+}
+
+// Screenshots and videos are embedded; traces and other files are linked
+function renderAttachments(attachments) {
+  const items = (attachments || []).map((att) => {
+    const label = `${escapeHTML(att.name)}${att.retry > 0 ? ` (retry #${att.retry})` : ""}`;
+    if (/^image\//.test(att.contentType)) {
+      const src = attachmentDataURI(att);
+      if (src) return `<figure class="attachment"><img src="${src}" alt="${escapeHTML(att.name)}" onclick="openLightbox(this)" /><figcaption>${label}</figcaption></figure>`;
+    } else if (/^video\//.test(att.contentType)) {
+      const src = attachmentDataURI(att);
+      if (src) return `<figure class="attachment"><video controls preload="metadata" src="${src}"></video><figcaption>${label}</figcaption></figure>`;
+    } else if (/^text\//.test(att.contentType) && att.body) {
+      return `<figure class="attachment attachment-text"><pre>${escapeHTML(Buffer.from(att.body, "base64").toString("utf-8"))}</pre><figcaption>${label}</figcaption></figure>`;
+    }
+    if (!att.href) return "";
+    const hint = att.name === "trace" ? ` title="npx playwright show-trace ${escapeHTML(att.href)}"` : "";
+    return `<a class="attachment-link" href="${escapeHTML(att.href)}"${hint}>${label}</a>`;
+  }).filter(Boolean);
+  if (items.length === 0) return "";
+  return `
+      <div class="steps-heading">Attachments (${items.length})</div>
+      <div class="attachments">${items.join("\n")}</div>`;
+}
+
+// Retry timeline; only shown when the test ran more than once
+function renderAttempts(attempts) {
+  if (!attempts || attempts.length < 2) return "";
+  const rows = attempts.map((a) => {
+    const icon = statusIcon(a.status === "passed" || a.status === "skipped" ? a.status : "failed");
+    return `<tr>
+        <td class="step-num">${a.retry + 1}</td>
+        <td>${icon}</td>
+        <td>${escapeHTML(a.retry > 0 ? `${a.status} (retry #${a.retry})` : a.status)}</td>
+        <td class="step-detail">${escapeHTML((a.error || "").split("\n")[0])}</td>
+        <td>${a.time > 0 ? `${a.time.toFixed(1)}s` : ""}</td>
+      </tr>`;
+  }).join("\n");
+  return `
+      <div class="steps-heading">Attempts (${attempts.length})</div>
+      <table class="steps-table">
+        <thead><tr><th>#</th><th></th><th>Result</th><th>Error</th><th>Time</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+}
+
 // ---------------------------------------------------------------------------
 // Auto-detect Maestro commands from ~/.maestro/tests/
 // ---------------------------------------------------------------------------
@@ -763,6 +991,83 @@ function loadTestMetadata(testsDir) {
   return metadata;
 }
 
+// ---------------------------------------------------------------------------
+// Spec file metadata (Playwright/Jest, C#, pytest) for results without YAML
+// ---------------------------------------------------------------------------
+
+const SPEC_FILE = /\.(?:spec|test)\.[cm]?[jt]sx?$|^test_\w*\.py$|_test\.py$|Tests?\.cs$|\.feature$/;
+
+function specLanguage(file) {
+  if (/\.feature$/.test(file)) return "feature";
+  if (/\.cs$/.test(file)) return "cs";
+  if (/\.py$/.test(file)) return "py";
+  return "js";
+}
+
+// Returns [{ file, tests: [{ name, acs, purpose, expected, preconditions }] }]
+function loadSpecMetadata(dirs) {
+  const specs = [];
+  const seen = new Set();
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== "node_modules" && !entry.name.startsWith(".")) walk(full);
+      } else if (SPEC_FILE.test(entry.name) && !seen.has(full)) {
+        seen.add(full);
+        const content = fs.readFileSync(full, "utf-8");
+        const lang = specLanguage(full);
+        try {
+          const tests = testMetadata(content, lang, lang === "js" ? parse(content) : null);
+          if (tests.length > 0) specs.push({ file: full.split(path.sep).join("/"), tests });
+        } catch (err) {
+          if (!(err instanceof JsParseError)) throw err;
+        }
+      }
+    }
+  };
+  for (const dir of dirs) {
+    if (fs.existsSync(dir) && fs.statSync(dir).isDirectory()) walk(dir);
+  }
+  return specs;
+}
+
+/**
+ * Finds the spec metadata of a result by file and title. `classname` is the
+ * spec path (Playwright), a dotted module path (pytest) or empty (TRX);
+ * `name` may carry describe titles ("Suite › test"), a namespace
+ * ("Ns.Class.Method") or pytest parameters ("test_x[a]"). A result whose
+ * classname names no spec only matches a title that no other spec uses.
+ */
+function matchSpecMetadata(specs, classname, name) {
+  const title = (name || "").replace(/\[[^\]]*\]$/, "");
+  const hint = (classname || "").replace(/\\/g, "/");
+  const hintParts = hint.split(".");
+  const byFile = hint ? specs.filter((spec) => {
+    if (spec.file.endsWith(`/${hint.replace(/^\.?\//, "")}`)) return true;
+    const modulePath = `.${spec.file.replace(/\.\w+$/, "").replace(/\//g, ".")}`;
+    return hintParts.some((_, i) => modulePath.endsWith(`.${hintParts.slice(0, i + 1).join(".")}`));
+  }) : [];
+  // Scenario Outline names keep their <placeholders> in the .feature file
+  const outline = (t) => {
+    const parts = t.name.split(/<\w[^>]*>/);
+    if (parts.length < 2) return false;
+    return new RegExp(`^${parts.map(escapeRegExp).join(".+")}$`).test(title);
+  };
+  const matches = (t) => t.name && (title === t.name || title.endsWith(` › ${t.name}`) || title.endsWith(`.${t.name}`) || outline(t));
+  // Once the result's file is known, a test with that title elsewhere is a different test
+  if (byFile.length > 0) {
+    for (const spec of byFile) {
+      const found = spec.tests.find(matches);
+      if (found) return found;
+    }
+    return null;
+  }
+  // Without a file, only a title that no other spec uses
+  const found = specs.flatMap(spec => spec.tests.filter(matches));
+  return found.length === 1 ? found[0] : null;
+}
+
 // ---------------------------------------------------------------------------
 // Derive screen name from XML filename
 // e.g. "home-01-date-format.xml" → screen "home", test "01-date-format"
@@ -793,6 +1098,24 @@ function escapeHTML(str) {
     .replace(/"/g, "&quot;");
 }
 
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function acAnchor(acId) {
+  return `ac-${acId}`.replace(/[^a-z0-9-]/gi, "-");
+}
+
+function scenarioAnchor(scenario) {
+  return `scenario-${scenario.screen}-${scenario.testFileName || scenario.name}`.replace(/[^a-z0-9-]/gi, "-");
+}
+
+// Evidence screenshots of a scenario that were found on disk
+function screenshotCount(scenario, screenshots) {
+  return (scenario.yamlScreenshots || [])
+    .filter((name) => screenshots[name.toLowerCase().replace(/\.(png|jpg|jpeg)$/i, "")]).length;
+}
+
 function formatDuration(seconds) {
   if (seconds < 60) return `${seconds.toFixed(1)}s`;
   const mins = Math.floor(seconds / 60);
@@ -810,9 +1133,25 @@ function formatScreenName(name) {
 function statusIcon(status) {
   if (status === "passed") return '<span class="icon-pass">&#10003;</span>';
   if (status === "skipped") return '<span class="icon-skip">&#9679;</span>';
+  if (status === "flaky") return '<span class="icon-flaky">&#8635;</span>';
   return '<span class="icon-fail">&#10007;</span>';
 }
 
+// Outcome of a group of tests: failed if any failed, flaky if any passed only on
+// a retry, skipped if none ran, else passed; the text counts flaky and skipped
+// tests explicitly
+function groupResult(scenarios) {
+  const count = (...statuses) => scenarios.filter((s) => statuses.includes(s.status)).length;
+  const fail = count("failed", "error");
+  const flaky = count("flaky");
+  const skip = count("skipped");
+  const parts = [`${count("passed")}/${scenarios.length} passed`];
+  if (flaky > 0) parts.push(`${flaky} flaky`);
+  if (skip > 0) parts.push(`${skip} skipped`);
+  const status = fail > 0 ? "failed" : flaky > 0 ? "flaky" : skip === scenarios.length ? "skipped" : "passed";
+  return { status, text: parts.join(", ") };
+}
+
 function stepTypeLabel(type) {
   const labels = {
     assertVisible: "Assert Visible",
@@ -836,6 +1175,9 @@ function stepTypeClass(type) {
   if (type === "screenshot") return "step-type step-type-screenshot";
   if (type === "assertVisible" || type === "assertNotVisible") return "step-type step-type-assert";
   if (type === "tap" || type === "input") return "step-type step-type-action";
+  // Gherkin keywords
+  if (type === "Then") return "step-type step-type-assert";
+  if (type === "When") return "step-type step-type-action";
   return "step-type";
 }
 
@@ -860,6 +1202,8 @@ function getCSS() {
   --fail-bg: #fef2f2;
   --skip: #f59e0b;
   --skip-bg: #fffbeb;
+  --flaky: #9333ea;
+  --flaky-bg: #faf5ff;
   --accent: #3b82f6;
   --header-bg: #ffffff;
   --shadow: 0 1px 3px rgba(0,0,0,0.08);
@@ -901,6 +1245,7 @@ body {
 .badge-pass { background: var(--pass-bg); color: var(--pass); }
 .badge-fail { background: var(--fail-bg); color: var(--fail); }
 .badge-skip { background: var(--skip-bg); color: var(--skip); }
+.badge-flaky { background: var(--flaky-bg); color: var(--flaky); }
 .meta-bar {
   background: var(--surface-alt); border-bottom: 1px solid var(--border-light);
   padding: 6px 24px; font-size: 12px; color: var(--text-muted);
@@ -951,6 +1296,7 @@ body {
 .screen-section[open] > summary::before { transform: rotate(90deg); }
 .screen-section > summary:hover { background: var(--surface-alt); }
 .screen-count { font-size: 12px; color: var(--text-muted); font-weight: 400; margin-left: auto; }
+.ac-title { font-size: 13px; color: var(--text-muted); font-weight: 400; }
 
 /* Scenario cards */
 .scenario-list { padding: 0 16px 12px; }
@@ -1050,11 +1396,27 @@ body {
 }
 .step-screenshot img:hover { transform: scale(1.03); box-shadow: 0 4px 12px rgba(0,0,0,0.15); }
 
+/* Playwright attachments */
+.attachments { display: flex; flex-wrap: wrap; gap: 12px; align-items: flex-start; }
+.attachment { font-size: 11px; color: var(--text-muted); }
+.attachment img, .attachment video {
+  display: block; width: 240px; border: 1px solid var(--border);
+  border-radius: var(--radius); margin-bottom: 4px;
+}
+.attachment img { cursor: pointer; }
+.attachment-text pre {
+  max-width: 480px; max-height: 200px; overflow: auto; padding: 8px;
+  background: var(--surface); border: 1px solid var(--border-light);
+  border-radius: var(--radius); font-size: 11px;
+}
+.attachment-link { font-size: 12px; color: var(--accent); }
+
 /* Status indicators */
 .icon-pass, .icon-fail, .icon-skip { font-size: 14px; line-height: 1; }
 .icon-pass { color: var(--pass); }
 .icon-fail { color: var(--fail); }
 .icon-skip { color: var(--skip); }
+.icon-flaky { color: var(--flaky); }
 
 /* Bug regression section */
 .section-heading {
@@ -1073,6 +1435,16 @@ body {
   border-bottom: 1px solid var(--border);
 }
 .bug-table td { padding: 8px 12px; border-bottom: 1px solid var(--border-light); }
+.not-covered-table td:first-child { color: var(--fail); white-space: nowrap; }
+.not-covered-table a { color: inherit; }
+.matrix-table { margin-bottom: 24px; }
+.matrix-fr td { background: var(--surface-alt); font-weight: 600; }
+.matrix-ac td:first-child { padding-left: 28px; }
+.matrix-id { white-space: nowrap; }
+.matrix-test { display: block; color: inherit; text-decoration: none; }
+.matrix-test:hover { text-decoration: underline; }
+.matrix-none { color: var(--text-muted); }
+.matrix-gap td { background: var(--fail-bg); }
 
 /* Lightbox */
 .lightbox-overlay {
@@ -1098,6 +1470,10 @@ body {
   border-radius: 3px; background: var(--surface-alt); border: 1px solid var(--border);
   color: var(--text-muted);
 }
+.scenario-flaky {
+  font-size: 10px; font-weight: 600; padding: 1px 5px;
+  border-radius: 3px; background: var(--flaky-bg); color: var(--flaky);
+}
 
 /* See-above reference for multi-AC tests */
 .scenario-ref {
@@ -1137,6 +1513,9 @@ function renderScenarioCard(scenario, screenshots, commandFiles, anchorId) {
   // Screen badge (shown in AC mode so you know which screen)
   const screenBadge = scenario.screen
     ? `<span class="scenario-screen">${escapeHTML(formatScreenName(scenario.screen))}</span>` : "";
+  const projectBadge = scenario.project
+    ? `<span class="scenario-screen">${escapeHTML(scenario.project)}</span>` : "";
+  const flakyBadge = scenario.status === "flaky" ? '<span class="scenario-flaky">flaky</span>' : "";
 
   // Metadata
   let metaHTML = "";
@@ -1152,7 +1531,8 @@ function renderScenarioCard(scenario, screenshots, commandFiles, anchorId) {
   const errorHTML = (scenario.status === "failed" || scenario.status === "error") && scenario.errorMessage
     ? `<div class="error-block">${escapeHTML(scenario.errorMessage)}</div>` : "";
 
-  // Build steps — prefer Maestro commands JSON, fall back to YAML-parsed steps
+  // Build steps — prefer Maestro commands JSON, then steps from the result
+  // file (Cucumber), then YAML-parsed steps
   const testKey = (scenario.testFileName || "").toLowerCase();
   const cmdFile = commandFiles[testKey] || "";
   let steps = [];
@@ -1162,6 +1542,10 @@ function renderScenarioCard(scenario, screenshots, commandFiles, anchorId) {
     } catch { /* skip */ }
   }
 
+  if (steps.length === 0 && scenario.resultSteps && scenario.resultSteps.length > 0) {
+    steps = scenario.resultSteps;
+  }
+
   if (steps.length === 0 && scenario.yamlSteps && scenario.yamlSteps.length > 0) {
     steps = scenario.yamlSteps.map((s) => ({
       type: s.type,
@@ -1195,6 +1579,11 @@ function renderScenarioCard(scenario, screenshots, commandFiles, anchorId) {
             inlineScreenshot = `<div class="step-screenshot"><img src="${dataURI}" alt="${escapeHTML(ssKey)}" onclick="openLightbox(this)" /></div>`;
           }
         }
+      } else if (step.images && step.images.length > 0) {
+        // Screenshots embedded in the step (Cucumber)
+        inlineScreenshot = step.images
+          .map((src) => `<div class="step-screenshot"><img src="${src}" alt="${escapeHTML(step.detail)}" onclick="openLightbox(this)" /></div>`)
+          .join("");
       }
 
       const commentHTML = step.comment
@@ -1228,16 +1617,85 @@ function renderScenarioCard(scenario, screenshots, commandFiles, anchorId) {
         <span class="scenario-name">${escapeHTML(scenario.name)}</span>
         ${acBadges}
         ${screenBadge}
+        ${projectBadge}
+        ${flakyBadge}
         <span class="scenario-duration">${scenario.time ? formatDuration(scenario.time) : ""}</span>
       </summary>
       <div class="scenario-body">
         ${metaHTML}
         ${errorHTML}
+        ${renderAttempts(scenario.attempts)}
         ${stepsHTML}
+        ${renderAttachments(scenario.attachments)}
       </div>
     </details>`;
 }
 
+// PRD → FR → AC → test → evidence matrix. AC links point at the AC sections
+// (AC mode only), test links at the scenario cards.
+function renderTraceabilityMatrix(frs, scenarios, acCatalog, screenshots, isACMode) {
+  const acIds = new Set(acCatalog ? acCatalog.keys() : []);
+  for (const s of scenarios) s.acs.filter((ac) => /^AC-/.test(ac)).forEach((ac) => acIds.add(ac));
+  const acsByFr = new Map(frs.map((fr) => [fr.id, []]));
+  const unmapped = [];
+  for (const acId of [...acIds].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))) {
+    const frId = frForAc(acId, acCatalog, frs);
+    (frId ? acsByFr.get(frId) : unmapped).push(acId);
+  }
+
+  const ran = (s) => s.status !== "skipped";
+  const badges = { passed: ["badge-pass", "&#10003;"], failed: ["badge-fail", "&#10007;"], flaky: ["badge-flaky", "&#8635;"] };
+  const resultLabel = (tests) => {
+    if (tests.length === 0 || !tests.some(ran)) return '<span class="badge badge-skip">No evidence</span>';
+    const result = groupResult(tests);
+    const [cls, icon] = badges[result.status];
+    return `<span class="badge ${cls}">${icon} ${result.text}</span>`;
+  };
+
+  const acRows = (acIds) => acIds.map((acId) => {
+    const entry = acCatalog && acCatalog.get(acId);
+    const tests = scenarios.filter((s) => s.acs.includes(acId));
+    const shots = tests.reduce((sum, s) => sum + screenshotCount(s, screenshots), 0);
+    const idHTML = isACMode && tests.length > 0
+      ? `<a href="#${acAnchor(acId)}">${escapeHTML(acId)}</a>` : escapeHTML(acId);
+    const testLinks = tests.map((s) =>
+      `<a class="matrix-test" href="#${scenarioAnchor(s)}">${statusIcon(s.status)} ${escapeHTML(s.name)}</a>`
+    ).join("") || '<span class="matrix-none">No tests</span>';
+    return `<tr class="matrix-ac${tests.some(ran) ? "" : " matrix-gap"}">
+        <td class="matrix-id">${idHTML}</td>
+        <td>${escapeHTML(entry ? entry.title : "")}</td>
+        <td>${testLinks}</td>
+        <td>${shots}</td>
+        <td>${resultLabel(tests)}</td>
+      </tr>`;
+  }).join("\n");
+
+  const frRow = (id, title, acIds) => {
+    const tests = [...new Set(acIds.flatMap((acId) => scenarios.filter((s) => s.acs.includes(acId))))];
+    const shots = tests.reduce((sum, s) => sum + screenshotCount(s, screenshots), 0);
+    const result = acIds.length === 0
+      ? '<span class="badge badge-fail">No ACs</span>' : resultLabel(tests);
+    return `<tr class="matrix-fr${acIds.length === 0 ? " matrix-gap" : ""}">
+        <td class="matrix-id">${escapeHTML(id)}</td>
+        <td>${escapeHTML(title)}</td>
+        <td>${acIds.length} AC(s), ${tests.length} test(s)</td>
+        <td>${shots}</td>
+        <td>${result}</td>
+      </tr>
+      ${acRows(acIds)}`;
+  };
+
+  let rows = frs.map((fr) => frRow(fr.id, fr.title, acsByFr.get(fr.id))).join("\n");
+  if (unmapped.length > 0) rows += frRow("—", "ACs without a functional requirement", unmapped);
+
+  return `
+    <div class="section-heading">Traceability Matrix (PRD → FR → AC → Test → Evidence)</div>
+    <table class="bug-table matrix-table">
+      <thead><tr><th>Requirement</th><th>Description</th><th>Tests</th><th>Screenshots</th><th>Result</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
 function generateHTML(screenData, screenshots, commandFiles, opts) {
   const isACMode = opts.mode === "ac";
 
@@ -1253,7 +1711,7 @@ function generateHTML(screenData, screenshots, commandFiles, opts) {
     : allScenarios;
 
   // Compute totals
-  let totalTests = 0, totalPass = 0, totalFail = 0, totalSkip = 0, totalTime = 0;
+  let totalTests = 0, totalPass = 0, totalFail = 0, totalFlaky = 0, totalSkip = 0, totalTime = 0;
   const devices = new Set();
   // Use a Set to avoid double-counting tests that map to multiple ACs
   const countedTests = new Set();
@@ -1266,6 +1724,7 @@ function generateHTML(screenData, screenshots, commandFiles, opts) {
       if (s.device) devices.add(s.device);
       if (s.status === "passed") totalPass++;
       else if (s.status === "failed" || s.status === "error") totalFail++;
+      else if (s.status === "flaky") totalFlaky++;
       else totalSkip++;
     }
   }
@@ -1281,6 +1740,10 @@ function generateHTML(screenData, screenshots, commandFiles, opts) {
   // Build main content based on mode
   let mainContent = "";
   const modeLabel = isACMode ? "Acceptance Criteria" : "Regression — By Screen";
+  const acCatalog = opts.acCatalog || null;
+  const coverage = acCatalog ? acCoverage(allScenarios, acCatalog) : null;
+  const matrixSection = opts.frs && opts.frs.length > 0
+    ? renderTraceabilityMatrix(opts.frs, allScenarios, acCatalog, screenshots, isACMode) : "";
 
   if (isACMode) {
     // Group by AC — each AC is a section
@@ -1301,14 +1764,13 @@ function generateHTML(screenData, screenshots, commandFiles, opts) {
 
     mainContent = sortedACs.map((acId) => {
       const scenarios = acMap[acId];
-      const pass = scenarios.filter((s) => s.status === "passed").length;
-      const fail = scenarios.filter((s) => s.status === "failed" || s.status === "error").length;
-      const sectionIcon = fail > 0
-        ? '<span class="icon-fail">&#10007;</span>'
-        : '<span class="icon-pass">&#10003;</span>';
+      const result = groupResult(scenarios);
+      const acEntry = acCatalog && acCatalog.get(acId);
+      const titleHTML = acEntry && acEntry.title
+        ? `<span class="ac-title">${escapeHTML(acEntry.title)}</span>` : "";
 
       const cards = scenarios.map((scenario) => {
-        const anchorId = `scenario-${scenario.screen}-${scenario.testFileName || scenario.name}`.replace(/[^a-z0-9-]/gi, "-");
+        const anchorId = scenarioAnchor(scenario);
 
         // If this test was already rendered under a previous AC, show a "see above" link
         if (renderedAnchors.has(anchorId)) {
@@ -1325,11 +1787,12 @@ function generateHTML(screenData, screenshots, commandFiles, opts) {
       }).join("\n");
 
       return `
-        <details class="screen-section" open>
+        <details class="screen-section" id="${acAnchor(acId)}" open>
           <summary>
-            ${sectionIcon}
+            ${statusIcon(result.status)}
             <strong>${escapeHTML(acId)}</strong>
-            <span class="screen-count">${pass}/${scenarios.length} passed</span>
+            ${titleHTML}
+            <span class="screen-count">${result.text}</span>
           </summary>
           <div class="scenario-list">
             ${cards}
@@ -1340,23 +1803,19 @@ function generateHTML(screenData, screenshots, commandFiles, opts) {
   } else {
     // Regression mode — group by screen
     mainContent = Object.entries(screenData).map(([screenName, scenarios]) => {
-      const pass = scenarios.filter((s) => s.status === "passed").length;
-      const fail = scenarios.filter((s) => s.status === "failed" || s.status === "error").length;
-      const screenIcon = fail > 0
-        ? '<span class="icon-fail">&#10007;</span>'
-        : '<span class="icon-pass">&#10003;</span>';
+      const result = groupResult(scenarios);
 
       const cards = scenarios.map((scenario) => {
-        const anchorId = `scenario-${screenName}-${scenario.testFileName || scenario.name}`.replace(/[^a-z0-9-]/gi, "-");
+        const anchorId = scenarioAnchor(scenario);
         return renderScenarioCard(scenario, screenshots, commandFiles, anchorId);
       }).join("\n");
 
       return `
         <details class="screen-section" open>
           <summary>
-            ${screenIcon}
+            ${statusIcon(result.status)}
             <strong>${escapeHTML(formatScreenName(screenName))}</strong>
-            <span class="screen-count">${pass}/${scenarios.length} passed</span>
+            <span class="screen-count">${result.text}</span>
           </summary>
           <div class="scenario-list">
             ${cards}
@@ -1365,6 +1824,30 @@ function generateHTML(screenData, screenshots, commandFiles, opts) {
     }).join("\n");
   }
 
+  // Catalog ACs without evidence
+  let notCoveredSection = "";
+  if (coverage && coverage.notCovered.length > 0) {
+    const rows = coverage.notCovered.map((ac) => {
+      const reason = ac.skipped.length > 0
+        ? `Only skipped tests: ${ac.skipped.map((name) => escapeHTML(name)).join(", ")}`
+        : "No tests";
+      const idHTML = ac.skipped.length > 0 && isACMode
+        ? `<a href="#${acAnchor(ac.id)}">${escapeHTML(ac.id)}</a>` : escapeHTML(ac.id);
+      return `<tr>
+        <td><strong>${idHTML}</strong></td>
+        <td>${escapeHTML(ac.title)}</td>
+        <td>${reason}</td>
+      </tr>`;
+    }).join("\n");
+
+    notCoveredSection = `
+      <div class="section-heading">Not Covered (${coverage.notCovered.length} of ${coverage.total} ACs)</div>
+      <table class="bug-table not-covered-table">
+        <thead><tr><th>AC</th><th>Description</th><th>Reason</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  }
+
   // Bug regressions
   let bugSection = "";
   const bugTests = activeScenarios.filter(
@@ -1414,8 +1897,10 @@ function generateHTML(screenData, screenshots, commandFiles, opts) {
     <div class="stat"><span class="stat-value">${totalTests}</span> tests</div>
     <span class="badge badge-pass">&#10003; ${totalPass} passed</span>
     ${totalFail > 0 ? `<span class="badge badge-fail">&#10007; ${totalFail} failed</span>` : ""}
+    ${totalFlaky > 0 ? `<span class="badge badge-flaky">&#8635; ${totalFlaky} flaky</span>` : ""}
     ${totalSkip > 0 ? `<span class="badge badge-skip">&#9679; ${totalSkip} skipped</span>` : ""}
     <div class="stat">${formatDuration(totalTime)}</div>
+    ${coverage ? `<div class="stat"><span class="stat-value">${coverage.percent}%</span> AC coverage (${coverage.covered}/${coverage.total})</div>` : ""}
   </div>
 </div>
 
@@ -1426,8 +1911,10 @@ function generateHTML(screenData, screenshots, commandFiles, opts) {
 </div>
 
 <div class="content">
+  ${matrixSection}
   <div class="mode-label">${escapeHTML(modeLabel)}</div>
   ${mainContent}
+  ${notCoveredSection}
   ${bugSection}
 </div>
 
@@ -1492,17 +1979,23 @@ function main() {
   const xmlFiles = [];
   const jsonFiles = [];
   const trxFiles = [];
+  const addResultFile = (full) => {
+    const name = path.basename(full);
+    if (/\.xml$/i.test(name)) xmlFiles.push(full);
+    else if (/\.json$/i.test(name) && !name.startsWith('commands-')) jsonFiles.push(full);
+    else if (/\.trx$/i.test(name)) trxFiles.push(full);
+  };
   if (fs.existsSync(inputDir)) {
     const walk = (d) => {
       for (const entry of fs.readdirSync(d, { withFileTypes: true })) {
         const full = path.join(d, entry.name);
         if (entry.isDirectory()) walk(full);
-        else if (/\.xml$/i.test(entry.name)) xmlFiles.push(full);
-        else if (/\.json$/i.test(entry.name) && !entry.name.startsWith('commands-')) jsonFiles.push(full);
-        else if (/\.trx$/i.test(entry.name)) trxFiles.push(full);
+        else addResultFile(full);
       }
     };
-    walk(inputDir);
+    // --input may also name a single result file (e.g. Playwright's JSON report)
+    if (fs.statSync(inputDir).isDirectory()) walk(inputDir);
+    else addResultFile(inputDir);
   }
 
   // Also check for single result files at common paths
@@ -1532,6 +2025,13 @@ function main() {
   // Load YAML metadata early so XML filename resolution can use it
   const testMeta = loadTestMetadata(testsDir);
 
+  // Spec files supply ACs and headers for Playwright, pytest, .NET and Cucumber
+  // results (features/ is Cucumber's default directory)
+  const configPath = opts.config
+    ? path.resolve(opts.config)
+    : path.join(process.cwd(), "teamwerk-config.yml");
+  const specMeta = loadSpecMetadata([testsDir, ...configuredTestDirs(configPath), path.join(process.cwd(), "features")]);
+
   // Parse result files and group by screen
   const xmlByScreen = {}; // { screen: [{ testKey, tc, device }] }
 
@@ -1545,7 +2045,7 @@ function main() {
       for (const tc of trxTests) {
         const screen = 'default';
         if (!xmlByScreen[screen]) xmlByScreen[screen] = [];
-        xmlByScreen[screen].push({ testKey: tc.name, name: tc.name, classname: '', time: tc.time, status: tc.status, errorMessage: tc.error, device: '' });
+        xmlByScreen[screen].push({ testKey: tc.name, name: tc.name, title: tc.name, classname: '', time: tc.time, status: tc.status, errorMessage: tc.error, device: '' });
       }
       continue;
     }
@@ -1567,11 +2067,14 @@ function main() {
 
     if (!xmlByScreen[screen]) xmlByScreen[screen] = [];
 
+    // Files with several test cases (pytest, Playwright) get a key per test
+    const caseCount = suites.reduce((n, suite) => n + suite.testCases.length, 0);
     for (const suite of suites) {
       for (const tc of suite.testCases) {
         xmlByScreen[screen].push({
-          testKey,
+          testKey: caseCount > 1 ? `${testKey}-${tc.name}` : testKey,
           name: tc.name,
+          title: caseCount > 1 ? tc.name : "",
           classname: tc.classname,
           time: tc.time,
           status: tc.status,
@@ -1582,7 +2085,7 @@ function main() {
     }
   }
 
-  // Parse Playwright JSON files
+  // Parse Playwright and Cucumber JSON files
   for (const jsonFile of jsonFiles) {
     const content = fs.readFileSync(jsonFile, 'utf-8');
     const format = detectResultFormat(content, jsonFile, opts.format);
@@ -1591,7 +2094,41 @@ function main() {
       for (const tc of pwTests) {
         const screen = tc.file ? path.basename(tc.file, path.extname(tc.file)).replace(/\.spec|\.test/g, '') : 'default';
         if (!xmlByScreen[screen]) xmlByScreen[screen] = [];
-        xmlByScreen[screen].push({ testKey: tc.name, name: tc.name, classname: tc.file, time: tc.time, status: tc.status, errorMessage: tc.error, device: '' });
+        // Attachment files are linked relative to the report
+        const attachments = tc.attachments.map((a) => Object.assign(a, {
+          href: a.path ? path.relative(path.dirname(outputFile), a.path).split(path.sep).join('/') : '',
+        }));
+        xmlByScreen[screen].push({
+          testKey: tc.project ? `${tc.name} [${tc.project}]` : tc.name,
+          name: tc.name,
+          title: tc.name,
+          classname: tc.file,
+          time: tc.time,
+          status: tc.status,
+          errorMessage: tc.error,
+          device: tc.project,
+          project: tc.project,
+          attempts: tc.attempts,
+          attachments,
+        });
+      }
+    } else if (format === 'cucumber-json') {
+      for (const tc of parseCucumberJSON(content)) {
+        const screen = tc.file ? path.basename(tc.file, '.feature') : 'default';
+        if (!xmlByScreen[screen]) xmlByScreen[screen] = [];
+        xmlByScreen[screen].push({
+          testKey: `${tc.line}-${tc.name}`,
+          name: tc.name,
+          title: tc.name,
+          classname: tc.file,
+          time: tc.time,
+          status: tc.status,
+          errorMessage: tc.error,
+          device: '',
+          acs: tc.acs,
+          steps: tc.steps,
+          attachments: tc.attachments,
+        });
       }
     }
   }
@@ -1603,7 +2140,7 @@ function main() {
     for (const tc of trxTests) {
       const screen = 'default';
       if (!xmlByScreen[screen]) xmlByScreen[screen] = [];
-      xmlByScreen[screen].push({ testKey: tc.name, name: tc.name, classname: '', time: tc.time, status: tc.status, errorMessage: tc.error, device: '' });
+      xmlByScreen[screen].push({ testKey: tc.name, name: tc.name, title: tc.name, classname: '', time: tc.time, status: tc.status, errorMessage: tc.error, device: '' });
     }
   }
 
@@ -1659,20 +2196,25 @@ function main() {
         (s) => s.testFileName === xt.testKey
       );
       if (!alreadyMatched) {
+        const meta = matchSpecMetadata(specMeta, xt.classname, xt.name) || {};
         screenData[screenName].push({
-          name: xt.testKey.replace(/^\d+-/, "").replace(/-/g, " ").replace(/\b\w/g, (c) => c.toUpperCase()),
-          acs: [],
+          name: xt.title || xt.testKey.replace(/^\d+-/, "").replace(/-/g, " ").replace(/\b\w/g, (c) => c.toUpperCase()),
+          acs: [...new Set([...(xt.acs || []), ...(meta.acs || [])])],
           screen: screenName,
-          purpose: "",
-          expected: "",
-          preconditions: "",
+          purpose: meta.purpose || "",
+          expected: meta.expected || "",
+          preconditions: meta.preconditions || "",
           testFileName: xt.testKey,
           yamlSteps: [],
           yamlScreenshots: [],
+          resultSteps: xt.steps || [],
           status: xt.status,
           time: xt.time,
           errorMessage: xt.errorMessage,
           device: xt.device,
+          project: xt.project || "",
+          attempts: xt.attempts || [],
+          attachments: xt.attachments || [],
         });
       }
     }
@@ -1694,8 +2236,22 @@ function main() {
     opts.reviewer ? reviewerPath : (fs.existsSync(reviewerPath) ? reviewerPath : null)
   );
 
+  // Load the AC catalog for titles and the coverage gap analysis
+  opts.acCatalog = loadACsFromTeamwerkConfig(configPath);
+  if (opts.config && !opts.acCatalog) {
+    console.warn(`Warning: no acceptance criteria found via ${opts.config} (work-items.active)`);
+  }
+  const prdPath = opts.prd
+    ? path.resolve(opts.prd)
+    : path.join(path.dirname(configPath), "docs", "prd.md");
+  opts.frs = parsePRD(prdPath);
+  if (opts.prd && opts.frs.length === 0) {
+    console.warn(`Warning: no functional requirements (FR-01 ...) found in ${opts.prd}`);
+  }
+
   // Generate HTML
   let html = generateHTML(sortedScreenData, allScreenshots, commandFiles, opts);
+  const coverage = opts.acCatalog ? acCoverage(Object.values(sortedScreenData).flat(), opts.acCatalog) : null;
 
   // Inject adversarial review findings before closing </body>
   if (reviewerFindings) {
@@ -1711,6 +2267,15 @@ function main() {
   console.log(`  ${totalCount(sortedScreenData)} tests across ${Object.keys(sortedScreenData).length} screens`);
   console.log(`  Screenshots found: ${Object.keys(allScreenshots).length}`);
   console.log(`  Command files found: ${Object.keys(commandFiles).length}`);
+  if (opts.frs.length > 0) {
+    console.log(`  Functional requirements: ${opts.frs.length} (from ${path.relative(process.cwd(), prdPath) || prdPath})`);
+  }
+  if (coverage) {
+    console.log(`  AC coverage: ${coverage.covered}/${coverage.total} (${coverage.percent}%)`);
+    if (coverage.notCovered.length > 0) {
+      console.log(`  Not covered: ${coverage.notCovered.map((ac) => ac.id).join(", ")}`);
+    }
+  }
   if (reviewerFindings) {
     console.log(`  Adversarial Review: ${reviewerFindings.summary.pass} PASS, ${reviewerFindings.summary.fail} FAIL, ${reviewerFindings.summary.warn} WARN`);
   }
@@ -5,8 +5,14 @@
  * Scans test files for violations of the fundamental rule:
  * "Tests must NEVER modify the application under test."
  *
- * Supports JavaScript/TypeScript (Playwright), C# (Selenium), Python (Selenium),
- * and Go test files.
+ * Supports JavaScript/TypeScript (Playwright, Puppeteer, Cypress, WebdriverIO),
+ * C# and Python (Selenium, Playwright), Java/Kotlin (Selenium, Appium) and Go
+ * test files. JS/TS is parsed into a syntax tree (scripts/lib/js-parser.js);
+ * other languages, and JS/TS files that do not parse, use pattern rules.
+ *
+ * Besides Rule Zero it reports garbage tests: missing assertions, disabled
+ * tests, AC traceability gaps and hardcoded waits. Each rule family lives in
+ * scripts/lib/ and is configured in the `lint:` section of teamwerk-config.yml.
  *
  * Run before tests execute. Exits with code 1 if critical violations found.
  *
@@ -15,11 +21,42 @@
  *   node test-integrity-linter.js --dir tests/e2e
  *   node test-integrity-linter.js --file tests/e2e/login.spec.ts
  *   node test-integrity-linter.js --json
+ *   node test-integrity-linter.js --format sarif   (text | json | sarif; --json = --format json)
  *   node test-integrity-linter.js --fix-suggestions
+ *   node test-integrity-linter.js --list-suppressions
+ *   node test-integrity-linter.js --changed | --since <git-ref> [--changed-lines]
+ *   node test-integrity-linter.js --update-baseline
+ *   node test-integrity-linter.js --duplicates [--similarity 0.9]
+ *   node test-integrity-linter.js --happy-path --json
+ *   node test-integrity-linter.js --wait-severity critical   (critical | warning | off)
+ *
+ * False positives are waived inline, with a mandatory reason:
+ *   // teamwerk-lint-disable-next-line DOM_QUERY_SET -- reason: read-only focus check
+ * See scripts/lib/suppressions.js.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { analyzeJsFile, analyzeScript, SCHEMA_SQL } = require('./lib/js-analysis');
+const { parse, JsParseError, positionAt, buildLineIndex } = require('./lib/js-parser');
+const { findPlaywrightScripts } = require('./lib/playwright-scripts');
+const { blankComments } = require('./lib/test-blocks');
+const { parseSuppressions, applySuppressions, SUPPRESSION_RULES } = require('./lib/suppressions');
+const { analyzeAssertions, ASSERTION_RULES } = require('./lib/assertions');
+const { analyzeDisabledTests, DISABLED_TEST_RULES } = require('./lib/disabled-tests');
+const { analyzeSelectors } = require('./lib/selectors');
+const { loadTeamwerkConfig, configValue } = require('./lib/teamwerk-config');
+const { toSarif } = require('./lib/sarif');
+const { collectChanges, touchesChange, GitChangesError } = require('./lib/changes');
+const {
+  fingerprintViolations, loadBaseline, compareWithBaseline, writeBaseline, BaselineError, BASELINE_FILE,
+} = require('./lib/baseline');
+const { loadLintConfig, matchAstRules, matchesGlob, LintConfigError } = require('./lib/lint-config');
+const { testFingerprints, findDuplicates, DEFAULT_THRESHOLD } = require('./lib/duplicates');
+const { classifyTests, happyPathReport } = require('./lib/happy-path');
+const {
+  loadAcCatalog, testAcReferences, checkTraceability, uncoveredAcs, TRACEABILITY_RULES,
+} = require('./lib/traceability');
 
 // --- CLI argument parsing ---
 const args = process.argv.slice(2);
@@ -32,19 +69,65 @@ const hasFlag = (flag) => args.includes(flag);
 
 const cliDir = getArg('--dir');
 const cliFile = getArg('--file');
-const jsonOutput = hasFlag('--json');
+const OUTPUT_FORMATS = ['text', 'json', 'sarif'];
+const outputFormat = getArg('--format') || (hasFlag('--json') ? 'json' : 'text');
+if (!OUTPUT_FORMATS.includes(outputFormat)) {
+  console.error(`Error: --format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  process.exit(1);
+}
+// Machine-readable formats keep stdout free of banners and progress lines
+const jsonOutput = outputFormat !== 'text';
+const sarifOutput = outputFormat === 'sarif';
 const showSuggestions = hasFlag('--fix-suggestions');
+const listSuppressions = hasFlag('--list-suppressions');
+const duplicatesMode = hasFlag('--duplicates');
+const happyPathMode = hasFlag('--happy-path');
+const sinceRef = getArg('--since');
+const changedLinesOnly = hasFlag('--changed-lines');
+// --changed-lines on its own compares against HEAD, like --changed
+const diffMode = hasFlag('--changed') || sinceRef !== null || changedLinesOnly;
+if (hasFlag('--since') && sinceRef === null) {
+  console.error('Error: --since needs a git ref (branch, tag or commit)');
+  process.exit(1);
+}
+
+const updateBaseline = hasFlag('--update-baseline');
+if (updateBaseline && changedLinesOnly) {
+  console.error('Error: --update-baseline cannot be combined with --changed-lines');
+  process.exit(1);
+}
+// Runs limited to some files only see part of the baseline
+const partialRun = Boolean(cliFile || cliDir) || diffMode;
+const similarity = getArg('--similarity') === null ? DEFAULT_THRESHOLD : Number(getArg('--similarity'));
+if (!(similarity > 0 && similarity <= 1)) {
+  console.error('Error: --similarity must be a number between 0 and 1');
+  process.exit(1);
+}
+
+const WAIT_SEVERITIES = ['critical', 'warning', 'off'];
+// Overrides any severity set for the wait rules in teamwerk-config.yml
+const waitSeverity = getArg('--wait-severity');
+if (waitSeverity !== null && !WAIT_SEVERITIES.includes(waitSeverity)) {
+  console.error(`Error: --wait-severity must be one of ${WAIT_SEVERITIES.join(', ')}`);
+  process.exit(1);
+}
 
 // --- Auto-detect test directories ---
-const AUTO_DETECT_DIRS = ['tests', 'test', '__tests__', 'spec', 'Tests'];
+const AUTO_DETECT_DIRS = ['tests', 'test', '__tests__', 'spec', 'Tests', '.maestro', 'src/test', 'src/androidTest'];
+
+// E2E directories named in teamwerk-config.yml are scanned as well
+const CONFIG_TEST_DIRS = ['testing.e2e.test_dir', 'testing.e2e.flows_dir', 'testing.e2e.bugs_dir'];
 
-function resolveTestDirs(projectRoot) {
+function resolveTestDirs(projectRoot, config) {
   if (cliDir) {
     const resolved = path.isAbsolute(cliDir) ? cliDir : path.join(projectRoot, cliDir);
     return [resolved];
   }
+  const configured = CONFIG_TEST_DIRS.map(key => configValue(config, key)).filter(Boolean);
+  const directories = configValue(config, 'tests.directories');
+  const base = Array.isArray(directories) ? directories.map(String) : AUTO_DETECT_DIRS;
   const found = [];
-  for (const dir of AUTO_DETECT_DIRS) {
+  for (const dir of [...base, ...configured]) {
     const candidate = path.join(projectRoot, dir);
     if (fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()) {
       found.push(candidate);
@@ -61,24 +144,37 @@ const TEST_FILE_PATTERNS = [
   /\.test\.ts$/,
   /\.spec\.mjs$/,
   /\.test\.mjs$/,
+  /\.cy\.js$/,
+  /\.cy\.ts$/,
   /Tests\.cs$/,
+  /Test\.java$/,
+  /IT\.java$/,
+  /Test\.kt$/,
   /test_.*\.py$/,
   /.*_test\.py$/,
   /.*_test\.go$/,
 ];
 
-function isTestFile(filename) {
+// `globs` are the `tests.patterns` from teamwerk-config.yml, when set
+function isTestFile(filename, globs) {
+  if (globs) return globs.some(glob => matchesGlob(filename, glob));
   return TEST_FILE_PATTERNS.some(p => p.test(filename));
 }
 
+// Maestro flows follow no naming convention: a YAML file with a top-level appId is a flow
+function isMaestroFlow(filePath) {
+  return /\.ya?ml$/.test(filePath) && /^appId\s*:/m.test(fs.readFileSync(filePath, 'utf8'));
+}
+
 // --- Violation Patterns ---
 
-// JavaScript/TypeScript Playwright patterns (kept exactly as original)
+// JavaScript/TypeScript Playwright rules. Detection is AST-based (lib/js-analysis.js);
+// `pattern` is only used when a file cannot be parsed.
 const JS_VIOLATION_PATTERNS = [
   {
     pattern: /page\.evaluate\s*\(\s*(?:async\s*)?\(\s*\)\s*=>\s*\{[\s\S]*?\.\s*style\s*\.\s*\w+\s*=/,
     id: 'DOM_STYLE_MUTATION',
-    description: 'page.evaluate() modifies element .style property',
+    description: 'evaluate() callback modifies element .style property',
     severity: 'critical',
     rule: 'Rule Zero: Tests must never modify application CSS/styles',
     lang: 'js',
@@ -86,7 +182,7 @@ const JS_VIOLATION_PATTERNS = [
   {
     pattern: /page\.evaluate\s*\(\s*(?:async\s*)?\(\s*\)\s*=>\s*\{[\s\S]*?\.\s*hidden\s*=/,
     id: 'DOM_HIDDEN_MUTATION',
-    description: 'page.evaluate() modifies element .hidden property',
+    description: 'evaluate() callback modifies element .hidden property',
     severity: 'critical',
     rule: 'Rule Zero: Tests must never modify application visibility',
     lang: 'js',
@@ -94,7 +190,7 @@ const JS_VIOLATION_PATTERNS = [
   {
     pattern: /page\.evaluate\s*\(\s*(?:async\s*)?\(\s*\)\s*=>\s*\{[\s\S]*?\.\s*(?:innerHTML|outerHTML)\s*=/,
     id: 'DOM_HTML_MUTATION',
-    description: 'page.evaluate() modifies element innerHTML/outerHTML',
+    description: 'evaluate() callback modifies element innerHTML/outerHTML',
     severity: 'critical',
     rule: 'Rule Zero: Tests must never modify application DOM content',
     lang: 'js',
@@ -102,7 +198,7 @@ const JS_VIOLATION_PATTERNS = [
   {
     pattern: /page\.evaluate\s*\(\s*(?:async\s*)?\(\s*\)\s*=>\s*\{[\s\S]*?\.\s*(?:className\s*=|classList\s*\.\s*(?:add|remove|toggle))/,
     id: 'DOM_CLASS_MUTATION',
-    description: 'page.evaluate() modifies element classes',
+    description: 'evaluate() callback modifies element classes',
     severity: 'critical',
     rule: 'Rule Zero: Tests must never modify application CSS classes',
     lang: 'js',
@@ -110,7 +206,7 @@ const JS_VIOLATION_PATTERNS = [
   {
     pattern: /page\.evaluate\s*\(\s*(?:async\s*)?\(\s*\)\s*=>\s*\{[\s\S]*?\.\s*remove\s*\(\s*\)/,
     id: 'DOM_ELEMENT_REMOVAL',
-    description: 'page.evaluate() removes DOM elements',
+    description: 'evaluate() callback removes DOM elements',
     severity: 'critical',
     rule: 'Rule Zero: Tests must never remove application elements',
     lang: 'js',
@@ -150,7 +246,7 @@ const JS_VIOLATION_PATTERNS = [
   {
     pattern: /page\.evaluate\s*\(\s*(?:async\s*)?\(\s*\)\s*=>\s*\{[\s\S]*?document\.getElementById\s*\([^)]+\)\s*\.\s*\w+\s*=/,
     id: 'DOM_PROPERTY_SET',
-    description: 'page.evaluate() sets a property on a DOM element by ID',
+    description: 'evaluate() callback sets a property on a DOM element by ID',
     severity: 'warning',
     rule: 'Potential Rule Zero violation: verify this is read-only',
     lang: 'js',
@@ -158,13 +254,219 @@ const JS_VIOLATION_PATTERNS = [
   {
     pattern: /page\.evaluate\s*\(\s*(?:async\s*)?\(\s*\)\s*=>\s*\{[\s\S]*?document\.querySelector\s*\([^)]+\)\s*\.\s*\w+\s*=/,
     id: 'DOM_QUERY_SET',
-    description: 'page.evaluate() sets a property on a queried DOM element',
+    description: 'evaluate() callback sets a property on a queried DOM element',
+    severity: 'warning',
+    rule: 'Potential Rule Zero violation: verify this is read-only',
+    lang: 'js',
+  },
+];
+
+// Cypress rules. Cypress code runs inside the application's window, so
+// cy.window()/cy.document() callbacks, cy.invoke() of jQuery setters and
+// setters on the yielded $el all change the app. AST-only: no fallback pattern.
+const CYPRESS_VIOLATION_PATTERNS = [
+  {
+    id: 'CY_DOM_STYLE_MUTATION',
+    description: "Cypress command modifies element styles (invoke('css'), $el.css(), .style)",
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application CSS/styles',
+    lang: 'js',
+  },
+  {
+    id: 'CY_DOM_HIDDEN_MUTATION',
+    description: "Cypress command changes element visibility (invoke('show'/'hide'), .hidden)",
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application visibility',
+    lang: 'js',
+  },
+  {
+    id: 'CY_DOM_HTML_MUTATION',
+    description: 'Cypress command modifies element HTML content',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application DOM content',
+    lang: 'js',
+  },
+  {
+    id: 'CY_DOM_CLASS_MUTATION',
+    description: 'Cypress command modifies element classes',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application CSS classes',
+    lang: 'js',
+  },
+  {
+    id: 'CY_DOM_ELEMENT_REMOVAL',
+    description: 'Cypress command removes DOM elements',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never remove application elements',
+    lang: 'js',
+  },
+  {
+    id: 'CY_DOM_PROPERTY_SET',
+    description: 'Cypress callback sets a property on a DOM element by ID',
+    severity: 'warning',
+    rule: 'Potential Rule Zero violation: verify this is read-only',
+    lang: 'js',
+  },
+  {
+    id: 'CY_DOM_QUERY_SET',
+    description: 'Cypress command sets an attribute, property or value on an application element',
+    severity: 'warning',
+    rule: 'Potential Rule Zero violation: verify this is read-only',
+    lang: 'js',
+  },
+];
+
+// WebdriverIO rules: browser.execute() / executeAsync() callbacks and scripts.
+// AST-only: no fallback pattern.
+const WDIO_VIOLATION_PATTERNS = [
+  {
+    id: 'WDIO_DOM_STYLE_MUTATION',
+    description: 'browser.execute() callback modifies element .style property',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application CSS/styles',
+    lang: 'js',
+  },
+  {
+    id: 'WDIO_DOM_HIDDEN_MUTATION',
+    description: 'browser.execute() callback modifies element .hidden property',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application visibility',
+    lang: 'js',
+  },
+  {
+    id: 'WDIO_DOM_HTML_MUTATION',
+    description: 'browser.execute() callback modifies element innerHTML/outerHTML',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application DOM content',
+    lang: 'js',
+  },
+  {
+    id: 'WDIO_DOM_CLASS_MUTATION',
+    description: 'browser.execute() callback modifies element classes',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application CSS classes',
+    lang: 'js',
+  },
+  {
+    id: 'WDIO_DOM_ELEMENT_REMOVAL',
+    description: 'browser.execute() callback removes DOM elements',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never remove application elements',
+    lang: 'js',
+  },
+  {
+    id: 'WDIO_DOM_PROPERTY_SET',
+    description: 'browser.execute() callback sets a property on a DOM element by ID',
     severity: 'warning',
     rule: 'Potential Rule Zero violation: verify this is read-only',
     lang: 'js',
   },
+  {
+    id: 'WDIO_DOM_QUERY_SET',
+    description: 'browser.execute() callback sets a property on a queried DOM element',
+    severity: 'warning',
+    rule: 'Potential Rule Zero violation: verify this is read-only',
+    lang: 'js',
+  },
+];
+
+// Application stubbing and runtime patching (JS/TS). Route stubs for hosts in
+// lint.third-party-hosts are allowed; module stubs only count in E2E specs.
+const APP_STUB_PATTERNS = [
+  {
+    id: 'APP_ROUTE_STUB',
+    description: "Test answers the application's own requests with a fake response (route.fulfill / routeFromHAR / cy.intercept stub)",
+    severity: 'critical',
+    rule: 'Rule Zero: E2E tests must exercise the real backend; only third-party hosts (lint.third-party-hosts) may be stubbed',
+    lang: 'js',
+  },
+  {
+    pattern: /\bwindow\.(?:fetch|XMLHttpRequest|WebSocket)\s*=(?!=)/,
+    id: 'APP_GLOBAL_OVERRIDE',
+    description: 'Browser code replaces a window global the application uses (window.fetch, XMLHttpRequest, app globals)',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never patch application functions or globals at runtime',
+    lang: 'js',
+  },
+  {
+    pattern: /\.expose(?:Function|Binding)\s*\(/,
+    id: 'APP_EXPOSED_FUNCTION',
+    description: 'exposeFunction()/exposeBinding() adds a window function that can replace an application callback',
+    severity: 'warning',
+    rule: 'Potential Rule Zero violation: verify it does not shadow an application function',
+    lang: 'js',
+  },
+  {
+    id: 'APP_MODULE_STUB',
+    description: 'E2E test mocks or stubs an application module (jest.mock / jest.spyOn / sinon.stub)',
+    severity: 'critical',
+    rule: 'Rule Zero: E2E tests must run the real application code',
+    lang: 'js',
+  },
 ];
 
+// Application state outside the browser: writes into the application
+// directories (lint.app-directories), schema-altering SQL and environment
+// mutation (lint.test-env allows variables). Findings carry the resolved
+// `target`. JS/TS is analysed in lib/js-analysis.js; the other languages match
+// the calls below and resolve literal paths against the project root.
+const APP_STATE_RULES = {
+  APP_SOURCE_WRITE: {
+    description: 'Test writes into the application source tree or config',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application code, configuration or data files',
+  },
+  APP_SCHEMA_CHANGE: {
+    description: 'Test runs schema-altering SQL against the application database',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never change the application database schema',
+  },
+  APP_ENV_MUTATION: {
+    description: 'Test changes an environment variable the application reads',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never flip application configuration or feature flags at runtime',
+  },
+};
+const APP_STATE_PREFIXES = { js: '', cs: 'CS_', py: 'PY_', java: 'JAVA_', go: 'GO_' };
+
+const APP_STATE_PATTERNS = Object.entries(APP_STATE_PREFIXES).flatMap(([lang, prefix]) => (
+  Object.entries(APP_STATE_RULES).map(([id, rule]) => Object.assign({ id: prefix + id, lang }, rule))
+));
+
+// Per language: `target` captures a quoted path literal, `name` a variable name
+const APP_STATE_CALLS = {
+  py: {
+    APP_SOURCE_WRITE: [
+      /\bopen\s*\(\s*(?<target>[rR]?(["'])[^"'\n]*\2)\s*,\s*(?:mode\s*=\s*)?[rRbB]?(["'])[rbt]*[wax][^"'\n]*\3/g,
+      /\b(?:pathlib\.)?Path\s*\(\s*(?<target>[rR]?(["'])[^"'\n]*\2)\s*\)\s*\.\s*(?:write_text|write_bytes|unlink|touch)\s*\(/g,
+      /\b(?:os\.(?:remove|unlink)|shutil\.rmtree)\s*\(\s*(?<target>[rR]?(["'])[^"'\n]*\2)/g,
+    ],
+    APP_ENV_MUTATION: [
+      /\bos\.environ\s*\[\s*(["'])(?<name>\w+)\1\s*\]\s*=(?!=)/g,
+      /\b(?:os\.(?:putenv|unsetenv)|monkeypatch\.(?:setenv|delenv))\s*\(\s*(?:(["'])(?<name>\w+)\1)?/g,
+      /\bos\.environ\.(?:update|clear|pop|setdefault)\s*\(\s*(?:(["'])(?<name>\w+)\1)?/g,
+    ],
+  },
+  cs: {
+    APP_SOURCE_WRITE: [
+      /\bFile\.(?:WriteAll(?:Text|Lines|Bytes)|AppendAll(?:Text|Lines)|AppendText|CreateText|Create|Delete)(?:Async)?\s*\(\s*(?<target>@?"[^"\n]*")/g,
+    ],
+    APP_ENV_MUTATION: [/\bEnvironment\.SetEnvironmentVariable\s*\(\s*(?:"(?<name>\w+)")?/g],
+  },
+  java: {
+    APP_SOURCE_WRITE: [
+      /\bFiles\.(?:write|writeString|delete|deleteIfExists|newBufferedWriter|newOutputStream)\s*\(\s*(?:Paths\.get|Path\.of)\s*\(\s*(?<target>"[^"\n]*")/g,
+      /\b(?:new\s+)?(?:FileWriter|FileOutputStream|PrintWriter)\s*\(\s*(?<target>"[^"\n]*")/g,
+      /\bFile\s*\(\s*(?<target>"[^"\n]*")\s*\)\s*\.\s*(?:writeText|appendText|writeBytes|delete)\s*\(/g,
+    ],
+    APP_ENV_MUTATION: [/\bSystem\.(?:setProperty|clearProperty)\s*\(\s*(?:"(?<name>[\w.]+)")?/g],
+  },
+  go: {
+    APP_SOURCE_WRITE: [/\bos\.(?:WriteFile|Create|Remove|RemoveAll|Truncate)\s*\(\s*(?<target>"[^"\n]*"|`[^`]*`)/g],
+    APP_ENV_MUTATION: [/\b(?:os|t|b)\.(?:Setenv|Unsetenv)\s*\(\s*(?:"(?<name>\w+)")?/g, /\bos\.Clearenv\s*\(/g],
+  },
+};
+
 // C# Selenium patterns
 const CSHARP_VIOLATION_PATTERNS = [
   {
@@ -285,73 +587,906 @@ const PYTHON_VIOLATION_PATTERNS = [
   },
 ];
 
+// Playwright for Python and .NET. The JS string passed to evaluate-style calls
+// (page.evaluate("...") / Page.EvaluateAsync("...")) is analysed with the JS
+// rules (lib/playwright-scripts.js + analyzeScript) and reported under the
+// binding's ids; style/script tag injection is matched by pattern.
+const PLAYWRIGHT_SCRIPT_RULES = [
+  ['DOM_STYLE_MUTATION', 'script modifies element .style property', 'critical', 'Rule Zero: Tests must never modify application CSS/styles'],
+  ['DOM_HIDDEN_MUTATION', 'script modifies element .hidden property', 'critical', 'Rule Zero: Tests must never modify application visibility'],
+  ['DOM_HTML_MUTATION', 'script modifies element innerHTML/outerHTML', 'critical', 'Rule Zero: Tests must never modify application DOM content'],
+  ['DOM_CLASS_MUTATION', 'script modifies element classes', 'critical', 'Rule Zero: Tests must never modify application CSS classes'],
+  ['DOM_ELEMENT_REMOVAL', 'script removes DOM elements', 'critical', 'Rule Zero: Tests must never remove application elements'],
+  ['CSS_DISPLAY_OVERRIDE', 'script overrides CSS display property', 'critical', 'Rule Zero: Tests must never override application CSS display'],
+  ['MUTATION_OBSERVER', 'script creates a MutationObserver to reactively modify the DOM', 'critical', 'Rule Zero: Tests must never use MutationObserver to alter app behavior'],
+  ['APP_GLOBAL_OVERRIDE', 'script replaces a window global the application uses', 'critical', 'Rule Zero: Tests must never patch application functions or globals at runtime'],
+  ['DOM_PROPERTY_SET', 'script sets a property on a DOM element by ID', 'warning', 'Potential Rule Zero violation: verify this is read-only'],
+  ['DOM_QUERY_SET', 'script sets a property on a queried DOM element', 'warning', 'Potential Rule Zero violation: verify this is read-only'],
+];
+
+const PLAYWRIGHT_BINDINGS = {
+  py: { prefix: 'PY_PW_', call: 'page.evaluate()', styleTag: /\.add_style_tag\s*\(/, scriptTag: /\.add_script_tag\s*\(/ },
+  cs: { prefix: 'CS_PW_', call: 'EvaluateAsync()', styleTag: /\.AddStyleTagAsync\s*\(/, scriptTag: /\.AddScriptTagAsync\s*\(/ },
+};
+
+function playwrightBindingRules(lang) {
+  const { prefix, call, styleTag, scriptTag } = PLAYWRIGHT_BINDINGS[lang];
+  return [
+    ...PLAYWRIGHT_SCRIPT_RULES.map(([id, description, severity, rule]) => ({
+      id: prefix + id, description: `${call} ${description}`, severity, rule, lang,
+    })),
+    {
+      pattern: styleTag,
+      id: `${prefix}INJECTED_STYLE`,
+      description: 'Test injects a <style> tag into the application',
+      severity: 'critical',
+      rule: 'Rule Zero: Tests must never inject CSS into the application',
+      lang,
+    },
+    {
+      pattern: scriptTag,
+      id: `${prefix}INJECTED_SCRIPT`,
+      description: 'Test injects a <script> tag into the application',
+      severity: 'critical',
+      rule: 'Rule Zero: Tests must never inject JavaScript into the application',
+      lang,
+    },
+  ];
+}
+
+const PLAYWRIGHT_PYTHON_PATTERNS = playwrightBindingRules('py');
+const PLAYWRIGHT_DOTNET_PATTERNS = playwrightBindingRules('cs');
+
+// Java / Kotlin Selenium and Appium patterns. Rules only match inside the
+// argument list of ((JavascriptExecutor) driver).executeScript(...) /
+// executeAsyncScript(...), so one call's script never bleeds into the next.
+const JAVA_EXECUTE_CALL = /\.execute(?:Async)?Script\s*\(/;
+
+// Appium `mobile:` commands that reach into the app instead of driving its UI:
+// Espresso backdoor calls app methods, shell/broadcast/services change app state
+const APPIUM_STATE_COMMANDS = /["']mobile:\s*(?:backdoor|shell|broadcast|startService|stopService)["']/;
+
+const JAVA_VIOLATION_PATTERNS = [
+  {
+    call: JAVA_EXECUTE_CALL,
+    pattern: /\.style\s*\.\s*\w+\s*=(?!=)/,
+    id: 'JAVA_DOM_STYLE_MUTATION',
+    description: 'executeScript() modifies element .style property',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application CSS/styles',
+    lang: 'java',
+  },
+  {
+    call: JAVA_EXECUTE_CALL,
+    pattern: /\.hidden\s*=(?!=)/,
+    id: 'JAVA_DOM_HIDDEN_MUTATION',
+    description: 'executeScript() modifies element .hidden property',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application visibility',
+    lang: 'java',
+  },
+  {
+    call: JAVA_EXECUTE_CALL,
+    pattern: /\.(?:innerHTML|outerHTML)\s*=(?!=)/,
+    id: 'JAVA_DOM_HTML_MUTATION',
+    description: 'executeScript() modifies element innerHTML/outerHTML',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application DOM content',
+    lang: 'java',
+  },
+  {
+    call: JAVA_EXECUTE_CALL,
+    pattern: /\.(?:className\s*=(?!=)|classList\s*\.\s*(?:add|remove|toggle))/,
+    id: 'JAVA_DOM_CLASS_MUTATION',
+    description: 'executeScript() modifies element classes',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application CSS classes',
+    lang: 'java',
+  },
+  {
+    call: JAVA_EXECUTE_CALL,
+    pattern: /\.remove\s*\(\s*\)/,
+    id: 'JAVA_DOM_ELEMENT_REMOVAL',
+    description: 'executeScript() removes DOM elements',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never remove application elements',
+    lang: 'java',
+  },
+  {
+    call: JAVA_EXECUTE_CALL,
+    pattern: /\.display\s*=(?!=)\s*(?:['"]|\\")/,
+    id: 'JAVA_CSS_DISPLAY_OVERRIDE',
+    description: 'executeScript() overrides CSS display property',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never override application CSS display',
+    lang: 'java',
+  },
+  {
+    call: JAVA_EXECUTE_CALL,
+    pattern: APPIUM_STATE_COMMANDS,
+    id: 'JAVA_APPIUM_STATE_MUTATION',
+    description: 'Appium mobile: command changes app state directly (backdoor / shell / broadcast / startService / stopService)',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must drive the app through its UI, never call into or reconfigure it',
+    lang: 'java',
+  },
+  {
+    call: JAVA_EXECUTE_CALL,
+    pattern: /document\.getElementById\s*\([^)]+\)\s*\.\s*\w+\s*=(?!=)/,
+    id: 'JAVA_DOM_PROPERTY_SET',
+    description: 'executeScript() sets a property on a DOM element by ID',
+    severity: 'warning',
+    rule: 'Potential Rule Zero violation: verify this is read-only',
+    lang: 'java',
+  },
+];
+
+// Go browser automation patterns (chromedp, rod, playwright-go).
+// Rules with a `call` only match inside that call's argument list:
+// chromedp.Evaluate/EvaluateAsDevTools, rod Eval/MustEval/EvalOnNewDocument,
+// playwright-go Evaluate/EvaluateHandle.
+const GO_EVAL_CALL = /\.(?:(?:Must)?Eval(?:OnNewDocument)?|Evaluate(?:AsDevTools|Handle)?)\s*\(/;
+
+const GO_VIOLATION_PATTERNS = [
+  {
+    call: GO_EVAL_CALL,
+    pattern: /\.style\s*\.\s*\w+\s*=(?!=)/,
+    id: 'GO_DOM_STYLE_MUTATION',
+    description: 'Evaluate()/Eval() script modifies element .style property',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application CSS/styles',
+    lang: 'go',
+  },
+  {
+    call: GO_EVAL_CALL,
+    pattern: /\.hidden\s*=(?!=)/,
+    id: 'GO_DOM_HIDDEN_MUTATION',
+    description: 'Evaluate()/Eval() script modifies element .hidden property',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application visibility',
+    lang: 'go',
+  },
+  {
+    call: GO_EVAL_CALL,
+    pattern: /\.(?:innerHTML|outerHTML)\s*=(?!=)/,
+    id: 'GO_DOM_HTML_MUTATION',
+    description: 'Evaluate()/Eval() script modifies element innerHTML/outerHTML',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application DOM content',
+    lang: 'go',
+  },
+  {
+    call: GO_EVAL_CALL,
+    pattern: /\.(?:className\s*=(?!=)|classList\s*\.\s*(?:add|remove|toggle))/,
+    id: 'GO_DOM_CLASS_MUTATION',
+    description: 'Evaluate()/Eval() script modifies element classes',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never modify application CSS classes',
+    lang: 'go',
+  },
+  {
+    call: GO_EVAL_CALL,
+    pattern: /\.remove\s*\(\s*\)/,
+    id: 'GO_DOM_ELEMENT_REMOVAL',
+    description: 'Evaluate()/Eval() script removes DOM elements',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never remove application elements',
+    lang: 'go',
+  },
+  {
+    call: GO_EVAL_CALL,
+    pattern: /\.display\s*=\s*(?:['"`]|\\")/,
+    id: 'GO_CSS_DISPLAY_OVERRIDE',
+    description: 'Evaluate()/Eval() script overrides CSS display property',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never override application CSS display',
+    lang: 'go',
+  },
+  {
+    pattern: /new\s+MutationObserver/,
+    id: 'GO_MUTATION_OBSERVER',
+    description: 'Test creates a MutationObserver to reactively modify the DOM',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never use MutationObserver to alter app behavior',
+    lang: 'go',
+  },
+  {
+    pattern: /\.(?:Must)?AddStyleTag\s*\(/,
+    id: 'GO_INJECTED_STYLE',
+    description: 'Test injects a <style> tag into the application',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never inject CSS into the application',
+    lang: 'go',
+  },
+  {
+    pattern: /\.(?:Must)?AddScriptTag\s*\(/,
+    id: 'GO_INJECTED_SCRIPT',
+    description: 'Test injects a <script> tag into the application',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must never inject JavaScript into the application',
+    lang: 'go',
+  },
+  {
+    pattern: /chromedp\.(?:SetAttributeValue|SetAttributes|RemoveAttribute|SetJavascriptAttribute)\s*\(/,
+    id: 'GO_ATTRIBUTE_MUTATION',
+    description: 'chromedp action rewrites element attributes directly',
+    severity: 'critical',
+    rule: 'Rule Zero: Tests must interact like a user, never rewrite application markup',
+    lang: 'go',
+  },
+  {
+    call: GO_EVAL_CALL,
+    pattern: /document\.getElementById\s*\([^)]+\)\s*\.\s*\w+\s*=(?!=)/,
+    id: 'GO_DOM_PROPERTY_SET',
+    description: 'Evaluate()/Eval() script sets a property on a DOM element by ID',
+    severity: 'warning',
+    rule: 'Potential Rule Zero violation: verify this is read-only',
+    lang: 'go',
+  },
+];
+
+// State-based alternatives to a fixed wait, per language and framework
+const WAIT_SUGGESTIONS = {
+  js: {
+    playwright: 'Wait on the expected state: await expect(locator).toBeVisible() / toHaveText(), or page.waitForURL() / page.waitForResponse()',
+    puppeteer: "Wait on the expected state: await page.waitForSelector(selector, { visible: true }), page.waitForFunction() or page.waitForResponse()",
+    cypress: "Wait on the expected state: cy.get(selector).should('be.visible'), or cy.intercept() + cy.wait('@alias') for requests",
+    webdriverio: 'Wait on the expected state: await $(selector).waitForDisplayed(), or browser.waitUntil(() => ...)',
+    default: 'Wait on the expected state (e.g. await expect(locator).toBeVisible()) instead of a fixed delay',
+  },
+  cs: {
+    playwright: 'Wait on the expected state: await Expect(locator).ToBeVisibleAsync() or page.WaitForURLAsync()',
+    selenium: 'Wait on the expected state: new WebDriverWait(driver, TimeSpan.FromSeconds(10)).Until(d => d.FindElement(By.Id("...")).Displayed)',
+    default: 'Wait on the expected state (WebDriverWait / Expect(locator)) instead of a fixed delay',
+  },
+  py: {
+    playwright: 'Wait on the expected state: expect(locator).to_be_visible() or page.wait_for_url()',
+    selenium: 'Wait on the expected state: WebDriverWait(driver, 10).until(EC.visibility_of_element_located((By.ID, "...")))',
+    default: 'Wait on the expected state (WebDriverWait / expect(locator)) instead of a fixed delay',
+  },
+  java: {
+    playwright: 'Wait on the expected state: assertThat(locator).isVisible() or page.waitForURL()',
+    appium: 'Wait on the expected state: new WebDriverWait(driver, Duration.ofSeconds(10)).until(ExpectedConditions.visibilityOfElementLocated(AppiumBy.accessibilityId("...")))',
+    selenium: 'Wait on the expected state: new WebDriverWait(driver, Duration.ofSeconds(10)).until(ExpectedConditions.visibilityOfElementLocated(By.id("...")))',
+    default: 'Wait on the expected state (WebDriverWait / assertThat(locator)) instead of a fixed delay',
+  },
+  go: {
+    chromedp: 'Wait on the expected state: chromedp.WaitVisible(selector) or chromedp.WaitReady(selector)',
+    rod: 'Wait on the expected state: page.MustElement(selector).MustWaitVisible() or page.MustWaitStable()',
+    playwright: 'Wait on the expected state: expect.Locator(locator).ToBeVisible() or locator.WaitFor()',
+    default: 'Wait on the expected state (WaitVisible / WaitFor) instead of a fixed delay',
+  },
+};
+
+// First matching marker wins; used only to tailor fix suggestions
+const FRAMEWORK_MARKERS = {
+  js: [
+    ['cypress', /['"]cypress['"]|\bcy\.\w+\(/],
+    ['webdriverio', /['"](?:webdriverio|@wdio\/[\w-]+)['"]|\bbrowser\.pause\(/],
+    ['playwright', /['"]@?playwright(?:\/test)?['"]/],
+    ['puppeteer', /['"]puppeteer(?:-core)?['"]/],
+  ],
+  cs: [['playwright', /\bMicrosoft\.Playwright\b/], ['selenium', /\bOpenQA\.Selenium\b/]],
+  py: [['playwright', /\bplaywright\b/], ['selenium', /\bselenium\b/]],
+  java: [['playwright', /\bcom\.microsoft\.playwright\b/], ['appium', /\bio\.appium\b/], ['selenium', /\borg\.openqa\.selenium\b/]],
+  go: [['chromedp', /chromedp/], ['rod', /go-rod\/rod/], ['playwright', /playwright-community\/playwright-go/]],
+};
+
+function detectFramework(content, lang) {
+  const found = (FRAMEWORK_MARKERS[lang] || []).find(([, marker]) => marker.test(content));
+  return found ? found[0] : 'default';
+}
+
+// Hardcoded waits (garbage-test category 5). A fixed sleep either wastes time
+// or flakes when the app is slower than guessed; tests must wait for state.
+// Every fixed wait is reported, even when an assertion follows it. JS/TS files
+// that cannot be parsed fall back to these patterns, which cover the same
+// calls as the syntax-tree checks. `suggestions` is keyed by the framework
+// detected in the file.
+const WAIT_RULE = 'Garbage test category 5: hardcoded waits hide timing defects; wait for application state instead';
+
+const WAIT_PATTERNS = [
+  {
+    pattern: /\.waitForTimeout\s*\(|\.waitFor\s*\(\s*\d|\bcy\.wait\s*\(\s*\d|\b(?:browser|driver)\.pause\s*\(/,
+    id: 'HARDCODED_WAIT',
+    description: 'Test pauses for a fixed time (waitForTimeout / waitFor(ms) / cy.wait(ms) / browser.pause)',
+    lang: 'js',
+  },
+  {
+    pattern: /new\s+Promise\s*\(\s*(?:\w+|\([^)]*\))\s*=>\s*setTimeout\s*\(|\bawait\s+setTimeout\s*\(/,
+    id: 'SLEEP_PROMISE',
+    description: 'Test sleeps on a setTimeout promise (new Promise(r => setTimeout(r, ms)) / await setTimeout(ms))',
+    lang: 'js',
+  },
+  {
+    pattern: /\b(?:Thread\.Sleep|Task\.Delay)\s*\(|\.WaitForTimeoutAsync\s*\(/,
+    id: 'CS_HARDCODED_WAIT',
+    description: 'Test pauses for a fixed time (Thread.Sleep / Task.Delay / WaitForTimeoutAsync)',
+    lang: 'cs',
+  },
+  {
+    pattern: /\b(?:time|asyncio)\.sleep\s*\(|(?<!def\s+)(?<![\w.])sleep\s*\(|\.wait_for_timeout\s*\(/,
+    id: 'PY_HARDCODED_WAIT',
+    description: 'Test pauses for a fixed time (time.sleep / wait_for_timeout)',
+    lang: 'py',
+  },
+  {
+    pattern: /\b(?:Thread|SystemClock)\.sleep\s*\(|\bTimeUnit\.\w+\.sleep\s*\(|(?<![\w.])delay\s*\(\s*\d|\.waitForTimeout\s*\(/,
+    id: 'JAVA_HARDCODED_WAIT',
+    description: 'Test pauses for a fixed time (Thread.sleep / TimeUnit.sleep / delay(ms) / waitForTimeout)',
+    lang: 'java',
+  },
+  {
+    pattern: /\b(?:time|chromedp)\.Sleep\s*\(|\.WaitForTimeout\s*\(/,
+    id: 'GO_HARDCODED_WAIT',
+    description: 'Test pauses for a fixed time (time.Sleep / chromedp.Sleep / WaitForTimeout)',
+    lang: 'go',
+  },
+].map(rule => Object.assign(rule, { severity: 'warning', rule: WAIT_RULE, suggestions: WAIT_SUGGESTIONS[rule.lang] }));
+const WAIT_IDS = new Set(WAIT_PATTERNS.map(rule => rule.id));
+
+// Brittle locators (scripts/lib/selectors.js). Optional: the rules are `off`
+// until `lint.rules` gives them a severity, e.g. "*BRITTLE_*": warning.
+const BRITTLE_RULE = 'Brittle locators make UI tests flaky: locate elements by role, label or test id';
+
+const BRITTLE_RULES = {
+  BRITTLE_XPATH: 'Locator is an absolute XPath; any layout change breaks it',
+  BRITTLE_NTH_CHILD: 'Locator depends on element positions (nth-child / index chain)',
+  BRITTLE_GENERATED_CLASS: 'Locator uses a build-generated class name',
+  BRITTLE_TEXT_MATCH: 'Text locator matches a substring instead of the exact text',
+  BRITTLE_FIRST_MATCH: '.first() picks one of several matches instead of a unique locator',
+};
+
+const BRITTLE_SUGGESTIONS = {
+  js: {
+    playwright: "Locate by role or test id: page.getByRole('button', { name: 'Save' }) or page.getByTestId('save'); for text use getByText('Save', { exact: true })",
+    cypress: "Locate by test id: cy.get('[data-testid=\"save\"]'), or by exact text: cy.contains('button', /^Save$/)",
+    webdriverio: "Locate by accessible name or test id: $('aria/Save') or $('[data-testid=\"save\"]')",
+    puppeteer: "Locate by accessible name or test id: page.locator('::-p-aria(Save)') or page.locator('[data-testid=\"save\"]')",
+    default: "Locate by role or test id (getByRole('button', { name: 'Save' }), [data-testid=\"save\"]) instead",
+  },
+  cs: {
+    playwright: 'Locate by role or test id: Page.GetByRole(AriaRole.Button, new() { Name = "Save" }) or Page.GetByTestId("save")',
+    selenium: 'Locate by test id or id: By.CssSelector("[data-testid=\'save\']") or By.Id("save")',
+    default: 'Locate by role or test id ([data-testid=\'save\']) instead',
+  },
+  py: {
+    playwright: 'Locate by role or test id: page.get_by_role("button", name="Save") or page.get_by_test_id("save")',
+    selenium: 'Locate by test id or id: (By.CSS_SELECTOR, "[data-testid=\'save\']") or (By.ID, "save")',
+    default: 'Locate by role or test id ([data-testid=\'save\']) instead',
+  },
+  java: {
+    playwright: 'Locate by role or test id: page.getByRole(AriaRole.BUTTON, new Page.GetByRoleOptions().setName("Save")) or page.getByTestId("save")',
+    appium: 'Locate by accessibility id: AppiumBy.accessibilityId("save")',
+    selenium: 'Locate by test id or id: By.cssSelector("[data-testid=\'save\']") or By.id("save")',
+    default: 'Locate by role or test id ([data-testid=\'save\']) instead',
+  },
+};
+const BRITTLE_PREFIXES = { js: '', cs: 'CS_', py: 'PY_', java: 'JAVA_' };
+
+const BRITTLE_SELECTOR_PATTERNS = Object.entries(BRITTLE_PREFIXES).flatMap(([lang, prefix]) => (
+  Object.entries(BRITTLE_RULES).map(([id, description]) => ({
+    id: prefix + id, description, severity: 'off', rule: BRITTLE_RULE, lang, suggestions: BRITTLE_SUGGESTIONS[lang],
+  }))
+));
+
 const ALL_VIOLATION_PATTERNS = [
   ...JS_VIOLATION_PATTERNS,
+  ...CYPRESS_VIOLATION_PATTERNS,
+  ...WDIO_VIOLATION_PATTERNS,
+  ...APP_STUB_PATTERNS,
+  ...APP_STATE_PATTERNS,
   ...CSHARP_VIOLATION_PATTERNS,
   ...PYTHON_VIOLATION_PATTERNS,
+  ...PLAYWRIGHT_PYTHON_PATTERNS,
+  ...PLAYWRIGHT_DOTNET_PATTERNS,
+  ...JAVA_VIOLATION_PATTERNS,
+  ...GO_VIOLATION_PATTERNS,
+  ...WAIT_PATTERNS,
+  ...BRITTLE_SELECTOR_PATTERNS,
 ];
 
-// These are ALLOWED page.evaluate patterns (read-only queries)
-const ALLOWED_PATTERNS = [
-  /getComputedStyle/,
-  /getBoundingClientRect/,
-  /\.textContent(?!\s*=)/,
-  /\.innerText(?!\s*=)/,
-  /querySelectorAll[\s\S]*?\.(?:length|filter|map|forEach)/,
-  /scroll(?:Width|Height|Top|Left)(?!\s*=)/,
-  /\.(?:src|href)(?!\s*=)/,
-  /Array\.from/,
-];
+// A JS/TS file the parser rejects only gets the pattern rules and a text
+// search for .only / .skip; the per-test checks do not run on it
+const PARSE_RULES = {
+  UNPARSABLE_FILE: {
+    id: 'UNPARSABLE_FILE',
+    description: 'File could not be parsed; assertion, AC and selector checks were skipped',
+    severity: 'warning',
+    rule: 'Only pattern rules and .only/.skip detection ran on this file: fix the syntax or report the unsupported construct',
+    lang: 'js',
+  },
+};
 
 function getFileLanguage(filePath) {
   if (/\.cs$/.test(filePath)) return 'cs';
   if (/\.py$/.test(filePath)) return 'py';
   if (/\.go$/.test(filePath)) return 'go';
+  if (/\.(?:java|kt)$/.test(filePath)) return 'java'; // Java and Kotlin
+  if (/\.ya?ml$/.test(filePath)) return 'yaml'; // Maestro flows
   return 'js'; // js/ts/mjs
 }
 
-function scanFile(filePath) {
-  const content = fs.readFileSync(filePath, 'utf8');
+function buildContext(lines, lineNum) {
+  const contextStart = Math.max(0, lineNum - 3);
+  const contextEnd = Math.min(lines.length, lineNum + 5);
+  return lines.slice(contextStart, contextEnd).join('\n');
+}
+
+// `framework` (from detectFramework) picks the rule's fix suggestion
+function toViolation(rule, filePath, lines, line, column, framework) {
+  return {
+    file: path.relative(process.cwd(), filePath),
+    line,
+    column,
+    id: rule.id,
+    severity: rule.severity,
+    description: rule.description,
+    rule: rule.rule,
+    context: buildContext(lines, line),
+    ...(rule.suggestions && { suggestion: rule.suggestions[framework || 'default'] }),
+  };
+}
+
+// Returns the index just past the `)` matching the `(` at openIndex, skipping
+// string literals ("...", '...', `...`) and comments. -1 when unbalanced.
+function findCallEnd(content, openIndex, lang) {
+  let depth = 0;
+  for (let i = openIndex; i < content.length; i++) {
+    const ch = content[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      const raw = ch === '`';
+      for (i++; i < content.length && content[i] !== ch; i++) {
+        if (content[i] === '\\' && !raw) i++;
+      }
+    } else if (lang !== 'py' && ch === '/' && content[i + 1] === '/') {
+      while (i < content.length && content[i] !== '\n') i++;
+    } else if (lang !== 'py' && ch === '/' && content[i + 1] === '*') {
+      const close = content.indexOf('*/', i + 2);
+      i = close === -1 ? content.length : close + 1;
+    } else if (lang === 'py' && ch === '#') {
+      while (i < content.length && content[i] !== '\n') i++;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+// Yields [index, match] pairs; rules with a `call` only match inside the
+// argument list of each call so one call's script never bleeds into the next
+function* matchRule(content, rule, lang) {
+  if (!rule.call) {
+    const re = new RegExp(rule.pattern.source, `${rule.pattern.flags}g`);
+    let match;
+    while ((match = re.exec(content)) !== null) {
+      yield [match.index, match];
+      if (match[0].length === 0) re.lastIndex++;
+    }
+    return;
+  }
+  const callRe = new RegExp(rule.call.source, 'g');
+  let call;
+  while ((call = callRe.exec(content)) !== null) {
+    const open = call.index + call[0].length - 1;
+    const end = findCallEnd(content, open, lang);
+    if (end === -1) continue;
+    const match = rule.pattern.exec(content.slice(open, end));
+    if (match) yield [open + match.index, match];
+  }
+}
+
+// Pattern matching over raw source: used for non-JS languages and unparsable JS
+function scanWithPatterns(filePath, content, patterns, lang, framework) {
   const lines = content.split('\n');
   const violations = [];
-  const lang = getFileLanguage(filePath);
 
-  // Filter patterns relevant to this file's language
-  const applicablePatterns = ALL_VIOLATION_PATTERNS.filter(rule => {
-    if (rule.lang === lang) return true;
-    // JS patterns also apply to ts/mjs files
-    if (rule.lang === 'js' && lang === 'js') return true;
-    return false;
+  for (const rule of patterns) {
+    for (const [index] of matchRule(content, rule, lang)) {
+      const before = content.substring(0, index);
+      const lineNum = before.split('\n').length;
+      const column = index - before.lastIndexOf('\n');
+      violations.push(toViolation(rule, filePath, lines, lineNum, column, framework));
+    }
+  }
+
+  return violations;
+}
+
+// Records what a finding is about (a path, variable, statement or locator)
+// in `target` and names it in the description
+function withTarget(violation, target) {
+  if (!target) return violation;
+  violation.target = target;
+  violation.description += `: ${target}`;
+  return violation;
+}
+
+// `analysis` holds the project settings js-analysis needs (see analyzeJsFile)
+function scanJsFile(filePath, content, analysis, framework) {
+  const jsRules = ALL_VIOLATION_PATTERNS.filter(rule => rule.lang === 'js');
+  let result;
+  try {
+    result = analyzeJsFile(filePath, analysis);
+  } catch (err) {
+    if (!(err instanceof JsParseError)) throw err;
+    return scanWithPatterns(filePath, content, jsRules.filter(rule => rule.pattern), 'js', framework);
+  }
+
+  const rulesById = new Map(jsRules.map(r => [r.id, r]));
+  const linesByFile = new Map([[path.resolve(filePath), content.split('\n')]]);
+  return result.violations.map(found => {
+    if (!linesByFile.has(found.file)) linesByFile.set(found.file, fs.readFileSync(found.file, 'utf8').split('\n'));
+    const violation = toViolation(rulesById.get(found.id), found.file, linesByFile.get(found.file), found.line, found.column, framework);
+    violation.endLine = found.endLine;
+    violation.endColumn = found.endColumn;
+    if (found.importedBy) violation.importedBy = path.relative(process.cwd(), found.importedBy);
+    return withTarget(violation, found.detail);
   });
+}
+
+// Application-state rules for C#, Python, Java/Kotlin and Go. They match
+// inside string literals, so only comments are blanked.
+function scanAppState(filePath, content, lang, analysis) {
+  const prefix = APP_STATE_PREFIXES[lang];
+  const calls = APP_STATE_CALLS[lang];
+  if (!calls) return [];
+  const rulesById = new Map(APP_STATE_PATTERNS.filter(rule => rule.lang === lang).map(r => [r.id, r]));
+  const lines = content.split('\n');
+  const lineStarts = buildLineIndex(content);
+  const violations = [];
+  const report = (id, index, target) => {
+    const pos = positionAt(lineStarts, index);
+    violations.push(withTarget(toViolation(rulesById.get(prefix + id), filePath, lines, pos.line, pos.column + 1), target));
+  };
+  const code = blankComments(content, lang);
 
-  for (const rule of applicablePatterns) {
-    const matches = content.match(new RegExp(rule.pattern.source, 'g'));
-    if (!matches) continue;
-
-    for (const match of matches) {
-      const matchIndex = content.indexOf(match);
-      const lineNum = content.substring(0, matchIndex).split('\n').length;
-
-      const contextStart = Math.max(0, lineNum - 3);
-      const contextEnd = Math.min(lines.length, lineNum + 5);
-      const context = lines.slice(contextStart, contextEnd).join('\n');
-
-      violations.push({
-        file: path.relative(process.cwd(), filePath),
-        line: lineNum,
-        id: rule.id,
-        severity: rule.severity,
-        description: rule.description,
-        rule: rule.rule,
-        context: context,
-      });
+  for (const pattern of calls.APP_SOURCE_WRITE) {
+    for (const match of code.matchAll(pattern)) {
+      const literal = match.groups.target.replace(/^[rR@]?(["'`])/, '').slice(0, -1).replace(/\\\\/g, '\\');
+      const relative = path.relative(process.cwd(), path.resolve(literal));
+      if (analysis.isAppPath(relative)) report('APP_SOURCE_WRITE', match.index, relative);
     }
   }
+  for (const pattern of calls.APP_ENV_MUTATION) {
+    for (const match of code.matchAll(pattern)) {
+      const name = match.groups && match.groups.name;
+      if (name && analysis.isTestEnv(name)) continue;
+      report('APP_ENV_MUTATION', match.index, name || match[0].replace(/\s*\($/, '').trim());
+    }
+  }
+  for (const match of code.matchAll(new RegExp(SCHEMA_SQL.source, 'g'))) {
+    // The pattern can run into the closing quote of the string
+    report('APP_SCHEMA_CHANGE', match.index, match[0].replace(/\s+/g, ' ').replace(/["'`]+$/, ''));
+  }
+  return violations;
+}
 
+// Playwright for Python / .NET: literal scripts are analysed like JS callbacks.
+// Findings point into the string unless escapes shift the offsets.
+function scanPlaywrightScripts(filePath, content, lang) {
+  const { prefix } = PLAYWRIGHT_BINDINGS[lang];
+  const rulesById = new Map(ALL_VIOLATION_PATTERNS.filter(rule => rule.lang === lang).map(r => [r.id, r]));
+  const lines = content.split('\n');
+  const lineStarts = buildLineIndex(content);
+  const violations = [];
+  for (const call of findPlaywrightScripts(content, lang)) {
+    for (const found of analyzeScript(call.script, { elementParams: call.elements }) || []) {
+      const rule = rulesById.get(prefix + found.id);
+      if (!rule) continue;
+      const pos = positionAt(lineStarts, call.exact ? call.contentStart + found.start : call.start);
+      violations.push(toViolation(rule, filePath, lines, pos.line, pos.column + 1));
+    }
+  }
   return violations;
 }
 
-function findTestFilesRecursive(dir) {
+// Per-test assertion and screenshot checks (garbage-test categories 3 and 6);
+// findings name the test block
+function scanAssertions(filePath, content, lang, program) {
+  const lines = content.split('\n');
+  return analyzeAssertions(content, lang, program).map(found => Object.assign(
+    toViolation(ASSERTION_RULES[found.id], filePath, lines, found.line, found.column),
+    { test: found.test || path.basename(filePath) },
+  ));
+}
+
+// Focused and disabled tests; findings name the test and the ACs it covers
+function scanDisabledTests(filePath, content, lang, program) {
+  const lines = content.split('\n');
+  return analyzeDisabledTests(content, lang, program).map((found) => {
+    const violation = toViolation(DISABLED_TEST_RULES[found.id], filePath, lines, found.line, found.column);
+    violation.test = found.test || path.basename(filePath);
+    if (found.acs.length) {
+      violation.ac = found.acs.join(', ');
+      violation.description += ` (covers ${violation.ac})`;
+    }
+    return violation;
+  });
+}
+
+// Brittle locators; the violation names the locator string
+function scanSelectors(filePath, content, lang, program, framework) {
+  const prefix = BRITTLE_PREFIXES[lang];
+  if (prefix === undefined) return [];
+  const lines = content.split('\n');
+  const rulesById = new Map(BRITTLE_SELECTOR_PATTERNS.filter(rule => rule.lang === lang).map(rule => [rule.id, rule]));
+  return analyzeSelectors(content, lang, program).map(found => withTarget(
+    toViolation(rulesById.get(prefix + found.id), filePath, lines, found.line, found.column, framework),
+    found.selector,
+  ));
+}
+
+// AC traceability (garbage-test category 4). Cited AC ids are collected in
+// `trace.referenced` so uncovered ACs can be reported after the scan.
+function scanTraceability(filePath, content, lang, program, trace) {
+  const lines = content.split('\n');
+  const tests = testAcReferences(content, lang, program);
+  return checkTraceability(tests, trace.catalog, trace.referenced).map(found => {
+    const violation = toViolation(TRACEABILITY_RULES[found.id], filePath, lines, found.line, found.column);
+    violation.test = found.test || path.basename(filePath);
+    if (found.ac) {
+      violation.ac = found.ac;
+      violation.description += `: ${found.ac}`;
+    }
+    return violation;
+  });
+}
+
+// Project rules from the `lint:` section. Regex rules run on the raw source of
+// every language; AST rules need the parsed program.
+function scanCustomRules(filePath, content, lang, program, customRules) {
+  const rules = customRules.filter(rule => rule.lang === lang);
+  const violations = scanWithPatterns(filePath, content, rules.filter(rule => rule.pattern), lang);
+  if (!program) return violations;
+  const lines = content.split('\n');
+  return violations.concat(matchAstRules(program, rules.filter(rule => rule.ast)).map(({ rule, node }) => (
+    toViolation(rule, filePath, lines, node.loc.start.line, node.loc.start.column + 1)
+  )));
+}
+
+// `ctx` carries the AC `trace`, the project's `customRules` and the `analysis`
+// settings from its lint config
+function scanFile(filePath, ctx) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const lang = getFileLanguage(filePath);
+  const framework = detectFramework(content, lang);
+
+  let violations;
+  if (lang === 'js') {
+    violations = scanJsFile(filePath, content, ctx.analysis, framework);
+  } else {
+    const applicablePatterns = ALL_VIOLATION_PATTERNS.filter(rule => rule.lang === lang && rule.pattern);
+    violations = scanWithPatterns(filePath, content, applicablePatterns, lang, framework);
+    if (PLAYWRIGHT_BINDINGS[lang]) violations.push(...scanPlaywrightScripts(filePath, content, lang));
+    violations.push(...scanAppState(filePath, content, lang, ctx.analysis));
+  }
+
+  // Per-test rules need the syntax tree; unparsable JS/TS only gets the pattern
+  // rules and the text search for focused and skipped tests
+  let program = null;
+  if (lang === 'js') {
+    try {
+      program = parse(content);
+    } catch (err) {
+      if (!(err instanceof JsParseError)) throw err;
+      const unparsable = toViolation(PARSE_RULES.UNPARSABLE_FILE, filePath, content.split('\n'), err.line, err.column + 1);
+      unparsable.description += `: ${err.message}`;
+      return violations.concat(
+        [unparsable],
+        scanCustomRules(filePath, content, lang, null, ctx.customRules),
+        scanDisabledTests(filePath, content, lang, null),
+      );
+    }
+  }
+  return violations.concat(
+    scanCustomRules(filePath, content, lang, program, ctx.customRules),
+    scanAssertions(filePath, content, lang, program),
+    scanDisabledTests(filePath, content, lang, program),
+    scanSelectors(filePath, content, lang, program, framework),
+    scanTraceability(filePath, content, lang, program, ctx.trace),
+  );
+}
+
+// Active ACs that no scanned test cites, reported at their catalog entry
+function uncoveredAcViolations(trace) {
+  const linesByFile = new Map();
+  return uncoveredAcs(trace.catalog, trace.referenced).map(found => {
+    if (!linesByFile.has(found.file)) linesByFile.set(found.file, fs.readFileSync(found.file, 'utf8').split('\n'));
+    const violation = toViolation(TRACEABILITY_RULES.AC_UNCOVERED, found.file, linesByFile.get(found.file), found.line, 1);
+    violation.ac = found.ac;
+    violation.description += `: ${found.ac}${found.title ? ` (${found.title})` : ''}`;
+    return violation;
+  });
+}
+
+// --- Rule settings ---
+
+// Applies the configured scopes and severities; rules set to `off` are dropped
+function applyRuleSettings(violations, lintConfig) {
+  return violations.filter(v => {
+    if (!lintConfig.inScope(v.id, v.file)) return false;
+    // Optional rules default to `off` until configured
+    const severity = (waitSeverity && WAIT_IDS.has(v.id) && waitSeverity) || lintConfig.severityFor(v.id) || v.severity;
+    if (severity === 'off') return false;
+    v.severity = severity;
+    return true;
+  });
+}
+
+// --- Inline suppressions ---
+
+// Applies the suppression directives of every scanned spec and every helper
+// module that produced a violation. Returns the remaining violations (plus
+// violations about the directives themselves), the suppressed ones, and an
+// audit list of all directives.
+function resolveSuppressions(files, violations) {
+  const scanned = new Set(files.map(f => path.relative(process.cwd(), f)));
+  const byFile = new Map([...scanned].map(rel => [rel, []]));
+  for (const v of violations) {
+    if (!byFile.has(v.file)) byFile.set(v.file, []);
+    byFile.get(v.file).push(v);
+  }
+
+  const active = [];
+  const suppressed = [];
+  const directives = [];
+  for (const [rel, fileViolations] of byFile) {
+    const filePath = path.resolve(process.cwd(), rel);
+    const content = fs.readFileSync(filePath, 'utf8');
+    const found = parseSuppressions(content, getFileLanguage(filePath));
+    const result = applySuppressions(fileViolations, found);
+    active.push(...result.active);
+    suppressed.push(...result.suppressed);
+
+    const lines = content.split('\n');
+    for (const d of found) {
+      let status = 'applied';
+      if (!d.reason) {
+        status = 'missing-reason';
+        active.push(toViolation(SUPPRESSION_RULES.SUPPRESSION_MISSING_REASON, filePath, lines, d.line, d.column));
+      } else if (d.matched === 0) {
+        // Helper modules are only partially analysed (unused exports are
+        // skipped), so an unmatched waiver there is not necessarily stale
+        status = scanned.has(rel) ? 'stale' : 'unmatched';
+        if (scanned.has(rel)) active.push(toViolation(SUPPRESSION_RULES.SUPPRESSION_UNUSED, filePath, lines, d.line, d.column));
+      }
+      directives.push({ file: rel, line: d.line, kind: d.kind, rules: d.rules, reason: d.reason, matched: d.matched, status });
+    }
+  }
+
+  const byPosition = (a, b) => a.file.localeCompare(b.file) || a.line - b.line || (a.column || 0) - (b.column || 0);
+  return { active: active.sort(byPosition), suppressed: suppressed.sort(byPosition), directives: directives.sort(byPosition) };
+}
+
+function printSuppressionAudit(directives) {
+  if (jsonOutput) {
+    console.log(JSON.stringify({ suppressions: directives }, null, 2));
+    return;
+  }
+  if (directives.length === 0) {
+    console.log('  No suppression directives found.\n');
+    return;
+  }
+  console.log(`  SUPPRESSIONS: ${directives.length}\n`);
+  for (const d of directives) {
+    const status = d.status === 'applied' ? `applied to ${d.matched} violation(s)` : d.status;
+    console.log(`  ${d.file}:${d.line}  [${status}]`);
+    console.log(`    Rules:  ${d.rules.join(', ') || '(none)'}`);
+    console.log(`    Reason: ${d.reason || '(missing)'}`);
+    console.log('');
+  }
+}
+
+// --- Duplicate detection mode ---
+
+function reportDuplicates(files) {
+  const tests = [];
+  for (const file of files) {
+    const content = fs.readFileSync(file, 'utf8');
+    const lang = getFileLanguage(file);
+    let program = null;
+    if (lang === 'js') {
+      try {
+        program = parse(content);
+      } catch (err) {
+        if (!(err instanceof JsParseError)) throw err;
+        continue;
+      }
+    }
+    const acsByPosition = new Map(testAcReferences(content, lang, program)
+      .map(t => [`${t.line}:${t.column}`, t.refs.map(ref => ref.id)]));
+    for (const fingerprint of testFingerprints(content, lang, program)) {
+      tests.push(Object.assign(fingerprint, {
+        file: path.relative(process.cwd(), file),
+        name: fingerprint.name || path.basename(file),
+        acs: acsByPosition.get(`${fingerprint.line}:${fingerprint.column}`) || [],
+      }));
+    }
+  }
+
+  const pairs = findDuplicates(tests, similarity).map(({ similarity: score, a, b }) => {
+    const describe = ({ file, line, column, name, acs }) => ({ file, line, column, test: name, acs });
+    return { similarity: score, a: describe(a), b: describe(b) };
+  });
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({ files: files.length, tests: tests.length, threshold: similarity, duplicates: pairs }, null, 2));
+    return;
+  }
+  if (pairs.length === 0) {
+    console.log(`  No near-duplicate tests at ${Math.round(similarity * 100)}% similarity across ${tests.length} test(s).\n`);
+    return;
+  }
+  console.log(`  NEAR-DUPLICATE TEST PAIRS: ${pairs.length} (threshold ${Math.round(similarity * 100)}%)\n`);
+  for (const pair of pairs) {
+    console.log(`  ${Math.round(pair.similarity * 100)}% similar`);
+    for (const t of [pair.a, pair.b]) {
+      console.log(`    ${t.file}:${t.line}:${t.column}  ${t.test}`);
+      console.log(`      ACs: ${t.acs.join(', ') || '(none)'}`);
+    }
+    console.log('');
+  }
+  console.log('Review each pair: if both tests exercise the same behaviour with the same kind of input, keep one.');
+}
+
+// --- Happy-path bias mode ---
+
+function reportHappyPath(files, catalog) {
+  const tests = [];
+  for (const file of files) {
+    const content = fs.readFileSync(file, 'utf8');
+    const lang = getFileLanguage(file);
+    let program = null;
+    if (lang === 'js') {
+      try {
+        program = parse(content);
+      } catch (err) {
+        if (!(err instanceof JsParseError)) throw err;
+        continue;
+      }
+    }
+    for (const test of classifyTests(content, lang, program)) {
+      tests.push(Object.assign(test, {
+        file: path.relative(process.cwd(), file),
+        name: test.name || path.basename(file),
+      }));
+    }
+  }
+
+  const report = happyPathReport(tests, catalog);
+  if (jsonOutput) {
+    const negative = tests.filter(t => t.kind === 'negative').length;
+    console.log(JSON.stringify({
+      files: files.length,
+      tests: tests.length,
+      positive: tests.length - negative,
+      negative,
+      catalog: catalog ? catalog.source : null,
+      ...report,
+    }, null, 2));
+    return;
+  }
+  const biased = report.acs.filter(ac => ac.status === 'happy-path-only');
+  if (biased.length === 0) {
+    console.log(`  Every AC cited by the ${tests.length} test(s) has a negative or boundary test.\n`);
+  } else {
+    console.log(`  HAPPY-PATH-ONLY ACs: ${biased.length}\n`);
+    for (const ac of biased) {
+      console.log(`  ${ac.ac}${ac.title ? ` - ${ac.title}` : ''}`);
+      for (const t of ac.tests) console.log(`    ${t.file}:${t.line}  ${t.test}`);
+      console.log('');
+    }
+    console.log('Add a test for invalid input, an error response or a boundary value to each AC above.\n');
+  }
+  if (report.untested.length) console.log(`  ACs without tests: ${report.untested.join(', ')}`);
+  if (report.unmapped.length) console.log(`  Tests without an AC reference: ${report.unmapped.length}`);
+}
+
+function findTestFilesRecursive(dir, globs) {
   const files = [];
   if (!fs.existsSync(dir)) return files;
 
@@ -361,16 +1496,64 @@ function findTestFilesRecursive(dir) {
     if (entry.isDirectory()) {
       // Skip common non-test directories
       if (['node_modules', '.git', 'bin', 'obj', '__pycache__', '.venv', 'venv'].includes(entry.name)) continue;
-      files.push(...findTestFilesRecursive(fullPath));
-    } else if (entry.isFile() && isTestFile(entry.name)) {
+      files.push(...findTestFilesRecursive(fullPath, globs));
+    } else if (entry.isFile() && (isTestFile(entry.name, globs) || isMaestroFlow(fullPath))) {
       files.push(fullPath);
     }
   }
   return files;
 }
 
+// Git reports paths under the real repository root; compare without symlinks
+function realPath(file) {
+  try {
+    return fs.realpathSync(file);
+  } catch (err) {
+    return path.resolve(file);
+  }
+}
+
 function main() {
   const projectRoot = process.cwd();
+  const config = loadTeamwerkConfig(projectRoot);
+
+  const builtinRules = [
+    ...ALL_VIOLATION_PATTERNS, ...Object.values(ASSERTION_RULES), ...Object.values(DISABLED_TEST_RULES),
+    ...Object.values(TRACEABILITY_RULES), ...Object.values(SUPPRESSION_RULES), ...Object.values(PARSE_RULES),
+  ];
+  let lintConfig = null;
+  const printSarif = (log) => console.log(JSON.stringify(toSarif(Object.assign({
+    rules: builtinRules.concat(lintConfig ? lintConfig.customRules : []),
+    severityFor: (id) => (lintConfig ? lintConfig.severityFor(id) : undefined),
+    root: projectRoot,
+  }, log)), null, 2));
+
+  const exitWithError = (message) => {
+    if (sarifOutput) {
+      printSarif({ error: message });
+    } else if (jsonOutput) {
+      console.log(JSON.stringify({ error: message, violations: [], files: 0 }));
+    } else {
+      console.error(`Error: ${message}`);
+    }
+    process.exit(1);
+  };
+
+  try {
+    lintConfig = loadLintConfig(config, builtinRules.map(rule => rule.id));
+  } catch (err) {
+    if (!(err instanceof LintConfigError)) throw err;
+    exitWithError(err.message);
+  }
+
+  let baseline = null;
+  try {
+    baseline = loadBaseline(projectRoot);
+  } catch (err) {
+    if (!(err instanceof BaselineError)) throw err;
+    // --update-baseline replaces an unreadable baseline
+    if (!updateBaseline) exitWithError(err.message);
+  }
 
   if (!jsonOutput) {
     console.log('');
@@ -382,35 +1565,49 @@ function main() {
   let files = [];
   if (cliFile) {
     const resolved = path.isAbsolute(cliFile) ? cliFile : path.join(projectRoot, cliFile);
-    if (!fs.existsSync(resolved)) {
-      if (jsonOutput) {
-        console.log(JSON.stringify({ error: `File not found: ${resolved}`, violations: [], files: 0 }));
-      } else {
-        console.error(`Error: File not found: ${resolved}`);
-      }
-      process.exit(1);
-    }
-    files = [resolved];
+    if (!fs.existsSync(resolved)) exitWithError(`File not found: ${resolved}`);
+    // A YAML file is only a test when it is a Maestro flow
+    files = /\.ya?ml$/.test(resolved) && !isMaestroFlow(resolved) ? [] : [resolved];
   } else {
-    const dirs = resolveTestDirs(projectRoot);
+    const dirs = resolveTestDirs(projectRoot, config);
     if (dirs.length === 0) {
-      if (jsonOutput) {
+      if (sarifOutput) {
+        printSarif({});
+      } else if (jsonOutput) {
         console.log(JSON.stringify({ error: 'No test directories found', violations: [], files: 0 }));
       } else {
         console.log('No test directories found. Use --dir or --file to specify.');
       }
       process.exit(0);
     }
+    const patterns = configValue(config, 'tests.patterns');
+    const globs = Array.isArray(patterns) ? patterns.map(String) : null;
     for (const dir of dirs) {
-      files.push(...findTestFilesRecursive(dir));
+      files.push(...findTestFilesRecursive(dir, globs));
     }
+    files = [...new Set(files)];
+  }
+  files = files.filter(file => !lintConfig.exclude.some(glob => matchesGlob(path.relative(projectRoot, file), glob)));
+
+  let changes = null;
+  if (diffMode) {
+    try {
+      changes = collectChanges(projectRoot, sinceRef);
+    } catch (err) {
+      if (!(err instanceof GitChangesError)) throw err;
+      exitWithError(err.message);
+    }
+    const changedPaths = new Set([...changes.keys()].map(file => realPath(file)));
+    files = files.filter(file => changedPaths.has(realPath(file)));
   }
 
   if (files.length === 0) {
-    if (jsonOutput) {
+    if (sarifOutput) {
+      printSarif({});
+    } else if (jsonOutput) {
       console.log(JSON.stringify({ violations: [], files: 0, critical: 0, warnings: 0, status: 'clean' }));
     } else {
-      console.log('No test files found.');
+      console.log(diffMode ? 'No changed test files.' : 'No test files found.');
     }
     process.exit(0);
   }
@@ -419,29 +1616,99 @@ function main() {
     console.log(`Scanning ${files.length} test file(s)...\n`);
   }
 
+  if (duplicatesMode) {
+    reportDuplicates(files);
+    process.exit(0);
+  }
+
+  const trace = { catalog: loadAcCatalog(projectRoot, config), referenced: new Set() };
+  if (happyPathMode) {
+    reportHappyPath(files, trace.catalog);
+    process.exit(0);
+  }
+  const ctx = {
+    trace,
+    customRules: lintConfig.customRules,
+    analysis: {
+      thirdPartyHosts: lintConfig.thirdPartyHosts,
+      isAppPath: lintConfig.isAppPath,
+      isTestEnv: lintConfig.isTestEnv,
+    },
+  };
   let allViolations = [];
   for (const file of files) {
-    const violations = scanFile(file);
+    const violations = scanFile(file, ctx);
     allViolations = allViolations.concat(violations);
   }
+  // Coverage of the AC catalog is only meaningful for a whole-suite scan: with
+  // --file, --dir or a diff, ACs tested elsewhere would look uncovered
+  if (!partialRun) allViolations = allViolations.concat(uncoveredAcViolations(trace));
 
-  // Deduplicate violations (same file + line + id)
+  // Deduplicate violations (same file + position + id); helper modules shared
+  // by several specs are reported once
   const seen = new Set();
   allViolations = allViolations.filter(v => {
-    const key = `${v.file}:${v.line}:${v.id}`;
+    const key = `${v.file}:${v.line}:${v.column}:${v.id}`;
     if (seen.has(key)) return false;
     seen.add(key);
     return true;
   });
+  const resolved = resolveSuppressions(files, allViolations);
+  const { directives } = resolved;
+  let suppressed = applyRuleSettings(resolved.suppressed, lintConfig);
+  allViolations = applyRuleSettings(resolved.active, lintConfig);
+  if (changedLinesOnly) {
+    const inHunk = (v) => touchesChange(changes, realPath(path.resolve(projectRoot, v.file)), v.line, v.endLine);
+    suppressed = suppressed.filter(inHunk);
+    allViolations = allViolations.filter(inHunk);
+  }
+
+  // Baseline entries belong to this run when their file was scanned or produced a violation
+  fingerprintViolations(allViolations, projectRoot);
+  const coveredFiles = new Set([...files.map(f => path.relative(projectRoot, f)), ...allViolations.map(v => v.file)]
+    .map(f => f.split(path.sep).join('/')));
+  const isCovered = (file) => !changedLinesOnly && (!partialRun || coveredFiles.has(file));
+
+  if (updateBaseline) {
+    const count = writeBaseline(projectRoot, allViolations, baseline, isCovered);
+    if (jsonOutput) {
+      console.log(JSON.stringify({ baseline: BASELINE_FILE, entries: count, files: files.length }, null, 2));
+    } else {
+      console.log(`  Baseline written to ${BASELINE_FILE}: ${count} violation(s).\n`);
+      console.log('Only violations that are not in the baseline will be reported from now on.');
+    }
+    process.exit(0);
+  }
+
+  let baselined = [];
+  let fixedBaseline = [];
+  if (baseline) {
+    const compared = compareWithBaseline(allViolations, baseline, isCovered);
+    allViolations = compared.fresh;
+    baselined = compared.baselined;
+    fixedBaseline = compared.fixed;
+  }
+
+  if (listSuppressions) {
+    printSuppressionAudit(directives);
+    process.exit(0);
+  }
 
   const critical = allViolations.filter(v => v.severity === 'critical');
   const warnings = allViolations.filter(v => v.severity === 'warning');
 
+  if (sarifOutput) {
+    printSarif({ violations: allViolations, suppressed, baselined: baseline ? baselined : null });
+    process.exit(critical.length > 0 ? 1 : 0);
+  }
+
   // JSON output mode
   if (jsonOutput) {
     const result = {
       files: files.length,
       violations: allViolations,
+      suppressed,
+      ...(baseline && { baselined: baselined.length, fixedBaseline }),
       critical: critical.length,
       warnings: warnings.length,
       status: critical.length > 0 ? 'blocked' : warnings.length > 0 ? 'warnings' : 'clean',
@@ -451,8 +1718,24 @@ function main() {
   }
 
   // Human-readable output
+  const suppressedNote = suppressed.length > 0
+    ? `${suppressed.length} violation(s) suppressed inline (audit with --list-suppressions)`
+    : null;
+  const baselineNote = baselined.length > 0
+    ? `${baselined.length} pre-existing violation(s) in ${BASELINE_FILE} not shown`
+    : null;
+  const printFixedBaseline = () => {
+    if (fixedBaseline.length === 0) return;
+    console.log(`  FIXED SINCE BASELINE: ${fixedBaseline.length} (run with --update-baseline to remove them)\n`);
+    for (const entry of fixedBaseline) console.log(`    ${entry.file}:${entry.line}  ${entry.id}`);
+    console.log('');
+  };
+
   if (allViolations.length === 0) {
     console.log('  PASS: No Rule Zero violations detected.\n');
+    if (suppressedNote) console.log(`  ${suppressedNote}\n`);
+    if (baselineNote) console.log(`  ${baselineNote}\n`);
+    printFixedBaseline();
     console.log('All test files respect application integrity.\n');
     process.exit(0);
   }
@@ -460,12 +1743,15 @@ function main() {
   if (critical.length > 0) {
     console.log(`  CRITICAL VIOLATIONS: ${critical.length}\n`);
     for (const v of critical) {
-      console.log(`  [CRITICAL] ${v.file}:${v.line}`);
+      console.log(`  [CRITICAL] ${v.file}:${v.line}:${v.column}${v.importedBy ? ` (imported by ${v.importedBy})` : ''}`);
+      if (v.test) console.log(`    Test: ${v.test}`);
       console.log(`    Violation: ${v.description}`);
       console.log(`    Rule: ${v.rule}`);
       console.log(`    Context:`);
       v.context.split('\n').forEach(line => console.log(`      ${line}`));
-      if (showSuggestions) {
+      if (v.suggestion) {
+        console.log(`    Fix: ${v.suggestion}`);
+      } else if (showSuggestions) {
         console.log(`    Fix: Remove this code. If the application is broken, the test should FAIL`);
         console.log(`         and document the defect — not work around it.`);
       }
@@ -476,16 +1762,21 @@ function main() {
   if (warnings.length > 0) {
     console.log(`  WARNINGS (manual review needed): ${warnings.length}\n`);
     for (const v of warnings) {
-      console.log(`  [WARNING] ${v.file}:${v.line}`);
+      console.log(`  [WARNING] ${v.file}:${v.line}:${v.column}${v.importedBy ? ` (imported by ${v.importedBy})` : ''}`);
+      if (v.test) console.log(`    Test: ${v.test}`);
       console.log(`    ${v.description}`);
       console.log(`    ${v.rule}`);
+      if (v.suggestion) console.log(`    Fix: ${v.suggestion}`);
       console.log('');
     }
   }
 
   console.log('---');
   console.log(`Total violations: ${allViolations.length} (${critical.length} critical, ${warnings.length} warnings)`);
+  if (suppressedNote) console.log(suppressedNote);
+  if (baselineNote) console.log(baselineNote);
   console.log('');
+  printFixedBaseline();
 
   if (critical.length > 0) {
     console.log('BLOCKED: Tests cannot run until all critical Rule Zero violations are removed.');
@@ -0,0 +1,60 @@
+/**
+ * Tests for the application-state rules: APP_SOURCE_WRITE, APP_ENV_MUTATION
+ * and APP_SCHEMA_CHANGE
+ *
+ * In every fixture the first test writes app files, sets app variables and
+ * runs schema SQL. The second writes under test directories, sets runner or
+ * `test-env` variables, and keeps the same calls in comments; it must stay
+ * clean.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintProject } = require('./helpers');
+
+const report = lintProject('app-state');
+const findingsIn = file => report.violations
+  .filter(v => v.file === `tests/e2e/${file}`)
+  .map(v => `${v.line}:${v.id}:${v.target}`);
+
+test('JS/TS', () => {
+  assert.deepEqual(findingsIn('state.spec.ts'), [
+    '8:APP_SOURCE_WRITE:src/config.json',
+    '9:APP_ENV_MUTATION:process.env.FEATURE_CHECKOUT',
+    '10:APP_SCHEMA_CHANGE:ALTER TABLE users',
+  ]);
+});
+
+test('Python, including SQL in a triple-quoted string', () => {
+  assert.deepEqual(findingsIn('test_state.py'), [
+    '5:PY_APP_SOURCE_WRITE:src/settings.py',
+    '7:PY_APP_ENV_MUTATION:FEATURE_CHECKOUT',
+    '8:PY_APP_ENV_MUTATION:PAYMENT_MODE',
+    '9:PY_APP_SCHEMA_CHANGE:DROP TABLE IF EXISTS orders',
+    '11:PY_APP_SCHEMA_CHANGE:ALTER TABLE users',
+  ]);
+});
+
+test('C#, with calls in line and block comments ignored', () => {
+  assert.deepEqual(findingsIn('StateTests.cs'), [
+    '6:CS_APP_SOURCE_WRITE:src/appsettings.json',
+    '7:CS_APP_ENV_MUTATION:ASPNETCORE_ENVIRONMENT',
+    '8:CS_APP_SCHEMA_CHANGE:CREATE TABLE audit',
+  ]);
+});
+
+test('Go, including SQL in a raw string', () => {
+  assert.deepEqual(findingsIn('state_test.go'), [
+    '5:GO_APP_SOURCE_WRITE:src/data.json',
+    '6:GO_APP_ENV_MUTATION:APP_MODE',
+    '7:GO_APP_SCHEMA_CHANGE:DROP TABLE orders',
+  ]);
+});
+
+test('Java', () => {
+  assert.deepEqual(findingsIn('StateTest.java'), [
+    '4:JAVA_APP_SOURCE_WRITE:config/app.yml',
+    '5:JAVA_APP_ENV_MUTATION:feature.flag',
+    '6:JAVA_APP_SCHEMA_CHANGE:ALTER TABLE users',
+  ]);
+});
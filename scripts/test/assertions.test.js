@@ -0,0 +1,61 @@
+/**
+ * Tests for the per-test assertion rules (lib/assertions.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintFixture } = require('./helpers');
+
+// `line:id:test` for the assertion findings and disabled-test findings
+function findings(file) {
+  return lintFixture(file).violations
+    .filter(v => /ASSERTION|SCREENSHOT|SKIPPED|FIXME/.test(v.id))
+    .map(v => `${v.line}:${v.id}:${v.test}`);
+}
+
+test('JS tests in a skipped describe, a skipped/fixme declaration or skipped at runtime are not checked', () => {
+  assert.deepEqual(findings('disabled/skipped.spec.ts'), [
+    '3:SKIPPED_TEST:AC-1.1: skipped suite',
+    '9:SKIPPED_TEST:AC-1.2: xdescribe suite',
+    '19:FIXME_TEST:AC-1.4: fixme test',
+    '23:NO_ASSERTIONS:AC-1.6: conditional skip still runs elsewhere',
+    '29:SKIPPED_TEST:AC-1.5: skipped at runtime',
+  ]);
+});
+
+test('C# tests skipped by [Fact(Skip)], [Ignore] on the method or class, or Assert.Ignore() are not checked', () => {
+  assert.deepEqual(findings('disabled/SkippedTests.cs'), [
+    '22:CS_NO_ASSERTIONS:RunsWithoutAssertions',
+    '31:CS_SKIPPED_TEST:SkippedAtRuntime',
+    '36:CS_SKIPPED_TEST:IgnoredClassTests',
+  ]);
+});
+
+test('Python tests skipped by @pytest.mark.skip, @unittest.skip or pytest.skip() are not checked', () => {
+  assert.deepEqual(findings('disabled/test_skipped.py'), [
+    '15:PY_NO_ASSERTIONS:test_skipif_runs_elsewhere',
+    '28:PY_SKIPPED_TEST:test_skipped_at_runtime',
+  ]);
+});
+
+test('a screenshot needs an assertion after it, before the next screenshot or the end of the test', () => {
+  assert.deepEqual(findings('screenshots/screenshots.spec.ts'), [
+    '6:SCREENSHOT_UNVERIFIED:asserts only before its screenshots',
+    '7:SCREENSHOT_UNVERIFIED:asserts only before its screenshots',
+  ]);
+  assert.deepEqual(findings('screenshots/test_screenshots.py'), [
+    '7:PY_SCREENSHOT_UNVERIFIED:test_asserts_only_before_its_screenshot',
+  ]);
+  assert.deepEqual(findings('screenshots/flow.yaml'), ['5:MAESTRO_SCREENSHOT_UNVERIFIED:flow.yaml']);
+});
+
+test('checkbox check() actions and checkout helpers are not assertions; check*/verify* helpers are', () => {
+  assert.deepEqual(findings('assertion-helpers/check-actions.spec.ts'), [
+    '4:NO_ASSERTIONS:ticks the terms checkbox',
+    '9:NO_ASSERTIONS:checks out the cart',
+  ]);
+  assert.deepEqual(findings('assertion-helpers/CheckActionsTests.cs'), [
+    '7:CS_NO_ASSERTIONS:TicksTheTermsCheckbox',
+    '14:CS_NO_ASSERTIONS:ChecksOutTheCart',
+  ]);
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for the violation baseline (--update-baseline, lib/baseline.js)
+ *
+ * Each test works on a throwaway project in a temporary directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const { lintProject } = require('./helpers');
+
+const HIDE = '  await page.evaluate(() => { document.body.hidden = false; });';
+const STYLE = "  await page.evaluate(() => { document.body.style.zoom = '1'; });";
+
+function spec(...body) {
+  return [
+    "import { test, expect } from '@playwright/test';",
+    '',
+    "test('AC-1.1: checks out', async ({ page }) => {",
+    "  await page.goto('/');",
+    ...body,
+    "  await expect(page).toHaveURL('/');",
+    '});',
+    '',
+  ].join('\n');
+}
+
+// Runs `fn(root, write)` on a git repository holding tests/legacy.spec.ts
+// with two violations, baselined and committed
+function withBaselinedProject(fn) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-'));
+  const git = (...args) => execFileSync('git', args, { cwd: root, stdio: 'ignore' });
+  const write = (...body) => fs.writeFileSync(path.join(root, 'tests', 'legacy.spec.ts'), spec(...body));
+  try {
+    fs.mkdirSync(path.join(root, 'tests'));
+    write(HIDE, STYLE);
+    assert.equal(lintProject(root, ['--update-baseline']).entries, 2);
+    git('init', '-q');
+    git('add', '-A');
+    git('-c', 'user.email=dev@example.com', '-c', 'user.name=Dev', 'commit', '-q', '-m', 'baseline');
+    fn(root, write);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+const findings = report => report.violations.map(v => `${v.line}:${v.id}`);
+const fixed = report => report.fixedBaseline.map(entry => `${entry.line}:${entry.id}`);
+
+test('baselined violations are not reported, even after the code moves', () => {
+  withBaselinedProject((root, write) => {
+    let report = lintProject(root);
+    assert.deepEqual([findings(report), report.baselined, fixed(report)], [[], 2, []]);
+
+    write("  await page.goto('/cart');", '', HIDE, '    ' + STYLE);
+    report = lintProject(root);
+    assert.deepEqual([findings(report), report.baselined, fixed(report)], [[], 2, []]);
+  });
+});
+
+test('a second copy of a baselined violation is reported', () => {
+  withBaselinedProject((root, write) => {
+    write(HIDE, STYLE, HIDE);
+    const report = lintProject(root);
+    assert.deepEqual([findings(report), report.baselined], [['7:DOM_HIDDEN_MUTATION'], 2]);
+  });
+});
+
+test('entries without a matching violation are listed as fixed', () => {
+  withBaselinedProject((root, write) => {
+    write(STYLE);
+    const report = lintProject(root);
+    assert.deepEqual([findings(report), report.baselined, fixed(report)], [[], 1, ['5:DOM_HIDDEN_MUTATION']]);
+  });
+});
+
+test('--changed-lines reports new violations on changed lines and never lists fixed entries', () => {
+  withBaselinedProject((root, write) => {
+    write(STYLE, '', HIDE.replace('false', 'true'));
+    const report = lintProject(root, ['--changed-lines']);
+    assert.deepEqual([findings(report), report.baselined, fixed(report)], [['7:DOM_HIDDEN_MUTATION'], 0, []]);
+    assert.deepEqual(fixed(lintProject(root)), ['5:DOM_HIDDEN_MUTATION']);
+  });
+});
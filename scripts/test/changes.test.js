@@ -0,0 +1,105 @@
+/**
+ * Tests for diff-aware linting (--changed, --since, --changed-lines,
+ * lib/changes.js)
+ *
+ * Each test builds a throwaway git repository in a temporary directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const { collectChanges } = require('../lib/changes');
+const { lintProject } = require('./helpers');
+
+const HIDE = "  await page.evaluate(() => { document.body.hidden = false; });";
+
+function spec(...body) {
+  return [
+    "import { test, expect } from '@playwright/test';",
+    '',
+    "test('AC-1.1: checks out', async ({ page }) => {",
+    "  await page.goto('/');",
+    ...body,
+    "  await expect(page).toHaveURL('/');",
+    '});',
+    '',
+  ].join('\n');
+}
+
+// A repository with `main` holding stable.spec.ts and "cart page.spec.ts",
+// and a `feature` branch that adds a violation to branch.spec.ts. The working
+// tree then changes the cart spec and adds an untracked new.spec.ts. The
+// user's git config asks for i/ and w/ diff prefixes instead of a/ and b/.
+function withRepo(fn) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'changes-'));
+  const git = (...args) => execFileSync('git', args, { cwd: root, stdio: 'ignore' });
+  const write = (file, content) => fs.writeFileSync(path.join(root, 'tests', file), content);
+  try {
+    fs.mkdirSync(path.join(root, 'tests'));
+    git('init', '-q', '-b', 'main');
+    git('config', 'user.email', 'dev@example.com');
+    git('config', 'user.name', 'Dev');
+    git('config', 'diff.mnemonicPrefix', 'true');
+    write('stable.spec.ts', spec(HIDE));
+    write('cart page.spec.ts', spec(HIDE, "  await page.click('#pay');"));
+    write('branch.spec.ts', spec());
+    git('add', '-A');
+    git('commit', '-q', '-m', 'base');
+    git('checkout', '-q', '-b', 'feature');
+    write('branch.spec.ts', spec(HIDE));
+    git('commit', '-q', '-a', '-m', 'feature');
+    write('cart page.spec.ts', spec(HIDE, "  await page.click('#pay');", '', HIDE));
+    write('new.spec.ts', spec(HIDE));
+    fn(root);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+const findings = report => report.violations.map(v => `${v.file}:${v.line}:${v.id}`).sort();
+
+test('hunks map to the added line ranges of each changed file', () => {
+  withRepo((root) => {
+    const top = fs.realpathSync(root);
+    const changes = collectChanges(root, null);
+    assert.deepEqual([...changes].sort(), [
+      [path.join(top, 'tests', 'cart page.spec.ts'), [[7, 8]]],
+      [path.join(top, 'tests', 'new.spec.ts'), null],
+    ]);
+    assert.deepEqual(collectChanges(root, 'main').get(path.join(top, 'tests', 'branch.spec.ts')), [[5, 5]]);
+  });
+});
+
+test('--changed lints the changed and untracked files in full', () => {
+  withRepo((root) => {
+    assert.deepEqual(findings(lintProject(root, ['--changed'])), [
+      'tests/cart page.spec.ts:5:DOM_HIDDEN_MUTATION',
+      'tests/cart page.spec.ts:8:DOM_HIDDEN_MUTATION',
+      'tests/new.spec.ts:5:DOM_HIDDEN_MUTATION',
+    ]);
+  });
+});
+
+test('--since adds the files the branch changed since the merge base', () => {
+  withRepo((root) => {
+    assert.deepEqual(findings(lintProject(root, ['--since', 'main'])), [
+      'tests/branch.spec.ts:5:DOM_HIDDEN_MUTATION',
+      'tests/cart page.spec.ts:5:DOM_HIDDEN_MUTATION',
+      'tests/cart page.spec.ts:8:DOM_HIDDEN_MUTATION',
+      'tests/new.spec.ts:5:DOM_HIDDEN_MUTATION',
+    ]);
+    assert.equal(lintProject(root, ['--since', 'nope']).error, 'Unknown git ref: nope');
+  });
+});
+
+test('--changed-lines keeps only violations on added lines', () => {
+  withRepo((root) => {
+    assert.deepEqual(findings(lintProject(root, ['--changed-lines'])), [
+      'tests/cart page.spec.ts:8:DOM_HIDDEN_MUTATION',
+      'tests/new.spec.ts:5:DOM_HIDDEN_MUTATION',
+    ]);
+  });
+});
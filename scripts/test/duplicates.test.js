@@ -0,0 +1,29 @@
+/**
+ * Tests for near-duplicate test detection (--duplicates)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintProject } = require('./helpers');
+
+const pairs = report => report.duplicates.map(d => [d.a.test, d.b.test, d.similarity]);
+
+test('tests with the same body are paired across files whatever their names and literals', () => {
+  // The two "shows the dashboard" tests share a title but not a body, and the
+  // profile test adds two clicks to the login flow (0.833): neither is flagged
+  const report = lintProject('duplicates', ['--duplicates']);
+  assert.equal(report.threshold, 0.9);
+  assert.deepEqual(pairs(report), [['logs in as an admin', 'logs in as an editor', 1]]);
+  assert.deepEqual(report.duplicates[0].a, {
+    file: 'tests/login.spec.ts', line: 4, column: 1, test: 'logs in as an admin', acs: ['AC-1.1'],
+  });
+  assert.deepEqual(report.duplicates[0].b.acs, ['AC-1.3']);
+});
+
+test('--similarity lowers the threshold to include near misses', () => {
+  assert.deepEqual(pairs(lintProject('duplicates', ['--duplicates', '--similarity', '0.8'])), [
+    ['logs in as an admin', 'logs in as an editor', 1],
+    ['logs in as an admin', 'logs in and opens the profile', 0.833],
+    ['logs in as an editor', 'logs in and opens the profile', 0.833],
+  ]);
+});
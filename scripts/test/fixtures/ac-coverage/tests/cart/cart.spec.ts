@@ -0,0 +1,6 @@
+import { test, expect } from '@playwright/test';
+
+test('AC-2.1: user adds an item', async ({ page }) => {
+  await page.goto('/shop');
+  await expect(page.getByTestId('cart-count')).toHaveText('1');
+});
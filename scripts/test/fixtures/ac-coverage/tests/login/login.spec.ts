@@ -0,0 +1,6 @@
+import { test, expect } from '@playwright/test';
+
+test('AC-1.1: user logs in', async ({ page }) => {
+  await page.goto('/login');
+  await expect(page.getByRole('heading')).toHaveText('Welcome');
+});
@@ -0,0 +1,17 @@
+class StateTest {
+  // AC: AC-1.1
+  @Test void checkoutWithStateChanges() {
+    Files.writeString(Paths.get("config/app.yml"), "x");
+    System.setProperty("feature.flag", "true");
+    jdbc.execute("ALTER TABLE users ADD COLUMN vip boolean");
+    assertEquals("Checkout", page.title());
+  }
+
+  // AC: AC-1.2
+  @Test void checkoutLeavesTheAppAlone() {
+    Files.writeString(Paths.get("build/out.txt"), "x");
+    // System.setProperty("feature.flag", "true");
+    /* jdbc.execute("DROP TABLE orders"); */
+    assertEquals("Checkout", page.title());
+  }
+}
@@ -0,0 +1,22 @@
+public class StateTests
+{
+    [Test] // AC-1.1
+    public void CheckoutWithStateChanges()
+    {
+        File.WriteAllText("src/appsettings.json", "{}");
+        Environment.SetEnvironmentVariable("ASPNETCORE_ENVIRONMENT", "Test");
+        db.Execute(@"CREATE TABLE audit (id int)");
+        Assert.That(page.Title, Is.EqualTo("Checkout"));
+    }
+
+    [Test] // AC-1.2
+    public void CheckoutLeavesTheAppAlone()
+    {
+        File.WriteAllText("tests/fixtures/out.json", "{}");
+        Environment.SetEnvironmentVariable("CI", "true");
+        // db.Execute("DROP TABLE orders");
+        /* File.Delete("src/appsettings.json");
+           Environment.SetEnvironmentVariable("APP_MODE", "x"); */
+        Assert.That(page.Title, Is.EqualTo("Checkout"));
+    }
+}
@@ -0,0 +1,23 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+
+const CONFIG = path.join(__dirname, '../../src/config.json');
+
+test('AC-1.1: checks out with state changes', async ({ page }) => {
+  fs.writeFileSync(CONFIG, '{}');
+  process.env.FEATURE_CHECKOUT = 'on';
+  await db.query('ALTER TABLE users ADD COLUMN vip int');
+  await page.goto('/checkout');
+  await expect(page).toHaveTitle('Checkout');
+});
+
+test('AC-1.2: checks out without touching the app', async ({ page }) => {
+  fs.writeFileSync(path.join(__dirname, 'fixtures/out.json'), '{}');
+  process.env.CI = '1';
+  process.env.FEATURE_PREVIEW = '1';
+  // await db.query('DROP TABLE orders');
+  await db.query('SELECT * FROM orders');
+  await page.goto('/checkout');
+  await expect(page).toHaveTitle('Checkout');
+});
@@ -0,0 +1,18 @@
+package e2e
+
+// AC: AC-1.1
+func TestCheckoutWithStateChanges(t *testing.T) {
+	os.WriteFile("src/data.json", nil, 0644)
+	t.Setenv("APP_MODE", "fake")
+	db.Exec(`DROP TABLE orders`)
+	assertTitle(t, "Checkout")
+}
+
+// AC: AC-1.2
+func TestCheckoutLeavesTheAppAlone(t *testing.T) {
+	os.WriteFile("testdata/out.json", nil, 0644)
+	t.Setenv("CI", "true")
+	// os.Remove("src/data.json")
+	// db.Exec("DROP TABLE orders")
+	assertTitle(t, "Checkout")
+}
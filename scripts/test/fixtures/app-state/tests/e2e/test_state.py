@@ -0,0 +1,27 @@
+import os
+
+# AC: AC-1.1
+def test_checkout_with_state_changes(page, cursor, monkeypatch):
+    with open("src/settings.py", "w") as f:
+        f.write("DEBUG = True")
+    os.environ["FEATURE_CHECKOUT"] = "1"
+    monkeypatch.setenv("PAYMENT_MODE", "fake")
+    cursor.execute("DROP TABLE IF EXISTS orders")
+    cursor.execute("""
+        ALTER TABLE users ADD COLUMN vip boolean
+    """)
+    assert page.title() == "Checkout"
+
+
+# AC: AC-1.2
+def test_checkout_leaves_the_app_alone(page, cursor):
+    with open("tests/fixtures/out.json", "w") as f:
+        f.write("{}")
+    with open("src/settings.py") as f:
+        assert "DEBUG" in f.read()
+    os.environ["PYTEST_TIMEOUT"] = "30"
+    os.environ["FEATURE_PREVIEW"] = "1"
+    # cursor.execute("DROP TABLE orders")
+    # os.environ["FEATURE_CHECKOUT"] = "1"
+    cursor.execute("SELECT * FROM orders")  # not DROP TABLE orders
+    assert page.title() == "Checkout"
@@ -0,0 +1,25 @@
+using Microsoft.Playwright.NUnit;
+using NUnit.Framework;
+
+public class CheckActionsTests : PageTest
+{
+    [Test]
+    public async Task TicksTheTermsCheckbox()
+    {
+        await Page.GetByLabel("I accept the terms").CheckAsync();
+        await Page.CheckAsync("#newsletter");
+    }
+
+    [Test]
+    public async Task ChecksOutTheCart()
+    {
+        await Checkout();
+    }
+
+    [Test]
+    public async Task ChecksTheTotal()
+    {
+        await Checkout();
+        await CheckTotal(3);
+    }
+}
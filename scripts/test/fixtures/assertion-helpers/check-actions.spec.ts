@@ -0,0 +1,20 @@
+import { test } from '@playwright/test';
+import { checkoutCart, checkTotal, verifyReceipt } from './cart-helpers';
+
+test('ticks the terms checkbox', async ({ page }) => {
+  await page.getByLabel('I accept the terms').check();
+  await page.check('#newsletter');
+});
+
+test('checks out the cart', async ({ page }) => {
+  await checkoutCart(page);
+});
+
+test('checks the total', async ({ page }) => {
+  await checkoutCart(page);
+  await checkTotal(page, 3);
+});
+
+test('verifies the receipt', async ({ page }) => {
+  await verifyReceipt(page);
+});
@@ -0,0 +1,45 @@
+using NUnit.Framework;
+using Xunit;
+
+public class SkippedTests
+{
+    // AC: AC-2.1
+    [Fact(Skip = "Flaky on CI, BUG-7")]
+    public void SkippedFact()
+    {
+        var x = 1;
+    }
+
+    // AC: AC-2.2
+    [Test, Ignore("Waiting for BUG-8")]
+    public void IgnoredWithReason()
+    {
+        var x = 1;
+    }
+
+    // AC: AC-2.3
+    [Test]
+    public void RunsWithoutAssertions()
+    {
+        var x = 1;
+    }
+
+    // AC: AC-2.5
+    [Test]
+    public void SkippedAtRuntime()
+    {
+        Assert.Ignore();
+        var x = 1;
+    }
+}
+
+[Ignore]
+public class IgnoredClassTests
+{
+    // AC: AC-2.4
+    [Test]
+    public void InsideIgnoredClass()
+    {
+        var x = 1;
+    }
+}
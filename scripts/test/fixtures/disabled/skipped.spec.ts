@@ -0,0 +1,31 @@
+import { test, expect } from '@playwright/test';
+
+test.describe.skip('AC-1.1: skipped suite', () => {
+  test('AC-1.1: nested test', async ({ page }) => {
+    await page.goto('/');
+  });
+});
+
+xdescribe('AC-1.2: xdescribe suite', () => {
+  it('AC-1.2: nested it', async () => {
+    await page.goto('/');
+  });
+});
+
+test.skip('AC-1.3: skipped with a reason', { annotation: { type: 'issue', description: 'BUG-12' } }, async ({ page }) => {
+  await page.goto('/');
+});
+
+test.fixme('AC-1.4: fixme test', async ({ page }) => {
+  await page.goto('/');
+});
+
+test('AC-1.6: conditional skip still runs elsewhere', async ({ page, isMobile }) => {
+  test.skip(isMobile, 'no hover on touch');
+  await page.goto('/');
+});
+
+test('AC-1.5: skipped at runtime', async ({ page }) => {
+  test.skip();
+  await page.goto('/');
+});
@@ -0,0 +1,29 @@
+import sys
+import unittest
+
+import pytest
+
+
+# AC: AC-3.1
+@pytest.mark.skip(reason="BUG-9")
+def test_marked_skip(page):
+    page.goto("/")
+
+
+# AC: AC-3.2
+@pytest.mark.skipif(sys.platform == "win32", reason="no X server")
+def test_skipif_runs_elsewhere(page):
+    page.goto("/")
+
+
+@unittest.skip("BUG-10")
+class SkippedCase(unittest.TestCase):
+    # AC: AC-3.3
+    def test_in_skipped_class(self):
+        self.page.goto("/")
+
+
+# AC: AC-3.4
+def test_skipped_at_runtime(page):
+    pytest.skip()
+    page.goto("/")
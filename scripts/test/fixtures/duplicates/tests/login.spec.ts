@@ -0,0 +1,19 @@
+import { test, expect } from '@playwright/test';
+
+// AC-1.1
+test('logs in as an admin', async ({ page }) => {
+  await page.goto('/login');
+  await page.getByLabel('Email').fill('admin@example.com');
+  await page.getByLabel('Password').fill('admin-secret');
+  await page.getByRole('button', { name: 'Sign in' }).click();
+  await expect(page.getByRole('heading')).toHaveText('Dashboard');
+});
+
+// AC-1.2
+test('shows the dashboard', async ({ page }) => {
+  await page.goto('/dashboard');
+  await page.getByRole('link', { name: 'Reports' }).click();
+  await page.getByRole('button', { name: 'Export' }).click();
+  await page.getByRole('dialog').waitFor();
+  await expect(page.getByRole('dialog')).toContainText('Export ready');
+});
@@ -0,0 +1,28 @@
+import { test, expect } from '@playwright/test';
+
+// AC-1.3
+test('logs in as an editor', async ({ page }) => {
+  await page.goto('/signin');
+  await page.getByLabel('E-mail').fill('editor@example.com');
+  await page.getByLabel('Passphrase').fill('editor-secret');
+  await page.getByRole('button', { name: 'Log in' }).click();
+  await expect(page.getByRole('heading')).toHaveText('Editor home');
+});
+
+// AC-2.1
+test('shows the dashboard', async ({ request }) => {
+  const res = await request.get('/api/dashboard');
+  expect(res.status()).toBe(200);
+  expect(await res.json()).toHaveProperty('widgets');
+});
+
+// AC-2.2
+test('logs in and opens the profile', async ({ page }) => {
+  await page.goto('/login');
+  await page.getByLabel('Email').fill('viewer@example.com');
+  await page.getByLabel('Password').fill('viewer-secret');
+  await page.getByRole('button', { name: 'Sign in' }).click();
+  await page.getByRole('link', { name: 'Profile' }).click();
+  await page.getByRole('tab', { name: 'Security' }).click();
+  await expect(page.getByRole('heading')).toHaveText('Profile');
+});
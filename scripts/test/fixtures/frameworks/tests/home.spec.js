@@ -0,0 +1,17 @@
+const { expect, browser, $ } = require('@wdio/globals');
+// AC: AC-1.1
+it('opens the home page', async () => {
+  await browser.execute(() => { document.querySelector('.ad').remove(); });
+  await browser.execute((el) => { el.value = 'shoes'; }, await $('#q'));
+  await browser.execute('document.body.className = "ready"');
+  await expect($('h1')).toBeDisplayed();
+});
+
+// AC: AC-1.2
+it('reads the page without changing it', async () => {
+  const title = await browser.execute(() => document.title);
+  const db = { execute: () => 0 };
+  db.execute('DELETE FROM sessions');
+  await $('#q').setValue('shoes');
+  await expect(title).toBe('Home');
+});
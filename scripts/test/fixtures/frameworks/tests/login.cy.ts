@@ -0,0 +1,36 @@
+/// <reference types="cypress" />
+import { hideBanner } from './support/dom';
+// AC: AC-1.1
+it('logs in', () => {
+  cy.visit('/');
+  cy.window().then((win) => {
+    win.document.querySelector('.banner').style.display = 'none';
+    win.document.getElementById('email').value = 'ada@example.com';
+  });
+  cy.document().then(doc => { doc.querySelector('#modal').remove(); });
+  cy.get('#submit').invoke('attr', 'disabled', false);
+  cy.get('.toast').invoke('hide');
+  cy.get('.row').should('have.length', 3).then(($el) => {
+    $el.addClass('done');
+  });
+  cy.get('.banner').then(hideBanner);
+  cy.get('h1').should('be.visible');
+});
+
+// AC: AC-1.2
+it('reads the page without changing it', () => {
+  cy.visit('/');
+  cy.get('#submit').invoke('attr', 'href').should('eq', '/next');
+  cy.get('.row').then(($el) => {
+    expect($el.text()).to.contain('Ada');
+  });
+  cy.window().then((win) => {
+    expect(win.document.title).to.eq('Home');
+  });
+  cy.request('/api/user').then(resp => {
+    resp.body.seen = true;
+    expect(resp.body.name).to.eq('Ada');
+  });
+  cy.get('#email').type('ada@example.com');
+  cy.get('h1').should('have.text', 'Welcome');
+});
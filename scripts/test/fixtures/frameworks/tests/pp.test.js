@@ -0,0 +1,15 @@
+const puppeteer = require('puppeteer');
+// AC: AC-1.1
+test('opens the checkout', async () => {
+  await page.evaluateOnNewDocument(() => { document.documentElement.style.background = 'red'; });
+  await page.$eval('#pay', el => el.hidden = false);
+  expect(await page.title()).toBe('Checkout');
+});
+
+// AC: AC-1.2
+test('reads the page without changing it', async () => {
+  const total = await page.$eval('#total', el => el.textContent);
+  const count = await page.$$eval('.item', els => els.length);
+  await page.type('#coupon', 'SAVE10');
+  expect([total, count]).toEqual(['$10', 2]);
+});
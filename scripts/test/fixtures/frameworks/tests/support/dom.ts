@@ -0,0 +1 @@
+export function hideBanner($el) { $el.hide(); }
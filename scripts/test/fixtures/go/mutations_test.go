@@ -0,0 +1,44 @@
+package ui
+
+// Every Go Rule Zero rule fires in this file.
+
+import (
+	"testing"
+
+	"github.com/chromedp/chromedp"
+	"github.com/go-rod/rod"
+	"github.com/playwright-community/playwright-go"
+)
+
+// AC: AC-1.1
+func TestChromedpMutations(t *testing.T) {
+	chromedp.Run(ctx,
+		chromedp.Evaluate(`document.querySelector('.banner').style.opacity = '0'`, nil),
+		chromedp.Evaluate(`document.querySelector('.modal').hidden = true`, nil),
+		chromedp.Evaluate(`document.querySelector('#total').innerHTML = '42'`, nil),
+		chromedp.Evaluate(`document.body.className = 'ready'`, nil),
+		chromedp.Evaluate(`document.querySelector('.cookie').remove()`, nil),
+		chromedp.Evaluate(`el.style.display = 'none'`, nil),
+		chromedp.Evaluate(`document.getElementById('email').value = 'a@b.c'`, nil),
+		chromedp.SetAttributeValue("#submit", "disabled", "false"),
+	)
+	t.Log("done")
+}
+
+// AC: AC-1.2
+func TestRodMutations(t *testing.T) {
+	page := rod.New().MustConnect().MustPage("http://localhost")
+	page.MustEval(`() => { new MutationObserver(() => {}).observe(document.body, {}) }`)
+	page.MustAddStyleTag("", ".toast { display: none }")
+	if page.MustHas(".toast") {
+		t.Fatal("toast visible")
+	}
+}
+
+// AC: AC-1.3
+func TestPlaywrightGoMutations(t *testing.T) {
+	var page playwright.Page
+	page.AddScriptTag(playwright.PageAddScriptTagOptions{Content: playwright.String("window.flag = true")})
+	page.Evaluate(`document.querySelector('nav').classList.add('open')`)
+	t.Log("done")
+}
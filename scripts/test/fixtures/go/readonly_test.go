@@ -0,0 +1,34 @@
+package ui
+
+// Read-only scripts: comparisons and reads must not be reported as mutations.
+
+import (
+	"testing"
+
+	"github.com/chromedp/chromedp"
+	"github.com/go-rod/rod"
+)
+
+// AC: AC-2.1
+func TestChromedpReadOnly(t *testing.T) {
+	var hidden, empty, active, visible bool
+	chromedp.Run(ctx,
+		chromedp.Evaluate(`document.querySelector('.modal').style.display === 'none'`, &hidden),
+		chromedp.Evaluate(`document.querySelector('.modal').hidden == true`, &hidden),
+		chromedp.Evaluate(`document.querySelector('#list').innerHTML === ''`, &empty),
+		chromedp.Evaluate(`document.body.className == 'active'`, &active),
+		chromedp.Evaluate(`document.getElementById('banner').hidden !== true`, &visible),
+		chromedp.Evaluate(`document.getElementById('banner').offsetHeight == 0`, &hidden),
+	)
+	if !hidden || empty || !active || !visible {
+		t.Fatal("unexpected state")
+	}
+}
+
+// AC: AC-2.2
+func TestRodReadOnly(t *testing.T) {
+	page := rod.New().MustConnect().MustPage("http://localhost")
+	if page.MustEval(`() => document.querySelector('.toast').style.visibility === 'hidden'`).Bool() {
+		t.Fatal("toast hidden")
+	}
+}
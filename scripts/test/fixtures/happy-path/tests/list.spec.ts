@@ -0,0 +1,51 @@
+import { test, expect } from '@playwright/test';
+
+// AC-1.1
+test('shows max items', async ({ page }) => {
+  await page.goto('/items');
+  await expect(page.getByRole('listitem')).toHaveCount(50);
+});
+
+// AC-1.1
+test('renders without crashing', async ({ page }) => {
+  await page.goto('/items');
+  await expect(page.getByRole('main')).not.toContainText('error');
+});
+
+// AC-1.1
+test('lists every item', async ({ page }) => {
+  await page.goto('/items');
+  await expect(page.locator('.error')).toHaveCount(0);
+});
+
+// AC-2.1
+test('saves an item', async ({ page }) => {
+  await page.getByLabel('Name').fill('Milk');
+  await page.getByRole('button', { name: 'Save' }).click();
+  await expect(page.getByRole('alert')).toHaveCount(0);
+  await expect(page.getByText('Saved')).toBeVisible();
+});
+
+// AC-2.1
+test('shows an error for a duplicate name', async ({ page }) => {
+  await page.getByLabel('Name').fill('Milk');
+  await page.getByRole('button', { name: 'Save' }).click();
+  await expect(page.getByRole('alert')).toContainText('already exists');
+});
+
+// AC-3.1
+test('registers a user', async ({ page }) => {
+  const user = { firstName: 'Ada', middleName: '', lastName: 'Lovelace' };
+  await page.getByLabel('First name').fill(user.firstName);
+  await page.getByLabel('Last name').fill(user.lastName);
+  await page.getByRole('button', { name: 'Register' }).click();
+  await expect(page.getByText('Welcome, Ada')).toBeVisible();
+});
+
+// AC-3.1
+test('posts a user to the API', async ({ request }) => {
+  const response = await request.post('/api/users', {
+    data: { name: '', email: 'ada@example.com' },
+  });
+  expect(response.status()).toBe(200);
+});
@@ -0,0 +1,28 @@
+from playwright.sync_api import expect
+
+
+# AC: AC-1.1
+def test_empty_filter_shows_all_items(page):
+    page.goto("/items")
+    expect(page.locator(".error")).not_to_be_visible()
+    assert "error" not in page.content()
+
+
+# AC: AC-2.1
+def test_save_reports_invalid_name(page):
+    page.goto("/items/new")
+    expect(page.locator(".error")).to_have_text("Name is invalid")
+
+
+# AC: AC-3.1
+def test_register_fills_the_form(page):
+    user = {"first_name": "Ada", "middle_name": "", "last_name": "Lovelace"}
+    page.get_by_label("First name").fill(user["first_name"])
+    page.get_by_role("button", name="Register").click()
+    expect(page.get_by_text("Welcome, Ada")).to_be_visible()
+
+
+# AC: AC-3.1
+def test_register_over_the_api(base_url):
+    response = requests.post(f"{base_url}/api/users", json={"name": "", "email": "ada@example.com"})
+    assert response.status_code == 201
@@ -0,0 +1,29 @@
+package com.example;
+
+import io.appium.java_client.AppiumDriver;
+import org.junit.jupiter.api.Test;
+import org.openqa.selenium.JavascriptExecutor;
+import org.openqa.selenium.WebDriver;
+
+import static org.junit.jupiter.api.Assertions.assertTrue;
+
+// Every Java Rule Zero rule fires in this file.
+class MutationsTest {
+    WebDriver driver;
+    AppiumDriver appium;
+
+    // AC: AC-1.1
+    @Test
+    void mutatesTheApp() {
+        JavascriptExecutor js = (JavascriptExecutor) driver;
+        js.executeScript("document.querySelector('.banner').style.opacity = '0'");
+        js.executeScript("arguments[0].hidden = true", driver.findElement(By.id("modal")));
+        js.executeScript("document.querySelector('#total').innerHTML = '42'");
+        js.executeScript("document.body.className = 'ready'");
+        js.executeScript("document.querySelector('.cookie').remove()");
+        js.executeScript("arguments[0].style.display = 'none'", element);
+        js.executeScript("document.getElementById('email').value = 'a@b.c'");
+        appium.executeScript("mobile: backdoor", Map.of("target", "activity", "methods", List.of()));
+        assertTrue(driver.findElement(By.id("total")).isDisplayed());
+    }
+}
@@ -0,0 +1,28 @@
+package com.example;
+
+import org.junit.jupiter.api.Test;
+import org.openqa.selenium.JavascriptExecutor;
+import org.openqa.selenium.WebDriver;
+
+import static org.junit.jupiter.api.Assertions.assertEquals;
+
+// Read-only scripts: comparisons must not be reported as mutations.
+class ReadOnlyTest {
+    WebDriver driver;
+
+    // AC: AC-2.1
+    @Test
+    void readsTheApp() {
+        JavascriptExecutor js = (JavascriptExecutor) driver;
+        Object hidden = js.executeScript("return arguments[0].style.display == 'none'", element);
+        Object modal = js.executeScript("return document.querySelector('.modal').hidden === true");
+        Object empty = js.executeScript("return document.querySelector('#list').innerHTML == ''");
+        Object active = js.executeScript("return document.body.className === 'active'");
+        Object banner = js.executeScript("return document.getElementById('banner').hidden !== true");
+        assertEquals(true, hidden);
+        assertEquals(false, modal);
+        assertEquals(true, empty);
+        assertEquals(true, active);
+        assertEquals(true, banner);
+    }
+}
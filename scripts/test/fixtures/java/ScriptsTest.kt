@@ -0,0 +1,26 @@
+package com.example
+
+import org.junit.jupiter.api.Assertions.assertEquals
+import org.junit.jupiter.api.Test
+import org.openqa.selenium.JavascriptExecutor
+
+// Read-only Kotlin scripts and one mutation.
+class ScriptsTest {
+    // AC: AC-3.1
+    @Test
+    fun readsTheApp() {
+        val js = driver as JavascriptExecutor
+        val hidden = js.executeScript("return arguments[0].style.display == 'none'", element)
+        val modal = js.executeScript("return document.querySelector('.modal').hidden === true")
+        assertEquals(true, hidden)
+        assertEquals(false, modal)
+    }
+
+    // AC: AC-3.2
+    @Test
+    fun hidesTheBanner() {
+        val js = driver as JavascriptExecutor
+        js.executeScript("document.querySelector('.banner').hidden = true")
+        assertEquals(true, driver.findElement(By.id("main")).isDisplayed)
+    }
+}
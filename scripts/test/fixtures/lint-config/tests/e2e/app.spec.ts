@@ -0,0 +1,12 @@
+import { test, expect } from '@playwright/test';
+
+test('checks out', async ({ page }) => {
+  await page.goto('/checkout');
+  await page.evaluate(() => { document.body.hidden = false; });
+  await page.evaluate(() => { document.body.style.zoom = '1'; });
+  await page.evaluate(() => { document.body.innerHTML = ''; });
+  await page.evaluate(() => { window.__store.dispatch({ type: 'pay' }); });
+  await page.waitForTimeout(500);
+  await page.getByRole('button', { name: 'Pay' }).CLICK({ FORCE: true });
+  await expect(page.getByRole('status')).toHaveText('Paid');
+});
@@ -0,0 +1,7 @@
+import { test, expect } from '@playwright/test';
+
+test('checks out the old way', async ({ page }) => {
+  await page.goto('/checkout');
+  await page.waitForTimeout(500);
+  await expect(page.getByRole('status')).toHaveText('Paid');
+});
@@ -0,0 +1,7 @@
+import { test, expect } from '@playwright/test';
+
+test('totals the cart', async ({ page }) => {
+  await page.goto('/cart');
+  await page.waitForTimeout(500);
+  await expect(page.getByRole('status')).toHaveText('$10');
+});
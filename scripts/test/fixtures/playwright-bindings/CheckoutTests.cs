@@ -0,0 +1,26 @@
+using Microsoft.Playwright;
+
+public class CheckoutTests : PageTest
+{
+    [Test] // AC-1.1
+    public async Task Checkout()
+    {
+        await Page.EvaluateAsync("() => document.querySelector('.banner').hidden = true");
+        await Page.Locator("#x").EvaluateAsync("el => el.className = 'open'");
+        await Page.EvalOnSelectorAsync("#x", @"el => el.setAttribute(""style"", ""color: red"")");
+        await Page.AddInitScriptAsync(script: $"window.__flags = {flags}");
+        await Page.AddStyleTagAsync(new() { Content = "x" });
+        await Expect(Page.Locator("h1")).ToBeVisibleAsync();
+    }
+
+    [Test] // AC-1.2
+    public async Task ReadsThePage()
+    {
+        var title = await Page.EvaluateAsync<string>("document.title");
+        var count = await Page.Locator(".item").EvaluateAllAsync<int>("els => els.length");
+        await Page.AddInitScriptAsync(scriptPath: "preload.js");
+        // await Page.EvaluateAsync("document.body.remove()");
+        await Page.Locator("#name").FillAsync("Ada");
+        Assert.That(title, Is.EqualTo("Checkout"));
+    }
+}
@@ -0,0 +1,28 @@
+from playwright.sync_api import Page, expect
+
+# AC: AC-1.1
+def test_checkout(page: Page):
+    page.evaluate("() => document.querySelector('.banner').remove()")
+    page.locator("#total").evaluate("el => el.style.display = 'none'")
+    page.eval_on_selector("#name", "el => el.value = 'x'")
+    page.evaluate(expression='''() => {
+        document.body.innerHTML = "";
+    }''')
+    page.add_init_script(script="window.fetch = () => null")
+    sel = ".drawer"
+    page.evaluate(f"document.querySelector('{sel}').classList.add('open')")
+    page.evaluate("document.getElementById(\"pay\").hidden = true")
+    page.add_style_tag(content=".x { display: none }")
+    expect(page.locator("h1")).to_be_visible()
+
+
+# AC: AC-1.2
+def test_reads_the_page(page: Page):
+    title = page.evaluate("document.title")
+    page.evaluate("el => el.value = 'x'", {"value": ""})  # the page's argument, not an element
+    page.add_init_script(path="preload.js")
+    script = "document.body.remove()"
+    page.evaluate(script)
+    # page.evaluate("document.body.remove()")
+    page.locator("#name").fill("Ada")
+    assert title == "Checkout"
@@ -0,0 +1,13 @@
+import pytest
+
+
+@pytest.mark.ac("AC-1.1")
+def test_add_item(page):
+    """Cart purpose: adding an item shows it in the cart."""
+    page.goto("/cart")
+
+
+@pytest.mark.ac("AC-1.1")
+def test_shared_title(page):
+    """Cart purpose: the shared title in the cart suite."""
+    page.goto("/cart")
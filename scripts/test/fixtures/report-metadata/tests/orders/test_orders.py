@@ -0,0 +1,19 @@
+import pytest
+
+
+@pytest.mark.ac("AC-2.1")
+def test_pay(page):
+    """Orders purpose: paying marks the order paid."""
+    page.goto("/orders")
+
+
+@pytest.mark.ac("AC-2.1")
+def test_shared_title(page):
+    """Orders purpose: the shared title in the orders suite."""
+    page.goto("/orders")
+
+
+@pytest.mark.ac("AC-2.1")
+def test_unique_title(page):
+    """Orders purpose: a title no other spec uses."""
+    page.goto("/orders")
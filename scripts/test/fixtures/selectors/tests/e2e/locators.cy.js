@@ -0,0 +1,7 @@
+it('saves the form', () => {
+  cy.get('.sc-bdVaJa').find('td:nth-child(2):nth-of-type(1)').click();
+  cy.contains('Save').click();
+  cy.contains('button', /^Save$/).click();
+  cy.get('[data-cy=save]').type('hello');
+  cy.get('[role=status]').should('have.text', 'Saved');
+});
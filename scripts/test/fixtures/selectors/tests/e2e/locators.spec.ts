@@ -0,0 +1,22 @@
+import { test, expect } from '@playwright/test';
+
+test('saves the form', async ({ page }) => {
+  await page.locator('/html/body/div[2]/form').click();
+  await page.locator('ul > li:nth-child(2) > span:nth-child(1)').click();
+  await page.click('.css-1x2y3z');
+  await page.getByText('Save').click();
+  await page.locator('button:has-text("Go")').click();
+  await page.getByRole('listitem').first().click();
+  await expect(page.getByRole('status')).toHaveText('Saved');
+});
+
+test('saves the form with stable locators', async ({ page }) => {
+  await page.locator('//form[@id="profile"]').click();
+  await page.locator('li:nth-child(2)').click();
+  await page.click('.profile-form');
+  await page.getByText('Save', { exact: true }).click();
+  await page.locator('text="Go"').click();
+  await page.getByTestId('save').click();
+  await page.keyboard.type('hello world');
+  await expect(page.getByRole('status')).toHaveText('Saved');
+});
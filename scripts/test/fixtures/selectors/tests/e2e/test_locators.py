@@ -0,0 +1,11 @@
+from selenium.webdriver.common.by import By
+
+
+def test_saves_the_form(driver, page):
+    driver.find_element(By.XPATH, "/html/body/div").click()
+    driver.find_element(By.CSS_SELECTOR, ".Button_primary__3xYz1").click()
+    driver.find_element(By.PARTIAL_LINK_TEXT, "More").click()
+    page.get_by_text("Save").click()
+    page.get_by_text("Save", exact=True).click()
+    driver.find_element(By.ID, "save").click()
+    assert driver.title == "Saved"
@@ -0,0 +1,9 @@
+// AC-1.1
+it('pays for the cart', () => {
+  cy.intercept('GET', '/api/cart', { fixture: 'cart.json' });
+  cy.intercept({ hostname: 'shop.example.com', pathname: '/api/orders' }, { statusCode: 201 });
+  cy.intercept({ hostname: 'api.stripe.com' }, { statusCode: 200 });
+  cy.intercept('/api/orders').as('orders');
+  cy.visit('/checkout');
+  cy.get('[role=status]').should('have.text', 'Paid');
+});
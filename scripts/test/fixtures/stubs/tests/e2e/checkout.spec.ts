@@ -0,0 +1,16 @@
+import { test, expect } from '@playwright/test';
+
+// AC-1.1
+test('pays for the cart', async ({ page }) => {
+  await page.route('**/api/cart', route => route.fulfill({ json: { items: [] } }));
+  await page.route('https://shop.example.com/api/orders', route => route.fulfill({ status: 201 }));
+  await page.route('https://notstripe.com/v1/**', route => route.fulfill({ body: '' }));
+  await page.route('https://google-analytics.com/collect', route => route.fulfill({ body: '' }));
+  await page.route('https://js.stripe.com/v3/**', route => route.fulfill({ body: '' }));
+  await page.route('https://stripe.com/checkout', route => route.fulfill({ body: '' }));
+  await page.route('**/api.stripe.com/**', route => route.fulfill({ json: { paid: true } }));
+  await page.route('https://www.google-analytics.com/collect', route => route.abort());
+  await page.route('**/api/orders', route => route.continue());
+  await page.goto('/checkout');
+  await expect(page.getByRole('status')).toHaveText('Paid');
+});
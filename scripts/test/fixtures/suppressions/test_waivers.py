@@ -0,0 +1,7 @@
+# AC: AC-1.1
+def test_waivers(page):
+    # teamwerk-lint-disable-next-line PY_HARDCODED_WAIT -- reason: polling a third-party mock
+    page.wait_for_timeout(100)
+    note = "# teamwerk-lint-disable-next-line PY_HARDCODED_WAIT -- reason: inside a string"
+    page.wait_for_timeout(200)
+    assert note
@@ -0,0 +1,13 @@
+import { test, expect } from '@playwright/test';
+
+test('AC-1.1: waivers', async ({ page }) => {
+  // teamwerk-lint-disable-next-line DOM_STYLE_MUTATION -- reason: resets the harness overlay
+  await page.evaluate(() => { document.body.style.zoom = '1'; });
+  // teamwerk-lint-disable-next-line DOM_HIDDEN_MUTATION
+  await page.evaluate(() => { document.body.hidden = false; });
+  // teamwerk-lint-disable-next-line DOM_CLASS_MUTATION -- reason: no longer needed
+  await page.goto('/');
+  const url = 'http://x // teamwerk-lint-disable-next-line DOM_HTML_MUTATION -- reason: not a comment';
+  await page.evaluate(() => { document.body.innerHTML = ''; });
+  await expect(page).toHaveURL(url);
+});
@@ -0,0 +1,18 @@
+import { test, expect } from '@playwright/test';
+
+test.only('AC-1.1: focused while the file does not parse', async ({ page }) => {
+  let i = 0;
+  const half = i++ / 2 +;
+  await expect(page.getByText(String(half))).toBeVisible();
+});
+
+test.skip('AC-1.2: skipped without a reason', async ({ page }) => {
+  await page.goto('/');
+});
+
+test.skip('AC-1.3: skipped with a reason', { annotation: { type: 'issue', description: 'BUG-4' } }, async ({ page }) => {
+  await page.goto('/');
+});
+
+// test.only('commented out', () => {});
+const note = 'test.skip(';
@@ -0,0 +1,16 @@
+import { test, expect } from '@playwright/test';
+import { setTimeout } from 'timers/promises';
+
+// AC: AC-1.1
+test('AC-1.1: fixed waits are reported even when an assertion follows', async ({ page }) => {
+  await page.click('#login');
+  await page.waitForTimeout(3000);
+  await expect(page.locator('#dashboard')).toBeVisible();
+  await page.locator('#menu').waitFor(500);
+  await expect(page.locator('#menu')).toBeVisible();
+  await new Promise(resolve => setTimeout(resolve, 1000));
+  await expect(page).toHaveURL('/home');
+  await setTimeout(250);
+  await expect(page.locator('#toast')).toBeHidden();
+  const view = <Dashboard />;
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests for the Cypress, WebdriverIO and Puppeteer rule packs
+ *
+ * Each fixture's first test breaks Rule Zero through its runner's API; the
+ * second only reads the page or touches non-DOM objects and must stay clean.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintProject } = require('./helpers');
+
+const report = lintProject('frameworks');
+const findingsIn = file => report.violations.filter(v => v.file === `tests/${file}`).map(v => `${v.line}:${v.id}`);
+
+test('*.cy.ts files are tests and support files are not', () => {
+  assert.equal(report.files, 3);
+});
+
+test('Cypress: window, document, invoke and jQuery mutations, including imported callbacks', () => {
+  assert.deepEqual(findingsIn('login.cy.ts'), [
+    '7:CY_DOM_STYLE_MUTATION',
+    '7:CSS_DISPLAY_OVERRIDE',
+    '8:CY_DOM_PROPERTY_SET',
+    '10:CY_DOM_ELEMENT_REMOVAL',
+    '11:CY_DOM_QUERY_SET',
+    '12:CY_DOM_HIDDEN_MUTATION',
+    '14:CY_DOM_CLASS_MUTATION',
+    '16:CY_DOM_HIDDEN_MUTATION',
+  ]);
+});
+
+test('WebdriverIO: browser.execute with a function or a script string', () => {
+  assert.deepEqual(findingsIn('home.spec.js'), [
+    '4:WDIO_DOM_ELEMENT_REMOVAL',
+    '5:WDIO_DOM_QUERY_SET',
+    '6:WDIO_DOM_CLASS_MUTATION',
+  ]);
+});
+
+test('Puppeteer: evaluateOnNewDocument and $eval', () => {
+  assert.deepEqual(findingsIn('pp.test.js'), [
+    '4:DOM_STYLE_MUTATION',
+    '5:DOM_HIDDEN_MUTATION',
+  ]);
+});
@@ -0,0 +1,29 @@
+/**
+ * Tests for the Go Rule Zero rules (chromedp, rod, playwright-go)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintFixture, violationIds } = require('./helpers');
+
+test('every Go rule fires on its mutation', () => {
+  assert.deepEqual(violationIds(lintFixture('go/mutations_test.go'), 'GO_'), [
+    '16:GO_DOM_STYLE_MUTATION',
+    '17:GO_DOM_HIDDEN_MUTATION',
+    '18:GO_DOM_HTML_MUTATION',
+    '19:GO_DOM_CLASS_MUTATION',
+    '20:GO_DOM_ELEMENT_REMOVAL',
+    '21:GO_DOM_STYLE_MUTATION',
+    '21:GO_CSS_DISPLAY_OVERRIDE',
+    '22:GO_DOM_PROPERTY_SET',
+    '23:GO_ATTRIBUTE_MUTATION',
+    '31:GO_MUTATION_OBSERVER',
+    '32:GO_INJECTED_STYLE',
+    '41:GO_INJECTED_SCRIPT',
+    '42:GO_DOM_CLASS_MUTATION',
+  ]);
+});
+
+test('read-only comparisons in Go evaluate scripts are not mutations', () => {
+  assert.deepEqual(violationIds(lintFixture('go/readonly_test.go'), 'GO_'), []);
+});
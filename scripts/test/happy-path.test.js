@@ -0,0 +1,37 @@
+/**
+ * Tests for --happy-path (lib/happy-path.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintProject } = require('./helpers');
+
+const kinds = report => Object.fromEntries(report.acs.flatMap(ac => ac.tests).map(t => [t.test, t.kind]));
+
+test('names like "shows max items" or "renders without crashing" do not make a test negative', () => {
+  const byName = kinds(lintProject('happy-path', ['--happy-path']));
+  assert.equal(byName['shows max items'], 'positive');
+  assert.equal(byName['renders without crashing'], 'positive');
+  assert.equal(byName.test_empty_filter_shows_all_items, 'positive');
+});
+
+test('negated and zero-count assertions about errors are not error signals', () => {
+  const byName = kinds(lintProject('happy-path', ['--happy-path']));
+  assert.equal(byName['lists every item'], 'positive');
+  assert.equal(byName['saves an item'], 'positive');
+  assert.equal(byName['shows an error for a duplicate name'], 'negative');
+  assert.equal(byName.test_save_reports_invalid_name, 'negative');
+});
+
+test('an empty property is invalid input only in a request body', () => {
+  const byName = kinds(lintProject('happy-path', ['--happy-path']));
+  assert.equal(byName['registers a user'], 'positive');
+  assert.equal(byName.test_register_fills_the_form, 'positive');
+  assert.equal(byName['posts a user to the API'], 'negative');
+  assert.equal(byName.test_register_over_the_api, 'negative');
+});
+
+test('an AC whose tests are all positive is reported as happy-path-only', () => {
+  const report = lintProject('happy-path', ['--happy-path']);
+  assert.deepEqual(report.happyPathOnly, ['AC-1.1']);
+});
@@ -0,0 +1,60 @@
+/**
+ * Runs the linter and report generator CLIs on test fixtures
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const LINTER = path.join(__dirname, '..', 'test-integrity-linter.js');
+const REPORT_GENERATOR = path.join(__dirname, '..', 'report-generator.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Runs the linter in `dir` (relative to fixtures/, or absolute) and parses its
+// JSON or SARIF output
+function runLinter(dir, args) {
+  const result = spawnSync(process.execPath, [LINTER, ...args], {
+    cwd: path.resolve(FIXTURES, dir),
+    encoding: 'utf-8',
+    timeout: 60000,
+  });
+  if (result.error) throw result.error;
+  return JSON.parse(result.stdout);
+}
+
+// Runs the linter with --json in `dir` and returns the parsed report
+function lintProject(dir, args = []) {
+  return runLinter(dir, ['--json', ...args]);
+}
+
+// Lints `file` (relative to fixtures/) from its own directory; `args` are
+// extra CLI arguments
+function lintFixture(file, args = []) {
+  return lintProject(path.dirname(file), ['--file', path.basename(file), ...args]);
+}
+
+// `line:id` for every violation whose id starts with `prefix`
+function violationIds(report, prefix) {
+  return report.violations.filter(v => v.id.startsWith(prefix)).map(v => `${v.line}:${v.id}`);
+}
+
+// Runs the report generator in `dir` (relative to fixtures/) and returns the
+// HTML it writes; the report goes to a temporary directory
+function generateReport(dir, args = []) {
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+  try {
+    const output = path.join(out, 'report.html');
+    const result = spawnSync(process.execPath, [REPORT_GENERATOR, '--output', output, ...args], {
+      cwd: path.join(FIXTURES, dir),
+      encoding: 'utf-8',
+      timeout: 60000,
+    });
+    if (result.error) throw result.error;
+    return fs.readFileSync(output, 'utf-8');
+  } finally {
+    fs.rmSync(out, { recursive: true, force: true });
+  }
+}
+
+module.exports = { LINTER, REPORT_GENERATOR, FIXTURES, runLinter, lintProject, lintFixture, violationIds, generateReport };
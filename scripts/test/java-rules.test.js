@@ -0,0 +1,29 @@
+/**
+ * Tests for the Java / Kotlin Rule Zero rules (Selenium executeScript, Appium)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintFixture, violationIds } = require('./helpers');
+
+test('every Java rule fires on its mutation', () => {
+  assert.deepEqual(violationIds(lintFixture('java/MutationsTest.java'), 'JAVA_'), [
+    '19:JAVA_DOM_STYLE_MUTATION',
+    '20:JAVA_DOM_HIDDEN_MUTATION',
+    '21:JAVA_DOM_HTML_MUTATION',
+    '22:JAVA_DOM_CLASS_MUTATION',
+    '23:JAVA_DOM_ELEMENT_REMOVAL',
+    '24:JAVA_DOM_STYLE_MUTATION',
+    '24:JAVA_CSS_DISPLAY_OVERRIDE',
+    '25:JAVA_DOM_PROPERTY_SET',
+    '26:JAVA_APPIUM_STATE_MUTATION',
+  ]);
+});
+
+test('read-only comparisons in Java executeScript calls are not mutations', () => {
+  assert.deepEqual(violationIds(lintFixture('java/ReadOnlyTest.java'), 'JAVA_'), []);
+});
+
+test('Kotlin comparisons pass and Kotlin assignments are reported', () => {
+  assert.deepEqual(violationIds(lintFixture('java/ScriptsTest.kt'), 'JAVA_'), ['23:JAVA_DOM_HIDDEN_MUTATION']);
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for lib/js-parser.js
+ *
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parse, walk, JsParseError } = require('../lib/js-parser');
+
+function nodesOfType(program, type) {
+  const found = [];
+  walk(program, (node) => {
+    if (node.type === type) found.push(node);
+  });
+  return found;
+}
+
+test('a / after the ) of an if/while/for head starts a regular expression', () => {
+  for (const source of [
+    'if (x) /re/.test(y);',
+    'while (next()) /a+b/g.exec(line);',
+    'for (let i = 0; i < 3; i++) /x/.test(s[i]);',
+    'if (a(b)) /[)]/.test(c);',
+  ]) {
+    const literals = nodesOfType(parse(source), 'Literal').filter(node => node.regex);
+    assert.equal(literals.length, 1, source);
+  }
+});
+
+test('a / after any other ) is a division', () => {
+  for (const source of ['const r = (a) / 2 / b;', 'x = f(a) / g(b) / 2;', 'obj.if(a) / 2;', 'y = (z) /w/ 3;']) {
+    const program = parse(source);
+    assert.equal(nodesOfType(program, 'Literal').filter(node => node.regex).length, 0, source);
+    assert.ok(nodesOfType(program, 'BinaryExpression').some(node => node.operator === '/'), source);
+  }
+});
+
+test('a / after a postfix ++/-- is a division', () => {
+  for (const source of ['const half = i++ / 2;', 'x = a-- / b--;', 'x = ++i / 2;']) {
+    const program = parse(source);
+    assert.equal(nodesOfType(program, 'Literal').filter(node => node.regex).length, 0, source);
+    assert.ok(nodesOfType(program, 'UpdateExpression').length > 0, source);
+    assert.ok(nodesOfType(program, 'BinaryExpression').some(node => node.operator === '/'), source);
+  }
+});
+
+test('a / after the } of a block starts a regular expression, after an object literal a division', () => {
+  for (const source of [
+    'function f() {}\n/foo/.test(x);',
+    'if (x) {}\n/re/.test(y);',
+    'class A { m() {} }\n/r/.test(z);',
+    'const g = () => {}\n/a/.test(b);',
+  ]) {
+    assert.equal(nodesOfType(parse(source), 'Literal').filter(node => node.regex).length, 1, source);
+  }
+  for (const source of ['const o = { a: 1 } / 2;', 'const s = `${ { a: 4 }.a / 2 }`;']) {
+    const program = parse(source);
+    assert.equal(nodesOfType(program, 'Literal').filter(node => node.regex).length, 0, source);
+    assert.ok(nodesOfType(program, 'BinaryExpression').some(node => node.operator === '/'), source);
+  }
+});
+
+test('template literals with nested ${} parse into nested TemplateLiterals', () => {
+  const program = parse('const s = `a ${b ? `c ${d}` : { e: 1 }.e} f`;');
+  const outer = program.body[0].declarations[0].init;
+  assert.equal(outer.type, 'TemplateLiteral');
+  assert.equal(outer.quasis.length, 2);
+  assert.equal(outer.expressions[0].type, 'ConditionalExpression');
+  assert.equal(outer.expressions[0].consequent.type, 'TemplateLiteral');
+  assert.equal(outer.expressions[0].alternate.type, 'MemberExpression');
+});
+
+test('TypeScript generics, as and satisfies are skipped', () => {
+  const program = parse([
+    'const m = new Map<string, Array<number>>();',
+    'function f<T extends object>(x: T): T { return x; }',
+    'const y = f<number>(1) as unknown as string;',
+    'const z = { a: 1 } satisfies Record<string, number>;',
+    'const g = <T,>(x: T) => x;',
+  ].join('\n'));
+  assert.deepEqual(program.body.map(node => node.type),
+    ['VariableDeclaration', 'FunctionDeclaration', 'VariableDeclaration', 'VariableDeclaration', 'VariableDeclaration']);
+  assert.equal(program.body[0].declarations[0].init.type, 'NewExpression');
+  assert.equal(program.body[2].declarations[0].init.expression.expression.type, 'CallExpression');
+  assert.equal(program.body[3].declarations[0].init.expression.type, 'ObjectExpression');
+  assert.equal(program.body[4].declarations[0].init.type, 'ArrowFunctionExpression');
+});
+
+test('decorators on classes and members are skipped', () => {
+  const program = parse([
+    '@Component({ selector: "app-x" })',
+    'class A {',
+    '  @Input() name: string;',
+    '  @HostListener("click", ["$event"]) onClick(e) { return e; }',
+    '}',
+  ].join('\n'));
+  const cls = program.body[0];
+  assert.equal(cls.type, 'ClassDeclaration');
+  assert.deepEqual(cls.body.body.map(node => node.type), ['PropertyDefinition', 'MethodDefinition']);
+});
+
+test('JSX is rejected with a JsParseError so callers fall back to pattern rules', () => {
+  assert.throws(() => parse('const el = <div className="a">{x}</div>;'), JsParseError);
+});
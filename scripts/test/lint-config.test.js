@@ -0,0 +1,80 @@
+/**
+ * Tests for the `lint:` section of teamwerk-config.yml (lib/lint-config.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLintConfig, matchesGlob, LintConfigError } = require('../lib/lint-config');
+const { lintProject } = require('./helpers');
+
+const findings = report => report.violations.map(v => `${v.file}:${v.line}:${v.id}:${v.severity}`);
+
+test('severities, scopes and both kinds of custom rule apply to a project', () => {
+  // DOM_HIDDEN_MUTATION and DOM_HTML_MUTATION are named exactly before and
+  // after "DOM_*" and win either way; HARDCODED_WAIT is scoped to tests/e2e/
+  // minus legacy/; NO_FORCE_CLICK matches case-insensitively through `flags`
+  assert.deepEqual(findings(lintProject('lint-config')), [
+    'tests/e2e/app.spec.ts:5:DOM_HIDDEN_MUTATION:critical',
+    'tests/e2e/app.spec.ts:6:DOM_STYLE_MUTATION:warning',
+    'tests/e2e/app.spec.ts:8:NO_STORE_DISPATCH:warning',
+    'tests/e2e/app.spec.ts:9:HARDCODED_WAIT:warning',
+    'tests/e2e/app.spec.ts:10:NO_FORCE_CLICK:critical',
+  ]);
+});
+
+test('an exact rule id wins over a pattern whatever their order', () => {
+  const config = loadLintConfig({ lint: { rules: { 'DOM_*': 'off', DOM_QUERY_SET: 'critical', 'DOM_QUERY*': 'warning' } } }, []);
+  assert.equal(config.severityFor('DOM_QUERY_SET'), 'critical');
+  assert.equal(config.severityFor('DOM_QUERY_ALL'), 'off');
+  assert.equal(config.severityFor('HARDCODED_WAIT'), undefined);
+});
+
+test('scopes keep their rules inside include and outside exclude', () => {
+  const config = loadLintConfig({
+    lint: { scopes: [{ rules: ['*_WAIT'], include: ['tests/e2e/'], exclude: ['**/legacy/**'] }] },
+  }, []);
+  assert.equal(config.inScope('HARDCODED_WAIT', 'tests/e2e/cart.spec.ts'), true);
+  assert.equal(config.inScope('HARDCODED_WAIT', 'tests/e2e/legacy/cart.spec.ts'), false);
+  assert.equal(config.inScope('HARDCODED_WAIT', 'tests/unit/cart.spec.ts'), false);
+  assert.equal(config.inScope('SLEEP_PROMISE', 'tests/unit/cart.spec.ts'), true);
+});
+
+test('matchesGlob handles **/, a trailing / and basename-only globs', () => {
+  assert.equal(matchesGlob('cart.spec.ts', '**/cart.spec.ts'), true);
+  assert.equal(matchesGlob('tests/e2e/cart.spec.ts', '**/cart.spec.ts'), true);
+  assert.equal(matchesGlob('tests/e2e/cart.spec.ts', 'tests/**/*.spec.ts'), true);
+  assert.equal(matchesGlob('tests/cart.spec.ts', 'tests/**/*.spec.ts'), true);
+  assert.equal(matchesGlob('tests/e2e/cart.spec.ts', 'tests/*.spec.ts'), false);
+  assert.equal(matchesGlob('tests/e2e/deep/cart.spec.ts', 'tests/e2e/'), true);
+  assert.equal(matchesGlob('tests/e2e-old/cart.spec.ts', 'tests/e2e/'), false);
+  assert.equal(matchesGlob('tests/e2e/cart.spec.ts', '*.spec.ts'), true);
+  assert.equal(matchesGlob('tests\\e2e\\cart.spec.ts', 'cart.spec.?s'), true);
+  assert.equal(matchesGlob('tests/e2e/cart.spec.ts', './tests/e2e/*.ts'), true);
+});
+
+test('invalid settings throw a LintConfigError naming the setting', () => {
+  const rule = { id: 'NO_FORCE', description: 'Forced click', lang: 'js', pattern: 'force' };
+  for (const [lint, message] of [
+    ['rules', 'must be a map'],
+    [{ rules: { DOM_QUERY_SET: 'error' } }, 'rules.DOM_QUERY_SET must be one of critical, warning, off'],
+    [{ scopes: [{ include: ['tests/'] }] }, 'scopes[0] needs a list of rules'],
+    [{ exclude: 'tests/' }, 'exclude must be a list'],
+    [{ 'custom-rules': [{ ...rule, id: 'noForce' }] }, 'custom-rules[0].id must be UPPER_SNAKE_CASE'],
+    [{ 'custom-rules': [{ ...rule, id: 'DOM_QUERY_SET' }] }, 'custom-rules[0].id DOM_QUERY_SET is already a rule id'],
+    [{ 'custom-rules': [rule, rule] }, 'custom-rules[1].id NO_FORCE is already a rule id'],
+    [{ 'custom-rules': [{ ...rule, severity: 'off' }] }, 'custom-rules[0] (NO_FORCE) severity must be critical or warning'],
+    [{ 'custom-rules': [{ ...rule, lang: 'rb' }] }, 'custom-rules[0] (NO_FORCE) lang must be one of js, cs, py, java, go, yaml'],
+    [{ 'custom-rules': [{ ...rule, pattern: '(' }] }, 'custom-rules[0].pattern is not a valid regular expression'],
+    [{ 'custom-rules': [{ ...rule, flags: 'gi' }] }, 'custom-rules[0] (NO_FORCE) flags cannot include g or y'],
+    [{ 'custom-rules': [{ ...rule, flags: 'y' }] }, 'custom-rules[0] (NO_FORCE) flags cannot include g or y'],
+    [{ 'custom-rules': [{ ...rule, pattern: undefined }] }, 'custom-rules[0] (NO_FORCE) needs a pattern or an ast matcher'],
+    [{ 'custom-rules': [{ ...rule, lang: 'py', ast: { call: 'x' } }] }, 'custom-rules[0] (NO_FORCE) ast rules are only supported for lang js'],
+    [{ 'custom-rules': [{ ...rule, ast: { member: 'x' } }] }, 'custom-rules[0] (NO_FORCE) ast needs one of call, new, assign'],
+  ]) {
+    assert.throws(() => loadLintConfig({ lint }, ['DOM_QUERY_SET']), (err) => {
+      assert.ok(err instanceof LintConfigError);
+      assert.ok(err.message.startsWith(`teamwerk-config.yml lint: ${message}`), err.message);
+      return true;
+    });
+  }
+});
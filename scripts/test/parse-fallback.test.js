@@ -0,0 +1,21 @@
+/**
+ * Tests for JS/TS files the parser rejects (UNPARSABLE_FILE and the text
+ * fallback of lib/disabled-tests.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintFixture } = require('./helpers');
+
+test('an unparsable file is reported and still checked for .only and unexplained .skip', () => {
+  const report = lintFixture('unparsable/focused.spec.ts');
+  assert.deepEqual(report.violations.map(v => `${v.line}:${v.id}`), [
+    '3:FOCUSED_TEST',
+    '5:UNPARSABLE_FILE',
+    '9:SKIPPED_TEST',
+  ]);
+  const unparsable = report.violations.find(v => v.id === 'UNPARSABLE_FILE');
+  assert.equal(unparsable.severity, 'warning');
+  assert.match(unparsable.description, /\(5:25\)$/);
+  assert.equal(report.violations.find(v => v.id === 'FOCUSED_TEST').ac, 'AC-1.1');
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for the Playwright Python and .NET script rules
+ * (lib/playwright-scripts.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findPlaywrightScripts } = require('../lib/playwright-scripts');
+const { lintFixture } = require('./helpers');
+
+const findings = report => report.violations.map(v => `${v.line}:${v.column}:${v.id}`);
+
+test('Python: scripts passed to evaluate-style calls are checked with the JS rules', () => {
+  // The second test only reads the page, passes a value to a page script,
+  // loads a script file or builds the script at runtime
+  assert.deepEqual(findings(lintFixture('playwright-bindings/test_checkout.py')), [
+    '5:26:PY_PW_DOM_ELEMENT_REMOVAL',
+    '6:44:PY_PW_DOM_STYLE_MUTATION',
+    '6:44:PY_PW_CSS_DISPLAY_OVERRIDE',
+    '7:43:PY_PW_DOM_QUERY_SET',
+    '9:9:PY_PW_DOM_HTML_MUTATION',
+    '11:34:PY_PW_APP_GLOBAL_OVERRIDE',
+    '13:21:PY_PW_DOM_CLASS_MUTATION',
+    '14:19:PY_PW_DOM_HIDDEN_MUTATION',
+    '15:9:PY_PW_INJECTED_STYLE',
+  ]);
+});
+
+test('.NET: scripts passed to *Async evaluate-style calls are checked with the JS rules', () => {
+  assert.deepEqual(findings(lintFixture('playwright-bindings/CheckoutTests.cs')), [
+    '8:41:CS_PW_DOM_HIDDEN_MUTATION',
+    '9:55:CS_PW_DOM_CLASS_MUTATION',
+    '10:46:CS_PW_DOM_STYLE_MUTATION',
+    '11:49:CS_PW_APP_GLOBAL_OVERRIDE',
+    '12:19:CS_PW_INJECTED_STYLE',
+  ]);
+});
+
+test('literals are decoded per language and interpolations keep their width', () => {
+  const scripts = (source, lang) => findPlaywrightScripts(source, lang).map(s => [s.method, s.script, s.exact, s.elements]);
+  assert.deepEqual(scripts([
+    'page.evaluate("a = \\"b\\"")',
+    "page.evaluate(r'a\\n')",
+    "page.evaluate(f'x{name}y{{z}}')",
+    'row.evaluate(expression="el => el")',
+    'page.eval_on_selector("#a", "el => el")',
+    'page.evaluate(b"x")',
+  ].join('\n'), 'py'), [
+    ['evaluate', 'a = "b"', false, false],
+    ['evaluate', 'a\\n', true, false],
+    ['evaluate', 'x______y {z} ', true, false],
+    ['evaluate', 'el => el', true, true],
+    ['eval_on_selector', 'el => el', true, true],
+  ]);
+  assert.deepEqual(scripts([
+    'await Page.EvaluateAsync<int>("a\\tb");',
+    'await Page.EvaluateAsync(@"el.setAttribute(""id"", ""x"")");',
+    'await Page.AddInitScriptAsync(script: $"window.x = {x}");',
+    'await Page.EvaluateAsync(script);',
+  ].join('\n'), 'cs'), [
+    ['EvaluateAsync', 'a\tb', false, false],
+    ['EvaluateAsync', 'el.setAttribute("id", "x")', false, false],
+    ['AddInitScriptAsync', 'window.x = ___', true, false],
+  ]);
+});
@@ -0,0 +1,148 @@
+/**
+ * Tests for the evidence report (report-generator.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateReport } = require('./helpers');
+
+const purposes = html => html.match(/\w+ purpose: [^<]*/g) || [];
+
+test('results are matched to spec metadata by file, then by a title no other spec uses', () => {
+  // test_pay is reported from the cart module but only defined in the orders
+  // one, and test_shared_title has no file and is defined in both: neither
+  // gets metadata
+  assert.deepEqual(purposes(generateReport('report-metadata', ['--input', 'results'])), [
+    'Cart purpose: adding an item shows it in the cart.',
+    'Orders purpose: a title no other spec uses.',
+  ]);
+});
+
+test('Cucumber embeddings are decoded as base64 unless their media encoding is identity', () => {
+  const texts = generateReport('report-cucumber', ['--input', 'results'])
+    .match(/<pre>[^<]*<\/pre>/g)
+    .map(pre => pre.slice('<pre>'.length, -'</pre>'.length));
+  assert.deepEqual(texts, ['payment log', 'test', 'test']);
+});
+
+test('Cucumber scenarios map @AC tags, step keywords, statuses and durations into the report', () => {
+  const html = generateReport('report-cucumber', ['--input', 'results']);
+  const text = cell => cell.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  const scenarios = [...html.matchAll(/<details class="scenario" [\s\S]*?<\/details>/g)].map(([card]) => ({
+    name: card.match(/scenario-name">([^<]*)/)[1],
+    status: card.match(/icon-(\w+)/)[1],
+    acs: [...card.matchAll(/scenario-ac">([^<]*)/g)].map(m => m[1]),
+    // [status, keyword, detail, time] of each step
+    steps: [...card.matchAll(/<tr>\s*<td class="step-num">[\s\S]*?<\/tr>/g)].map(([row]) => {
+      const cells = [...row.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/g)].map(m => m[1]);
+      return [cells[1].match(/step-status-(\w+)/)[1], ...cells.slice(2).map(text)];
+    }),
+  }));
+  assert.deepEqual([...html.matchAll(/(icon-\w+)">[^<]*<\/span>\s*<strong>(AC-[\d.]+)[\s\S]*?screen-count">([^<]*)/g)].map(m => m.slice(1)), [
+    ['icon-pass', 'AC-1.1', '1/1 passed'],
+    ['icon-fail', 'AC-1.2', '0/1 passed'],
+    ['icon-skip', 'AC-1.3', '0/1 passed, 1 skipped'],
+    ['icon-pass', 'AC-2.1', '1/1 passed'],
+    ['icon-pass', 'AC-2.2', '1/1 passed'],
+  ]);
+  assert.deepEqual(scenarios, [
+    { name: 'Pay for an order', status: 'pass', acs: ['AC-1.1'], steps: [
+      ['pass', 'Given', 'a cart with one item', '0.0s'],
+      ['pass', 'Then', 'the order is paid', '0.0s'],
+    ] },
+    // Steps after a failure did not run
+    { name: 'Pay with an expired card', status: 'fail', acs: ['AC-1.2'], steps: [
+      ['pass', 'Given', 'a cart with one item', '1.5s'],
+      ['fail', 'When', 'I pay with an expired card', '2.5s'],
+      ['unknown', 'Then', 'the payment is declined', ''],
+    ] },
+    // An undefined step means the scenario did not fully run
+    { name: 'Pay by invoice', status: 'skip', acs: ['AC-1.3'], steps: [
+      ['pass', 'Given', 'a cart with one item', '1.0s'],
+      ['unknown', 'When', 'I choose to pay by invoice', ''],
+    ] },
+    // Feature tags apply to every scenario, and background steps come first
+    { name: 'Refund an order', status: 'pass', acs: ['AC-2.1', 'AC-2.2'], steps: [
+      ['pass', 'Given', 'a paid order', '0.5s'],
+      ['pass', 'When', 'I refund the order', '1.2s'],
+      ['pass', 'Then', 'the money is returned | amount | 10.00 |', '0.3s'],
+    ] },
+  ]);
+});
+
+test('Cucumber images with a mime type that is not a bare MIME type are not embedded', () => {
+  const html = generateReport('report-cucumber', ['--input', 'results']);
+  assert.deepEqual([...html.matchAll(/<img src="(data:[^;]*);base64,[^"]*" alt="([^"]*)"/g)].map(m => m.slice(1)), [
+    ['data:image/png', 'I pay with an expired card'],
+  ]);
+  assert.doesNotMatch(html, /onerror/);
+});
+
+// Text of each cell, row by row, of the first <table> with class `cls`
+function tableRows(html, cls) {
+  const table = html.match(new RegExp(`<table class="[^"]*\\b${cls}\\b[^"]*">([\\s\\S]*?)</table>`));
+  if (!table) return [];
+  return [...table[1].matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/g)]
+    .map(row => [...row[1].matchAll(/<td[^>]*>([\s\S]*?)<\/td>/g)].map(cell => cell[1].replace(/<[^>]+>/g, '').trim()))
+    .filter(cells => cells.length > 0);
+}
+
+test('catalog ACs without a test that ran are listed as not covered', () => {
+  const html = generateReport('report-coverage', ['--input', 'results', '--config', 'teamwerk-config.yml']);
+  // AC-1.1 passed and AC-2.1 failed: both ran, so both count as covered
+  assert.match(html, /<span class="stat-value">50%<\/span> AC coverage \(2\/4\)/);
+  assert.match(html, /Not Covered \(2 of 4 ACs\)/);
+  assert.deepEqual(tableRows(html, 'not-covered-table'), [
+    ['AC-1.2', 'User can remove an item from the cart', 'Only skipped tests: AC-1.2: removes an item'],
+    ['AC-2.2', 'User gets a receipt by email', 'No tests'],
+  ]);
+});
+
+test('the traceability matrix lists PRD requirements with their ACs, linked tests and results', () => {
+  const html = generateReport('report-coverage', ['--input', 'results', '--config', 'teamwerk-config.yml']);
+  const matrix = html.match(/<table class="bug-table matrix-table">[\s\S]*?<\/table>/)[0];
+  const rows = [...matrix.matchAll(/<tr class="(matrix-\w+)( matrix-gap)?">([\s\S]*?)<\/tr>/g)].map(([, kind, gap, cells]) => [
+    kind, Boolean(gap),
+    ...[...cells.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/g)].map(cell => cell[1].replace(/<[^>]+>/g, '').replace(/&#\d+;\s*/g, '').trim()),
+  ]);
+  // AC-X.Y belongs to FR-0X unless it says "Traces to" (AC-2.2 -> FR-03)
+  assert.deepEqual(rows, [
+    ['matrix-fr', false, 'FR-01', 'Cart', '2 AC(s), 2 test(s)', '0', '1/2 passed, 1 skipped'],
+    ['matrix-ac', false, 'AC-1.1', 'User can add an item to the cart', 'AC-1.1: adds an item', '0', '1/1 passed'],
+    ['matrix-ac', true, 'AC-1.2', 'User can remove an item from the cart', 'AC-1.2: removes an item', '0', 'No evidence'],
+    ['matrix-fr', false, 'FR-02', 'Checkout', '1 AC(s), 1 test(s)', '0', '0/1 passed'],
+    ['matrix-ac', false, 'AC-2.1', 'User can pay for an order', 'AC-2.1: pays with a card', '0', '0/1 passed'],
+    ['matrix-fr', false, 'FR-03', 'Receipts', '1 AC(s), 0 test(s)', '0', 'No evidence'],
+    ['matrix-ac', true, 'AC-2.2', 'User gets a receipt by email', 'No tests', '0', 'No evidence'],
+    ['matrix-fr', true, 'FR-04', 'Wishlist', '0 AC(s), 0 test(s)', '0', 'No ACs'],
+  ]);
+
+  // Every AC and test link points at a section of the report
+  const links = [...matrix.matchAll(/href="#([^"]+)"/g)].map(link => link[1]);
+  assert.equal(links.length, 6);
+  for (const id of links) assert.ok(html.includes(`id="${id}"`), `#${id} exists`);
+});
+
+test('Playwright tests that passed on a retry are counted as flaky in every project', () => {
+  const html = generateReport('report-playwright', ['--input', 'results', '--config', 'teamwerk-config.yml']);
+  // AC-1.2 timed out once in chromium and failed once in firefox: flaky, not a green 0/2
+  assert.deepEqual(tableRows(html, 'matrix-table').map(cells => cells.at(-1).replace(/&#\d+;\s*/g, '')), [
+    '2/4 passed, 2 flaky',
+    '2/2 passed',
+    '0/2 passed, 2 flaky',
+  ]);
+  assert.deepEqual([...html.matchAll(/(icon-\w+)">[^<]*<\/span>\s*<strong>(AC-[\d.]+)[\s\S]*?screen-count">([^<]*)/g)].map(m => m.slice(1)), [
+    ['icon-pass', 'AC-1.1', '2/2 passed'],
+    ['icon-flaky', 'AC-1.2', '0/2 passed, 2 flaky'],
+  ]);
+  assert.match(html, /<span class="badge badge-flaky">&#8635; 2 flaky<\/span>/);
+  assert.equal((html.match(/Attempts \(2\)/g) || []).length, 2);
+});
+
+test('Playwright attachments with a content type that is not a bare MIME type are not embedded', () => {
+  const html = generateReport('report-playwright', ['--input', 'results', '--config', 'teamwerk-config.yml']);
+  assert.deepEqual([...html.matchAll(/<img src="(data:[^;]*);base64,[^"]*" alt="([^"]*)"/g)].map(m => m.slice(1)), [
+    ['data:image/png', 'screenshot'],
+  ]);
+  assert.doesNotMatch(html, /onerror/);
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for the SARIF 2.1.0 output (--format sarif, lib/sarif.js)
+ *
+ * Every log is validated against the SARIF 2.1.0 JSON schema (the 2.1.0-rtm.5
+ * revision, vendored from the MIT-licensed @microsoft/jest-sarif package) by
+ * the small draft-04 validator below. It covers the keywords that schema uses
+ * except `format`, so URIs and dates are not checked. checkSarif() adds the
+ * cross-references the schema cannot express.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runLinter, FIXTURES } = require('./helpers');
+
+const SCHEMA = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'sarif', 'sarif-2.1.0-rtm.5.json'), 'utf-8'));
+
+const TYPES = {
+  object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: v => Array.isArray(v),
+  string: v => typeof v === 'string',
+  integer: v => Number.isInteger(v),
+  number: v => typeof v === 'number',
+  boolean: v => typeof v === 'boolean',
+};
+
+// Errors for `value` against a draft-04 schema node, as `path: problem`
+function schemaErrors(value, schema, where = '$') {
+  if (schema.$ref) {
+    return schemaErrors(value, SCHEMA.definitions[schema.$ref.slice('#/definitions/'.length)], where);
+  }
+  if (schema.type && !TYPES[schema.type](value)) return [`${where}: expected ${schema.type}`];
+
+  const errors = [];
+  if (schema.enum && !schema.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) {
+    errors.push(`${where}: ${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.anyOf && !schema.anyOf.some(s => schemaErrors(value, s, where).length === 0)) {
+    errors.push(`${where}: matches none of anyOf`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(s => schemaErrors(value, s, where).length === 0).length !== 1) {
+    errors.push(`${where}: does not match exactly one of oneOf`);
+  }
+
+  if (typeof value === 'number') {
+    if ('minimum' in schema && value < schema.minimum) errors.push(`${where}: ${value} < ${schema.minimum}`);
+    if ('maximum' in schema && value > schema.maximum) errors.push(`${where}: ${value} > ${schema.maximum}`);
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${where}: does not match ${schema.pattern}`);
+  }
+  if (Array.isArray(value)) {
+    if ('minItems' in schema && value.length < schema.minItems) errors.push(`${where}: fewer than ${schema.minItems} items`);
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+      errors.push(`${where}: items are not unique`);
+    }
+    if (schema.items) value.forEach((item, i) => errors.push(...schemaErrors(item, schema.items, `${where}[${i}]`)));
+  }
+  if (TYPES.object(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${where}: missing ${key}`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...schemaErrors(item, properties[key], `${where}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${where}: unexpected property ${key}`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...schemaErrors(item, schema.additionalProperties, `${where}.${key}`));
+      }
+    }
+  }
+  return errors;
+}
+
+function checkSarif(log) {
+  assert.deepEqual(schemaErrors(log, SCHEMA), []);
+  assert.equal(log.$schema, 'https://json.schemastore.org/sarif-2.1.0.json');
+  assert.equal(log.runs.length, 1);
+
+  const run = log.runs[0];
+  const rules = run.tool.driver.rules;
+  const ruleIds = rules.map(rule => rule.id);
+  assert.equal(new Set(ruleIds).size, ruleIds.length, 'rule ids are unique');
+
+  run.results.forEach((result, i) => {
+    const where = `results[${i}] ${result.ruleId}`;
+    assert.ok(ruleIds.includes(result.ruleId), `${where}: ruleId is listed in tool.driver.rules`);
+    if ('ruleIndex' in result) assert.equal(rules[result.ruleIndex].id, result.ruleId, `${where}: ruleIndex`);
+    assert.ok(result.locations.length >= 1, `${where}: locations`);
+    for (const loc of result.locations) {
+      const { artifactLocation, region } = loc.physicalLocation;
+      assert.ok(!artifactLocation.uri.startsWith('/'), `${where}: uri is relative`);
+      if ('endColumn' in region && (region.endLine || region.startLine) === region.startLine && 'startColumn' in region) {
+        assert.ok(region.endColumn >= region.startColumn, `${where}: endColumn before startColumn`);
+      }
+    }
+  });
+  return run;
+}
+
+test('the validator rejects logs that break the schema', () => {
+  const log = runLinter('go', ['--file', 'mutations_test.go', '--format', 'sarif']);
+  const result = log.runs[0].results[0];
+  result.level = 'critical';
+  result.locations[0].physicalLocation.region.startLine = 0;
+  delete log.runs[0].tool.driver.name;
+  log.runs[0].extra = true;
+  assert.deepEqual(schemaErrors(log, SCHEMA), [
+    '$.runs[0].tool.driver: missing name',
+    '$.runs[0].results[0].level: "critical" is not one of ["none","note","warning","error"]',
+    '$.runs[0].results[0].locations[0].physicalLocation.region.startLine: 0 < 1',
+    '$.runs[0]: unexpected property extra',
+  ]);
+});
+
+test('critical and warning findings are valid SARIF results', () => {
+  const run = checkSarif(runLinter('go', ['--file', 'mutations_test.go', '--format', 'sarif']));
+  const levels = new Set(run.results.map(result => result.level));
+  assert.deepEqual([...levels].sort(), ['error', 'warning']);
+  assert.ok(run.results.some(result => result.ruleId === 'GO_DOM_PROPERTY_SET' && result.level === 'warning'));
+});
+
+test('inline waivers are kept as suppressed results with their reason', () => {
+  const run = checkSarif(runLinter('sarif', ['--file', 'waived.spec.ts', '--format', 'sarif']));
+  const waived = run.results.find(result => result.ruleId === 'DOM_STYLE_MUTATION');
+  assert.deepEqual(waived.suppressions, [{
+    kind: 'inSource',
+    status: 'accepted',
+    justification: 'resets the test harness overlay, not the app',
+  }]);
+  assert.ok(run.results.some(result => result.ruleId === 'DOM_HIDDEN_MUTATION' && !result.suppressions));
+});
+
+test('findings in the AC catalog point at the catalog entry', () => {
+  const run = checkSarif(runLinter('ac-coverage', ['--format', 'sarif']));
+  const uncovered = run.results.find(result => result.ruleId === 'AC_UNCOVERED');
+  assert.equal(uncovered.locations[0].physicalLocation.artifactLocation.uri, 'docs/acceptance-criteria.md');
+  assert.equal(uncovered.locations[0].physicalLocation.region.startLine, 7);
+});
+
+test('a run without findings is still a valid log', () => {
+  const run = checkSarif(runLinter('go', ['--file', 'readonly_test.go', '--format', 'sarif']));
+  assert.deepEqual(run.results.filter(result => result.ruleId.startsWith('GO_')), []);
+});
@@ -0,0 +1,39 @@
+/**
+ * Tests for the brittle-locator rules (lib/selectors.js)
+ *
+ * fixtures/selectors/teamwerk-config.yml turns them on with
+ * "*BRITTLE_*": warning. Run from fixtures/selectors/tests there is no config,
+ * so the same files show the defaults.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintProject } = require('./helpers');
+
+const brittle = report => report.violations
+  .filter(v => v.id.includes('BRITTLE_'))
+  .map(v => `${v.file}:${v.line}:${v.id}:${v.severity}`);
+
+test('brittle-locator rules are off by default', () => {
+  const report = lintProject('selectors/tests', ['--dir', 'e2e']);
+  assert.equal(report.files, 3);
+  assert.deepEqual(brittle(report), []);
+});
+
+test('"*BRITTLE_*" in lint.rules enables them in every language; stable locators stay clean', () => {
+  assert.deepEqual(brittle(lintProject('selectors')), [
+    'tests/e2e/locators.cy.js:2:BRITTLE_GENERATED_CLASS:warning',
+    'tests/e2e/locators.cy.js:2:BRITTLE_NTH_CHILD:warning',
+    'tests/e2e/locators.cy.js:3:BRITTLE_TEXT_MATCH:warning',
+    'tests/e2e/locators.spec.ts:4:BRITTLE_XPATH:warning',
+    'tests/e2e/locators.spec.ts:5:BRITTLE_NTH_CHILD:warning',
+    'tests/e2e/locators.spec.ts:6:BRITTLE_GENERATED_CLASS:warning',
+    'tests/e2e/locators.spec.ts:7:BRITTLE_TEXT_MATCH:warning',
+    'tests/e2e/locators.spec.ts:8:BRITTLE_TEXT_MATCH:warning',
+    'tests/e2e/locators.spec.ts:9:BRITTLE_FIRST_MATCH:warning',
+    'tests/e2e/test_locators.py:5:PY_BRITTLE_XPATH:warning',
+    'tests/e2e/test_locators.py:6:PY_BRITTLE_GENERATED_CLASS:warning',
+    'tests/e2e/test_locators.py:7:PY_BRITTLE_TEXT_MATCH:warning',
+    'tests/e2e/test_locators.py:8:PY_BRITTLE_TEXT_MATCH:warning',
+  ]);
+});
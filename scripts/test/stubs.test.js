@@ -0,0 +1,26 @@
+/**
+ * Tests for APP_ROUTE_STUB and the `third-party-hosts` allowlist
+ *
+ * The fixture allows "*.stripe.com" and "www.google-analytics.com".
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintProject } = require('./helpers');
+
+const report = lintProject('stubs');
+const stubbedLines = file => report.violations
+  .filter(v => v.file === `tests/e2e/${file}` && v.id === 'APP_ROUTE_STUB')
+  .map(v => v.line);
+
+test('Playwright routes fulfilled for the app or a host off the allowlist are flagged', () => {
+  // Flagged: relative and first-party URLs, a domain that only ends in
+  // "stripe.com", and the bare domain of an exact (non-`*.`) entry. Allowed:
+  // subdomains of stripe.com and stripe.com itself, the exact analytics host,
+  // and routes that continue instead of fulfilling
+  assert.deepEqual(stubbedLines('checkout.spec.ts'), [5, 6, 7, 8]);
+});
+
+test('Cypress intercepts with a response are checked against the allowlist by hostname', () => {
+  assert.deepEqual(stubbedLines('checkout.cy.ts'), [3, 4]);
+});
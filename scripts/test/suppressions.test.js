@@ -0,0 +1,37 @@
+/**
+ * Tests for inline suppression directives (lib/suppressions.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSuppressions } = require('../lib/suppressions');
+const { lintFixture, violationIds } = require('./helpers');
+
+test('a directive with a reason waives its rule on the next line', () => {
+  const report = lintFixture('suppressions/waivers.spec.ts');
+  assert.deepEqual(report.suppressed.map(v => `${v.line}:${v.id}:${v.suppression.reason}`), [
+    '5:DOM_STYLE_MUTATION:resets the harness overlay',
+  ]);
+});
+
+test('a directive without a reason is reported and waives nothing', () => {
+  const ids = violationIds(lintFixture('suppressions/waivers.spec.ts'), '');
+  assert.ok(ids.includes('6:SUPPRESSION_MISSING_REASON'));
+  assert.ok(ids.includes('7:DOM_HIDDEN_MUTATION'));
+});
+
+test('a directive that matches no violation is reported as stale', () => {
+  const ids = violationIds(lintFixture('suppressions/waivers.spec.ts'), 'SUPPRESSION_');
+  assert.deepEqual(ids, ['6:SUPPRESSION_MISSING_REASON', '8:SUPPRESSION_UNUSED']);
+  const audit = lintFixture('suppressions/waivers.spec.ts', ['--list-suppressions']).suppressions;
+  assert.deepEqual(audit.map(d => `${d.line}:${d.status}`), ['4:applied', '6:missing-reason', '8:stale']);
+});
+
+test('directive text inside a string literal is not a directive', () => {
+  assert.deepEqual(violationIds(lintFixture('suppressions/waivers.spec.ts'), 'DOM_HTML'), ['11:DOM_HTML_MUTATION']);
+  assert.deepEqual(violationIds(lintFixture('suppressions/test_waivers.py'), 'PY_HARDCODED'), ['6:PY_HARDCODED_WAIT']);
+  assert.deepEqual(parseSuppressions([
+    'const a = "// teamwerk-lint-disable-line X -- reason: no";',
+    "const b = 'x'; // teamwerk-lint-disable-line Y -- reason: yes",
+  ].join('\n'), 'js').map(d => `${d.line}:${d.rules.join(',')}`), ['2:Y']);
+});
@@ -0,0 +1,18 @@
+/**
+ * Tests for the AC traceability rules (lib/traceability.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintProject } = require('./helpers');
+
+const uncovered = report => report.violations.filter(v => v.id === 'AC_UNCOVERED').map(v => v.ac);
+
+test('a whole-suite run reports the ACs no test cites', () => {
+  assert.deepEqual(uncovered(lintProject('ac-coverage')), ['AC-3.1']);
+});
+
+test('--dir and --file runs do not report ACs tested outside the scanned files', () => {
+  assert.deepEqual(uncovered(lintProject('ac-coverage', ['--dir', 'tests/login'])), []);
+  assert.deepEqual(uncovered(lintProject('ac-coverage', ['--file', 'tests/cart/cart.spec.ts'])), []);
+});
@@ -0,0 +1,26 @@
+/**
+ * Tests for the hardcoded-wait rules (garbage-test category 5)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintFixture } = require('./helpers');
+
+const WAITS = ['7:HARDCODED_WAIT', '9:HARDCODED_WAIT', '11:SLEEP_PROMISE', '13:SLEEP_PROMISE'];
+
+function waitFindings(report) {
+  return report.violations.filter(v => /WAIT|SLEEP/.test(v.id)).map(v => `${v.line}:${v.id}`);
+}
+
+test('every fixed wait is reported, even when an assertion follows it', () => {
+  assert.deepEqual(waitFindings(lintFixture('waits/waits.spec.ts')), WAITS);
+});
+
+test('the pattern fallback for unparseable files reports the same waits', () => {
+  // The JSX line makes the parser give up, so pattern rules are used
+  assert.deepEqual(waitFindings(lintFixture('waits/waits-jsx.spec.tsx')), WAITS);
+});
+
+test('--wait-severity off drops the wait findings', () => {
+  assert.deepEqual(waitFindings(lintFixture('waits/waits.spec.ts', ['--wait-severity', 'off'])), []);
+});